@@ -9,8 +9,19 @@ interface IAccessManaged {
      */
     event AuthorityUpdated(address authority);
 
+    /**
+     * @dev The `caller` is not allowed to call the function.
+     */
     error AccessManagedUnauthorized(address caller);
+
+    /**
+     * @dev The `caller` is only allowed to call the function after a `delay`, through the authority.
+     */
     error AccessManagedRequiredDelay(address caller, uint32 delay);
+
+    /**
+     * @dev The `authority` is not a valid access manager (e.g. it has no code).
+     */
     error AccessManagedInvalidAuthority(address authority);
 
     /**
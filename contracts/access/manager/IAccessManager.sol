@@ -77,16 +77,59 @@ interface IAccessManager {
      */
     event TargetAdminDelayUpdated(address indexed target, uint32 delay, uint48 since);
 
+    /**
+     * @dev The operation `operationId` is already scheduled and has not expired.
+     */
     error AccessManagerAlreadyScheduled(bytes32 operationId);
+
+    /**
+     * @dev The operation `operationId` is not scheduled.
+     */
     error AccessManagerNotScheduled(bytes32 operationId);
+
+    /**
+     * @dev The operation `operationId` is scheduled, but its delay has not passed yet.
+     */
     error AccessManagerNotReady(bytes32 operationId);
+
+    /**
+     * @dev The operation `operationId` was scheduled, but has expired.
+     */
     error AccessManagerExpired(bytes32 operationId);
+
+    /**
+     * @dev The role `roleId` (the `ADMIN_ROLE` or the `PUBLIC_ROLE`) can't be modified.
+     */
     error AccessManagerLockedRole(uint64 roleId);
+
+    /**
+     * @dev The caller confirmation doesn't match the account renouncing the role.
+     */
     error AccessManagerBadConfirmation();
+
+    /**
+     * @dev The account `msgsender` is missing the role `roleId`.
+     */
     error AccessManagerUnauthorizedAccount(address msgsender, uint64 roleId);
+
+    /**
+     * @dev The `caller` is not allowed to call the function `selector` on the `target` (directly or through a schedule).
+     */
     error AccessManagerUnauthorizedCall(address caller, address target, bytes4 selector);
+
+    /**
+     * @dev The `target` is not consuming a scheduled operation.
+     */
     error AccessManagerUnauthorizedConsume(address target);
+
+    /**
+     * @dev The account `msgsender` is not allowed to cancel the operation scheduled by `caller` on the `target`.
+     */
     error AccessManagerUnauthorizedCancel(address msgsender, address caller, address target, bytes4 selector);
+
+    /**
+     * @dev The `initialAdmin` of the manager is invalid (e.g. the zero address).
+     */
     error AccessManagerInvalidInitialAdmin(address initialAdmin);
 
     /**
@@ -41,6 +41,9 @@ abstract contract GovernorCountingOverridable is GovernorVotes {
     /// @dev A delegated vote on `proposalId` was overridden by `weight`
     event OverrideVoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason);
 
+    /**
+     * @dev The `account` has already overridden the vote of its delegate.
+     */
     error GovernorAlreadyOverridenVote(address account);
 
     mapping(uint256 proposalId => ProposalVote) private _proposalVotes;
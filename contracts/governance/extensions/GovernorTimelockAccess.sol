@@ -64,8 +64,20 @@ abstract contract GovernorTimelockAccess is Governor {
 
     IAccessManager private immutable _manager;
 
+    /**
+     * @dev The proposal `proposalId` can't be executed before `neededTimestamp`.
+     */
     error GovernorUnmetDelay(uint256 proposalId, uint256 neededTimestamp);
+
+    /**
+     * @dev The nonce of an operation executed through the manager for `proposalId` doesn't match the one that was
+     * scheduled. The operation was likely canceled and rescheduled.
+     */
     error GovernorMismatchedNonce(uint256 proposalId, uint256 expectedNonce, uint256 actualNonce);
+
+    /**
+     * @dev The governor can't ignore the manager for its own {setAccessManagerIgnored} function.
+     */
     error GovernorLockedIgnore();
 
     event BaseDelaySet(uint32 oldBaseDelaySeconds, uint32 newBaseDelaySeconds);
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/SlotDerivation.js.
+
+pragma solidity ^0.8.20;
+
+import {SlotDerivation} from "../utils/SlotDerivation.sol";
+
+/**
+ * @dev Library locating the members of the `Entry` struct in storage, generated from a layout description.
+ *
+ * Layout of the struct (6 slots), relative to the slot where it starts:
+ *
+ * - `owner` (`address`): slot 0, byte offset 0
+ * - `nonce` (`uint64`): slot 0, byte offset 20
+ * - `active` (`bool`): slot 0, byte offset 28
+ * - `balance` (`uint256`): slot 1, byte offset 0
+ * - `name` (`string`): slot 2
+ * - `allowances` (`mapping(address => uint256)`): slot 3
+ * - `history` (`uint256[]`): slot 4
+ * - `tag` (`bytes4`): slot 5, byte offset 0
+ * - `delta` (`int16`): slot 5, byte offset 4
+ *
+ * Byte offsets are counted from the least significant byte of the slot, as in the storage layout produced by the
+ * compiler.
+ */
+library EntrySlotsMock {
+    using SlotDerivation for bytes32;
+
+    struct Entry {
+        address owner;
+        uint64 nonce;
+        bool active;
+        uint256 balance;
+        string name;
+        mapping(address => uint256) allowances;
+        uint256[] history;
+        bytes4 tag;
+        int16 delta;
+    }
+
+    /**
+     * @dev Number of slots used by the `Entry` struct. Can be used with {SlotDerivation-deriveArrayElement} to locate
+     * the elements of an array of structs.
+     */
+    uint256 internal constant SIZE = 6;
+
+    /**
+     * @dev Byte offset of the `owner` member in its slot.
+     */
+    uint256 internal constant OWNER_OFFSET = 0;
+
+    /**
+     * @dev Byte offset of the `nonce` member in its slot.
+     */
+    uint256 internal constant NONCE_OFFSET = 20;
+
+    /**
+     * @dev Byte offset of the `active` member in its slot.
+     */
+    uint256 internal constant ACTIVE_OFFSET = 28;
+
+    /**
+     * @dev Byte offset of the `balance` member in its slot.
+     */
+    uint256 internal constant BALANCE_OFFSET = 0;
+
+    /**
+     * @dev Byte offset of the `tag` member in its slot.
+     */
+    uint256 internal constant TAG_OFFSET = 0;
+
+    /**
+     * @dev Byte offset of the `delta` member in its slot.
+     */
+    uint256 internal constant DELTA_OFFSET = 4;
+
+    /**
+     * @dev Derive the location of the `owner` member of the `Entry` struct that starts at `slot`.
+     */
+    function ownerSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(0);
+    }
+
+    /**
+     * @dev Derive the location of the `nonce` member of the `Entry` struct that starts at `slot`.
+     */
+    function nonceSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(0);
+    }
+
+    /**
+     * @dev Derive the location of the `active` member of the `Entry` struct that starts at `slot`.
+     */
+    function activeSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(0);
+    }
+
+    /**
+     * @dev Derive the location of the `balance` member of the `Entry` struct that starts at `slot`.
+     */
+    function balanceSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(1);
+    }
+
+    /**
+     * @dev Derive the location of the `name` member of the `Entry` struct that starts at `slot`.
+     */
+    function nameSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(2);
+    }
+
+    /**
+     * @dev Derive the location of the `allowances` member of the `Entry` struct that starts at `slot`.
+     */
+    function allowancesSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(3);
+    }
+
+    /**
+     * @dev Derive the location of the `history` member of the `Entry` struct that starts at `slot`.
+     */
+    function historySlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(4);
+    }
+
+    /**
+     * @dev Derive the location of the `tag` member of the `Entry` struct that starts at `slot`.
+     */
+    function tagSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(5);
+    }
+
+    /**
+     * @dev Derive the location of the `delta` member of the `Entry` struct that starts at `slot`.
+     */
+    function deltaSlot(bytes32 slot) internal pure returns (bytes32) {
+        return slot.offset(5);
+    }
+}
@@ -59,4 +59,45 @@ abstract contract MerkleProofCustomHashMock {
     ) internal view returns (bytes32) {
         return MerkleProof.processMultiProofCalldata(proof, proofFlags, leaves, customHash);
     }
+
+    function multiProofVerifyCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32 root,
+        bytes32[] calldata leaves
+    ) internal view returns (bool) {
+        return MerkleProof.multiProofVerifyCalldataLeaves(proof, proofFlags, root, leaves, customHash);
+    }
+
+    function processMultiProofCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal view returns (bytes32) {
+        return MerkleProof.processMultiProofCalldataLeaves(proof, proofFlags, leaves, customHash);
+    }
+
+    function processMultiProofWithCount(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal view returns (bytes32, uint256) {
+        return MerkleProof.processMultiProofWithCount(proof, proofFlags, leaves, customHash);
+    }
+
+    function processMultiProofWithCountCalldata(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal view returns (bytes32, uint256) {
+        return MerkleProof.processMultiProofWithCountCalldata(proof, proofFlags, leaves, customHash);
+    }
+
+    function processMultiProofWithCountCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal view returns (bytes32, uint256) {
+        return MerkleProof.processMultiProofWithCountCalldataLeaves(proof, proofFlags, leaves, customHash);
+    }
 }
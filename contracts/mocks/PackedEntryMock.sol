@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/Packing.js.
+
+pragma solidity ^0.8.20;
+
+import {Packing} from "../utils/Packing.sol";
+
+/**
+ * @dev Library packing and unpacking the `Entry` struct into a bytes32, generated from a layout description.
+ *
+ * Layout of the packed value, in bytes starting with the most significant ones:
+ *
+ * - `account` (`address`): offset 0, size 20
+ * - `selector` (`bytes4`): offset 20, size 4
+ * - `delta` (`int16`): offset 24, size 2
+ * - `period` (`uint32`): offset 26, size 4
+ * - `enabled` (`bool`): offset 30, size 1
+ *
+ * The bytes starting at offset 31 are unused, and cleared by {pack}.
+ */
+library PackedEntryMock {
+    using Packing for bytes32;
+
+    struct Entry {
+        address account;
+        bytes4 selector;
+        int16 delta;
+        uint32 period;
+        bool enabled;
+    }
+
+    /**
+     * @dev Pack the fields of `self` into a bytes32.
+     */
+    function pack(Entry memory self) internal pure returns (bytes32 result) {
+        result = setAccount(result, self.account);
+        result = setSelector(result, self.selector);
+        result = setDelta(result, self.delta);
+        result = setPeriod(result, self.period);
+        result = setEnabled(result, self.enabled);
+    }
+
+    /**
+     * @dev Unpack the fields of a packed value.
+     */
+    function unpack(bytes32 self) internal pure returns (Entry memory result) {
+        result.account = getAccount(self);
+        result.selector = getSelector(self);
+        result.delta = getDelta(self);
+        result.period = getPeriod(self);
+        result.enabled = getEnabled(self);
+    }
+
+    /**
+     * @dev Get the `account` field of a packed value.
+     */
+    function getAccount(bytes32 self) internal pure returns (address) {
+        return address(self.extract_32_20(0));
+    }
+
+    /**
+     * @dev Set the `account` field of a packed value.
+     */
+    function setAccount(bytes32 self, address value) internal pure returns (bytes32) {
+        return self.replace_32_20(bytes20(value), 0);
+    }
+
+    /**
+     * @dev Get the `selector` field of a packed value.
+     */
+    function getSelector(bytes32 self) internal pure returns (bytes4) {
+        return self.extract_32_4(20);
+    }
+
+    /**
+     * @dev Set the `selector` field of a packed value.
+     */
+    function setSelector(bytes32 self, bytes4 value) internal pure returns (bytes32) {
+        return self.replace_32_4(value, 20);
+    }
+
+    /**
+     * @dev Get the `delta` field of a packed value.
+     */
+    function getDelta(bytes32 self) internal pure returns (int16) {
+        return int16(uint16(self.extract_32_2(24)));
+    }
+
+    /**
+     * @dev Set the `delta` field of a packed value.
+     */
+    function setDelta(bytes32 self, int16 value) internal pure returns (bytes32) {
+        return self.replace_32_2(bytes2(uint16(value)), 24);
+    }
+
+    /**
+     * @dev Get the `period` field of a packed value.
+     */
+    function getPeriod(bytes32 self) internal pure returns (uint32) {
+        return uint32(self.extract_32_4(26));
+    }
+
+    /**
+     * @dev Set the `period` field of a packed value.
+     */
+    function setPeriod(bytes32 self, uint32 value) internal pure returns (bytes32) {
+        return self.replace_32_4(bytes4(value), 26);
+    }
+
+    /**
+     * @dev Get the `enabled` field of a packed value.
+     */
+    function getEnabled(bytes32 self) internal pure returns (bool) {
+        return self.extract_32_1(30) != 0;
+    }
+
+    /**
+     * @dev Set the `enabled` field of a packed value.
+     */
+    function setEnabled(bytes32 self, bool value) internal pure returns (bytes32) {
+        return self.replace_32_1(value ? bytes1(0x01) : bytes1(0), 30);
+    }
+}
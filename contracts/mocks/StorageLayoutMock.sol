@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.20;
+
+import {EntrySlotsMock} from "./EntrySlotsMock.sol";
+
+contract StorageLayoutMock {
+    bool public flag;
+    int16[] public deltas;
+    mapping(address account => mapping(uint256 id => EntrySlotsMock.Entry[])) private _entries;
+
+    function setFlag(bool value) public {
+        flag = value;
+    }
+
+    function pushDelta(int16 delta) public {
+        deltas.push(delta);
+    }
+
+    function pushEntry(address account, uint256 id) public {
+        _entries[account][id].push();
+    }
+
+    function setEntry(
+        address account,
+        uint256 id,
+        uint256 index,
+        address owner,
+        uint64 nonce,
+        bool active,
+        string calldata name
+    ) public {
+        EntrySlotsMock.Entry storage entry = _entries[account][id][index];
+        entry.owner = owner;
+        entry.nonce = nonce;
+        entry.active = active;
+        entry.name = name;
+    }
+
+    function setAllowance(address account, uint256 id, uint256 index, address spender, uint256 amount) public {
+        _entries[account][id][index].allowances[spender] = amount;
+    }
+
+    function getEntry(
+        address account,
+        uint256 id,
+        uint256 index
+    ) public view returns (address owner, uint64 nonce, bool active, uint256 balance, string memory name) {
+        EntrySlotsMock.Entry storage entry = _entries[account][id][index];
+        return (entry.owner, entry.nonce, entry.active, entry.balance, entry.name);
+    }
+
+    function getAllowance(address account, uint256 id, uint256 index, address spender) public view returns (uint256) {
+        return _entries[account][id][index].allowances[spender];
+    }
+}
@@ -29,6 +29,18 @@ contract StorageSlotMock is Multicall {
         slot.getInt256Slot().value = value;
     }
 
+    function setBytes4Slot(bytes32 slot, bytes4 value) public {
+        slot.getBytes4Slot().value = value;
+    }
+
+    function setUint128Slot(bytes32 slot, uint128 value) public {
+        slot.getUint128Slot().value = value;
+    }
+
+    function setInt128Slot(bytes32 slot, int128 value) public {
+        slot.getInt128Slot().value = value;
+    }
+
     function getAddressSlot(bytes32 slot) public view returns (address) {
         return slot.getAddressSlot().value;
     }
@@ -49,6 +61,18 @@ contract StorageSlotMock is Multicall {
         return slot.getInt256Slot().value;
     }
 
+    function getBytes4Slot(bytes32 slot) public view returns (bytes4) {
+        return slot.getBytes4Slot().value;
+    }
+
+    function getUint128Slot(bytes32 slot) public view returns (uint128) {
+        return slot.getUint128Slot().value;
+    }
+
+    function getInt128Slot(bytes32 slot) public view returns (int128) {
+        return slot.getInt128Slot().value;
+    }
+
     mapping(uint256 key => string) public stringMap;
 
     function setStringSlot(bytes32 slot, string calldata value) public {
@@ -58,4 +58,34 @@ contract TransientSlotMock is Multicall {
     function tstore(bytes32 slot, int256 value) public {
         slot.asInt256().tstore(value);
     }
+
+    event Bytes4Value(bytes32 slot, bytes4 value);
+
+    function tloadBytes4(bytes32 slot) public {
+        emit Bytes4Value(slot, slot.asBytes4().tload());
+    }
+
+    function tstore(bytes32 slot, bytes4 value) public {
+        slot.asBytes4().tstore(value);
+    }
+
+    event Uint128Value(bytes32 slot, uint128 value);
+
+    function tloadUint128(bytes32 slot) public {
+        emit Uint128Value(slot, slot.asUint128().tload());
+    }
+
+    function tstore(bytes32 slot, uint128 value) public {
+        slot.asUint128().tstore(value);
+    }
+
+    event Int128Value(bytes32 slot, int128 value);
+
+    function tloadInt128(bytes32 slot) public {
+        emit Int128Value(slot, slot.asInt128().tload());
+    }
+
+    function tstore(bytes32 slot, int128 value) public {
+        slot.asInt128().tstore(value);
+    }
 }
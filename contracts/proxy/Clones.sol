@@ -18,6 +18,9 @@ import {Errors} from "../utils/Errors.sol";
  * deterministic method.
  */
 library Clones {
+    /**
+     * @dev The immutable arguments of a clone are too long to fit in its code.
+     */
     error CloneArgumentsTooLong();
 
     /**
@@ -249,6 +249,374 @@ library Arrays {
         }
     }
 
+    /**
+     * @dev Searches an `array` sorted in ascending order and returns the first
+     * index that contains a value greater or equal than `element`. If no such index
+     * exists (i.e. all values in the array are strictly less than `element`), the array
+     * length is returned. Time complexity O(log n).
+     *
+     * See C++'s https://en.cppreference.com/w/cpp/algorithm/lower_bound[lower_bound].
+     */
+    function lowerBound(address[] storage array, address element) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeAccess(array, mid).value < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order and returns the first
+     * index that contains a value strictly greater than `element`. If no such index
+     * exists (i.e. all values in the array are strictly less than `element`), the array
+     * length is returned. Time complexity O(log n).
+     *
+     * See C++'s https://en.cppreference.com/w/cpp/algorithm/upper_bound[upper_bound].
+     */
+    function upperBound(address[] storage array, address element) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeAccess(array, mid).value > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {lowerBound}, but with an array in memory.
+     */
+    function lowerBoundMemory(address[] memory array, address element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeMemoryAccess(array, mid) < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {upperBound}, but with an array in memory.
+     */
+    function upperBoundMemory(address[] memory array, address element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeMemoryAccess(array, mid) > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {lowerBound}, but with an array in calldata.
+     */
+    function lowerBoundCalldata(address[] calldata array, address element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {upperBound}, but with an array in calldata.
+     */
+    function upperBoundCalldata(address[] calldata array, address element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order and returns the first
+     * index that contains a value greater or equal than `element`. If no such index
+     * exists (i.e. all values in the array are strictly less than `element`), the array
+     * length is returned. Time complexity O(log n).
+     *
+     * See C++'s https://en.cppreference.com/w/cpp/algorithm/lower_bound[lower_bound].
+     */
+    function lowerBound(bytes32[] storage array, bytes32 element) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeAccess(array, mid).value < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order and returns the first
+     * index that contains a value strictly greater than `element`. If no such index
+     * exists (i.e. all values in the array are strictly less than `element`), the array
+     * length is returned. Time complexity O(log n).
+     *
+     * See C++'s https://en.cppreference.com/w/cpp/algorithm/upper_bound[upper_bound].
+     */
+    function upperBound(bytes32[] storage array, bytes32 element) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeAccess(array, mid).value > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {lowerBound}, but with an array in memory.
+     */
+    function lowerBoundMemory(bytes32[] memory array, bytes32 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeMemoryAccess(array, mid) < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {upperBound}, but with an array in memory.
+     */
+    function upperBoundMemory(bytes32[] memory array, bytes32 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (unsafeMemoryAccess(array, mid) > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {lowerBound}, but with an array in calldata.
+     */
+    function lowerBoundCalldata(bytes32[] calldata array, bytes32 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {upperBound}, but with an array in calldata.
+     */
+    function upperBoundCalldata(bytes32[] calldata array, bytes32 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
     /**
      * @dev Searches an `array` sorted in ascending order and returns the first
      * index that contains a value greater or equal than `element`. If no such index
@@ -375,6 +743,505 @@ library Arrays {
         return low;
     }
 
+    /**
+     * @dev Same as {lowerBound}, but with an array in calldata.
+     */
+    function lowerBoundCalldata(uint256[] calldata array, uint256 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] < element) {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Same as {upperBound}, but with an array in calldata.
+     */
+    function upperBoundCalldata(uint256[] calldata array, uint256 element) internal pure returns (uint256) {
+        uint256 low = 0;
+        uint256 high = array.length;
+
+        if (high == 0) {
+            return 0;
+        }
+
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+
+            // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+            // because Math.average rounds towards zero (it does integer division with truncation).
+            if (array[mid] > element) {
+                high = mid;
+            } else {
+                // this cannot overflow because mid < high
+                unchecked {
+                    low = mid + 1;
+                }
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order for `element`. Returns whether the element was found,
+     * and the first index that contains a value greater or equal than `element` (see {lowerBound}), which is the
+     * position of the element if it was found. Time complexity O(log n).
+     */
+    function binarySearch(address[] storage array, address element) internal view returns (bool found, uint256 index) {
+        index = lowerBound(array, element);
+        found = index < array.length && unsafeAccess(array, index).value == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in memory.
+     */
+    function binarySearchMemory(
+        address[] memory array,
+        address element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundMemory(array, element);
+        found = index < array.length && unsafeMemoryAccess(array, index) == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in calldata.
+     */
+    function binarySearchCalldata(
+        address[] calldata array,
+        address element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundCalldata(array, element);
+        found = index < array.length && array[index] == element;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order for `element`. Returns whether the element was found,
+     * and the first index that contains a value greater or equal than `element` (see {lowerBound}), which is the
+     * position of the element if it was found. Time complexity O(log n).
+     */
+    function binarySearch(bytes32[] storage array, bytes32 element) internal view returns (bool found, uint256 index) {
+        index = lowerBound(array, element);
+        found = index < array.length && unsafeAccess(array, index).value == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in memory.
+     */
+    function binarySearchMemory(
+        bytes32[] memory array,
+        bytes32 element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundMemory(array, element);
+        found = index < array.length && unsafeMemoryAccess(array, index) == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in calldata.
+     */
+    function binarySearchCalldata(
+        bytes32[] calldata array,
+        bytes32 element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundCalldata(array, element);
+        found = index < array.length && array[index] == element;
+    }
+
+    /**
+     * @dev Searches an `array` sorted in ascending order for `element`. Returns whether the element was found,
+     * and the first index that contains a value greater or equal than `element` (see {lowerBound}), which is the
+     * position of the element if it was found. Time complexity O(log n).
+     */
+    function binarySearch(uint256[] storage array, uint256 element) internal view returns (bool found, uint256 index) {
+        index = lowerBound(array, element);
+        found = index < array.length && unsafeAccess(array, index).value == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in memory.
+     */
+    function binarySearchMemory(
+        uint256[] memory array,
+        uint256 element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundMemory(array, element);
+        found = index < array.length && unsafeMemoryAccess(array, index) == element;
+    }
+
+    /**
+     * @dev Same as {binarySearch}, but with an array in calldata.
+     */
+    function binarySearchCalldata(
+        uint256[] calldata array,
+        uint256 element
+    ) internal pure returns (bool found, uint256 index) {
+        index = lowerBoundCalldata(array, element);
+        found = index < array.length && array[index] == element;
+    }
+
+    /**
+     * @dev Removes the duplicated values of a sorted array of address (in memory), so that each value appears only once.
+     *
+     * This function works "in place": it moves the unique values to the start of the array and reduces its length. The
+     * object is returned for convenience, but that returned value can be discarded safely if the caller has a memory
+     * pointer to the array.
+     *
+     * NOTE: The `array` is expected to be sorted (see {sort}), so that duplicated values are consecutive. Values that
+     * are not consecutive are not deduplicated.
+     */
+    function unique(address[] memory array) internal pure returns (address[] memory) {
+        uint256 length = array.length;
+        if (length == 0) {
+            return array;
+        }
+
+        uint256 count = 1;
+        for (uint256 i = 1; i < length; ++i) {
+            address value = unsafeMemoryAccess(array, i);
+            if (value != unsafeMemoryAccess(array, count - 1)) {
+                array[count++] = value;
+            }
+        }
+
+        assembly ("memory-safe") {
+            mstore(array, count)
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {unique} that copies an array of address in calldata to memory before removing the duplicated values.
+     */
+    function uniqueCalldata(address[] calldata array) internal pure returns (address[] memory) {
+        return unique(array);
+    }
+
+    /**
+     * @dev Removes the duplicated values of a sorted array of bytes32 (in memory), so that each value appears only once.
+     *
+     * This function works "in place": it moves the unique values to the start of the array and reduces its length. The
+     * object is returned for convenience, but that returned value can be discarded safely if the caller has a memory
+     * pointer to the array.
+     *
+     * NOTE: The `array` is expected to be sorted (see {sort}), so that duplicated values are consecutive. Values that
+     * are not consecutive are not deduplicated.
+     */
+    function unique(bytes32[] memory array) internal pure returns (bytes32[] memory) {
+        uint256 length = array.length;
+        if (length == 0) {
+            return array;
+        }
+
+        uint256 count = 1;
+        for (uint256 i = 1; i < length; ++i) {
+            bytes32 value = unsafeMemoryAccess(array, i);
+            if (value != unsafeMemoryAccess(array, count - 1)) {
+                array[count++] = value;
+            }
+        }
+
+        assembly ("memory-safe") {
+            mstore(array, count)
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {unique} that copies an array of bytes32 in calldata to memory before removing the duplicated values.
+     */
+    function uniqueCalldata(bytes32[] calldata array) internal pure returns (bytes32[] memory) {
+        return unique(array);
+    }
+
+    /**
+     * @dev Removes the duplicated values of a sorted array of uint256 (in memory), so that each value appears only once.
+     *
+     * This function works "in place": it moves the unique values to the start of the array and reduces its length. The
+     * object is returned for convenience, but that returned value can be discarded safely if the caller has a memory
+     * pointer to the array.
+     *
+     * NOTE: The `array` is expected to be sorted (see {sort}), so that duplicated values are consecutive. Values that
+     * are not consecutive are not deduplicated.
+     */
+    function unique(uint256[] memory array) internal pure returns (uint256[] memory) {
+        uint256 length = array.length;
+        if (length == 0) {
+            return array;
+        }
+
+        uint256 count = 1;
+        for (uint256 i = 1; i < length; ++i) {
+            uint256 value = unsafeMemoryAccess(array, i);
+            if (value != unsafeMemoryAccess(array, count - 1)) {
+                array[count++] = value;
+            }
+        }
+
+        assembly ("memory-safe") {
+            mstore(array, count)
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {unique} that copies an array of uint256 in calldata to memory before removing the duplicated values.
+     */
+    function uniqueCalldata(uint256[] calldata array) internal pure returns (uint256[] memory) {
+        return unique(array);
+    }
+
+    /**
+     * @dev Reverse the order of the elements of an array of address (in memory).
+     *
+     * This function works "in place", meaning that it overrides the input. The object is returned for convenience, but
+     * that returned value can be discarded safely if the caller has a memory pointer to the array.
+     */
+    function reverse(address[] memory array) internal pure returns (address[] memory) {
+        uint256 length = array.length;
+        for (uint256 i = 0; i < length / 2; ++i) {
+            uint256 j = length - 1 - i;
+            (array[i], array[j]) = (array[j], array[i]);
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {reverse} that copies an array of address in calldata to memory before reversing it.
+     */
+    function reverseCalldata(address[] calldata array) internal pure returns (address[] memory) {
+        return reverse(array);
+    }
+
+    /**
+     * @dev Reverse the order of the elements of an array of bytes32 (in memory).
+     *
+     * This function works "in place", meaning that it overrides the input. The object is returned for convenience, but
+     * that returned value can be discarded safely if the caller has a memory pointer to the array.
+     */
+    function reverse(bytes32[] memory array) internal pure returns (bytes32[] memory) {
+        uint256 length = array.length;
+        for (uint256 i = 0; i < length / 2; ++i) {
+            uint256 j = length - 1 - i;
+            (array[i], array[j]) = (array[j], array[i]);
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {reverse} that copies an array of bytes32 in calldata to memory before reversing it.
+     */
+    function reverseCalldata(bytes32[] calldata array) internal pure returns (bytes32[] memory) {
+        return reverse(array);
+    }
+
+    /**
+     * @dev Reverse the order of the elements of an array of uint256 (in memory).
+     *
+     * This function works "in place", meaning that it overrides the input. The object is returned for convenience, but
+     * that returned value can be discarded safely if the caller has a memory pointer to the array.
+     */
+    function reverse(uint256[] memory array) internal pure returns (uint256[] memory) {
+        uint256 length = array.length;
+        for (uint256 i = 0; i < length / 2; ++i) {
+            uint256 j = length - 1 - i;
+            (array[i], array[j]) = (array[j], array[i]);
+        }
+        return array;
+    }
+
+    /**
+     * @dev Variant of {reverse} that copies an array of uint256 in calldata to memory before reversing it.
+     */
+    function reverseCalldata(uint256[] calldata array) internal pure returns (uint256[] memory) {
+        return reverse(array);
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to the end of `array` into a new address array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(address[] memory array, uint256 start) internal pure returns (address[] memory) {
+        return slice(array, start, array.length);
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to `end` (excluded) into a new address array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(address[] memory array, uint256 start, uint256 end) internal pure returns (address[] memory) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        // allocate and copy
+        address[] memory result = new address[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = unsafeMemoryAccess(array, i);
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(address[] calldata array, uint256 start) internal pure returns (address[] calldata) {
+        return sliceCalldata(array, start, array.length);
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(
+        address[] calldata array,
+        uint256 start,
+        uint256 end
+    ) internal pure returns (address[] calldata) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        return array[start:end];
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to the end of `array` into a new bytes32 array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(bytes32[] memory array, uint256 start) internal pure returns (bytes32[] memory) {
+        return slice(array, start, array.length);
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to `end` (excluded) into a new bytes32 array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(bytes32[] memory array, uint256 start, uint256 end) internal pure returns (bytes32[] memory) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        // allocate and copy
+        bytes32[] memory result = new bytes32[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = unsafeMemoryAccess(array, i);
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(bytes32[] calldata array, uint256 start) internal pure returns (bytes32[] calldata) {
+        return sliceCalldata(array, start, array.length);
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(
+        bytes32[] calldata array,
+        uint256 start,
+        uint256 end
+    ) internal pure returns (bytes32[] calldata) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        return array[start:end];
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to the end of `array` into a new uint256 array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(uint256[] memory array, uint256 start) internal pure returns (uint256[] memory) {
+        return slice(array, start, array.length);
+    }
+
+    /**
+     * @dev Copies the content of `array`, from `start` (included) to `end` (excluded) into a new uint256 array in
+     * memory.
+     *
+     * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's `Array.slice`]
+     */
+    function slice(uint256[] memory array, uint256 start, uint256 end) internal pure returns (uint256[] memory) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        // allocate and copy
+        uint256[] memory result = new uint256[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = unsafeMemoryAccess(array, i);
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(uint256[] calldata array, uint256 start) internal pure returns (uint256[] calldata) {
+        return sliceCalldata(array, start, array.length);
+    }
+
+    /**
+     * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of `array`: no
+     * copy is performed.
+     */
+    function sliceCalldata(
+        uint256[] calldata array,
+        uint256 start,
+        uint256 end
+    ) internal pure returns (uint256[] calldata) {
+        // sanitize
+        uint256 length = array.length;
+        end = Math.min(end, length);
+        start = Math.min(start, end);
+
+        return array[start:end];
+    }
+
     /**
      * @dev Access an array in an "unsafe" way. Skips solidity "index-out-of-range" check.
      *
@@ -34,6 +34,9 @@ pragma solidity ^0.8.20;
  */
 // solhint-disable func-name-mixedcase
 library Packing {
+    /**
+     * @dev The `offset` of the extracted (or replaced) bytes is out of the bounds of the packed value.
+     */
     error OutOfRangeAccess();
 
     function pack_1_1(bytes1 left, bytes1 right) internal pure returns (bytes2 result) {
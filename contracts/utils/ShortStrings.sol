@@ -41,7 +41,14 @@ library ShortStrings {
     // Used as an identifier for strings longer than 31 bytes.
     bytes32 private constant FALLBACK_SENTINEL = 0x00000000000000000000000000000000000000000000000000000000000000FF;
 
+    /**
+     * @dev The string `str` is longer than 31 bytes and can't be stored in a `ShortString`.
+     */
     error StringTooLong(string str);
+
+    /**
+     * @dev The value is not a valid `ShortString` (its length is larger than 31 bytes).
+     */
     error InvalidShortString();
 
     /**
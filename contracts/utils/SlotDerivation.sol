@@ -68,6 +68,19 @@ library SlotDerivation {
         }
     }
 
+    /**
+     * @dev Derive the location of the n-th element in an array whose elements use `size` slots each (such as an
+     * array of structs), from the slot where the length is stored.
+     *
+     * NOTE: Elements of 16 bytes or less are packed by the compiler, several in each slot. This function does not apply
+     * to arrays of such elements.
+     */
+    function deriveArrayElement(bytes32 slot, uint256 pos, uint256 size) internal pure returns (bytes32 result) {
+        unchecked {
+            return offset(deriveArray(slot), pos * size);
+        }
+    }
+
     /**
      * @dev Derive the location of a mapping element from the key.
      */
@@ -152,4 +165,179 @@ library SlotDerivation {
             mstore(end, cache)
         }
     }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, address key1, address key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, address key1, bool key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, address key1, bytes32 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, address key1, uint256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, address key1, int256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bool key1, address key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bool key1, bool key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bool key1, bytes32 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bool key1, uint256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bool key1, int256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bytes32 key1, address key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bytes32 key1, bool key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bytes32 key1, bytes32 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bytes32 key1, uint256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, bytes32 key1, int256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, uint256 key1, address key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, uint256 key1, bool key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, uint256 key1, bytes32 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, uint256 key1, uint256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, uint256 key1, int256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, int256 key1, address key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, int256 key1, bool key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, int256 key1, bytes32 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, int256 key1, uint256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
+
+    /**
+     * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+     */
+    function deriveMapping(bytes32 slot, int256 key1, int256 key2) internal pure returns (bytes32 result) {
+        return deriveMapping(deriveMapping(slot, key1), key2);
+    }
 }
@@ -60,6 +60,18 @@ library StorageSlot {
         bytes value;
     }
 
+    struct Bytes4Slot {
+        bytes4 value;
+    }
+
+    struct Uint128Slot {
+        uint128 value;
+    }
+
+    struct Int128Slot {
+        int128 value;
+    }
+
     /**
      * @dev Returns an `AddressSlot` with member `value` located at `slot`.
      */
@@ -140,4 +152,31 @@ library StorageSlot {
             r.slot := store.slot
         }
     }
+
+    /**
+     * @dev Returns a `Bytes4Slot` with member `value` located at `slot`.
+     */
+    function getBytes4Slot(bytes32 slot) internal pure returns (Bytes4Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `Uint128Slot` with member `value` located at `slot`.
+     */
+    function getUint128Slot(bytes32 slot) internal pure returns (Uint128Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `Int128Slot` with member `value` located at `slot`.
+     */
+    function getInt128Slot(bytes32 slot) internal pure returns (Int128Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
 }
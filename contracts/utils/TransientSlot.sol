@@ -91,6 +91,42 @@ library TransientSlot {
         return Int256Slot.wrap(slot);
     }
 
+    /**
+     * @dev UDVT that represent a slot holding a bytes4.
+     */
+    type Bytes4Slot is bytes32;
+
+    /**
+     * @dev Cast an arbitrary slot to a Bytes4Slot.
+     */
+    function asBytes4(bytes32 slot) internal pure returns (Bytes4Slot) {
+        return Bytes4Slot.wrap(slot);
+    }
+
+    /**
+     * @dev UDVT that represent a slot holding a uint128.
+     */
+    type Uint128Slot is bytes32;
+
+    /**
+     * @dev Cast an arbitrary slot to a Uint128Slot.
+     */
+    function asUint128(bytes32 slot) internal pure returns (Uint128Slot) {
+        return Uint128Slot.wrap(slot);
+    }
+
+    /**
+     * @dev UDVT that represent a slot holding a int128.
+     */
+    type Int128Slot is bytes32;
+
+    /**
+     * @dev Cast an arbitrary slot to a Int128Slot.
+     */
+    function asInt128(bytes32 slot) internal pure returns (Int128Slot) {
+        return Int128Slot.wrap(slot);
+    }
+
     /**
      * @dev Load the value held at location `slot` in transient storage.
      */
@@ -180,4 +216,58 @@ library TransientSlot {
             tstore(slot, value)
         }
     }
+
+    /**
+     * @dev Load the value held at location `slot` in transient storage.
+     */
+    function tload(Bytes4Slot slot) internal view returns (bytes4 value) {
+        assembly ("memory-safe") {
+            value := tload(slot)
+        }
+    }
+
+    /**
+     * @dev Store `value` at location `slot` in transient storage.
+     */
+    function tstore(Bytes4Slot slot, bytes4 value) internal {
+        assembly ("memory-safe") {
+            tstore(slot, value)
+        }
+    }
+
+    /**
+     * @dev Load the value held at location `slot` in transient storage.
+     */
+    function tload(Uint128Slot slot) internal view returns (uint128 value) {
+        assembly ("memory-safe") {
+            value := tload(slot)
+        }
+    }
+
+    /**
+     * @dev Store `value` at location `slot` in transient storage.
+     */
+    function tstore(Uint128Slot slot, uint128 value) internal {
+        assembly ("memory-safe") {
+            tstore(slot, value)
+        }
+    }
+
+    /**
+     * @dev Load the value held at location `slot` in transient storage.
+     */
+    function tload(Int128Slot slot) internal view returns (int128 value) {
+        assembly ("memory-safe") {
+            value := tload(slot)
+        }
+    }
+
+    /**
+     * @dev Store `value` at location `slot` in transient storage.
+     */
+    function tstore(Int128Slot slot, int128 value) internal {
+        assembly ("memory-safe") {
+            tstore(slot, value)
+        }
+    }
 }
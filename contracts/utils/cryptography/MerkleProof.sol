@@ -205,22 +205,37 @@ library MerkleProof {
         bool[] memory proofFlags,
         bytes32[] memory leaves
     ) internal pure returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCount(proof, proofFlags, leaves);
+    }
+
+    /**
+     * @dev Same as {processMultiProof}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in memory with the default hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCount(
+        bytes32[] memory proof,
+        bool[] memory proofFlags,
+        bytes32[] memory leaves
+    ) internal pure returns (bytes32 merkleRoot, uint256 leavesConsumed) {
         // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
         // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
         // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
-        // the Merkle tree.
-        uint256 leavesLen = leaves.length;
-        uint256 proofFlagsLen = proofFlags.length;
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
 
         // Check proof validity.
-        if (leavesLen + proof.length != proofFlagsLen + 1) {
+        if (leaves.length + proof.length != proofFlags.length + 1) {
             revert MerkleProofInvalidMultiproof();
         }
 
         // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
         // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
-        bytes32[] memory hashes = new bytes32[](proofFlagsLen);
-        uint256 leafPos = 0;
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
         uint256 hashPos = 0;
         uint256 proofPos = 0;
         // At each step, we compute the next hash using two values:
@@ -228,25 +243,25 @@ library MerkleProof {
         //   get the next hash.
         // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
         //   `proof` array.
-        for (uint256 i = 0; i < proofFlagsLen; i++) {
-            bytes32 a = leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++];
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
             bytes32 b = proofFlags[i]
-                ? (leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++])
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
                 : proof[proofPos++];
             hashes[i] = Hashes.commutativeKeccak256(a, b);
         }
 
-        if (proofFlagsLen > 0) {
+        if (proofFlags.length > 0) {
             if (proofPos != proof.length) {
                 revert MerkleProofInvalidMultiproof();
             }
             unchecked {
-                return hashes[proofFlagsLen - 1];
+                return (hashes[proofFlags.length - 1], leavesConsumed);
             }
-        } else if (leavesLen > 0) {
-            return leaves[0];
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
         } else {
-            return proof[0];
+            return (proof[0], 0);
         }
     }
 
@@ -293,22 +308,38 @@ library MerkleProof {
         bytes32[] memory leaves,
         function(bytes32, bytes32) view returns (bytes32) hasher
     ) internal view returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCount(proof, proofFlags, leaves, hasher);
+    }
+
+    /**
+     * @dev Same as {processMultiProof}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in memory with a custom hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCount(
+        bytes32[] memory proof,
+        bool[] memory proofFlags,
+        bytes32[] memory leaves,
+        function(bytes32, bytes32) view returns (bytes32) hasher
+    ) internal view returns (bytes32 merkleRoot, uint256 leavesConsumed) {
         // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
         // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
         // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
-        // the Merkle tree.
-        uint256 leavesLen = leaves.length;
-        uint256 proofFlagsLen = proofFlags.length;
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
 
         // Check proof validity.
-        if (leavesLen + proof.length != proofFlagsLen + 1) {
+        if (leaves.length + proof.length != proofFlags.length + 1) {
             revert MerkleProofInvalidMultiproof();
         }
 
         // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
         // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
-        bytes32[] memory hashes = new bytes32[](proofFlagsLen);
-        uint256 leafPos = 0;
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
         uint256 hashPos = 0;
         uint256 proofPos = 0;
         // At each step, we compute the next hash using two values:
@@ -316,25 +347,25 @@ library MerkleProof {
         //   get the next hash.
         // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
         //   `proof` array.
-        for (uint256 i = 0; i < proofFlagsLen; i++) {
-            bytes32 a = leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++];
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
             bytes32 b = proofFlags[i]
-                ? (leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++])
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
                 : proof[proofPos++];
             hashes[i] = hasher(a, b);
         }
 
-        if (proofFlagsLen > 0) {
+        if (proofFlags.length > 0) {
             if (proofPos != proof.length) {
                 revert MerkleProofInvalidMultiproof();
             }
             unchecked {
-                return hashes[proofFlagsLen - 1];
+                return (hashes[proofFlags.length - 1], leavesConsumed);
             }
-        } else if (leavesLen > 0) {
-            return leaves[0];
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
         } else {
-            return proof[0];
+            return (proof[0], 0);
         }
     }
 
@@ -379,22 +410,37 @@ library MerkleProof {
         bool[] calldata proofFlags,
         bytes32[] memory leaves
     ) internal pure returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCountCalldata(proof, proofFlags, leaves);
+    }
+
+    /**
+     * @dev Same as {processMultiProofCalldata}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in calldata with the default hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCountCalldata(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] memory leaves
+    ) internal pure returns (bytes32 merkleRoot, uint256 leavesConsumed) {
         // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
         // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
         // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
-        // the Merkle tree.
-        uint256 leavesLen = leaves.length;
-        uint256 proofFlagsLen = proofFlags.length;
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
 
         // Check proof validity.
-        if (leavesLen + proof.length != proofFlagsLen + 1) {
+        if (leaves.length + proof.length != proofFlags.length + 1) {
             revert MerkleProofInvalidMultiproof();
         }
 
         // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
         // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
-        bytes32[] memory hashes = new bytes32[](proofFlagsLen);
-        uint256 leafPos = 0;
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
         uint256 hashPos = 0;
         uint256 proofPos = 0;
         // At each step, we compute the next hash using two values:
@@ -402,25 +448,25 @@ library MerkleProof {
         //   get the next hash.
         // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
         //   `proof` array.
-        for (uint256 i = 0; i < proofFlagsLen; i++) {
-            bytes32 a = leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++];
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
             bytes32 b = proofFlags[i]
-                ? (leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++])
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
                 : proof[proofPos++];
             hashes[i] = Hashes.commutativeKeccak256(a, b);
         }
 
-        if (proofFlagsLen > 0) {
+        if (proofFlags.length > 0) {
             if (proofPos != proof.length) {
                 revert MerkleProofInvalidMultiproof();
             }
             unchecked {
-                return hashes[proofFlagsLen - 1];
+                return (hashes[proofFlags.length - 1], leavesConsumed);
             }
-        } else if (leavesLen > 0) {
-            return leaves[0];
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
         } else {
-            return proof[0];
+            return (proof[0], 0);
         }
     }
 
@@ -467,22 +513,243 @@ library MerkleProof {
         bytes32[] memory leaves,
         function(bytes32, bytes32) view returns (bytes32) hasher
     ) internal view returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCountCalldata(proof, proofFlags, leaves, hasher);
+    }
+
+    /**
+     * @dev Same as {processMultiProofCalldata}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in calldata with a custom hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCountCalldata(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] memory leaves,
+        function(bytes32, bytes32) view returns (bytes32) hasher
+    ) internal view returns (bytes32 merkleRoot, uint256 leavesConsumed) {
+        // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
+        // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
+        // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
+
+        // Check proof validity.
+        if (leaves.length + proof.length != proofFlags.length + 1) {
+            revert MerkleProofInvalidMultiproof();
+        }
+
+        // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
+        // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
+        uint256 hashPos = 0;
+        uint256 proofPos = 0;
+        // At each step, we compute the next hash using two values:
+        // - a value from the "main queue". If not all leaves have been consumed, we get the next leaf, otherwise we
+        //   get the next hash.
+        // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
+        //   `proof` array.
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
+            bytes32 b = proofFlags[i]
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
+                : proof[proofPos++];
+            hashes[i] = hasher(a, b);
+        }
+
+        if (proofFlags.length > 0) {
+            if (proofPos != proof.length) {
+                revert MerkleProofInvalidMultiproof();
+            }
+            unchecked {
+                return (hashes[proofFlags.length - 1], leavesConsumed);
+            }
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
+        } else {
+            return (proof[0], 0);
+        }
+    }
+
+    /**
+     * @dev Returns true if the `leaves` can be simultaneously proven to be a part of a Merkle tree defined by
+     * `root`, according to `proof` and `proofFlags` as described in {processMultiProof}.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with the default hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     *
+     * NOTE: Consider the case where `root == proof[0] && leaves.length == 0` as it will return `true`.
+     * The `leaves` must be validated independently. See {processMultiProofCalldataLeaves}.
+     */
+    function multiProofVerifyCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32 root,
+        bytes32[] calldata leaves
+    ) internal pure returns (bool) {
+        return processMultiProofCalldataLeaves(proof, proofFlags, leaves) == root;
+    }
+
+    /**
+     * @dev Returns the root of a tree reconstructed from `leaves` and sibling nodes in `proof`. The reconstruction
+     * proceeds by incrementally reconstructing all inner nodes by combining a leaf/inner node with either another
+     * leaf/inner node or a proof sibling node, depending on whether each `proofFlags` item is true or false
+     * respectively.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with the default hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. To use multiproofs, it is sufficient to ensure that: 1) the tree
+     * is complete (but not necessarily perfect), 2) the leaves to be proven are in the opposite order they are in the
+     * tree (i.e., as seen from right to left starting at the deepest layer and continuing at the next layer).
+     *
+     * NOTE: The _empty set_ (i.e. the case where `proof.length == 1 && leaves.length == 0`) is considered a no-op,
+     * and therefore a valid multiproof (i.e. it returns `proof[0]`). Consider disallowing this case if you're not
+     * validating the leaves elsewhere.
+     */
+    function processMultiProofCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal pure returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCountCalldataLeaves(proof, proofFlags, leaves);
+    }
+
+    /**
+     * @dev Same as {processMultiProofCalldataLeaves}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with the default hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCountCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves
+    ) internal pure returns (bytes32 merkleRoot, uint256 leavesConsumed) {
+        // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
+        // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
+        // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
+
+        // Check proof validity.
+        if (leaves.length + proof.length != proofFlags.length + 1) {
+            revert MerkleProofInvalidMultiproof();
+        }
+
+        // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
+        // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
+        uint256 hashPos = 0;
+        uint256 proofPos = 0;
+        // At each step, we compute the next hash using two values:
+        // - a value from the "main queue". If not all leaves have been consumed, we get the next leaf, otherwise we
+        //   get the next hash.
+        // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
+        //   `proof` array.
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
+            bytes32 b = proofFlags[i]
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
+                : proof[proofPos++];
+            hashes[i] = Hashes.commutativeKeccak256(a, b);
+        }
+
+        if (proofFlags.length > 0) {
+            if (proofPos != proof.length) {
+                revert MerkleProofInvalidMultiproof();
+            }
+            unchecked {
+                return (hashes[proofFlags.length - 1], leavesConsumed);
+            }
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
+        } else {
+            return (proof[0], 0);
+        }
+    }
+
+    /**
+     * @dev Returns true if the `leaves` can be simultaneously proven to be a part of a Merkle tree defined by
+     * `root`, according to `proof` and `proofFlags` as described in {processMultiProof}.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with a custom hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     *
+     * NOTE: Consider the case where `root == proof[0] && leaves.length == 0` as it will return `true`.
+     * The `leaves` must be validated independently. See {processMultiProofCalldataLeaves}.
+     */
+    function multiProofVerifyCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32 root,
+        bytes32[] calldata leaves,
+        function(bytes32, bytes32) view returns (bytes32) hasher
+    ) internal view returns (bool) {
+        return processMultiProofCalldataLeaves(proof, proofFlags, leaves, hasher) == root;
+    }
+
+    /**
+     * @dev Returns the root of a tree reconstructed from `leaves` and sibling nodes in `proof`. The reconstruction
+     * proceeds by incrementally reconstructing all inner nodes by combining a leaf/inner node with either another
+     * leaf/inner node or a proof sibling node, depending on whether each `proofFlags` item is true or false
+     * respectively.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with a custom hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. To use multiproofs, it is sufficient to ensure that: 1) the tree
+     * is complete (but not necessarily perfect), 2) the leaves to be proven are in the opposite order they are in the
+     * tree (i.e., as seen from right to left starting at the deepest layer and continuing at the next layer).
+     *
+     * NOTE: The _empty set_ (i.e. the case where `proof.length == 1 && leaves.length == 0`) is considered a no-op,
+     * and therefore a valid multiproof (i.e. it returns `proof[0]`). Consider disallowing this case if you're not
+     * validating the leaves elsewhere.
+     */
+    function processMultiProofCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves,
+        function(bytes32, bytes32) view returns (bytes32) hasher
+    ) internal view returns (bytes32 merkleRoot) {
+        (merkleRoot, ) = processMultiProofWithCountCalldataLeaves(proof, proofFlags, leaves, hasher);
+    }
+
+    /**
+     * @dev Same as {processMultiProofCalldataLeaves}, but also returns the number of `leaves` consumed while reconstructing
+     * the root. Every leaf is consumed when the multiproof is well formed.
+     *
+     * This version handles multiproofs in calldata (including the leaves) with a custom hashing function.
+     *
+     * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+     */
+    function processMultiProofWithCountCalldataLeaves(
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bytes32[] calldata leaves,
+        function(bytes32, bytes32) view returns (bytes32) hasher
+    ) internal view returns (bytes32 merkleRoot, uint256 leavesConsumed) {
         // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
         // consuming and producing values on a queue. The queue starts with the `leaves` array, then goes onto the
         // `hashes` array. At the end of the process, the last hash in the `hashes` array should contain the root of
-        // the Merkle tree.
-        uint256 leavesLen = leaves.length;
-        uint256 proofFlagsLen = proofFlags.length;
+        // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+        // read the leaves from calldata and use a custom hashing function.
 
         // Check proof validity.
-        if (leavesLen + proof.length != proofFlagsLen + 1) {
+        if (leaves.length + proof.length != proofFlags.length + 1) {
             revert MerkleProofInvalidMultiproof();
         }
 
         // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
         // `xxx[xxxPos++]`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
-        bytes32[] memory hashes = new bytes32[](proofFlagsLen);
-        uint256 leafPos = 0;
+        // The pointer to the next leaf is `leavesConsumed`, which is returned along with the root.
+        bytes32[] memory hashes = new bytes32[](proofFlags.length);
         uint256 hashPos = 0;
         uint256 proofPos = 0;
         // At each step, we compute the next hash using two values:
@@ -490,25 +757,25 @@ library MerkleProof {
         //   get the next hash.
         // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
         //   `proof` array.
-        for (uint256 i = 0; i < proofFlagsLen; i++) {
-            bytes32 a = leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++];
+        for (uint256 i = 0; i < proofFlags.length; i++) {
+            bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
             bytes32 b = proofFlags[i]
-                ? (leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++])
+                ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
                 : proof[proofPos++];
             hashes[i] = hasher(a, b);
         }
 
-        if (proofFlagsLen > 0) {
+        if (proofFlags.length > 0) {
             if (proofPos != proof.length) {
                 revert MerkleProofInvalidMultiproof();
             }
             unchecked {
-                return hashes[proofFlagsLen - 1];
+                return (hashes[proofFlags.length - 1], leavesConsumed);
             }
-        } else if (leavesLen > 0) {
-            return leaves[0];
+        } else if (leaves.length > 0) {
+            return (leaves[0], 1);
         } else {
-            return proof[0];
+            return (proof[0], 0);
         }
     }
 }
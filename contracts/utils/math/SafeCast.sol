@@ -15,6 +15,10 @@ pragma solidity ^0.8.20;
  *
  * Using this library instead of the unchecked operations eliminates an entire
  * class of bugs, so it's recommended to use it always.
+ *
+ * When an overflow is expected, the `tryToUintXX`/`tryToIntXX` variants return a
+ * success flag instead of reverting, and the `saturatingToUintXX`/`saturatingToIntXX`
+ * variants clamp the value to the range of the target type.
  */
 library SafeCast {
     /**
@@ -1151,6 +1155,1897 @@ library SafeCast {
         return int256(value);
     }
 
+    /**
+     * @dev Converts a signed int256 into an unsigned uint248, reverting on
+     * overflow (when the input is negative or greater than largest uint248).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 248 bits
+     */
+    function intToUint248(int256 value) internal pure returns (uint248) {
+        return toUint248(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint240, reverting on
+     * overflow (when the input is negative or greater than largest uint240).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 240 bits
+     */
+    function intToUint240(int256 value) internal pure returns (uint240) {
+        return toUint240(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint232, reverting on
+     * overflow (when the input is negative or greater than largest uint232).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 232 bits
+     */
+    function intToUint232(int256 value) internal pure returns (uint232) {
+        return toUint232(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint224, reverting on
+     * overflow (when the input is negative or greater than largest uint224).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 224 bits
+     */
+    function intToUint224(int256 value) internal pure returns (uint224) {
+        return toUint224(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint216, reverting on
+     * overflow (when the input is negative or greater than largest uint216).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 216 bits
+     */
+    function intToUint216(int256 value) internal pure returns (uint216) {
+        return toUint216(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint208, reverting on
+     * overflow (when the input is negative or greater than largest uint208).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 208 bits
+     */
+    function intToUint208(int256 value) internal pure returns (uint208) {
+        return toUint208(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint200, reverting on
+     * overflow (when the input is negative or greater than largest uint200).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 200 bits
+     */
+    function intToUint200(int256 value) internal pure returns (uint200) {
+        return toUint200(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint192, reverting on
+     * overflow (when the input is negative or greater than largest uint192).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 192 bits
+     */
+    function intToUint192(int256 value) internal pure returns (uint192) {
+        return toUint192(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint184, reverting on
+     * overflow (when the input is negative or greater than largest uint184).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 184 bits
+     */
+    function intToUint184(int256 value) internal pure returns (uint184) {
+        return toUint184(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint176, reverting on
+     * overflow (when the input is negative or greater than largest uint176).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 176 bits
+     */
+    function intToUint176(int256 value) internal pure returns (uint176) {
+        return toUint176(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint168, reverting on
+     * overflow (when the input is negative or greater than largest uint168).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 168 bits
+     */
+    function intToUint168(int256 value) internal pure returns (uint168) {
+        return toUint168(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint160, reverting on
+     * overflow (when the input is negative or greater than largest uint160).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 160 bits
+     */
+    function intToUint160(int256 value) internal pure returns (uint160) {
+        return toUint160(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint152, reverting on
+     * overflow (when the input is negative or greater than largest uint152).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 152 bits
+     */
+    function intToUint152(int256 value) internal pure returns (uint152) {
+        return toUint152(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint144, reverting on
+     * overflow (when the input is negative or greater than largest uint144).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 144 bits
+     */
+    function intToUint144(int256 value) internal pure returns (uint144) {
+        return toUint144(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint136, reverting on
+     * overflow (when the input is negative or greater than largest uint136).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 136 bits
+     */
+    function intToUint136(int256 value) internal pure returns (uint136) {
+        return toUint136(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint128, reverting on
+     * overflow (when the input is negative or greater than largest uint128).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 128 bits
+     */
+    function intToUint128(int256 value) internal pure returns (uint128) {
+        return toUint128(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint120, reverting on
+     * overflow (when the input is negative or greater than largest uint120).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 120 bits
+     */
+    function intToUint120(int256 value) internal pure returns (uint120) {
+        return toUint120(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint112, reverting on
+     * overflow (when the input is negative or greater than largest uint112).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 112 bits
+     */
+    function intToUint112(int256 value) internal pure returns (uint112) {
+        return toUint112(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint104, reverting on
+     * overflow (when the input is negative or greater than largest uint104).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 104 bits
+     */
+    function intToUint104(int256 value) internal pure returns (uint104) {
+        return toUint104(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint96, reverting on
+     * overflow (when the input is negative or greater than largest uint96).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 96 bits
+     */
+    function intToUint96(int256 value) internal pure returns (uint96) {
+        return toUint96(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint88, reverting on
+     * overflow (when the input is negative or greater than largest uint88).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 88 bits
+     */
+    function intToUint88(int256 value) internal pure returns (uint88) {
+        return toUint88(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint80, reverting on
+     * overflow (when the input is negative or greater than largest uint80).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 80 bits
+     */
+    function intToUint80(int256 value) internal pure returns (uint80) {
+        return toUint80(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint72, reverting on
+     * overflow (when the input is negative or greater than largest uint72).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 72 bits
+     */
+    function intToUint72(int256 value) internal pure returns (uint72) {
+        return toUint72(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint64, reverting on
+     * overflow (when the input is negative or greater than largest uint64).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 64 bits
+     */
+    function intToUint64(int256 value) internal pure returns (uint64) {
+        return toUint64(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint56, reverting on
+     * overflow (when the input is negative or greater than largest uint56).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 56 bits
+     */
+    function intToUint56(int256 value) internal pure returns (uint56) {
+        return toUint56(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint48, reverting on
+     * overflow (when the input is negative or greater than largest uint48).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 48 bits
+     */
+    function intToUint48(int256 value) internal pure returns (uint48) {
+        return toUint48(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint40, reverting on
+     * overflow (when the input is negative or greater than largest uint40).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 40 bits
+     */
+    function intToUint40(int256 value) internal pure returns (uint40) {
+        return toUint40(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint32, reverting on
+     * overflow (when the input is negative or greater than largest uint32).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 32 bits
+     */
+    function intToUint32(int256 value) internal pure returns (uint32) {
+        return toUint32(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint24, reverting on
+     * overflow (when the input is negative or greater than largest uint24).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 24 bits
+     */
+    function intToUint24(int256 value) internal pure returns (uint24) {
+        return toUint24(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint16, reverting on
+     * overflow (when the input is negative or greater than largest uint16).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 16 bits
+     */
+    function intToUint16(int256 value) internal pure returns (uint16) {
+        return toUint16(toUint256(value));
+    }
+
+    /**
+     * @dev Converts a signed int256 into an unsigned uint8, reverting on
+     * overflow (when the input is negative or greater than largest uint8).
+     *
+     * Requirements:
+     *
+     * - input must be greater than or equal to 0.
+     * - input must fit into 8 bits
+     */
+    function intToUint8(int256 value) internal pure returns (uint8) {
+        return toUint8(toUint256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int248, reverting on
+     * overflow (when the input is greater than largest int248).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt248.
+     */
+    function uintToInt248(uint256 value) internal pure returns (int248) {
+        return toInt248(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int240, reverting on
+     * overflow (when the input is greater than largest int240).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt240.
+     */
+    function uintToInt240(uint256 value) internal pure returns (int240) {
+        return toInt240(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int232, reverting on
+     * overflow (when the input is greater than largest int232).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt232.
+     */
+    function uintToInt232(uint256 value) internal pure returns (int232) {
+        return toInt232(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int224, reverting on
+     * overflow (when the input is greater than largest int224).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt224.
+     */
+    function uintToInt224(uint256 value) internal pure returns (int224) {
+        return toInt224(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int216, reverting on
+     * overflow (when the input is greater than largest int216).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt216.
+     */
+    function uintToInt216(uint256 value) internal pure returns (int216) {
+        return toInt216(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int208, reverting on
+     * overflow (when the input is greater than largest int208).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt208.
+     */
+    function uintToInt208(uint256 value) internal pure returns (int208) {
+        return toInt208(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int200, reverting on
+     * overflow (when the input is greater than largest int200).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt200.
+     */
+    function uintToInt200(uint256 value) internal pure returns (int200) {
+        return toInt200(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int192, reverting on
+     * overflow (when the input is greater than largest int192).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt192.
+     */
+    function uintToInt192(uint256 value) internal pure returns (int192) {
+        return toInt192(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int184, reverting on
+     * overflow (when the input is greater than largest int184).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt184.
+     */
+    function uintToInt184(uint256 value) internal pure returns (int184) {
+        return toInt184(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int176, reverting on
+     * overflow (when the input is greater than largest int176).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt176.
+     */
+    function uintToInt176(uint256 value) internal pure returns (int176) {
+        return toInt176(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int168, reverting on
+     * overflow (when the input is greater than largest int168).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt168.
+     */
+    function uintToInt168(uint256 value) internal pure returns (int168) {
+        return toInt168(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int160, reverting on
+     * overflow (when the input is greater than largest int160).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt160.
+     */
+    function uintToInt160(uint256 value) internal pure returns (int160) {
+        return toInt160(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int152, reverting on
+     * overflow (when the input is greater than largest int152).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt152.
+     */
+    function uintToInt152(uint256 value) internal pure returns (int152) {
+        return toInt152(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int144, reverting on
+     * overflow (when the input is greater than largest int144).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt144.
+     */
+    function uintToInt144(uint256 value) internal pure returns (int144) {
+        return toInt144(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int136, reverting on
+     * overflow (when the input is greater than largest int136).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt136.
+     */
+    function uintToInt136(uint256 value) internal pure returns (int136) {
+        return toInt136(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int128, reverting on
+     * overflow (when the input is greater than largest int128).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt128.
+     */
+    function uintToInt128(uint256 value) internal pure returns (int128) {
+        return toInt128(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int120, reverting on
+     * overflow (when the input is greater than largest int120).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt120.
+     */
+    function uintToInt120(uint256 value) internal pure returns (int120) {
+        return toInt120(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int112, reverting on
+     * overflow (when the input is greater than largest int112).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt112.
+     */
+    function uintToInt112(uint256 value) internal pure returns (int112) {
+        return toInt112(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int104, reverting on
+     * overflow (when the input is greater than largest int104).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt104.
+     */
+    function uintToInt104(uint256 value) internal pure returns (int104) {
+        return toInt104(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int96, reverting on
+     * overflow (when the input is greater than largest int96).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt96.
+     */
+    function uintToInt96(uint256 value) internal pure returns (int96) {
+        return toInt96(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int88, reverting on
+     * overflow (when the input is greater than largest int88).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt88.
+     */
+    function uintToInt88(uint256 value) internal pure returns (int88) {
+        return toInt88(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int80, reverting on
+     * overflow (when the input is greater than largest int80).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt80.
+     */
+    function uintToInt80(uint256 value) internal pure returns (int80) {
+        return toInt80(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int72, reverting on
+     * overflow (when the input is greater than largest int72).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt72.
+     */
+    function uintToInt72(uint256 value) internal pure returns (int72) {
+        return toInt72(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int64, reverting on
+     * overflow (when the input is greater than largest int64).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt64.
+     */
+    function uintToInt64(uint256 value) internal pure returns (int64) {
+        return toInt64(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int56, reverting on
+     * overflow (when the input is greater than largest int56).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt56.
+     */
+    function uintToInt56(uint256 value) internal pure returns (int56) {
+        return toInt56(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int48, reverting on
+     * overflow (when the input is greater than largest int48).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt48.
+     */
+    function uintToInt48(uint256 value) internal pure returns (int48) {
+        return toInt48(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int40, reverting on
+     * overflow (when the input is greater than largest int40).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt40.
+     */
+    function uintToInt40(uint256 value) internal pure returns (int40) {
+        return toInt40(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int32, reverting on
+     * overflow (when the input is greater than largest int32).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt32.
+     */
+    function uintToInt32(uint256 value) internal pure returns (int32) {
+        return toInt32(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int24, reverting on
+     * overflow (when the input is greater than largest int24).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt24.
+     */
+    function uintToInt24(uint256 value) internal pure returns (int24) {
+        return toInt24(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int16, reverting on
+     * overflow (when the input is greater than largest int16).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt16.
+     */
+    function uintToInt16(uint256 value) internal pure returns (int16) {
+        return toInt16(toInt256(value));
+    }
+
+    /**
+     * @dev Converts an unsigned uint256 into a signed int8, reverting on
+     * overflow (when the input is greater than largest int8).
+     *
+     * Requirements:
+     *
+     * - input must be less than or equal to maxInt8.
+     */
+    function uintToInt8(uint256 value) internal pure returns (int8) {
+        return toInt8(toInt256(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint248 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint248(uint256 value) internal pure returns (bool success, uint248 result) {
+        if (value > type(uint248).max) return (false, 0);
+        return (true, uint248(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint240 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint240(uint256 value) internal pure returns (bool success, uint240 result) {
+        if (value > type(uint240).max) return (false, 0);
+        return (true, uint240(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint232 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint232(uint256 value) internal pure returns (bool success, uint232 result) {
+        if (value > type(uint232).max) return (false, 0);
+        return (true, uint232(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint224 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint224(uint256 value) internal pure returns (bool success, uint224 result) {
+        if (value > type(uint224).max) return (false, 0);
+        return (true, uint224(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint216 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint216(uint256 value) internal pure returns (bool success, uint216 result) {
+        if (value > type(uint216).max) return (false, 0);
+        return (true, uint216(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint208 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint208(uint256 value) internal pure returns (bool success, uint208 result) {
+        if (value > type(uint208).max) return (false, 0);
+        return (true, uint208(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint200 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint200(uint256 value) internal pure returns (bool success, uint200 result) {
+        if (value > type(uint200).max) return (false, 0);
+        return (true, uint200(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint192 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint192(uint256 value) internal pure returns (bool success, uint192 result) {
+        if (value > type(uint192).max) return (false, 0);
+        return (true, uint192(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint184 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint184(uint256 value) internal pure returns (bool success, uint184 result) {
+        if (value > type(uint184).max) return (false, 0);
+        return (true, uint184(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint176 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint176(uint256 value) internal pure returns (bool success, uint176 result) {
+        if (value > type(uint176).max) return (false, 0);
+        return (true, uint176(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint168 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint168(uint256 value) internal pure returns (bool success, uint168 result) {
+        if (value > type(uint168).max) return (false, 0);
+        return (true, uint168(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint160 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint160(uint256 value) internal pure returns (bool success, uint160 result) {
+        if (value > type(uint160).max) return (false, 0);
+        return (true, uint160(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint152 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint152(uint256 value) internal pure returns (bool success, uint152 result) {
+        if (value > type(uint152).max) return (false, 0);
+        return (true, uint152(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint144 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint144(uint256 value) internal pure returns (bool success, uint144 result) {
+        if (value > type(uint144).max) return (false, 0);
+        return (true, uint144(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint136 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint136(uint256 value) internal pure returns (bool success, uint136 result) {
+        if (value > type(uint136).max) return (false, 0);
+        return (true, uint136(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint128 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint128(uint256 value) internal pure returns (bool success, uint128 result) {
+        if (value > type(uint128).max) return (false, 0);
+        return (true, uint128(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint120 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint120(uint256 value) internal pure returns (bool success, uint120 result) {
+        if (value > type(uint120).max) return (false, 0);
+        return (true, uint120(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint112 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint112(uint256 value) internal pure returns (bool success, uint112 result) {
+        if (value > type(uint112).max) return (false, 0);
+        return (true, uint112(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint104 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint104(uint256 value) internal pure returns (bool success, uint104 result) {
+        if (value > type(uint104).max) return (false, 0);
+        return (true, uint104(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint96 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint96(uint256 value) internal pure returns (bool success, uint96 result) {
+        if (value > type(uint96).max) return (false, 0);
+        return (true, uint96(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint88 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint88(uint256 value) internal pure returns (bool success, uint88 result) {
+        if (value > type(uint88).max) return (false, 0);
+        return (true, uint88(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint80 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint80(uint256 value) internal pure returns (bool success, uint80 result) {
+        if (value > type(uint80).max) return (false, 0);
+        return (true, uint80(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint72 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint72(uint256 value) internal pure returns (bool success, uint72 result) {
+        if (value > type(uint72).max) return (false, 0);
+        return (true, uint72(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint64 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint64(uint256 value) internal pure returns (bool success, uint64 result) {
+        if (value > type(uint64).max) return (false, 0);
+        return (true, uint64(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint56 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint56(uint256 value) internal pure returns (bool success, uint56 result) {
+        if (value > type(uint56).max) return (false, 0);
+        return (true, uint56(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint48 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint48(uint256 value) internal pure returns (bool success, uint48 result) {
+        if (value > type(uint48).max) return (false, 0);
+        return (true, uint48(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint40 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint40(uint256 value) internal pure returns (bool success, uint40 result) {
+        if (value > type(uint40).max) return (false, 0);
+        return (true, uint40(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint32 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint32(uint256 value) internal pure returns (bool success, uint32 result) {
+        if (value > type(uint32).max) return (false, 0);
+        return (true, uint32(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint24 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint24(uint256 value) internal pure returns (bool success, uint24 result) {
+        if (value > type(uint24).max) return (false, 0);
+        return (true, uint24(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint16 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint16(uint256 value) internal pure returns (bool success, uint16 result) {
+        if (value > type(uint16).max) return (false, 0);
+        return (true, uint16(value));
+    }
+
+    /**
+     * @dev Returns the downcasted uint8 from uint256, with a success flag (no overflow).
+     */
+    function tryToUint8(uint256 value) internal pure returns (bool success, uint8 result) {
+        if (value > type(uint8).max) return (false, 0);
+        return (true, uint8(value));
+    }
+
+    /**
+     * @dev Returns the downcasted int248 from int256, with a success flag (no overflow).
+     */
+    function tryToInt248(int256 value) internal pure returns (bool success, int248 result) {
+        int248 downcasted = int248(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int240 from int256, with a success flag (no overflow).
+     */
+    function tryToInt240(int256 value) internal pure returns (bool success, int240 result) {
+        int240 downcasted = int240(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int232 from int256, with a success flag (no overflow).
+     */
+    function tryToInt232(int256 value) internal pure returns (bool success, int232 result) {
+        int232 downcasted = int232(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int224 from int256, with a success flag (no overflow).
+     */
+    function tryToInt224(int256 value) internal pure returns (bool success, int224 result) {
+        int224 downcasted = int224(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int216 from int256, with a success flag (no overflow).
+     */
+    function tryToInt216(int256 value) internal pure returns (bool success, int216 result) {
+        int216 downcasted = int216(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int208 from int256, with a success flag (no overflow).
+     */
+    function tryToInt208(int256 value) internal pure returns (bool success, int208 result) {
+        int208 downcasted = int208(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int200 from int256, with a success flag (no overflow).
+     */
+    function tryToInt200(int256 value) internal pure returns (bool success, int200 result) {
+        int200 downcasted = int200(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int192 from int256, with a success flag (no overflow).
+     */
+    function tryToInt192(int256 value) internal pure returns (bool success, int192 result) {
+        int192 downcasted = int192(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int184 from int256, with a success flag (no overflow).
+     */
+    function tryToInt184(int256 value) internal pure returns (bool success, int184 result) {
+        int184 downcasted = int184(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int176 from int256, with a success flag (no overflow).
+     */
+    function tryToInt176(int256 value) internal pure returns (bool success, int176 result) {
+        int176 downcasted = int176(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int168 from int256, with a success flag (no overflow).
+     */
+    function tryToInt168(int256 value) internal pure returns (bool success, int168 result) {
+        int168 downcasted = int168(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int160 from int256, with a success flag (no overflow).
+     */
+    function tryToInt160(int256 value) internal pure returns (bool success, int160 result) {
+        int160 downcasted = int160(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int152 from int256, with a success flag (no overflow).
+     */
+    function tryToInt152(int256 value) internal pure returns (bool success, int152 result) {
+        int152 downcasted = int152(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int144 from int256, with a success flag (no overflow).
+     */
+    function tryToInt144(int256 value) internal pure returns (bool success, int144 result) {
+        int144 downcasted = int144(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int136 from int256, with a success flag (no overflow).
+     */
+    function tryToInt136(int256 value) internal pure returns (bool success, int136 result) {
+        int136 downcasted = int136(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int128 from int256, with a success flag (no overflow).
+     */
+    function tryToInt128(int256 value) internal pure returns (bool success, int128 result) {
+        int128 downcasted = int128(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int120 from int256, with a success flag (no overflow).
+     */
+    function tryToInt120(int256 value) internal pure returns (bool success, int120 result) {
+        int120 downcasted = int120(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int112 from int256, with a success flag (no overflow).
+     */
+    function tryToInt112(int256 value) internal pure returns (bool success, int112 result) {
+        int112 downcasted = int112(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int104 from int256, with a success flag (no overflow).
+     */
+    function tryToInt104(int256 value) internal pure returns (bool success, int104 result) {
+        int104 downcasted = int104(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int96 from int256, with a success flag (no overflow).
+     */
+    function tryToInt96(int256 value) internal pure returns (bool success, int96 result) {
+        int96 downcasted = int96(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int88 from int256, with a success flag (no overflow).
+     */
+    function tryToInt88(int256 value) internal pure returns (bool success, int88 result) {
+        int88 downcasted = int88(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int80 from int256, with a success flag (no overflow).
+     */
+    function tryToInt80(int256 value) internal pure returns (bool success, int80 result) {
+        int80 downcasted = int80(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int72 from int256, with a success flag (no overflow).
+     */
+    function tryToInt72(int256 value) internal pure returns (bool success, int72 result) {
+        int72 downcasted = int72(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int64 from int256, with a success flag (no overflow).
+     */
+    function tryToInt64(int256 value) internal pure returns (bool success, int64 result) {
+        int64 downcasted = int64(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int56 from int256, with a success flag (no overflow).
+     */
+    function tryToInt56(int256 value) internal pure returns (bool success, int56 result) {
+        int56 downcasted = int56(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int48 from int256, with a success flag (no overflow).
+     */
+    function tryToInt48(int256 value) internal pure returns (bool success, int48 result) {
+        int48 downcasted = int48(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int40 from int256, with a success flag (no overflow).
+     */
+    function tryToInt40(int256 value) internal pure returns (bool success, int40 result) {
+        int40 downcasted = int40(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int32 from int256, with a success flag (no overflow).
+     */
+    function tryToInt32(int256 value) internal pure returns (bool success, int32 result) {
+        int32 downcasted = int32(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int24 from int256, with a success flag (no overflow).
+     */
+    function tryToInt24(int256 value) internal pure returns (bool success, int24 result) {
+        int24 downcasted = int24(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int16 from int256, with a success flag (no overflow).
+     */
+    function tryToInt16(int256 value) internal pure returns (bool success, int16 result) {
+        int16 downcasted = int16(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted int8 from int256, with a success flag (no overflow).
+     */
+    function tryToInt8(int256 value) internal pure returns (bool success, int8 result) {
+        int8 downcasted = int8(value);
+        if (downcasted != value) return (false, 0);
+        return (true, downcasted);
+    }
+
+    /**
+     * @dev Returns the downcasted uint248 from uint256, clamped to the largest uint248
+     * when the input doesn't fit into 248 bits.
+     */
+    function saturatingToUint248(uint256 value) internal pure returns (uint248) {
+        if (value > type(uint248).max) return type(uint248).max;
+        return uint248(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint240 from uint256, clamped to the largest uint240
+     * when the input doesn't fit into 240 bits.
+     */
+    function saturatingToUint240(uint256 value) internal pure returns (uint240) {
+        if (value > type(uint240).max) return type(uint240).max;
+        return uint240(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint232 from uint256, clamped to the largest uint232
+     * when the input doesn't fit into 232 bits.
+     */
+    function saturatingToUint232(uint256 value) internal pure returns (uint232) {
+        if (value > type(uint232).max) return type(uint232).max;
+        return uint232(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint224 from uint256, clamped to the largest uint224
+     * when the input doesn't fit into 224 bits.
+     */
+    function saturatingToUint224(uint256 value) internal pure returns (uint224) {
+        if (value > type(uint224).max) return type(uint224).max;
+        return uint224(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint216 from uint256, clamped to the largest uint216
+     * when the input doesn't fit into 216 bits.
+     */
+    function saturatingToUint216(uint256 value) internal pure returns (uint216) {
+        if (value > type(uint216).max) return type(uint216).max;
+        return uint216(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint208 from uint256, clamped to the largest uint208
+     * when the input doesn't fit into 208 bits.
+     */
+    function saturatingToUint208(uint256 value) internal pure returns (uint208) {
+        if (value > type(uint208).max) return type(uint208).max;
+        return uint208(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint200 from uint256, clamped to the largest uint200
+     * when the input doesn't fit into 200 bits.
+     */
+    function saturatingToUint200(uint256 value) internal pure returns (uint200) {
+        if (value > type(uint200).max) return type(uint200).max;
+        return uint200(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint192 from uint256, clamped to the largest uint192
+     * when the input doesn't fit into 192 bits.
+     */
+    function saturatingToUint192(uint256 value) internal pure returns (uint192) {
+        if (value > type(uint192).max) return type(uint192).max;
+        return uint192(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint184 from uint256, clamped to the largest uint184
+     * when the input doesn't fit into 184 bits.
+     */
+    function saturatingToUint184(uint256 value) internal pure returns (uint184) {
+        if (value > type(uint184).max) return type(uint184).max;
+        return uint184(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint176 from uint256, clamped to the largest uint176
+     * when the input doesn't fit into 176 bits.
+     */
+    function saturatingToUint176(uint256 value) internal pure returns (uint176) {
+        if (value > type(uint176).max) return type(uint176).max;
+        return uint176(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint168 from uint256, clamped to the largest uint168
+     * when the input doesn't fit into 168 bits.
+     */
+    function saturatingToUint168(uint256 value) internal pure returns (uint168) {
+        if (value > type(uint168).max) return type(uint168).max;
+        return uint168(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint160 from uint256, clamped to the largest uint160
+     * when the input doesn't fit into 160 bits.
+     */
+    function saturatingToUint160(uint256 value) internal pure returns (uint160) {
+        if (value > type(uint160).max) return type(uint160).max;
+        return uint160(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint152 from uint256, clamped to the largest uint152
+     * when the input doesn't fit into 152 bits.
+     */
+    function saturatingToUint152(uint256 value) internal pure returns (uint152) {
+        if (value > type(uint152).max) return type(uint152).max;
+        return uint152(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint144 from uint256, clamped to the largest uint144
+     * when the input doesn't fit into 144 bits.
+     */
+    function saturatingToUint144(uint256 value) internal pure returns (uint144) {
+        if (value > type(uint144).max) return type(uint144).max;
+        return uint144(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint136 from uint256, clamped to the largest uint136
+     * when the input doesn't fit into 136 bits.
+     */
+    function saturatingToUint136(uint256 value) internal pure returns (uint136) {
+        if (value > type(uint136).max) return type(uint136).max;
+        return uint136(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint128 from uint256, clamped to the largest uint128
+     * when the input doesn't fit into 128 bits.
+     */
+    function saturatingToUint128(uint256 value) internal pure returns (uint128) {
+        if (value > type(uint128).max) return type(uint128).max;
+        return uint128(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint120 from uint256, clamped to the largest uint120
+     * when the input doesn't fit into 120 bits.
+     */
+    function saturatingToUint120(uint256 value) internal pure returns (uint120) {
+        if (value > type(uint120).max) return type(uint120).max;
+        return uint120(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint112 from uint256, clamped to the largest uint112
+     * when the input doesn't fit into 112 bits.
+     */
+    function saturatingToUint112(uint256 value) internal pure returns (uint112) {
+        if (value > type(uint112).max) return type(uint112).max;
+        return uint112(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint104 from uint256, clamped to the largest uint104
+     * when the input doesn't fit into 104 bits.
+     */
+    function saturatingToUint104(uint256 value) internal pure returns (uint104) {
+        if (value > type(uint104).max) return type(uint104).max;
+        return uint104(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint96 from uint256, clamped to the largest uint96
+     * when the input doesn't fit into 96 bits.
+     */
+    function saturatingToUint96(uint256 value) internal pure returns (uint96) {
+        if (value > type(uint96).max) return type(uint96).max;
+        return uint96(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint88 from uint256, clamped to the largest uint88
+     * when the input doesn't fit into 88 bits.
+     */
+    function saturatingToUint88(uint256 value) internal pure returns (uint88) {
+        if (value > type(uint88).max) return type(uint88).max;
+        return uint88(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint80 from uint256, clamped to the largest uint80
+     * when the input doesn't fit into 80 bits.
+     */
+    function saturatingToUint80(uint256 value) internal pure returns (uint80) {
+        if (value > type(uint80).max) return type(uint80).max;
+        return uint80(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint72 from uint256, clamped to the largest uint72
+     * when the input doesn't fit into 72 bits.
+     */
+    function saturatingToUint72(uint256 value) internal pure returns (uint72) {
+        if (value > type(uint72).max) return type(uint72).max;
+        return uint72(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint64 from uint256, clamped to the largest uint64
+     * when the input doesn't fit into 64 bits.
+     */
+    function saturatingToUint64(uint256 value) internal pure returns (uint64) {
+        if (value > type(uint64).max) return type(uint64).max;
+        return uint64(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint56 from uint256, clamped to the largest uint56
+     * when the input doesn't fit into 56 bits.
+     */
+    function saturatingToUint56(uint256 value) internal pure returns (uint56) {
+        if (value > type(uint56).max) return type(uint56).max;
+        return uint56(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint48 from uint256, clamped to the largest uint48
+     * when the input doesn't fit into 48 bits.
+     */
+    function saturatingToUint48(uint256 value) internal pure returns (uint48) {
+        if (value > type(uint48).max) return type(uint48).max;
+        return uint48(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint40 from uint256, clamped to the largest uint40
+     * when the input doesn't fit into 40 bits.
+     */
+    function saturatingToUint40(uint256 value) internal pure returns (uint40) {
+        if (value > type(uint40).max) return type(uint40).max;
+        return uint40(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint32 from uint256, clamped to the largest uint32
+     * when the input doesn't fit into 32 bits.
+     */
+    function saturatingToUint32(uint256 value) internal pure returns (uint32) {
+        if (value > type(uint32).max) return type(uint32).max;
+        return uint32(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint24 from uint256, clamped to the largest uint24
+     * when the input doesn't fit into 24 bits.
+     */
+    function saturatingToUint24(uint256 value) internal pure returns (uint24) {
+        if (value > type(uint24).max) return type(uint24).max;
+        return uint24(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint16 from uint256, clamped to the largest uint16
+     * when the input doesn't fit into 16 bits.
+     */
+    function saturatingToUint16(uint256 value) internal pure returns (uint16) {
+        if (value > type(uint16).max) return type(uint16).max;
+        return uint16(value);
+    }
+
+    /**
+     * @dev Returns the downcasted uint8 from uint256, clamped to the largest uint8
+     * when the input doesn't fit into 8 bits.
+     */
+    function saturatingToUint8(uint256 value) internal pure returns (uint8) {
+        if (value > type(uint8).max) return type(uint8).max;
+        return uint8(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int248 from int256, clamped to the smallest (or largest)
+     * int248 when the input doesn't fit into 248 bits.
+     */
+    function saturatingToInt248(int256 value) internal pure returns (int248) {
+        if (value < type(int248).min) return type(int248).min;
+        if (value > type(int248).max) return type(int248).max;
+        return int248(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int240 from int256, clamped to the smallest (or largest)
+     * int240 when the input doesn't fit into 240 bits.
+     */
+    function saturatingToInt240(int256 value) internal pure returns (int240) {
+        if (value < type(int240).min) return type(int240).min;
+        if (value > type(int240).max) return type(int240).max;
+        return int240(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int232 from int256, clamped to the smallest (or largest)
+     * int232 when the input doesn't fit into 232 bits.
+     */
+    function saturatingToInt232(int256 value) internal pure returns (int232) {
+        if (value < type(int232).min) return type(int232).min;
+        if (value > type(int232).max) return type(int232).max;
+        return int232(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int224 from int256, clamped to the smallest (or largest)
+     * int224 when the input doesn't fit into 224 bits.
+     */
+    function saturatingToInt224(int256 value) internal pure returns (int224) {
+        if (value < type(int224).min) return type(int224).min;
+        if (value > type(int224).max) return type(int224).max;
+        return int224(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int216 from int256, clamped to the smallest (or largest)
+     * int216 when the input doesn't fit into 216 bits.
+     */
+    function saturatingToInt216(int256 value) internal pure returns (int216) {
+        if (value < type(int216).min) return type(int216).min;
+        if (value > type(int216).max) return type(int216).max;
+        return int216(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int208 from int256, clamped to the smallest (or largest)
+     * int208 when the input doesn't fit into 208 bits.
+     */
+    function saturatingToInt208(int256 value) internal pure returns (int208) {
+        if (value < type(int208).min) return type(int208).min;
+        if (value > type(int208).max) return type(int208).max;
+        return int208(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int200 from int256, clamped to the smallest (or largest)
+     * int200 when the input doesn't fit into 200 bits.
+     */
+    function saturatingToInt200(int256 value) internal pure returns (int200) {
+        if (value < type(int200).min) return type(int200).min;
+        if (value > type(int200).max) return type(int200).max;
+        return int200(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int192 from int256, clamped to the smallest (or largest)
+     * int192 when the input doesn't fit into 192 bits.
+     */
+    function saturatingToInt192(int256 value) internal pure returns (int192) {
+        if (value < type(int192).min) return type(int192).min;
+        if (value > type(int192).max) return type(int192).max;
+        return int192(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int184 from int256, clamped to the smallest (or largest)
+     * int184 when the input doesn't fit into 184 bits.
+     */
+    function saturatingToInt184(int256 value) internal pure returns (int184) {
+        if (value < type(int184).min) return type(int184).min;
+        if (value > type(int184).max) return type(int184).max;
+        return int184(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int176 from int256, clamped to the smallest (or largest)
+     * int176 when the input doesn't fit into 176 bits.
+     */
+    function saturatingToInt176(int256 value) internal pure returns (int176) {
+        if (value < type(int176).min) return type(int176).min;
+        if (value > type(int176).max) return type(int176).max;
+        return int176(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int168 from int256, clamped to the smallest (or largest)
+     * int168 when the input doesn't fit into 168 bits.
+     */
+    function saturatingToInt168(int256 value) internal pure returns (int168) {
+        if (value < type(int168).min) return type(int168).min;
+        if (value > type(int168).max) return type(int168).max;
+        return int168(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int160 from int256, clamped to the smallest (or largest)
+     * int160 when the input doesn't fit into 160 bits.
+     */
+    function saturatingToInt160(int256 value) internal pure returns (int160) {
+        if (value < type(int160).min) return type(int160).min;
+        if (value > type(int160).max) return type(int160).max;
+        return int160(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int152 from int256, clamped to the smallest (or largest)
+     * int152 when the input doesn't fit into 152 bits.
+     */
+    function saturatingToInt152(int256 value) internal pure returns (int152) {
+        if (value < type(int152).min) return type(int152).min;
+        if (value > type(int152).max) return type(int152).max;
+        return int152(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int144 from int256, clamped to the smallest (or largest)
+     * int144 when the input doesn't fit into 144 bits.
+     */
+    function saturatingToInt144(int256 value) internal pure returns (int144) {
+        if (value < type(int144).min) return type(int144).min;
+        if (value > type(int144).max) return type(int144).max;
+        return int144(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int136 from int256, clamped to the smallest (or largest)
+     * int136 when the input doesn't fit into 136 bits.
+     */
+    function saturatingToInt136(int256 value) internal pure returns (int136) {
+        if (value < type(int136).min) return type(int136).min;
+        if (value > type(int136).max) return type(int136).max;
+        return int136(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int128 from int256, clamped to the smallest (or largest)
+     * int128 when the input doesn't fit into 128 bits.
+     */
+    function saturatingToInt128(int256 value) internal pure returns (int128) {
+        if (value < type(int128).min) return type(int128).min;
+        if (value > type(int128).max) return type(int128).max;
+        return int128(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int120 from int256, clamped to the smallest (or largest)
+     * int120 when the input doesn't fit into 120 bits.
+     */
+    function saturatingToInt120(int256 value) internal pure returns (int120) {
+        if (value < type(int120).min) return type(int120).min;
+        if (value > type(int120).max) return type(int120).max;
+        return int120(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int112 from int256, clamped to the smallest (or largest)
+     * int112 when the input doesn't fit into 112 bits.
+     */
+    function saturatingToInt112(int256 value) internal pure returns (int112) {
+        if (value < type(int112).min) return type(int112).min;
+        if (value > type(int112).max) return type(int112).max;
+        return int112(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int104 from int256, clamped to the smallest (or largest)
+     * int104 when the input doesn't fit into 104 bits.
+     */
+    function saturatingToInt104(int256 value) internal pure returns (int104) {
+        if (value < type(int104).min) return type(int104).min;
+        if (value > type(int104).max) return type(int104).max;
+        return int104(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int96 from int256, clamped to the smallest (or largest)
+     * int96 when the input doesn't fit into 96 bits.
+     */
+    function saturatingToInt96(int256 value) internal pure returns (int96) {
+        if (value < type(int96).min) return type(int96).min;
+        if (value > type(int96).max) return type(int96).max;
+        return int96(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int88 from int256, clamped to the smallest (or largest)
+     * int88 when the input doesn't fit into 88 bits.
+     */
+    function saturatingToInt88(int256 value) internal pure returns (int88) {
+        if (value < type(int88).min) return type(int88).min;
+        if (value > type(int88).max) return type(int88).max;
+        return int88(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int80 from int256, clamped to the smallest (or largest)
+     * int80 when the input doesn't fit into 80 bits.
+     */
+    function saturatingToInt80(int256 value) internal pure returns (int80) {
+        if (value < type(int80).min) return type(int80).min;
+        if (value > type(int80).max) return type(int80).max;
+        return int80(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int72 from int256, clamped to the smallest (or largest)
+     * int72 when the input doesn't fit into 72 bits.
+     */
+    function saturatingToInt72(int256 value) internal pure returns (int72) {
+        if (value < type(int72).min) return type(int72).min;
+        if (value > type(int72).max) return type(int72).max;
+        return int72(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int64 from int256, clamped to the smallest (or largest)
+     * int64 when the input doesn't fit into 64 bits.
+     */
+    function saturatingToInt64(int256 value) internal pure returns (int64) {
+        if (value < type(int64).min) return type(int64).min;
+        if (value > type(int64).max) return type(int64).max;
+        return int64(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int56 from int256, clamped to the smallest (or largest)
+     * int56 when the input doesn't fit into 56 bits.
+     */
+    function saturatingToInt56(int256 value) internal pure returns (int56) {
+        if (value < type(int56).min) return type(int56).min;
+        if (value > type(int56).max) return type(int56).max;
+        return int56(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int48 from int256, clamped to the smallest (or largest)
+     * int48 when the input doesn't fit into 48 bits.
+     */
+    function saturatingToInt48(int256 value) internal pure returns (int48) {
+        if (value < type(int48).min) return type(int48).min;
+        if (value > type(int48).max) return type(int48).max;
+        return int48(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int40 from int256, clamped to the smallest (or largest)
+     * int40 when the input doesn't fit into 40 bits.
+     */
+    function saturatingToInt40(int256 value) internal pure returns (int40) {
+        if (value < type(int40).min) return type(int40).min;
+        if (value > type(int40).max) return type(int40).max;
+        return int40(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int32 from int256, clamped to the smallest (or largest)
+     * int32 when the input doesn't fit into 32 bits.
+     */
+    function saturatingToInt32(int256 value) internal pure returns (int32) {
+        if (value < type(int32).min) return type(int32).min;
+        if (value > type(int32).max) return type(int32).max;
+        return int32(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int24 from int256, clamped to the smallest (or largest)
+     * int24 when the input doesn't fit into 24 bits.
+     */
+    function saturatingToInt24(int256 value) internal pure returns (int24) {
+        if (value < type(int24).min) return type(int24).min;
+        if (value > type(int24).max) return type(int24).max;
+        return int24(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int16 from int256, clamped to the smallest (or largest)
+     * int16 when the input doesn't fit into 16 bits.
+     */
+    function saturatingToInt16(int256 value) internal pure returns (int16) {
+        if (value < type(int16).min) return type(int16).min;
+        if (value > type(int16).max) return type(int16).max;
+        return int16(value);
+    }
+
+    /**
+     * @dev Returns the downcasted int8 from int256, clamped to the smallest (or largest)
+     * int8 when the input doesn't fit into 8 bits.
+     */
+    function saturatingToInt8(int256 value) internal pure returns (int8) {
+        if (value < type(int8).min) return type(int8).min;
+        if (value > type(int8).max) return type(int8).max;
+        return int8(value);
+    }
+
     /**
      * @dev Cast a boolean (false or true) to a uint256 (0 or 1) with no jump.
      */
@@ -127,6 +127,67 @@ library Checkpoints {
         return self._checkpoints[pos];
     }
 
+    /**
+     * @dev Returns the checkpoints with a key in the [`fromKey`, `toKey`] range (both inclusive), from the oldest to the
+     * most recent. The returned array is empty if `fromKey` is greater than `toKey`.
+     *
+     * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+     * designed to be used by view accessors that are queried without any gas fees.
+     */
+    function between(
+        Trace224 storage self,
+        uint32 fromKey,
+        uint32 toKey
+    ) internal view returns (Checkpoint224[] memory result) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        result = new Checkpoint224[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = _unsafeAccess(self._checkpoints, i);
+        }
+    }
+
+    /**
+     * @dev Returns the sum of the values of the checkpoints with a key in the [`fromKey`, `toKey`] range (both
+     * inclusive), or zero if there is none.
+     *
+     * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+     * by view accessors that are queried without any gas fees.
+     */
+    function sumBetween(Trace224 storage self, uint32 fromKey, uint32 toKey) internal view returns (uint256 sum) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        for (uint256 i = start; i < end; ++i) {
+            sum += _unsafeAccess(self._checkpoints, i)._value;
+        }
+    }
+
+    /**
+     * @dev Removes the checkpoints that are not needed to look up keys greater or equal than `beforeKey`: all the
+     * checkpoints before the one that is current at `beforeKey`. Lookups of keys greater or equal than `beforeKey` are
+     * not affected, while lookups of smaller keys may return different values.
+     *
+     * Returns the number of checkpoints removed.
+     *
+     * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+     * number of checkpoints.
+     */
+    function prune(Trace224 storage self, uint32 beforeKey) internal returns (uint256 removed) {
+        Checkpoint224[] storage ckpts = self._checkpoints;
+        uint256 len = ckpts.length;
+        uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+        if (pos < 2) return 0;
+
+        removed = pos - 1;
+        for (uint256 i = removed; i < len; ++i) {
+            Checkpoint224 storage ckpt = _unsafeAccess(ckpts, i);
+            Checkpoint224 storage dest = _unsafeAccess(ckpts, i - removed);
+            dest._key = ckpt._key;
+            dest._value = ckpt._value;
+        }
+        for (uint256 i = 0; i < removed; ++i) {
+            ckpts.pop();
+        }
+    }
+
     /**
      * @dev Pushes a (`key`, `value`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
      * or by updating the last one.
@@ -209,6 +270,20 @@ library Checkpoints {
         return high;
     }
 
+    /**
+     * @dev Return the positions `start` and `end` such that the checkpoints with a key in the [`fromKey`, `toKey`] range
+     * are the ones in the [`start`, `end`) section of the array.
+     */
+    function _range(
+        Checkpoint224[] storage self,
+        uint32 fromKey,
+        uint32 toKey
+    ) private view returns (uint256 start, uint256 end) {
+        uint256 len = self.length;
+        start = _lowerBinaryLookup(self, fromKey, 0, len);
+        end = _upperBinaryLookup(self, toKey, start, len);
+    }
+
     /**
      * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
      */
@@ -330,6 +405,67 @@ library Checkpoints {
         return self._checkpoints[pos];
     }
 
+    /**
+     * @dev Returns the checkpoints with a key in the [`fromKey`, `toKey`] range (both inclusive), from the oldest to the
+     * most recent. The returned array is empty if `fromKey` is greater than `toKey`.
+     *
+     * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+     * designed to be used by view accessors that are queried without any gas fees.
+     */
+    function between(
+        Trace208 storage self,
+        uint48 fromKey,
+        uint48 toKey
+    ) internal view returns (Checkpoint208[] memory result) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        result = new Checkpoint208[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = _unsafeAccess(self._checkpoints, i);
+        }
+    }
+
+    /**
+     * @dev Returns the sum of the values of the checkpoints with a key in the [`fromKey`, `toKey`] range (both
+     * inclusive), or zero if there is none.
+     *
+     * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+     * by view accessors that are queried without any gas fees.
+     */
+    function sumBetween(Trace208 storage self, uint48 fromKey, uint48 toKey) internal view returns (uint256 sum) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        for (uint256 i = start; i < end; ++i) {
+            sum += _unsafeAccess(self._checkpoints, i)._value;
+        }
+    }
+
+    /**
+     * @dev Removes the checkpoints that are not needed to look up keys greater or equal than `beforeKey`: all the
+     * checkpoints before the one that is current at `beforeKey`. Lookups of keys greater or equal than `beforeKey` are
+     * not affected, while lookups of smaller keys may return different values.
+     *
+     * Returns the number of checkpoints removed.
+     *
+     * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+     * number of checkpoints.
+     */
+    function prune(Trace208 storage self, uint48 beforeKey) internal returns (uint256 removed) {
+        Checkpoint208[] storage ckpts = self._checkpoints;
+        uint256 len = ckpts.length;
+        uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+        if (pos < 2) return 0;
+
+        removed = pos - 1;
+        for (uint256 i = removed; i < len; ++i) {
+            Checkpoint208 storage ckpt = _unsafeAccess(ckpts, i);
+            Checkpoint208 storage dest = _unsafeAccess(ckpts, i - removed);
+            dest._key = ckpt._key;
+            dest._value = ckpt._value;
+        }
+        for (uint256 i = 0; i < removed; ++i) {
+            ckpts.pop();
+        }
+    }
+
     /**
      * @dev Pushes a (`key`, `value`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
      * or by updating the last one.
@@ -412,6 +548,20 @@ library Checkpoints {
         return high;
     }
 
+    /**
+     * @dev Return the positions `start` and `end` such that the checkpoints with a key in the [`fromKey`, `toKey`] range
+     * are the ones in the [`start`, `end`) section of the array.
+     */
+    function _range(
+        Checkpoint208[] storage self,
+        uint48 fromKey,
+        uint48 toKey
+    ) private view returns (uint256 start, uint256 end) {
+        uint256 len = self.length;
+        start = _lowerBinaryLookup(self, fromKey, 0, len);
+        end = _upperBinaryLookup(self, toKey, start, len);
+    }
+
     /**
      * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
      */
@@ -533,6 +683,67 @@ library Checkpoints {
         return self._checkpoints[pos];
     }
 
+    /**
+     * @dev Returns the checkpoints with a key in the [`fromKey`, `toKey`] range (both inclusive), from the oldest to the
+     * most recent. The returned array is empty if `fromKey` is greater than `toKey`.
+     *
+     * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+     * designed to be used by view accessors that are queried without any gas fees.
+     */
+    function between(
+        Trace160 storage self,
+        uint96 fromKey,
+        uint96 toKey
+    ) internal view returns (Checkpoint160[] memory result) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        result = new Checkpoint160[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = _unsafeAccess(self._checkpoints, i);
+        }
+    }
+
+    /**
+     * @dev Returns the sum of the values of the checkpoints with a key in the [`fromKey`, `toKey`] range (both
+     * inclusive), or zero if there is none.
+     *
+     * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+     * by view accessors that are queried without any gas fees.
+     */
+    function sumBetween(Trace160 storage self, uint96 fromKey, uint96 toKey) internal view returns (uint256 sum) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        for (uint256 i = start; i < end; ++i) {
+            sum += _unsafeAccess(self._checkpoints, i)._value;
+        }
+    }
+
+    /**
+     * @dev Removes the checkpoints that are not needed to look up keys greater or equal than `beforeKey`: all the
+     * checkpoints before the one that is current at `beforeKey`. Lookups of keys greater or equal than `beforeKey` are
+     * not affected, while lookups of smaller keys may return different values.
+     *
+     * Returns the number of checkpoints removed.
+     *
+     * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+     * number of checkpoints.
+     */
+    function prune(Trace160 storage self, uint96 beforeKey) internal returns (uint256 removed) {
+        Checkpoint160[] storage ckpts = self._checkpoints;
+        uint256 len = ckpts.length;
+        uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+        if (pos < 2) return 0;
+
+        removed = pos - 1;
+        for (uint256 i = removed; i < len; ++i) {
+            Checkpoint160 storage ckpt = _unsafeAccess(ckpts, i);
+            Checkpoint160 storage dest = _unsafeAccess(ckpts, i - removed);
+            dest._key = ckpt._key;
+            dest._value = ckpt._value;
+        }
+        for (uint256 i = 0; i < removed; ++i) {
+            ckpts.pop();
+        }
+    }
+
     /**
      * @dev Pushes a (`key`, `value`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
      * or by updating the last one.
@@ -615,6 +826,20 @@ library Checkpoints {
         return high;
     }
 
+    /**
+     * @dev Return the positions `start` and `end` such that the checkpoints with a key in the [`fromKey`, `toKey`] range
+     * are the ones in the [`start`, `end`) section of the array.
+     */
+    function _range(
+        Checkpoint160[] storage self,
+        uint96 fromKey,
+        uint96 toKey
+    ) private view returns (uint256 start, uint256 end) {
+        uint256 len = self.length;
+        start = _lowerBinaryLookup(self, fromKey, 0, len);
+        end = _upperBinaryLookup(self, toKey, start, len);
+    }
+
     /**
      * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
      */
@@ -627,4 +852,556 @@ library Checkpoints {
             result.slot := add(keccak256(0, 0x20), pos)
         }
     }
+
+    struct Trace128 {
+        Checkpoint128[] _checkpoints;
+    }
+
+    struct Checkpoint128 {
+        uint128 _key;
+        uint128 _value;
+    }
+
+    /**
+     * @dev Pushes a (`key`, `value`) pair into a Trace128 so that it is stored as the checkpoint.
+     *
+     * Returns previous value and new value.
+     *
+     * IMPORTANT: Never accept `key` as a user input, since an arbitrary `type(uint128).max` key set will disable the
+     * library.
+     */
+    function push(
+        Trace128 storage self,
+        uint128 key,
+        uint128 value
+    ) internal returns (uint128 oldValue, uint128 newValue) {
+        return _insert(self._checkpoints, key, value);
+    }
+
+    /**
+     * @dev Returns the value in the first (oldest) checkpoint with key greater or equal than the search key, or zero if
+     * there is none.
+     */
+    function lowerLookup(Trace128 storage self, uint128 key) internal view returns (uint128) {
+        uint256 len = self._checkpoints.length;
+        uint256 pos = _lowerBinaryLookup(self._checkpoints, key, 0, len);
+        return pos == len ? 0 : _unsafeAccess(self._checkpoints, pos)._value;
+    }
+
+    /**
+     * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+     * if there is none.
+     */
+    function upperLookup(Trace128 storage self, uint128 key) internal view returns (uint128) {
+        uint256 len = self._checkpoints.length;
+        uint256 pos = _upperBinaryLookup(self._checkpoints, key, 0, len);
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+     * if there is none.
+     *
+     * NOTE: This is a variant of {upperLookup} that is optimised to find "recent" checkpoint (checkpoints with high
+     * keys).
+     */
+    function upperLookupRecent(Trace128 storage self, uint128 key) internal view returns (uint128) {
+        uint256 len = self._checkpoints.length;
+
+        uint256 low = 0;
+        uint256 high = len;
+
+        if (len > 5) {
+            uint256 mid = len - Math.sqrt(len);
+            if (key < _unsafeAccess(self._checkpoints, mid)._key) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        uint256 pos = _upperBinaryLookup(self._checkpoints, key, low, high);
+
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns the value in the most recent checkpoint, or zero if there are no checkpoints.
+     */
+    function latest(Trace128 storage self) internal view returns (uint128) {
+        uint256 pos = self._checkpoints.length;
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns whether there is a checkpoint in the structure (i.e. it is not empty), and if so the key and value
+     * in the most recent checkpoint.
+     */
+    function latestCheckpoint(Trace128 storage self) internal view returns (bool exists, uint128 _key, uint128 _value) {
+        uint256 pos = self._checkpoints.length;
+        if (pos == 0) {
+            return (false, 0, 0);
+        } else {
+            Checkpoint128 storage ckpt = _unsafeAccess(self._checkpoints, pos - 1);
+            return (true, ckpt._key, ckpt._value);
+        }
+    }
+
+    /**
+     * @dev Returns the number of checkpoint.
+     */
+    function length(Trace128 storage self) internal view returns (uint256) {
+        return self._checkpoints.length;
+    }
+
+    /**
+     * @dev Returns checkpoint at given position.
+     */
+    function at(Trace128 storage self, uint32 pos) internal view returns (Checkpoint128 memory) {
+        return self._checkpoints[pos];
+    }
+
+    /**
+     * @dev Returns the checkpoints with a key in the [`fromKey`, `toKey`] range (both inclusive), from the oldest to the
+     * most recent. The returned array is empty if `fromKey` is greater than `toKey`.
+     *
+     * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+     * designed to be used by view accessors that are queried without any gas fees.
+     */
+    function between(
+        Trace128 storage self,
+        uint128 fromKey,
+        uint128 toKey
+    ) internal view returns (Checkpoint128[] memory result) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        result = new Checkpoint128[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = _unsafeAccess(self._checkpoints, i);
+        }
+    }
+
+    /**
+     * @dev Returns the sum of the values of the checkpoints with a key in the [`fromKey`, `toKey`] range (both
+     * inclusive), or zero if there is none.
+     *
+     * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+     * by view accessors that are queried without any gas fees.
+     */
+    function sumBetween(Trace128 storage self, uint128 fromKey, uint128 toKey) internal view returns (uint256 sum) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        for (uint256 i = start; i < end; ++i) {
+            sum += _unsafeAccess(self._checkpoints, i)._value;
+        }
+    }
+
+    /**
+     * @dev Removes the checkpoints that are not needed to look up keys greater or equal than `beforeKey`: all the
+     * checkpoints before the one that is current at `beforeKey`. Lookups of keys greater or equal than `beforeKey` are
+     * not affected, while lookups of smaller keys may return different values.
+     *
+     * Returns the number of checkpoints removed.
+     *
+     * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+     * number of checkpoints.
+     */
+    function prune(Trace128 storage self, uint128 beforeKey) internal returns (uint256 removed) {
+        Checkpoint128[] storage ckpts = self._checkpoints;
+        uint256 len = ckpts.length;
+        uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+        if (pos < 2) return 0;
+
+        removed = pos - 1;
+        for (uint256 i = removed; i < len; ++i) {
+            Checkpoint128 storage ckpt = _unsafeAccess(ckpts, i);
+            Checkpoint128 storage dest = _unsafeAccess(ckpts, i - removed);
+            dest._key = ckpt._key;
+            dest._value = ckpt._value;
+        }
+        for (uint256 i = 0; i < removed; ++i) {
+            ckpts.pop();
+        }
+    }
+
+    /**
+     * @dev Pushes a (`key`, `value`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
+     * or by updating the last one.
+     */
+    function _insert(
+        Checkpoint128[] storage self,
+        uint128 key,
+        uint128 value
+    ) private returns (uint128 oldValue, uint128 newValue) {
+        uint256 pos = self.length;
+
+        if (pos > 0) {
+            Checkpoint128 storage last = _unsafeAccess(self, pos - 1);
+            uint128 lastKey = last._key;
+            uint128 lastValue = last._value;
+
+            // Checkpoint keys must be non-decreasing.
+            if (lastKey > key) {
+                revert CheckpointUnorderedInsertion();
+            }
+
+            // Update or push new checkpoint
+            if (lastKey == key) {
+                last._value = value;
+            } else {
+                self.push(Checkpoint128({_key: key, _value: value}));
+            }
+            return (lastValue, value);
+        } else {
+            self.push(Checkpoint128({_key: key, _value: value}));
+            return (0, value);
+        }
+    }
+
+    /**
+     * @dev Return the index of the first (oldest) checkpoint with key strictly bigger than the search key, or `high`
+     * if there is none. `low` and `high` define a section where to do the search, with inclusive `low` and exclusive
+     * `high`.
+     *
+     * WARNING: `high` should not be greater than the array's length.
+     */
+    function _upperBinaryLookup(
+        Checkpoint128[] storage self,
+        uint128 key,
+        uint256 low,
+        uint256 high
+    ) private view returns (uint256) {
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_unsafeAccess(self, mid)._key > key) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * @dev Return the index of the first (oldest) checkpoint with key greater or equal than the search key, or `high`
+     * if there is none. `low` and `high` define a section where to do the search, with inclusive `low` and exclusive
+     * `high`.
+     *
+     * WARNING: `high` should not be greater than the array's length.
+     */
+    function _lowerBinaryLookup(
+        Checkpoint128[] storage self,
+        uint128 key,
+        uint256 low,
+        uint256 high
+    ) private view returns (uint256) {
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_unsafeAccess(self, mid)._key < key) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * @dev Return the positions `start` and `end` such that the checkpoints with a key in the [`fromKey`, `toKey`] range
+     * are the ones in the [`start`, `end`) section of the array.
+     */
+    function _range(
+        Checkpoint128[] storage self,
+        uint128 fromKey,
+        uint128 toKey
+    ) private view returns (uint256 start, uint256 end) {
+        uint256 len = self.length;
+        start = _lowerBinaryLookup(self, fromKey, 0, len);
+        end = _upperBinaryLookup(self, toKey, start, len);
+    }
+
+    /**
+     * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
+     */
+    function _unsafeAccess(
+        Checkpoint128[] storage self,
+        uint256 pos
+    ) private pure returns (Checkpoint128 storage result) {
+        assembly {
+            mstore(0, self.slot)
+            result.slot := add(keccak256(0, 0x20), pos)
+        }
+    }
+
+    struct Trace96 {
+        Checkpoint96[] _checkpoints;
+    }
+
+    struct Checkpoint96 {
+        uint160 _key;
+        uint96 _value;
+    }
+
+    /**
+     * @dev Pushes a (`key`, `value`) pair into a Trace96 so that it is stored as the checkpoint.
+     *
+     * Returns previous value and new value.
+     *
+     * IMPORTANT: Never accept `key` as a user input, since an arbitrary `type(uint160).max` key set will disable the
+     * library.
+     */
+    function push(Trace96 storage self, uint160 key, uint96 value) internal returns (uint96 oldValue, uint96 newValue) {
+        return _insert(self._checkpoints, key, value);
+    }
+
+    /**
+     * @dev Returns the value in the first (oldest) checkpoint with key greater or equal than the search key, or zero if
+     * there is none.
+     */
+    function lowerLookup(Trace96 storage self, uint160 key) internal view returns (uint96) {
+        uint256 len = self._checkpoints.length;
+        uint256 pos = _lowerBinaryLookup(self._checkpoints, key, 0, len);
+        return pos == len ? 0 : _unsafeAccess(self._checkpoints, pos)._value;
+    }
+
+    /**
+     * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+     * if there is none.
+     */
+    function upperLookup(Trace96 storage self, uint160 key) internal view returns (uint96) {
+        uint256 len = self._checkpoints.length;
+        uint256 pos = _upperBinaryLookup(self._checkpoints, key, 0, len);
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+     * if there is none.
+     *
+     * NOTE: This is a variant of {upperLookup} that is optimised to find "recent" checkpoint (checkpoints with high
+     * keys).
+     */
+    function upperLookupRecent(Trace96 storage self, uint160 key) internal view returns (uint96) {
+        uint256 len = self._checkpoints.length;
+
+        uint256 low = 0;
+        uint256 high = len;
+
+        if (len > 5) {
+            uint256 mid = len - Math.sqrt(len);
+            if (key < _unsafeAccess(self._checkpoints, mid)._key) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        uint256 pos = _upperBinaryLookup(self._checkpoints, key, low, high);
+
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns the value in the most recent checkpoint, or zero if there are no checkpoints.
+     */
+    function latest(Trace96 storage self) internal view returns (uint96) {
+        uint256 pos = self._checkpoints.length;
+        return pos == 0 ? 0 : _unsafeAccess(self._checkpoints, pos - 1)._value;
+    }
+
+    /**
+     * @dev Returns whether there is a checkpoint in the structure (i.e. it is not empty), and if so the key and value
+     * in the most recent checkpoint.
+     */
+    function latestCheckpoint(Trace96 storage self) internal view returns (bool exists, uint160 _key, uint96 _value) {
+        uint256 pos = self._checkpoints.length;
+        if (pos == 0) {
+            return (false, 0, 0);
+        } else {
+            Checkpoint96 storage ckpt = _unsafeAccess(self._checkpoints, pos - 1);
+            return (true, ckpt._key, ckpt._value);
+        }
+    }
+
+    /**
+     * @dev Returns the number of checkpoint.
+     */
+    function length(Trace96 storage self) internal view returns (uint256) {
+        return self._checkpoints.length;
+    }
+
+    /**
+     * @dev Returns checkpoint at given position.
+     */
+    function at(Trace96 storage self, uint32 pos) internal view returns (Checkpoint96 memory) {
+        return self._checkpoints[pos];
+    }
+
+    /**
+     * @dev Returns the checkpoints with a key in the [`fromKey`, `toKey`] range (both inclusive), from the oldest to the
+     * most recent. The returned array is empty if `fromKey` is greater than `toKey`.
+     *
+     * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+     * designed to be used by view accessors that are queried without any gas fees.
+     */
+    function between(
+        Trace96 storage self,
+        uint160 fromKey,
+        uint160 toKey
+    ) internal view returns (Checkpoint96[] memory result) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        result = new Checkpoint96[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            result[i - start] = _unsafeAccess(self._checkpoints, i);
+        }
+    }
+
+    /**
+     * @dev Returns the sum of the values of the checkpoints with a key in the [`fromKey`, `toKey`] range (both
+     * inclusive), or zero if there is none.
+     *
+     * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+     * by view accessors that are queried without any gas fees.
+     */
+    function sumBetween(Trace96 storage self, uint160 fromKey, uint160 toKey) internal view returns (uint256 sum) {
+        (uint256 start, uint256 end) = _range(self._checkpoints, fromKey, toKey);
+        for (uint256 i = start; i < end; ++i) {
+            sum += _unsafeAccess(self._checkpoints, i)._value;
+        }
+    }
+
+    /**
+     * @dev Removes the checkpoints that are not needed to look up keys greater or equal than `beforeKey`: all the
+     * checkpoints before the one that is current at `beforeKey`. Lookups of keys greater or equal than `beforeKey` are
+     * not affected, while lookups of smaller keys may return different values.
+     *
+     * Returns the number of checkpoints removed.
+     *
+     * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+     * number of checkpoints.
+     */
+    function prune(Trace96 storage self, uint160 beforeKey) internal returns (uint256 removed) {
+        Checkpoint96[] storage ckpts = self._checkpoints;
+        uint256 len = ckpts.length;
+        uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+        if (pos < 2) return 0;
+
+        removed = pos - 1;
+        for (uint256 i = removed; i < len; ++i) {
+            Checkpoint96 storage ckpt = _unsafeAccess(ckpts, i);
+            Checkpoint96 storage dest = _unsafeAccess(ckpts, i - removed);
+            dest._key = ckpt._key;
+            dest._value = ckpt._value;
+        }
+        for (uint256 i = 0; i < removed; ++i) {
+            ckpts.pop();
+        }
+    }
+
+    /**
+     * @dev Pushes a (`key`, `value`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
+     * or by updating the last one.
+     */
+    function _insert(
+        Checkpoint96[] storage self,
+        uint160 key,
+        uint96 value
+    ) private returns (uint96 oldValue, uint96 newValue) {
+        uint256 pos = self.length;
+
+        if (pos > 0) {
+            Checkpoint96 storage last = _unsafeAccess(self, pos - 1);
+            uint160 lastKey = last._key;
+            uint96 lastValue = last._value;
+
+            // Checkpoint keys must be non-decreasing.
+            if (lastKey > key) {
+                revert CheckpointUnorderedInsertion();
+            }
+
+            // Update or push new checkpoint
+            if (lastKey == key) {
+                last._value = value;
+            } else {
+                self.push(Checkpoint96({_key: key, _value: value}));
+            }
+            return (lastValue, value);
+        } else {
+            self.push(Checkpoint96({_key: key, _value: value}));
+            return (0, value);
+        }
+    }
+
+    /**
+     * @dev Return the index of the first (oldest) checkpoint with key strictly bigger than the search key, or `high`
+     * if there is none. `low` and `high` define a section where to do the search, with inclusive `low` and exclusive
+     * `high`.
+     *
+     * WARNING: `high` should not be greater than the array's length.
+     */
+    function _upperBinaryLookup(
+        Checkpoint96[] storage self,
+        uint160 key,
+        uint256 low,
+        uint256 high
+    ) private view returns (uint256) {
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_unsafeAccess(self, mid)._key > key) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * @dev Return the index of the first (oldest) checkpoint with key greater or equal than the search key, or `high`
+     * if there is none. `low` and `high` define a section where to do the search, with inclusive `low` and exclusive
+     * `high`.
+     *
+     * WARNING: `high` should not be greater than the array's length.
+     */
+    function _lowerBinaryLookup(
+        Checkpoint96[] storage self,
+        uint160 key,
+        uint256 low,
+        uint256 high
+    ) private view returns (uint256) {
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_unsafeAccess(self, mid)._key < key) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * @dev Return the positions `start` and `end` such that the checkpoints with a key in the [`fromKey`, `toKey`] range
+     * are the ones in the [`start`, `end`) section of the array.
+     */
+    function _range(
+        Checkpoint96[] storage self,
+        uint160 fromKey,
+        uint160 toKey
+    ) private view returns (uint256 start, uint256 end) {
+        uint256 len = self.length;
+        start = _lowerBinaryLookup(self, fromKey, 0, len);
+        end = _upperBinaryLookup(self, toKey, start, len);
+    }
+
+    /**
+     * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
+     */
+    function _unsafeAccess(
+        Checkpoint96[] storage self,
+        uint256 pos
+    ) private pure returns (Checkpoint96 storage result) {
+        assembly {
+            mstore(0, self.slot)
+            result.slot := add(keccak256(0, 0x20), pos)
+        }
+    }
 }
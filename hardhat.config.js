@@ -6,7 +6,7 @@
 // - COVERAGE:      enable coverage report (default: false)
 // - GAS:           enable gas report (default: false)
 // - COINMARKETCAP: coinmarketcap api key for USD value in gas report
-// - CI:            output gas report to file instead of stdout
+// - CI:            output gas report (and the gas used by each test) to file instead of stdout
 
 const fs = require('fs');
 const path = require('path');
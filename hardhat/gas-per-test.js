@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { subtask } = require('hardhat/config');
+const { TASK_TEST_RUN_MOCHA_TESTS } = require('hardhat/builtin-tasks/task-names');
+
+// Records the gas used by each test, so that scripts/checks/compareGasReports.js can attribute the changes to gas
+// costs to the tests that measured them. The costs are taken from the gas reporter, after each test, and grouped by
+// `Contract:method` (or `Contract:[construction cost]` for deployments) like the rows of the comparison. Transactions
+// sent by `before` hooks are attributed to the next test.
+//
+// The records are written next to the gas report (gasReporterTests.json), when the gas reporter writes one.
+
+const OUTPUT = 'gasReporterTests.json';
+
+subtask(TASK_TEST_RUN_MOCHA_TESTS).setAction(async (args, hre, runSuper) => {
+  const data = hre.__hhgrec?.collector?.data;
+  if (!data || !(hre.config.gasReporter.outputJSON || process.env.CI)) {
+    return runSuper(args);
+  }
+
+  // Gas data of the methods and deployments tracked by the gas reporter, keyed like the rows of the comparison
+  const entries = () => [
+    ...Object.values(data.methods).map(({ contract, fnSig, gasData }) => [`${contract}:${fnSig}`, gasData]),
+    ...data.deployments.map(({ name, gasData }) => [`${name}:[construction cost]`, gasData]),
+  ];
+
+  const tests = {};
+  const seen = new Map();
+  hre.config.mocha.rootHooks = {
+    afterEach() {
+      const costs = (tests[this.currentTest.fullTitle()] ??= {});
+      for (const [key, gasData] of entries()) {
+        const from = seen.get(gasData) ?? 0;
+        if (gasData.length > from) {
+          costs[key] = (costs[key] ?? []).concat(gasData.slice(from));
+          seen.set(gasData, gasData.length);
+        }
+      }
+    },
+  };
+
+  try {
+    return await runSuper(args);
+  } finally {
+    fs.writeFileSync(path.join(hre.config.paths.root, OUTPUT), JSON.stringify({ tests }, null, 2));
+  }
+});
@@ -1,20 +1,144 @@
 const fs = require('fs');
 const { getStorageUpgradeReport } = require('@openzeppelin/upgrades-core/dist/storage');
 
-const { ref, head } = require('yargs').argv;
-
-const oldLayout = JSON.parse(fs.readFileSync(ref));
-const newLayout = JSON.parse(fs.readFileSync(head));
-
-for (const name in oldLayout) {
-  if (name in newLayout) {
-    const report = getStorageUpgradeReport(oldLayout[name], newLayout[name], {});
-    if (!report.ok) {
-      console.log(`Storage layout incompatibility found in ${name}:`);
-      console.log(report.explain());
-      process.exitCode = 1;
+// All the namespaces, by id (see `extract-layout.js`). A namespace is listed by all the contracts that use it. Layouts
+// extracted before namespaces were supported don't have any.
+function namespaces(layout) {
+  return Object.fromEntries(Object.values(layout).flatMap(({ namespaces = {} }) => Object.entries(namespaces)));
+}
+
+const sameMembers = (a, b) =>
+  a.storage.length === b.storage.length &&
+  a.storage.every((item, i) => item.label === b.storage[i].label && item.type === b.storage[i].type);
+
+// Issues found when upgrading from `oldLayout` to `newLayout`, with the severity of each: errors make the check fail,
+// warnings don't.
+function compareLayouts(oldLayout, newLayout) {
+  const issues = [];
+
+  for (const name in oldLayout) {
+    if (name in newLayout) {
+      const report = getStorageUpgradeReport(oldLayout[name], newLayout[name], {});
+      if (!report.ok) {
+        issues.push({ severity: 'error', kind: 'incompatible', contract: name, report });
+      }
+    } else {
+      issues.push({ severity: 'warning', kind: 'missing', contract: name });
     }
-  } else {
-    console.log(`WARNING: ${name} is missing from the current branch`);
+  }
+
+  const oldNamespaces = namespaces(oldLayout);
+  const newNamespaces = namespaces(newLayout);
+  const addedNamespaces = Object.keys(newNamespaces).filter(id => !(id in oldNamespaces));
+
+  for (const [id, namespace] of Object.entries(oldNamespaces)) {
+    const { contract, struct } = namespace;
+    if (id in newNamespaces) {
+      const report = getStorageUpgradeReport(namespace, newNamespaces[id], {});
+      if (!report.ok) {
+        issues.push({ severity: 'error', kind: 'incompatible', contract, struct, namespace: id, report });
+      }
+    } else {
+      // The data stored under the old namespace is lost when a namespace is renamed, i.e. when the same struct (or a
+      // struct with the same members) moves to a new namespace.
+      const renamedTo =
+        addedNamespaces.find(
+          other => newNamespaces[other].contract === contract && newNamespaces[other].struct === struct,
+        ) ?? addedNamespaces.find(other => sameMembers(namespace, newNamespaces[other]));
+      issues.push({
+        severity: 'error',
+        kind: renamedTo ? 'renamed' : 'removed',
+        contract,
+        struct,
+        namespace: id,
+        renamedTo,
+      });
+    }
+  }
+
+  return issues;
+}
+
+const subject = ({ contract, struct, namespace }) =>
+  namespace ? `namespace ${namespace} (${contract}.${struct})` : contract;
+
+function formatShell(issues) {
+  return issues
+    .map(issue => {
+      switch (issue.kind) {
+        case 'incompatible':
+          return `Storage layout incompatibility found in ${subject(issue)}:\n${issue.report.explain()}`;
+        case 'missing':
+          return `WARNING: ${issue.contract} is missing from the current branch`;
+        case 'renamed':
+          return `Storage layout of ${subject(issue)} moved to namespace ${issue.renamedTo}`;
+        case 'removed':
+          return `Storage layout of ${subject(issue)} is missing from the current branch`;
+      }
+    })
+    .join('\n');
+}
+
+function formatMarkdown(issues, title = '### Storage layout') {
+  if (issues.length === 0) {
+    return `${title}\n\nNo storage layout incompatibility found.`;
+  }
+  return [
+    title,
+    '',
+    ...issues.flatMap(issue => {
+      const icon = issue.severity === 'error' ? ':x:' : ':warning:';
+      switch (issue.kind) {
+        case 'incompatible':
+          return [`${icon} Incompatibility in ${subject(issue)}`, '', '```', issue.report.explain(false), '```', ''];
+        case 'missing':
+          return [`${icon} \`${issue.contract}\` is missing from the current branch`, ''];
+        case 'renamed':
+          return [`${icon} Storage layout of ${subject(issue)} moved to namespace \`${issue.renamedTo}\``, ''];
+        case 'removed':
+          return [`${icon} Storage layout of ${subject(issue)} is missing from the current branch`, ''];
+      }
+    }),
+  ]
+    .join('\n')
+    .trim();
+}
+
+// Issues as plain objects, with the explanation of the incompatibilities
+function serialize(issues) {
+  return issues.map(({ report, ...issue }) => ({ ...issue, ...(report && { explanation: report.explain(false) }) }));
+}
+
+module.exports = { compareLayouts, formatShell, formatMarkdown, serialize };
+
+if (require.main === module) {
+  const { argv } = require('yargs').options({
+    style: {
+      type: 'string',
+      choices: ['shell', 'markdown', 'json'],
+      default: 'shell',
+    },
+  });
+  const { ref, head } = argv;
+
+  const oldLayout = JSON.parse(fs.readFileSync(ref));
+  const newLayout = JSON.parse(fs.readFileSync(head));
+  const issues = compareLayouts(oldLayout, newLayout);
+
+  switch (argv.style) {
+    case 'markdown':
+      console.log(formatMarkdown(issues));
+      break;
+    case 'json':
+      console.log(JSON.stringify(serialize(issues), null, 2));
+      break;
+    case 'shell':
+    default:
+      if (issues.length > 0) console.log(formatShell(issues));
+      break;
+  }
+
+  if (issues.some(({ severity }) => severity === 'error')) {
+    process.exitCode = 1;
   }
 }
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+// Compares the storage layout of the current tree (as extracted by `extract-layout.js`) against the layouts of published
+// versions of the upgradeable package, and prints which contracts can be upgraded from each version. The sources of a
+// version are read from its npm tarball, either from the local npm cache or from a directory of tarballs (as produced by
+// `npm pack`), and compiled with the compiler of the project. Nothing is downloaded.
+//
+// The published contracts are transpiled (`ERC20` is published as `ERC20Upgradeable`, with its storage in a namespace),
+// so the layout of the current tree must be extracted from the same transpilation (see `scripts/upgradeable/transpile.sh`).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findAll } = require('solidity-ast/utils');
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+} = require('hardhat/builtin-tasks/task-names');
+
+const { extractLayouts } = require('./extract-layout');
+const { compareLayouts, formatShell, formatMarkdown, serialize } = require('./compare-layout');
+
+// The upgradeable package imports the interfaces and libraries of the main package, from the same version.
+const PACKAGE = '@openzeppelin/contracts-upgradeable';
+const DEPENDENCY = '@openzeppelin/contracts';
+
+// Path of the tarball of a package, from the directory given as argument or from the npm cache (using `--offline`).
+function tarball(name, version, tmpDir, tarballs) {
+  if (tarballs) {
+    const file = path.resolve(tarballs, `${name.replace(/^@/, '').replace('/', '-')}-${version}.tgz`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Missing tarball ${file}`);
+    }
+    return file;
+  }
+  const args = ['pack', `${name}@${version}`, '--offline', '--silent', '--pack-destination', tmpDir];
+  try {
+    return path.join(tmpDir, execFileSync('npm', args, { encoding: 'utf8', stdio: 'pipe' }).trim());
+  } catch {
+    throw new Error(`${name}@${version} is not in the npm cache (add it with \`npm cache add\`, or use --tarballs)`);
+  }
+}
+
+// Solidity sources of a package, by source unit name (e.g. `@openzeppelin/contracts/token/ERC20/IERC20.sol`).
+function readSources(name, version, tmpDir, tarballs) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'package-'));
+  execFileSync('tar', ['-xzf', tarball(name, version, tmpDir, tarballs), '-C', dir]);
+  const root = path.join(dir, 'package');
+  return Object.fromEntries(
+    fs
+      .readdirSync(root, { recursive: true })
+      .filter(file => file.endsWith('.sol'))
+      .map(file => [
+        `${name}/${file.split(path.sep).join('/')}`,
+        { content: fs.readFileSync(path.join(root, file), 'utf8') },
+      ]),
+  );
+}
+
+// Compiles the sources with the compiler version of the project
+async function compile(sources, settings) {
+  const hre = require('hardhat');
+  const { version, settings: config } = hre.config.solidity.compilers[0];
+  const { compilerPath, isSolcJs } = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, {
+    quiet: true,
+    solcVersion: version,
+  });
+
+  const input = { language: 'Solidity', sources, settings: { evmVersion: config.evmVersion, ...settings } };
+  const output = isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: compilerPath });
+
+  const errors = (output.errors ?? []).filter(({ severity }) => severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(({ formattedMessage }) => formattedMessage).join('\n'));
+  }
+  return { input, output };
+}
+
+// Sources imported by each source. Parsing doesn't need the imported sources to be available.
+async function parseImports(sources) {
+  const { output } = await compile(sources, { stopAfter: 'parsing', outputSelection: { '*': { '': ['ast'] } } });
+  return Object.fromEntries(
+    Object.entries(output.sources).map(([source, { ast }]) => [
+      source,
+      Array.from(findAll('ImportDirective', ast), ({ absolutePath }) => absolutePath),
+    ]),
+  );
+}
+
+// Layouts of the contracts of the upgradeable package (and not of its dependency) for a published version. Only the
+// sources of the dependency that the package imports are compiled: both packages together are too big an input for the
+// wasm build of the compiler.
+async function publishedLayouts(version, { tarballs } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-'));
+  try {
+    const packageSources = readSources(PACKAGE, version, tmpDir, tarballs);
+    const dependencySources = readSources(DEPENDENCY, version, tmpDir, tarballs);
+    const imports = { ...(await parseImports(packageSources)), ...(await parseImports(dependencySources)) };
+
+    const needed = new Set(Object.keys(packageSources));
+    for (const source of needed) (imports[source] ?? []).forEach(imported => needed.add(imported));
+
+    const { input, output } = await compile(
+      Object.fromEntries([...needed].map(source => [source, packageSources[source] ?? dependencySources[source]])),
+      { outputSelection: { '*': { '*': ['storageLayout'], '': ['ast'] } } },
+    );
+    const contracts = Object.fromEntries(
+      Object.entries(output.contracts).filter(([src]) => src.startsWith(`${PACKAGE}/`)),
+    );
+    return extractLayouts({ input, output: { ...output, contracts } });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Status of the upgrade from a version, for each contract of that version. Issues in a namespace affect all the
+// contracts that use it.
+function statuses(oldLayout, issues) {
+  return Object.fromEntries(
+    Object.entries(oldLayout).map(([contract, { namespaces = {} }]) => {
+      const found = issues.filter(issue =>
+        issue.namespace ? issue.namespace in namespaces : issue.contract === contract,
+      );
+      return [
+        contract,
+        found.some(({ kind }) => kind === 'missing')
+          ? 'missing'
+          : found.some(({ severity }) => severity === 'error')
+          ? 'incompatible'
+          : 'compatible',
+      ];
+    }),
+  );
+}
+
+// Rows of the compatibility matrix, starting with the header. Contracts that are not part of a version have no status.
+function formatMatrix(versions, matrix, symbols) {
+  return [
+    ['Contract', ...versions],
+    ...Object.keys(matrix)
+      .sort()
+      .map(contract => [contract, ...versions.map(version => symbols[matrix[contract][version]] ?? '')]),
+  ];
+}
+
+// The layout of the current tree (the head) must come from the transpiled contracts, like the published ones. Without
+// any namespace, all the namespaces of the published versions would be reported as removed.
+function checkHead(newLayout) {
+  if (!Object.values(newLayout).some(({ namespaces }) => namespaces)) {
+    throw new Error(
+      'The head layout has no namespaces: it must be extracted from the upgradeable contracts, as transpiled by ' +
+        '`scripts/upgradeable/transpile.sh`',
+    );
+  }
+}
+
+// Compatibility of the head with each version, for each contract, and the issues found for each version
+async function compareVersions(versions, newLayout, { tarballs } = {}) {
+  checkHead(newLayout);
+
+  const matrix = {};
+  const issues = {};
+  for (const version of versions) {
+    const oldLayout = await publishedLayouts(version, { tarballs });
+    issues[version] = compareLayouts(oldLayout, newLayout);
+    for (const [contract, status] of Object.entries(statuses(oldLayout, issues[version]))) {
+      (matrix[contract] ??= {})[version] = status;
+    }
+  }
+  return { matrix, issues };
+}
+
+async function main() {
+  const { argv } = require('yargs')
+    .usage('$0 --head <layout> <version>...')
+    .epilogue(
+      'The head layout must be extracted (with extract-layout.js) from the upgradeable contracts, as transpiled by ' +
+        'scripts/upgradeable/transpile.sh.',
+    )
+    .options({
+      head: {
+        type: 'string',
+        demandOption: true,
+        description:
+          'Layout of the transpiled upgradeable contracts of the current tree, as extracted by extract-layout.js',
+      },
+      tarballs: {
+        type: 'string',
+        description: 'Directory of the package tarballs, instead of the npm cache',
+      },
+      style: {
+        type: 'string',
+        choices: ['shell', 'markdown', 'json'],
+        default: 'shell',
+      },
+    });
+
+  const versions = argv._.map(String);
+  const { matrix, issues } = await compareVersions(versions, JSON.parse(fs.readFileSync(argv.head)), argv);
+
+  switch (argv.style) {
+    case 'markdown': {
+      const [header, ...rows] = formatMatrix(versions, matrix, {
+        compatible: ':white_check_mark:',
+        incompatible: ':x:',
+        missing: ':warning:',
+      });
+      console.log(
+        [
+          '### Storage layout compatibility with published versions',
+          '',
+          `| ${header.join(' | ')} |`,
+          `| ${header.map(() => '---').join(' | ')} |`,
+          ...rows.map(row => `| ${row.join(' | ')} |`),
+          '',
+          ...versions
+            .filter(version => issues[version].length > 0)
+            .map(version => formatMarkdown(issues[version], `#### ${PACKAGE}@${version}`) + '\n'),
+        ]
+          .join('\n')
+          .trim(),
+      );
+      break;
+    }
+    case 'json':
+      console.log(
+        JSON.stringify(
+          { versions, matrix, issues: Object.fromEntries(versions.map(v => [v, serialize(issues[v])])) },
+          null,
+          2,
+        ),
+      );
+      break;
+    case 'shell':
+    default: {
+      const rows = formatMatrix(versions, matrix, {
+        compatible: 'ok',
+        incompatible: 'incompatible',
+        missing: 'missing',
+      });
+      const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+      console.log(
+        rows
+          .map(row =>
+            row
+              .map((cell, i) => cell.padEnd(widths[i]))
+              .join('  ')
+              .trimEnd(),
+          )
+          .join('\n'),
+      );
+      for (const version of versions.filter(version => issues[version].length > 0)) {
+        console.log(`\nUpgrading from ${PACKAGE}@${version}:\n${formatShell(issues[version])}`);
+      }
+      break;
+    }
+  }
+
+  if (Object.values(issues).some(found => found.some(({ severity }) => severity === 'error'))) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { compile, publishedLayouts, compareVersions };
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
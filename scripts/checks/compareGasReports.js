@@ -2,23 +2,7 @@
 
 const fs = require('fs');
 const chalk = require('chalk');
-const { argv } = require('yargs')
-  .env()
-  .options({
-    style: {
-      type: 'string',
-      choices: ['shell', 'markdown'],
-      default: 'shell',
-    },
-    hideEqual: {
-      type: 'boolean',
-      default: true,
-    },
-    strictTesting: {
-      type: 'boolean',
-      default: false,
-    },
-  });
+const match = require('micromatch');
 
 // Deduce base tx cost from the percentage denominator
 const BASE_TX_COST = 21000;
@@ -100,6 +84,86 @@ class Report {
   }
 }
 
+// Attribution
+//
+// The gas used by each test is recorded by hardhat/gas-per-test.js, as a JSON object mapping the title of each test to
+// the costs it measured, keyed by `Contract:method`. Each regressed row lists the tests whose average cost for that row
+// increased, sorted by decreasing increase.
+function attribute(rows, update, ref) {
+  for (const row of rows.filter(({ avg }) => avg?.delta > 0)) {
+    const key = `${row.contract}:${row.method}`;
+    row.tests = Object.keys(update.tests)
+      .filter(title => update.tests[title][key] && ref.tests[title]?.[key])
+      .map(title => ({
+        title,
+        ...variation(...[update, ref].map(x => Math.round(average(...x.tests[title][key]))), BASE_TX_COST),
+      }))
+      .filter(({ delta }) => delta > 0)
+      .sort((a, b) => b.delta - a.delta);
+  }
+  return rows;
+}
+
+// Thresholds
+//
+// The thresholds file is a JSON object with the following (optional) entries. They apply to the average costs, and not
+// to the bytecode lengths.
+//
+// {
+//   // Maximum increase of the average cost of each row, in gas (`absolute`) and in percents (`percentage`).
+//   "default": { "absolute": 1000, "percentage": 5 },
+//   // Thresholds for the rows whose `Contract:method` matches a glob pattern. The first matching rule applies, and the
+//   // thresholds it doesn't set are taken from the default. Parentheses are matched literally, so that patterns can
+//   // include function signatures (e.g. `ERC20Votes:delegate(address)`).
+//   "rules": [{ "pattern": "ERC20Votes:delegate*", "percentage": 1 }],
+//   // Maximum net increase (regressions minus improvements) of the sum of the average costs, in gas.
+//   "budget": 10000
+// }
+function loadThresholds(filepath) {
+  return filepath ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : {};
+}
+
+function limitsFor(row, thresholds) {
+  const rule = thresholds.rules?.find(({ pattern }) =>
+    match.isMatch(`${row.contract}:${row.method}`, pattern.replace(/[()]/g, '\\$&')),
+  );
+  return { ...thresholds.default, ...rule };
+}
+
+function summarize(rows, thresholds) {
+  // bytecode lengths are not costs
+  const costs = rows.filter(({ method }) => method !== '[bytecode length]');
+  const increase = sum(...costs.map(({ avg }) => avg.delta).filter(delta => delta > 0));
+  const decrease = sum(...costs.map(({ avg }) => avg.delta).filter(delta => delta < 0));
+  const consumed = increase + decrease;
+
+  const violations = costs
+    .map(({ contract, method, avg }) => {
+      const { absolute = Infinity, percentage = Infinity } = limitsFor({ contract, method }, thresholds);
+      const exceeded = [];
+      if (avg.delta > absolute) exceeded.push(`+${avg.delta} gas > ${absolute} gas`);
+      if (avg.prcnt > percentage) exceeded.push(`+${avg.prcnt.toFixed(2)}% > ${percentage}%`);
+      return { contract, method, exceeded };
+    })
+    .filter(({ exceeded }) => exceeded.length > 0);
+
+  return {
+    regressions: costs.filter(({ avg }) => avg.delta > 0).length,
+    improvements: costs.filter(({ avg }) => avg.delta < 0).length,
+    increase,
+    decrease,
+    budget: thresholds.budget && { limit: thresholds.budget, consumed, prcnt: (100 * consumed) / thresholds.budget },
+    violations,
+    attributions: rows
+      .filter(({ tests }) => tests?.length)
+      .map(({ contract, method, tests }) => ({ contract, method, tests })),
+  };
+}
+
+function failed(summary) {
+  return summary.violations.length > 0 || summary.budget?.consumed > summary.budget?.limit;
+}
+
 // Display
 function center(text, length) {
   return text.padStart((text.length + length) / 2).padEnd(length);
@@ -233,15 +297,120 @@ function formatCmpMarkdown(rows) {
     .trim();
 }
 
+// Number of tests listed for each regressed row
+const MAX_TESTS = 5;
+
+// Summary as a list of items, where an item is either a line or a line followed by a list of sub-items
+function formatSummary(
+  { regressions, improvements, increase, decrease, budget, violations, attributions },
+  { bold, code },
+) {
+  return [
+    `${regressions} regression(s) (+${increase} gas), ${improvements} improvement(s) (${decrease} gas)`,
+    ...(budget
+      ? [
+          `${bold('Regression budget')}: ${budget.consumed} / ${budget.limit} gas (${budget.prcnt.toFixed(2)}%)` +
+            (budget.consumed > budget.limit ? ', exceeded' : ''),
+        ]
+      : []),
+    ...(violations.length
+      ? [
+          [
+            `${bold('Thresholds exceeded')}:`,
+            violations.map(
+              ({ contract, method, exceeded }) => `${code(contract)} ${code(method)}: ${exceeded.join(', ')}`,
+            ),
+          ],
+        ]
+      : []),
+    ...(attributions.length
+      ? [
+          [
+            `${bold('Regressions by test')}:`,
+            attributions.map(({ contract, method, tests }) => [
+              `${code(contract)} ${code(method)}:`,
+              [
+                ...tests
+                  .slice(0, MAX_TESTS)
+                  .map(({ title, delta, prcnt }) => `${title}: +${delta} gas (+${prcnt.toFixed(2)}%)`),
+                ...(tests.length > MAX_TESTS ? [`and ${tests.length - MAX_TESTS} more`] : []),
+              ],
+            ]),
+          ],
+        ]
+      : []),
+  ];
+}
+
+function bullets(items, indent = '') {
+  return items.flatMap(item =>
+    Array.isArray(item) ? [`${indent}- ${item[0]}`, ...bullets(item[1], indent + '  ')] : [`${indent}- ${item}`],
+  );
+}
+
+function formatSummaryShell(summary) {
+  return bullets(formatSummary(summary, { bold: chalk.bold, code: text => text })).join('\n');
+}
+
+function formatSummaryMarkdown(summary) {
+  const items = formatSummary(summary, { bold: text => `**${text}**`, code: text => `\`${text}\`` });
+  return ['## Summary', '', ...bullets(items)].join('\n');
+}
+
 // MAIN
-const report = Report.compare(Report.load(argv._[0]), Report.load(argv._[1]), argv);
-
-switch (argv.style) {
-  case 'markdown':
-    console.log(formatCmpMarkdown(report));
-    break;
-  case 'shell':
-  default:
-    console.log(formatCmpShell(report));
-    break;
+function main() {
+  const { argv } = require('yargs')
+    .env()
+    .options({
+      style: {
+        type: 'string',
+        choices: ['shell', 'markdown', 'json'],
+        default: 'shell',
+      },
+      thresholds: {
+        type: 'string',
+        description: 'JSON file with the thresholds above which a change in gas costs fails the comparison',
+      },
+      gasTests: {
+        type: 'array',
+        description: 'Gas used by each test in the new and the reference runs (see hardhat/gas-per-test.js)',
+      },
+      hideEqual: {
+        type: 'boolean',
+        default: true,
+      },
+      strictTesting: {
+        type: 'boolean',
+        default: false,
+      },
+    });
+
+  const report = Report.compare(Report.load(argv._[0]), Report.load(argv._[1]), argv);
+  if (argv.gasTests) {
+    attribute(report, ...argv.gasTests.map(Report.load));
+  }
+  const summary = summarize(report, loadThresholds(argv.thresholds));
+
+  switch (argv.style) {
+    case 'markdown':
+      console.log([formatCmpMarkdown(report), formatSummaryMarkdown(summary)].join('\n\n'));
+      break;
+    case 'json':
+      console.log(JSON.stringify({ rows: report, summary }, null, 2));
+      break;
+    case 'shell':
+    default:
+      console.log([formatCmpShell(report), formatSummaryShell(summary)].join('\n\n'));
+      break;
+  }
+
+  if (failed(summary)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { BASE_TX_COST, sum, average, variation };
+
+if (require.main === module) {
+  main();
 }
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+// Reports the deployed and initcode sizes of the contracts, compared to the sizes recorded in a baseline. The check
+// fails when a contract gets within the margins of the EIP-170 and EIP-3860 limits, or exceeds one of its budgets.
+// The compiler enforces these limits too (see the `code-size` warning in `hardhat.config.js`), but without any margin
+// and only for the contracts that are deployed by the tests. Use `--update` to record the current sizes as the baseline.
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const match = require('micromatch');
+const { findAll } = require('solidity-ast/utils');
+const { argv } = require('yargs').options({
+  baseline: {
+    type: 'string',
+    default: path.join(__dirname, 'contract-size.baseline.json'),
+    description: 'JSON file with the sizes to compare to',
+  },
+  budgets: {
+    type: 'string',
+    default: path.join(__dirname, 'contract-size.budgets.json'),
+    description: 'JSON file with the margins and the budgets of the contracts',
+  },
+  update: {
+    type: 'boolean',
+    default: false,
+    description: 'Write the current sizes to the baseline',
+  },
+  top: {
+    type: 'number',
+    default: 10,
+    description: 'Number of contracts listed as the biggest movers',
+  },
+  style: {
+    type: 'string',
+    choices: ['shell', 'markdown', 'json'],
+    default: 'shell',
+  },
+});
+
+// files to skip
+const skipPatterns = ['contracts-exposed/**', 'contracts/mocks/**', '@*/**'];
+
+// EIP-170 and EIP-3860
+const LIMITS = { deployed: 24576, initcode: 49152 };
+const KINDS = Object.keys(LIMITS);
+
+// Budgets
+//
+// The budgets file is a JSON object with the following (optional) entries. All sizes are in bytes.
+//
+// {
+//   // Space that must remain below the limits of EIP-170 (`deployed`) and EIP-3860 (`initcode`).
+//   "margin": { "deployed": 1024, "initcode": 2048 },
+//   // Budgets of all the contracts: maximum sizes (`deployed`, `initcode`) and maximum increase of either size compared
+//   // to the baseline (`increase`).
+//   "default": { "increase": 512 },
+//   // Budgets of the contracts whose name matches a glob pattern. The first matching rule applies, and the budgets it
+//   // doesn't set are taken from the default.
+//   "rules": [{ "pattern": "AccessManager", "deployed": 20000 }]
+// }
+function loadJson(filepath) {
+  return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : {};
+}
+
+function budgetsFor(name, budgets) {
+  const rule = budgets.rules?.find(({ pattern }) => match.isMatch(name, pattern));
+  return { ...budgets.default, ...rule };
+}
+
+// Sizes of the contracts that have bytecode, by name
+function measure(artifacts) {
+  const sizes = {};
+  for (const artifact of artifacts) {
+    const { output: solcOutput } = require(path.resolve(__dirname, '../..', artifact));
+    for (const source in solcOutput.contracts) {
+      if (match.any(source, skipPatterns)) continue;
+      for (const contractDef of findAll('ContractDefinition', solcOutput.sources[source].ast)) {
+        const { evm } = solcOutput.contracts[source][contractDef.name] ?? {};
+        // abstract contracts and interfaces have no bytecode, libraries are not deployed unless they are linked
+        if (contractDef.contractKind !== 'contract' || !evm?.bytecode?.object) continue;
+        sizes[contractDef.name] = {
+          source,
+          deployed: evm.deployedBytecode.object.length / 2,
+          initcode: evm.bytecode.object.length / 2,
+        };
+      }
+    }
+  }
+  return sizes;
+}
+
+function check(sizes, baseline, budgets) {
+  const names = [...new Set([...Object.keys(sizes), ...Object.keys(baseline)])].sort();
+  const contracts = names.map(name => ({
+    name,
+    ...sizes[name],
+    baseline: baseline[name],
+    delta:
+      sizes[name] && baseline[name]
+        ? Object.fromEntries(KINDS.map(kind => [kind, sizes[name][kind] - baseline[name][kind]]))
+        : undefined,
+  }));
+
+  const violations = contracts
+    .filter(({ source }) => source)
+    .flatMap(contract => {
+      const { increase = Infinity, ...maximums } = budgetsFor(contract.name, budgets);
+      return KINDS.flatMap(kind => {
+        const size = contract[kind];
+        const limit = LIMITS[kind] - (budgets.margin?.[kind] ?? 0);
+        const exceeded = [];
+        if (size > limit) exceeded.push(`${size} > ${limit} bytes (${kind} size limit, minus the margin)`);
+        if (size > maximums[kind]) exceeded.push(`${size} > ${maximums[kind]} bytes (${kind} size budget)`);
+        if (contract.delta?.[kind] > increase) {
+          exceeded.push(`+${contract.delta[kind]} > +${increase} bytes (${kind} size increase budget)`);
+        }
+        return exceeded.map(message => ({ name: contract.name, source: contract.source, message }));
+      });
+    });
+
+  // contracts whose size changed the most, including the ones that were added or removed
+  const movement = ({ delta, deployed = 0, initcode = 0, baseline }) =>
+    delta ? Math.abs(delta.deployed) + Math.abs(delta.initcode) : deployed + initcode + (baseline?.deployed ?? 0);
+  const movers = contracts
+    .filter(contract => !contract.delta || KINDS.some(kind => contract.delta[kind] !== 0))
+    .sort((a, b) => movement(b) - movement(a) || a.name.localeCompare(b.name))
+    .slice(0, argv.top)
+    .map(({ name }) => name);
+
+  return { contracts, movers, violations };
+}
+
+// Display
+function plusSign(num) {
+  return num > 0 ? '+' : '';
+}
+
+function status(contract) {
+  return !contract.source ? 'removed' : !contract.baseline ? 'added' : '';
+}
+
+function rows(contracts) {
+  return contracts.map(contract => [
+    contract.name,
+    ...KINDS.flatMap(kind => [
+      contract[kind]?.toString() ?? '-',
+      contract.delta ? plusSign(contract.delta[kind]) + contract.delta[kind] : status(contract),
+      contract[kind] ? ((100 * contract[kind]) / LIMITS[kind]).toFixed(2) + '%' : '-',
+    ]),
+  ]);
+}
+
+const HEADER = ['Contract', 'Deployed', '(+/-)', '% of limit', 'Initcode', '(+/-)', '% of limit'];
+
+function formatTableShell(table) {
+  const widths = HEADER.map((_, i) => Math.max(...[HEADER, ...table].map(row => row[i].length)));
+  return [HEADER.map(cell => chalk.bold(cell)), ...table]
+    .map(row =>
+      row
+        .map((cell, i) => {
+          const text = i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]);
+          return chalk[/^\+\d/.test(cell) ? 'red' : /^-\d/.test(cell) ? 'green' : 'reset'](text);
+        })
+        .join(' | '),
+    )
+    .join('\n');
+}
+
+function formatTableMarkdown(table) {
+  return [
+    `| ${HEADER.join(' | ')} |`,
+    `|${HEADER.map((_, i) => (i === 0 ? ':-' : '-:')).join('|')}|`,
+    ...table.map(row => `| ${row.join(' | ')} |`),
+  ].join('\n');
+}
+
+function formatShell({ contracts, movers, violations }) {
+  return [
+    formatTableShell(rows(contracts)),
+    ...(movers.length
+      ? [
+          '',
+          chalk.bold('Biggest movers'),
+          formatTableShell(rows(movers.map(name => contracts.find(c => c.name === name)))),
+        ]
+      : []),
+    ...(violations.length
+      ? ['', chalk.bold('Size limits exceeded'), ...violations.map(({ name, message }) => `- ${name}: ${message}`)]
+      : []),
+  ].join('\n');
+}
+
+function formatMarkdown({ contracts, movers, violations }) {
+  return [
+    '# Contract sizes',
+    '',
+    ...(movers.length
+      ? [
+          '## Biggest movers',
+          '',
+          formatTableMarkdown(rows(movers.map(name => contracts.find(c => c.name === name)))),
+          '',
+        ]
+      : []),
+    ...(violations.length
+      ? ['## Size limits exceeded', '', ...violations.map(({ name, message }) => `- :x: \`${name}\`: ${message}`), '']
+      : []),
+    '<details><summary>All contracts</summary>',
+    '',
+    formatTableMarkdown(rows(contracts)),
+    '',
+    '</details>',
+  ].join('\n');
+}
+
+// MAIN
+const sizes = measure(argv._);
+const result = check(sizes, loadJson(argv.baseline), loadJson(argv.budgets));
+
+if (argv.update) {
+  const baseline = Object.fromEntries(
+    Object.keys(sizes)
+      .sort()
+      .map(name => [name, { deployed: sizes[name].deployed, initcode: sizes[name].initcode }]),
+  );
+  fs.writeFileSync(argv.baseline, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+switch (argv.style) {
+  case 'markdown':
+    console.log(formatMarkdown(result));
+    break;
+  case 'json':
+    console.log(JSON.stringify(result, null, 2));
+    break;
+  case 'shell':
+  default:
+    console.log(formatShell(result));
+    break;
+}
+
+if (result.violations.length > 0) {
+  process.exitCode = 1;
+}
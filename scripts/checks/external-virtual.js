@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Functions that are both external and virtual can't be called with `super` by their overrides. This prints a JSON
+// report of these functions and, with `--fix`, rewrites them as public where it is safe. It isn't when one of the
+// overrides is itself external, since a public function can't be overridden by an external one. Functions allowed by
+// the `openzeppelin/no-external-virtual` rule of `solhint.config.js` are reported, but not fixed nor considered errors.
+
+const fs = require('fs');
+const path = require('path');
+const match = require('micromatch');
+const { findAll } = require('solidity-ast/utils');
+const { argv } = require('yargs').options({
+  fix: {
+    type: 'boolean',
+    default: false,
+    description: 'Rewrite the safe violations as public virtual',
+  },
+});
+
+const { rules } = require('../../solhint.config');
+
+// files to skip
+const skipPatterns = ['contracts-exposed/**', 'contracts/mocks/**', '@*/**'];
+
+const [, { allow = [] } = {}] = [].concat(rules['openzeppelin/no-external-virtual']);
+
+// violations, by source and offset of the function (a function is part of multiple artifacts)
+const violations = new Map();
+
+for (const artifact of argv._) {
+  const { output: solcOutput } = require(path.resolve(__dirname, '../..', artifact));
+
+  // all functions, including mocks, with the contract they are defined in
+  const functions = {};
+  for (const source in solcOutput.sources) {
+    for (const contractDef of findAll('ContractDefinition', solcOutput.sources[source].ast)) {
+      for (const fnDef of findAll('FunctionDefinition', contractDef)) {
+        functions[fnDef.id] = { source, contractDef, fnDef };
+      }
+    }
+  }
+
+  // ids of all the functions overridden by a function, directly or not
+  const overridden = id => (functions[id]?.fnDef.baseFunctions ?? []).flatMap(base => [base, ...overridden(base)]);
+
+  for (const { source, contractDef, fnDef } of Object.values(functions)) {
+    if (match.any(source, skipPatterns)) continue;
+    if (contractDef.contractKind === 'interface' || fnDef.kind !== 'function') continue;
+    if (fnDef.visibility !== 'external' || !fnDef.virtual) continue;
+
+    const name = `${contractDef.name}.${fnDef.name}`;
+    const [start, length] = fnDef.src.split(':').map(Number);
+    // the header of the function goes up to its body, if any
+    const end = fnDef.body ? Number(fnDef.body.src.split(':')[0]) : start + length;
+    const overrides = Object.values(functions).filter(other => overridden(other.fnDef.id).includes(fnDef.id));
+    const externalOverrides = overrides
+      .filter(other => other.fnDef.visibility === 'external')
+      .map(other => `${other.contractDef.name}.${other.fnDef.name} (${other.source})`);
+
+    const key = `${source}:${start}`;
+    const violation = violations.get(key) ?? {
+      source,
+      name,
+      allowed: allow.some(pattern => match.isMatch(name, pattern)),
+      externalOverrides: [],
+      header: [start, end],
+    };
+    violation.externalOverrides = [...new Set([...violation.externalOverrides, ...externalOverrides])];
+    violations.set(key, violation);
+  }
+}
+
+const report = Array.from(violations.values(), ({ source, name, allowed, externalOverrides, header }) => {
+  const content = fs.readFileSync(path.resolve(__dirname, '../..', source));
+  const line = content.subarray(0, header[0]).toString().split('\n').length;
+  return { source, line, name, allowed, safe: externalOverrides.length === 0, externalOverrides, header };
+}).sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+
+if (argv.fix) {
+  const fixable = report.filter(({ allowed, safe }) => !allowed && safe);
+  for (const source of new Set(fixable.map(({ source }) => source))) {
+    const fixes = fixable.filter(fix => fix.source === source);
+    const file = path.resolve(__dirname, '../..', source);
+    let content = fs.readFileSync(file);
+    // offsets are in bytes, starting from the end of the file so that they remain valid
+    for (const fix of fixes.sort((a, b) => b.header[0] - a.header[0])) {
+      const [start, end] = fix.header;
+      const header = content
+        .subarray(start, end)
+        .toString()
+        .replace(/\bexternal\b/, 'public');
+      content = Buffer.concat([content.subarray(0, start), Buffer.from(header), content.subarray(end)]);
+      fix.fixed = true;
+    }
+    fs.writeFileSync(file, content);
+  }
+}
+
+// offsets of the headers are only used to fix the sources
+console.log(JSON.stringify(report, (key, value) => (key === 'header' ? undefined : value), 2));
+
+if (report.some(({ allowed, fixed }) => !allowed && !fixed)) {
+  process.exitCode = 1;
+}
@@ -2,14 +2,36 @@ const fs = require('fs');
 const { findAll, astDereferencer, srcDecoder } = require('solidity-ast/utils');
 const { extractStorageLayout } = require('@openzeppelin/upgrades-core/dist/storage/extract');
 
-const { _ } = require('yargs').argv;
-
 const skipPath = ['contracts/mocks/', 'contracts-exposed/'];
 const skipKind = ['interface', 'library'];
 
-function extractLayouts(path) {
+// Namespace of a struct annotated with `@custom:storage-location <formula>:<id>` (e.g. `erc7201:openzeppelin.storage.ERC20`)
+function namespaceOf(structDef) {
+  return structDef.documentation?.text.match(/@custom:storage-location\s+(\S+:\S+)/)?.[1];
+}
+
+// The layout of a namespace is that of a contract whose state variables would be the members of the struct. Upgradeable
+// contracts keep all their storage in namespaces (see `scripts/upgradeable/transpile.sh`), so these layouts are the ones
+// that matter for them. A contract uses the namespaces declared by all of its parents.
+function extractNamespaces(contractDef, decoder, deref) {
+  const namespaces = {};
+  for (const parentDef of contractDef.linearizedBaseContracts.map(id => deref('ContractDefinition', id))) {
+    for (const structDef of findAll('StructDefinition', parentDef)) {
+      const namespace = namespaceOf(structDef);
+      if (namespace === undefined) continue;
+      namespaces[namespace] = {
+        contract: parentDef.name,
+        struct: structDef.name,
+        ...extractStorageLayout({ name: parentDef.name, nodes: structDef.members }, decoder, deref),
+      };
+    }
+  }
+  return namespaces;
+}
+
+// Layouts of the contracts of a build-info (`{ input, output }`)
+function extractLayouts({ input, output }) {
   const layout = {};
-  const { input, output } = JSON.parse(fs.readFileSync(path));
 
   const decoder = srcDecoder(input, output);
   const deref = astDereferencer(output);
@@ -30,9 +52,19 @@ function extractLayouts(path) {
         deref,
         output.contracts[src][contractDef.name].storageLayout,
       );
+
+      const namespaces = extractNamespaces(contractDef, decoder, deref);
+      if (Object.keys(namespaces).length > 0) {
+        layout[contractDef.name].namespaces = namespaces;
+      }
     }
   }
   return layout;
 }
 
-console.log(JSON.stringify(Object.assign(..._.map(extractLayouts))));
+module.exports = { extractLayouts };
+
+if (require.main === module) {
+  const { _ } = require('yargs').argv;
+  console.log(JSON.stringify(Object.assign(..._.map(path => extractLayouts(JSON.parse(fs.readFileSync(path)))))));
+}
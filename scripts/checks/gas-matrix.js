@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+// Runs the tests with the gas reporter for each combination of the compiler settings given as options (see the ENVVAR
+// section of `hardhat.config.js`), and prints a combined report: the average cost of each method and deployment for each
+// configuration, the cheapest configuration, and how the IR pipeline compares to the legacy one for the same settings.
+// The report of each configuration is kept in the output directory. They can be combined again, without running the
+// tests, with `--reports`.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+const { BASE_TX_COST, sum, average, variation } = require('./compareGasReports');
+const { argv } = require('yargs')
+  .usage('$0 [options] [test files...]')
+  .options({
+    compiler: {
+      type: 'array',
+      description: 'Compiler versions (default: the one of hardhat.config.js)',
+    },
+    runs: {
+      type: 'array',
+      default: [200],
+      description: 'Numbers of optimization runs',
+    },
+    ir: {
+      type: 'array',
+      default: [false, true],
+      description: 'Whether to compile with the IR pipeline',
+    },
+    evm: {
+      type: 'array',
+      default: ['cancun'],
+      description: 'EVM versions',
+    },
+    output: {
+      type: 'string',
+      default: 'cache/gas-matrix',
+      description: 'Directory where the report of each configuration is kept',
+    },
+    reports: {
+      type: 'array',
+      description: 'Combine reports produced by a previous run, instead of running the tests',
+    },
+    style: {
+      type: 'string',
+      choices: ['shell', 'markdown', 'json'],
+      default: 'shell',
+    },
+  });
+
+// Report written by the gas reporter when CI is set
+const REPORT = 'gasReporterOutput.json';
+// Gas used by each test, written along with the report (see hardhat/gas-per-test.js), and not used by the matrix
+const TESTS = 'gasReporterTests.json';
+
+// Utilities
+function product(...dimensions) {
+  return dimensions.reduce((acc, values) => acc.flatMap(prefix => values.map(value => [...prefix, value])), [[]]);
+}
+
+const filename = ({ compiler, runs, ir, evm }) =>
+  [compiler, `runs-${runs}`, ir ? 'ir' : 'legacy', evm].filter(Boolean).join('-') + '.json';
+
+// Configurations
+function run(config) {
+  const env = { ...process.env, GAS: 'true', CI: 'true', RUNS: config.runs, IR: config.ir, EVM: config.evm };
+  if (config.compiler) env.COMPILER = config.compiler;
+
+  console.error(chalk.bold(`Running the tests with ${filename(config).replace(/\.json$/, '')}`));
+  fs.rmSync(REPORT, { force: true });
+  // `npm test` raises the memory limit of node, which the tests need
+  const { status } = spawnSync('npm', ['test', '--', ...argv._.map(String)], { env, stdio: ['ignore', 2, 2] });
+  if (status !== 0 || !fs.existsSync(REPORT)) {
+    throw new Error(`Tests failed with ${filename(config)}`);
+  }
+
+  // the gas reporter doesn't record the EVM version, so the configuration is stored with the report
+  const report = JSON.parse(fs.readFileSync(REPORT, 'utf8'));
+  report.options.matrix = { ...config, compiler: report.options.solcInfo?.version };
+  const file = path.join(argv.output, filename(report.options.matrix));
+  fs.mkdirSync(argv.output, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report));
+  fs.rmSync(REPORT);
+  fs.rmSync(TESTS, { force: true });
+  return file;
+}
+
+function load(file) {
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { version, runs, viaIR } = report.options?.solcInfo ?? {};
+  return {
+    config: report.options?.matrix ?? { compiler: version, runs: Number(runs), ir: viaIR === true || viaIR === 'true' },
+    // gasReporter 1.0.0 uses ".info", but 2.0.0 uses ".data"
+    info: report.info ?? report.data,
+  };
+}
+
+// Labels only mention the settings that differ between the configurations
+function label(config, configs) {
+  const parts = {
+    compiler: config.compiler,
+    runs: `runs=${config.runs}`,
+    ir: config.ir ? 'IR' : 'legacy',
+    evm: config.evm,
+  };
+  const varying = Object.keys(parts).filter(key => new Set(configs.map(other => String(other[key]))).size > 1);
+  return (varying.length ? varying : ['runs', 'ir'])
+    .map(key => parts[key])
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Pairs of configurations that only differ by the compilation pipeline
+function irPairs(configurations) {
+  return configurations
+    .filter(({ ir }) => ir)
+    .map(irConfig => ({
+      ir: irConfig.label,
+      legacy: configurations.find(
+        other => !other.ir && ['compiler', 'runs', 'evm'].every(key => String(other[key]) === String(irConfig[key])),
+      )?.label,
+    }))
+    .filter(({ legacy }) => legacy);
+}
+
+// Average cost of each method and deployment, for each configuration
+function combine(reports) {
+  const rows = {};
+  const add = (contract, method, config, gasData) => {
+    if (!gasData?.length) return;
+    const row = (rows[`${contract}:${method}`] ??= { contract, method, costs: {} });
+    row.costs[config] = Math.round(average(...gasData));
+  };
+
+  for (const { label, info } of reports) {
+    for (const { name, gasData } of info.deployments) {
+      add(name, '[construction cost]', label, gasData);
+    }
+    for (const { contract, fnSig, numberOfCalls, gasData } of Object.values(info.methods)) {
+      if (numberOfCalls > 0) add(contract, fnSig, label, gasData);
+    }
+  }
+
+  return Object.values(rows).sort((a, b) => `${a.contract}:${a.method}`.localeCompare(`${b.contract}:${b.method}`));
+}
+
+function compare(reports) {
+  const configurations = reports.map(({ label, config }) => ({ label, ...config }));
+  const pairs = irPairs(configurations);
+
+  const rows = combine(reports).map(row => {
+    const cheapest = Math.min(...Object.values(row.costs));
+    return {
+      ...row,
+      cheapest: Object.keys(row.costs).filter(config => row.costs[config] === cheapest),
+      ir: Object.fromEntries(
+        pairs
+          .filter(pair => pair.ir in row.costs && pair.legacy in row.costs)
+          .map(pair => [pair.ir, variation(row.costs[pair.ir], row.costs[pair.legacy], BASE_TX_COST)]),
+      ),
+    };
+  });
+
+  // only the rows measured with all the configurations are comparable
+  const complete = rows.filter(({ costs }) => configurations.every(({ label }) => label in costs));
+  const summary = {
+    configurations: configurations.map(({ label }) => ({
+      label,
+      cheapest: complete.filter(({ cheapest }) => cheapest.includes(label)).length,
+      total: sum(...complete.map(({ costs }) => costs[label])),
+    })),
+    ir: pairs.map(pair => {
+      const deltas = rows.filter(({ ir }) => pair.ir in ir).map(({ ir }) => ir[pair.ir].delta);
+      return {
+        ...pair,
+        cheaper: deltas.filter(delta => delta < 0).length,
+        costlier: deltas.filter(delta => delta > 0).length,
+        delta: sum(...deltas),
+      };
+    }),
+  };
+
+  return { configurations, pairs, rows, summary };
+}
+
+// Display
+function plusSign(num) {
+  return num > 0 ? '+' : '';
+}
+
+function formatVariation(cell) {
+  return cell ? `${plusSign(cell.delta)}${cell.delta} (${plusSign(cell.prcnt)}${cell.prcnt.toFixed(2)}%)` : '-';
+}
+
+function header({ configurations, pairs }) {
+  return [
+    'Contract',
+    'Method',
+    ...configurations.map(({ label }) => label),
+    ...pairs.map(pair => (pairs.length > 1 ? `${pair.ir} vs ${pair.legacy}` : 'IR vs legacy')),
+  ];
+}
+
+function summaryLines({ summary }, code) {
+  return [
+    ...summary.configurations.map(
+      ({ label, cheapest, total }) => `${code(label)}: cheapest for ${cheapest} row(s), ${total} gas in total`,
+    ),
+    ...summary.ir.map(
+      ({ ir, legacy, cheaper, costlier, delta }) =>
+        `${code(ir)} vs ${code(legacy)}: cheaper for ${cheaper} row(s), costlier for ${costlier} row(s), ` +
+        `${plusSign(delta)}${delta} gas in total`,
+    ),
+  ];
+}
+
+function formatShell(result) {
+  const table = [
+    header(result).map(cell => [cell, chalk.bold]),
+    ...result.rows.map(row => [
+      [row.contract, chalk.grey],
+      [row.method, chalk.reset],
+      ...result.configurations.map(({ label }) => [
+        row.costs[label]?.toString() ?? '-',
+        row.cheapest.includes(label) && row.cheapest.length < result.configurations.length ? chalk.green : chalk.reset,
+      ]),
+      ...result.pairs.map(pair => [
+        formatVariation(row.ir[pair.ir]),
+        chalk[row.ir[pair.ir]?.delta > 0 ? 'red' : row.ir[pair.ir]?.delta < 0 ? 'green' : 'reset'],
+      ]),
+    ]),
+  ];
+  const widths = table[0].map((_, i) => Math.max(...table.map(row => row[i][0].length)));
+  return [
+    ...table.map(row =>
+      row.map(([text, format], i) => format(i < 2 ? text.padEnd(widths[i]) : text.padStart(widths[i]))).join(' | '),
+    ),
+    '',
+    ...summaryLines(result, text => text).map(line => `- ${line}`),
+  ].join('\n');
+}
+
+function formatMarkdown(result) {
+  const cols = header(result);
+  return [
+    '# Gas costs by compiler settings',
+    '',
+    `| ${cols.join(' | ')} |`,
+    `|${cols.map((_, i) => (i < 2 ? ':-' : '-:')).join('|')}|`,
+    ...result.rows.map(row =>
+      [
+        '',
+        row.contract,
+        row.method,
+        ...result.configurations.map(({ label }) =>
+          row.costs[label] === undefined
+            ? '-'
+            : row.cheapest.includes(label) && row.cheapest.length < result.configurations.length
+            ? `**${row.costs[label]}**`
+            : row.costs[label].toString(),
+        ),
+        ...result.pairs.map(pair => formatVariation(row.ir[pair.ir])),
+        '',
+      ]
+        .join(' | ')
+        .trim(),
+    ),
+    '',
+    '## Summary',
+    '',
+    ...summaryLines(result, text => `\`${text}\``).map(line => `- ${line}`),
+  ].join('\n');
+}
+
+// MAIN
+function main() {
+  const matrix = argv.reports
+    ? []
+    : product(argv.compiler ?? [undefined], argv.runs, argv.ir, argv.evm).map(([compiler, runs, ir, evm]) => ({
+        compiler,
+        runs: Number(runs),
+        ir: String(ir) === 'true',
+        evm: String(evm),
+      }));
+
+  const files = argv.reports?.map(String) ?? matrix.map(run);
+  const loaded = files.map(load);
+  const configs = loaded.map(({ config }) => config);
+  const reports = loaded.map(report => ({ ...report, label: label(report.config, configs) }));
+  const result = compare(reports);
+
+  switch (argv.style) {
+    case 'markdown':
+      console.log(formatMarkdown(result));
+      break;
+    case 'json':
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    case 'shell':
+    default:
+      console.log(formatShell(result));
+      break;
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
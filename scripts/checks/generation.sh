@@ -2,5 +2,4 @@
 
 set -euo pipefail
 
-npm run generate
-git diff -R --exit-code
+npm run generate -- --check
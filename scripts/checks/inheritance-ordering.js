@@ -9,45 +9,135 @@ const { _: artifacts } = require('yargs').argv;
 // files to skip
 const skipPatterns = ['contracts-exposed/**', 'contracts/mocks/**'];
 
+// Contracts are identified by their fully qualified name, because ids are specific to each build-info
+const graph = new graphlib.Graph({ directed: true });
+const names = {}; // name, by fully qualified name
+const bases = {}; // direct bases in the order of the `is` list, by fully qualified name
+const linearizations = {}; // linearized base contracts, by fully qualified name
+const witnesses = {}; // contracts that put a contract before another in their linearization, by edge of the graph
+
 for (const artifact of artifacts) {
   const { output: solcOutput } = require(path.resolve(__dirname, '../..', artifact));
 
-  const graph = new graphlib.Graph({ directed: true });
-  const names = {};
-  const linearized = [];
+  const fqn = {};
+  for (const source in solcOutput.sources) {
+    for (const contractDef of findAll('ContractDefinition', solcOutput.sources[source].ast)) {
+      fqn[contractDef.id] = `${source}:${contractDef.name}`;
+      names[fqn[contractDef.id]] = contractDef.name;
+    }
+  }
+
+  for (const source in solcOutput.sources) {
+    for (const contractDef of findAll('ContractDefinition', solcOutput.sources[source].ast)) {
+      bases[fqn[contractDef.id]] = contractDef.baseContracts.map(({ baseName }) => fqn[baseName.referencedDeclaration]);
+      linearizations[fqn[contractDef.id]] = contractDef.linearizedBaseContracts.map(id => fqn[id]);
+    }
+  }
 
   for (const source in solcOutput.contracts) {
     if (match.any(source, skipPatterns)) continue;
     for (const contractDef of findAll('ContractDefinition', solcOutput.sources[source].ast)) {
-      names[contractDef.id] = contractDef.name;
-      linearized.push(contractDef.linearizedBaseContracts);
-
-      contractDef.linearizedBaseContracts.forEach((c1, i, contracts) =>
-        contracts.slice(i + 1).forEach(c2 => {
+      const chain = linearizations[fqn[contractDef.id]];
+      chain.forEach((c1, i) =>
+        chain.slice(i + 1).forEach(c2 => {
           graph.setEdge(c1, c2);
+          (witnesses[`${c1} ${c2}`] ??= new Set()).add(chain[0]);
         }),
       );
     }
   }
+}
 
-  /// graphlib.alg.findCycles will not find minimal cycles.
-  /// We are only interested in cycles of lengths 2 (needs proof)
-  graph.nodes().forEach((x, i, nodes) =>
-    nodes
-      .slice(i + 1)
-      .filter(y => graph.hasEdge(x, y) && graph.hasEdge(y, x))
-      .forEach(y => {
-        console.log(`Conflict between ${names[x]} and ${names[y]} detected in the following dependency chains:`);
-        linearized
-          .filter(chain => chain.includes(parseInt(x)) && chain.includes(parseInt(y)))
-          .forEach(chain => {
-            const comp = chain.indexOf(parseInt(x)) < chain.indexOf(parseInt(y)) ? '>' : '<';
-            console.log(`- ${names[x]} ${comp} ${names[y]} in ${names[chain.find(Boolean)]}`);
-            // console.log(`- ${names[x]} ${comp} ${names[y]}: ${chain.reverse().map(id => names[id]).join(', ')}`);
-          });
-        process.exitCode = 1;
-      }),
-  );
+// C3 linearization of a contract with the given direct bases, as done by the compiler (the last base of the `is` list
+// is the most derived). Returns undefined if there is none.
+function linearize(contract, directBases) {
+  const reversed = [...directBases].reverse();
+  const sequences = [...reversed.map(base => [...linearizations[base]]), reversed];
+  const result = [contract];
+  while (sequences.some(sequence => sequence.length > 0)) {
+    const head = sequences
+      .map(([first]) => first)
+      .find(candidate => candidate && sequences.every(sequence => !sequence.slice(1).includes(candidate)));
+    if (!head) return undefined;
+    result.push(head);
+    sequences.forEach(sequence => sequence[0] === head && sequence.shift());
+  }
+  return result;
+}
+
+// Smallest move of one of the direct bases of `contract` after which it linearizes with `y` before `x`
+function reorder(contract, x, y) {
+  const current = bases[contract];
+  const moves = current
+    .flatMap((_, from) => current.map((_, to) => ({ from, to })))
+    .filter(({ from, to }) => from !== to)
+    .sort((a, b) => Math.abs(a.from - a.to) - Math.abs(b.from - b.to));
+  for (const { from, to } of moves) {
+    const candidate = [...current];
+    candidate.splice(to, 0, ...candidate.splice(from, 1));
+    const linearization = linearize(contract, candidate);
+    if (linearization && linearization.indexOf(y) < linearization.indexOf(x)) return candidate;
+  }
+}
+
+// Ways to break a cycle, by reordering the `is` lists of the contracts that impose one of its edges. An edge can't be
+// broken when it is imposed by inheritance itself (`x` inherits from `y`), or when one of these contracts can't be
+// reordered. The fixes that change the fewest contracts come first.
+function fixes(cycle) {
+  return cycle
+    .map((x, i) => [x, cycle[(i + 1) % cycle.length]])
+    .filter(([x, y]) => !linearizations[x]?.includes(y))
+    .map(([x, y]) => ({
+      x,
+      y,
+      changes: Array.from(witnesses[`${x} ${y}`], contract => ({ contract, reordered: reorder(contract, x, y) })),
+    }))
+    .filter(({ changes }) => changes.every(({ reordered }) => reordered))
+    .sort((a, b) => a.changes.length - b.changes.length);
+}
+
+// Shortest cycle of a strongly connected component that goes through an edge
+function shortestCycle(component, [x, y]) {
+  const subgraph = graph.filterNodes(node => component.includes(node));
+  const distances = graphlib.alg.dijkstra(subgraph, y);
+  const cycle = [x];
+  for (let node = x; node !== y; node = distances[node].predecessor) cycle.unshift(distances[node].predecessor);
+  return cycle;
+}
+
+// Contracts that can't be ordered consistently are those of the strongly connected components of the graph. All their
+// elementary cycles would be too many to list, so the shortest cycle through each edge is listed instead: it is
+// enough to see all the conflicting pairs of contracts.
+const cycles = new Map();
+for (const component of graphlib.alg.tarjan(graph).filter(component => component.length > 1)) {
+  for (const { v, w } of graph.edges().filter(({ v, w }) => component.includes(v) && component.includes(w))) {
+    const cycle = shortestCycle(component, [v, w]);
+    // the same cycle, starting with its smallest contract
+    const start = cycle.indexOf([...cycle].sort()[0]);
+    const canonical = [...cycle.slice(start), ...cycle.slice(0, start)];
+    cycles.set(canonical.join(' '), canonical);
+  }
+}
+
+const format = list => list.map(contract => names[contract]).join(', ');
+
+for (const cycle of cycles.values()) {
+  console.log(`Conflict between ${format(cycle)} detected in the following dependency chains:`);
+  cycle.forEach((x, i) => {
+    const y = cycle[(i + 1) % cycle.length];
+    console.log(`- ${names[x]} > ${names[y]} in ${format([...witnesses[`${x} ${y}`]].sort())}`);
+  });
+
+  const [fix] = fixes(cycle);
+  if (fix) {
+    console.log(`Possible fix, reversing ${names[fix.x]} > ${names[fix.y]}:`);
+    for (const { contract, reordered } of fix.changes) {
+      console.log(`- ${contract}: \`is ${format(bases[contract])}\` -> \`is ${format(reordered)}\``);
+    }
+  } else {
+    console.log('No reordering of the `is` lists that fixes this conflict was found.');
+  }
+  process.exitCode = 1;
 }
 
 if (!process.exitCode) {
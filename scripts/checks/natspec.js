@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+// Reports the items of the API docs whose NatSpec is incomplete: public and external functions, events and errors
+// without a @dev tag or without a @param and a @return tag for each of their parameters, tags that don't match any
+// parameter, and references that don't resolve in the docs. The issues that are recorded in the baseline are
+// tolerated, so that only new ones fail the check. Use `--update` to record the current issues as the baseline.
+
+const fs = require('fs');
+const path = require('path');
+const { isNodeType } = require('solidity-ast/utils');
+const { defaults } = require('solidity-docgen/dist/config');
+const { buildSite, DOC_ITEM_CONTEXT } = require('solidity-docgen/dist/site');
+const { parseNatspec } = require('solidity-docgen/dist/utils/natspec');
+const { argv } = require('yargs').options({
+  lenient: {
+    type: 'boolean',
+    default: false,
+    description: 'Only require a @param and a @return tag for all the parameters once one of them is documented',
+  },
+  baseline: {
+    type: 'string',
+    default: path.join(__dirname, 'natspec.baseline.json'),
+    description: 'JSON file with the issues to tolerate',
+  },
+  update: {
+    type: 'boolean',
+    default: false,
+    description: 'Write the current issues to the baseline',
+  },
+});
+
+const { anchor } = require('../../docs/templates/properties');
+const { slug } = require('../../docs/templates/helpers');
+
+const builds = argv._.map(artifact => require(path.resolve(__dirname, '../..', artifact)));
+
+// Items rendered in the API docs, as built by solidity-docgen with the configuration of `docs/config.js`
+const { items } = buildSite(builds, { ...defaults, ...require('../../docs/config') });
+
+// References that resolve in the docs, as defined by the `with-prelude` helper (see `docs/templates/helpers.js`)
+const references = new Set(
+  items.flatMap(item => {
+    const { contract } = item[DOC_ITEM_CONTEXT];
+    return [`xref-${anchor({ item, contract })}`, slug(contract ? `${contract.name}.${item.name}` : item.name)];
+  }),
+);
+
+// Names of the members of the contracts of each page, that can also be referenced by their name after the contract
+// that defines them (see `docs/templates/contract.hbs`)
+const pageReferences = {};
+for (const item of items) {
+  const { contract, page } = item[DOC_ITEM_CONTEXT];
+  if (contract) (pageReferences[page] ??= new Set()).add(item.name);
+}
+
+// Items of the public API, that must be fully documented
+const isPublicApi = item =>
+  isNodeType('EventDefinition', item) ||
+  isNodeType('ErrorDefinition', item) ||
+  (isNodeType('FunctionDefinition', item) &&
+    item.kind === 'function' &&
+    ['public', 'external'].includes(item.visibility));
+
+const issues = [];
+
+for (const item of items) {
+  const { build, contract, page } = item[DOC_ITEM_CONTEXT];
+  // constructors, receive and fallback functions have no name
+  const name = `${contract ? `${contract.name}.` : ''}${item.name || item.kind}`;
+  // issues are identified without their location, so that the baseline doesn't depend on line numbers
+  const report = message => issues.push({ location: build.decodeSrc(item), issue: `${name}: ${message}` });
+
+  // References to other items, such as {IERC20-transfer} or {xref-ERC20-_mint-address-uint256-}
+  for (const [, reference] of item.documentation?.text?.matchAll(/\{(xref-[-\w]+|[A-Za-z_][-\w.]*)\}/g) ?? []) {
+    if (!references.has(reference) && !pageReferences[page]?.has(reference)) {
+      report(`{${reference}} does not match any item of the docs`);
+    }
+  }
+
+  if (!isPublicApi(item)) continue;
+
+  let natspec;
+  try {
+    natspec = parseNatspec(item);
+  } catch (error) {
+    // invalid @return or @inheritdoc tags, with the location of the item removed
+    report(error.message.replace(/ \([^)]*\)$/, ''));
+    continue;
+  }
+
+  if (!natspec.dev && !natspec.notice) {
+    report('missing @dev');
+  }
+
+  const params = item.parameters.parameters.map(({ name }) => name).filter(Boolean);
+  const documented = (natspec.params ?? []).map(({ name }) => name);
+  for (const name of documented.filter(name => !params.includes(name))) {
+    report(`@param ${name} does not match any parameter`);
+  }
+  if (!argv.lenient || documented.length > 0) {
+    for (const name of params.filter(name => !documented.includes(name))) {
+      report(`missing @param ${name}`);
+    }
+  }
+
+  const returns = item.returnParameters?.parameters ?? [];
+  const documentedReturns = natspec.returns ?? [];
+  if ((!argv.lenient || documentedReturns.length > 0) && documentedReturns.length < returns.length) {
+    for (const { name } of returns.slice(documentedReturns.length)) {
+      report(`missing @return${name ? ` ${name}` : ''}`);
+    }
+  }
+}
+
+if (argv.update) {
+  const baseline = [...new Set(issues.map(({ issue }) => issue))].sort();
+  fs.writeFileSync(argv.baseline, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+const baseline = new Set(fs.existsSync(argv.baseline) ? JSON.parse(fs.readFileSync(argv.baseline, 'utf8')) : []);
+const newIssues = issues.filter(({ issue }) => !baseline.has(issue));
+
+for (const { location, issue } of newIssues.sort((a, b) => a.location.localeCompare(b.location))) {
+  console.log(`- ${location} ${issue}`);
+}
+
+if (newIssues.length > 0) {
+  process.exitCode = 1;
+} else {
+  const tolerated = issues.length > 0 ? ` (${issues.length} issue(s) tolerated by the baseline)` : '';
+  console.log(`NatSpec is complete${tolerated}.`);
+}
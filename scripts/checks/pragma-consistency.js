@@ -3,14 +3,54 @@
 const path = require('path');
 const semver = require('semver');
 const match = require('micromatch');
-const { findAll } = require('solidity-ast/utils');
-const { _: artifacts } = require('yargs').argv;
+const { findAll, srcDecoder } = require('solidity-ast/utils');
+const { argv } = require('yargs').options({
+  style: {
+    type: 'string',
+    choices: ['shell', 'json'],
+    default: 'shell',
+  },
+});
 
 // files to skip
 const skipPatterns = ['contracts-exposed/**', 'contracts/mocks/WithInit.sol'];
 
-for (const artifact of artifacts) {
-  const { output: solcOutput } = require(path.resolve(__dirname, '../..', artifact));
+// Features that are only available starting with a given version of the compiler
+const OPCODES = {
+  tload: '0.8.24',
+  tstore: '0.8.24',
+  mcopy: '0.8.24',
+  blobhash: '0.8.24',
+  blobbasefee: '0.8.24',
+};
+
+function* features(ast) {
+  for (const call of findAll('YulFunctionCall', ast)) {
+    const version = OPCODES[call.functionName.name];
+    if (version) yield { node: call, feature: `${call.functionName.name} opcode`, version };
+  }
+  for (const varDecl of findAll('VariableDeclaration', ast)) {
+    if (varDecl.storageLocation === 'transient')
+      yield { node: varDecl, feature: 'transient storage', version: '0.8.28' };
+  }
+  for (const call of findAll('FunctionCall', ast)) {
+    // 0.8.26 only supports it when compiling with the IR pipeline
+    if (
+      call.expression.nodeType === 'Identifier' &&
+      call.expression.name === 'require' &&
+      call.arguments[1]?.expression?.typeDescriptions.typeIdentifier?.startsWith('t_function_error')
+    ) {
+      yield { node: call, feature: 'require with a custom error', version: '0.8.27' };
+    }
+  }
+}
+
+const issues = new Set();
+const report = {};
+
+for (const artifact of argv._) {
+  const { input, output: solcOutput } = require(path.resolve(__dirname, '../..', artifact));
+  const decodeSrc = srcDecoder(input, solcOutput);
 
   const pragma = {};
 
@@ -35,15 +75,84 @@ for (const artifact of artifacts) {
       if (!pragma[absolutePath]) continue;
       // Check that the minVersion for source satisfies the requirements of the imported files
       if (!semver.satisfies(minVersion, pragma[absolutePath])) {
-        console.log(
+        issues.add(
           `- ${source} uses ${pragma[source]} but depends on ${absolutePath} that requires ${pragma[absolutePath]}`,
         );
-        process.exitCode = 1;
       }
     }
   }
+
+  // Minimum version of the compiler required by each file itself, because of its pragma or of the features it uses
+  const requirements = {};
+  for (const source in solcOutput.contracts) {
+    if (match.any(source, skipPatterns)) continue;
+    const own = [];
+    if (pragma[source]) own.push({ reason: `pragma ${pragma[source]}`, version: semver.minVersion(pragma[source]) });
+    for (const { node, feature, version } of features(solcOutput.sources[source].ast)) {
+      own.push({ reason: `${feature} (${decodeSrc(node)})`, version: semver.parse(version) });
+    }
+    requirements[source] = own.reduce((a, b) => (semver.gt(b.version, a.version) ? b : a), own[0]);
+  }
+
+  // Effective minimum version of the compiler, required by the file or by one of the files it imports transitively.
+  // Imports can be circular, so the requirements are propagated until they don't change anymore.
+  const effective = Object.fromEntries(
+    Object.entries(requirements)
+      .filter(([, requirement]) => requirement)
+      .map(([source, { version }]) => [source, { version }]),
+  );
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const source in requirements) {
+      for (const { absolutePath } of findAll('ImportDirective', solcOutput.sources[source].ast)) {
+        const imported = effective[absolutePath];
+        if (imported && (!effective[source] || semver.gt(imported.version, effective[source].version))) {
+          effective[source] = { version: imported.version, via: absolutePath };
+          changed = true;
+        }
+      }
+    }
+  }
+
+  // Files whose pragma allows compilers that can't compile them
+  for (const source in requirements) {
+    if (!effective[source]) continue;
+
+    const chain = [source];
+    while (effective[chain.at(-1)].via) chain.push(effective[chain.at(-1)].via);
+    const version = effective[source].version.version;
+    const minVersion = pragma[source] && semver.minVersion(pragma[source]).version;
+
+    report[source] = {
+      pragma: pragma[source],
+      minVersion,
+      effectiveMinVersion: version,
+      requiredBy: chain.slice(1),
+      reason: requirements[chain.at(-1)].reason,
+      loose: !!minVersion && semver.gt(version, minVersion),
+      suggestion: pragma[source] && semver.gt(version, minVersion) ? `^${version}` : pragma[source],
+    };
+
+    if (report[source].loose) {
+      issues.add(
+        `- ${source} uses ${pragma[source]} but requires ${version} because of ` +
+          [...chain.slice(1), report[source].reason].join(' -> ') +
+          ` (suggested pragma: ^${version})`,
+      );
+    }
+  }
 }
 
-if (!process.exitCode) {
+if (argv.style === 'json') {
+  console.log(
+    JSON.stringify({ issues: Array.from(issues, issue => issue.replace(/^- /, '')), files: report }, null, 2),
+  );
+} else if (issues.size > 0) {
+  console.log([...issues].join('\n'));
+} else {
   console.log('Pragma directives are consistent.');
 }
+
+if (issues.size > 0) {
+  process.exitCode = 1;
+}
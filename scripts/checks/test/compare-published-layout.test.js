@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { transpile } = require('@openzeppelin/upgrade-safe-transpiler');
+
+const { extractLayouts } = require('../extract-layout');
+const { compile, publishedLayouts, compareVersions } = require('../compare-published-layout');
+
+// Subsets of the published packages (ERC20 and Ownable, with their imports), so that nothing is downloaded
+const TARBALLS = path.join(__dirname, 'packages');
+const VERSION = '5.0.2';
+
+const OUTPUT_SELECTION = { outputSelection: { '*': { '*': ['storageLayout'], '': ['ast'] } } };
+const ROOT = path.resolve(__dirname, '../../..');
+
+// Sources of the given files and of the files they import, directly or not
+function withImports(files, read) {
+  const sources = {};
+  for (const todo = [...files]; todo.length > 0; ) {
+    const file = todo.pop();
+    if (file in sources) continue;
+    sources[file] = { content: read(file) };
+    for (const [, imported] of sources[file].content.matchAll(/^import [^"]*"([^"]+)";/gm)) {
+      todo.push(imported.startsWith('.') ? path.posix.join(path.posix.dirname(file), imported) : imported);
+    }
+  }
+  return sources;
+}
+
+const readHead = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// Layout of the current tree for some of its contracts, transpiled with the options of `scripts/upgradeable/transpile.sh`
+async function headLayouts(files) {
+  const initializablePath = 'contracts/proxy/utils/Initializable.sol';
+  const { input, output } = await compile(withImports([...files, initializablePath], readHead), OUTPUT_SELECTION);
+  const transpiled = await transpile(
+    input,
+    output,
+    { root: ROOT, sources: 'contracts' },
+    {
+      initializablePath,
+      namespaced: true,
+      namespaceExclude: ['contracts/mocks/**/*'],
+      peerProject: '@openzeppelin/',
+    },
+  );
+  // the contracts that are not transpiled are imported from the main package, as in `lib/openzeppelin-contracts`
+  const sources = Object.fromEntries(transpiled.map(({ path, source }) => [path, source]));
+  const read = file => sources[file] ?? readHead(file.replace(/^@openzeppelin\/contracts\//, 'contracts/'));
+  return extractLayouts(await compile(withImports(Object.keys(sources), read), OUTPUT_SELECTION));
+}
+
+describe('compare-published-layout', function () {
+  this.timeout(300_000);
+
+  const files = ['contracts/token/ERC20/ERC20.sol', 'contracts/access/Ownable.sol'];
+
+  before(async function () {
+    this.head = await headLayouts(files);
+  });
+
+  it('extracts the namespaces of the published upgradeable contracts', async function () {
+    const layouts = await publishedLayouts(VERSION, { tarballs: TARBALLS });
+    expect(layouts).to.have.all.keys('ERC20Upgradeable', 'OwnableUpgradeable', 'ContextUpgradeable', 'Initializable');
+    expect(layouts.ERC20Upgradeable.namespaces).to.have.property('erc7201:openzeppelin.storage.ERC20');
+  });
+
+  it('finds the transpiled head compatible with the published version', async function () {
+    const { matrix, issues } = await compareVersions([VERSION], this.head, { tarballs: TARBALLS });
+    expect(issues[VERSION].filter(({ severity }) => severity === 'error')).to.deep.equal([]);
+    expect(matrix).to.deep.include({
+      ERC20Upgradeable: { [VERSION]: 'compatible' },
+      OwnableUpgradeable: { [VERSION]: 'compatible' },
+    });
+  });
+
+  it('reports the contracts of a removed namespace as incompatible', async function () {
+    const head = structuredClone(this.head);
+    for (const { namespaces } of Object.values(head)) delete namespaces?.['erc7201:openzeppelin.storage.ERC20'];
+
+    const { matrix, issues } = await compareVersions([VERSION], head, { tarballs: TARBALLS });
+    expect(issues[VERSION]).to.deep.include({
+      severity: 'error',
+      kind: 'removed',
+      contract: 'ERC20Upgradeable',
+      struct: 'ERC20Storage',
+      namespace: 'erc7201:openzeppelin.storage.ERC20',
+      renamedTo: undefined,
+    });
+    expect(matrix.ERC20Upgradeable[VERSION]).to.equal('incompatible');
+    expect(matrix.OwnableUpgradeable[VERSION]).to.equal('compatible');
+  });
+
+  it('rejects a head that is not transpiled', async function () {
+    const head = extractLayouts(await compile(withImports(files, readHead), OUTPUT_SELECTION));
+    await expect(compareVersions([VERSION], head, { tarballs: TARBALLS })).to.be.rejectedWith(
+      'scripts/upgradeable/transpile.sh',
+    );
+  });
+});
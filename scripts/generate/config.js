@@ -0,0 +1,179 @@
+const path = require('path');
+const { target } = require('./registry');
+const { isValueType } = require('./templates/conversion');
+const EnumerableSetOpts = require('./templates/EnumerableSet.opts');
+const EnumerableMapOpts = require('./templates/EnumerableMap.opts');
+const PackingOpts = require('./templates/Packing.opts');
+const StorageSlotOpts = require('./templates/StorageSlot.opts');
+
+// Project configuration, used by downstream projects to generate additional typed structures using the templates
+// of this repository. The configuration is a JSON file or a JS module with the following shape:
+//
+// {
+//   // Directory where the libraries are generated, relative to the configuration file.
+//   "output": "contracts/utils/structs",
+//   // User defined value types, with their underlying type and the path used to import them from the output directory.
+//   "udvts": { "Price": { "underlying": "uint128", "path": "../types/Price.sol" } },
+//   // Types of the sets. Each entry is either a type or an object with a `type` and a custom struct `name`.
+//   "EnumerableSet": { "types": ["uint128", "bytes4", "Price", { "type": "int256", "name": "IntSet" }] },
+//   // Types of the maps. Each entry is either a `[key, value]` pair or an object with a `key`, a `value` and a
+//   // custom struct `name`.
+//   "EnumerableMap": { "types": [["bytes32", "uint128"], { "key": "address", "value": "Price", "name": "PriceMap" }] },
+//   // Struct layouts packed into a bytes32 (see `templates/layout.js`). Each entry is either a layout description or
+//   // the path of a JSON file containing one, relative to the configuration file. When `tests` is set, a Foundry
+//   // round-trip test of each library is generated in that directory, relative to the configuration file.
+//   "Packing": { "layouts": ["layouts/Entry.json"], "tests": "test/packing" },
+//   // Struct layouts locating the members of a struct in storage (see `templates/layout.js`), configured like the
+//   // `Packing` layouts.
+//   "SlotDerivation": { "structs": ["layouts/Position.json"], "tests": "test/slots" },
+//   // Types of the storage and transient slots. Each entry is either a type or an object with a `type` and a custom
+//   // slot `name`. Non-value types are ignored by `TransientSlot`. When `tests` is set, a Foundry test of the library
+//   // is generated in that directory, relative to the configuration file.
+//   "StorageSlot": { "types": ["uint128", "Price"], "tests": "test/slots" },
+//   "TransientSlot": { "types": ["bool", { "type": "Price", "name": "TransientPrice" }] }
+// }
+//
+// Maps are built on top of `EnumerableSet.Bytes32Set` (and of the set of their key type for maps involving `string` or
+// `bytes`). Unless the configured sets include all of them, the generated `EnumerableMap` imports `EnumerableSet` from
+// `@openzeppelin/contracts`.
+
+// Entries supported in a configuration file.
+const ENTRIES = [
+  'output',
+  'udvts',
+  'EnumerableSet',
+  'EnumerableMap',
+  'Packing',
+  'SlotDerivation',
+  'StorageSlot',
+  'TransientSlot',
+];
+
+const DEFAULT_SET_PATH = '@openzeppelin/contracts/utils/structs/EnumerableSet.sol';
+
+function loadConfig(file) {
+  const config = require(path.resolve(file));
+  const root = path.resolve(path.dirname(file), config.output ?? '.');
+  const udvts = config.udvts ?? {};
+
+  const underlying = type => udvts[type]?.underlying;
+  const imports = types =>
+    [...new Set(types)].filter(type => type in udvts).map(type => ({ name: type, path: udvts[type].path }));
+
+  for (const key of Object.keys(config)) {
+    if (!ENTRIES.includes(key)) {
+      throw new Error(`Unsupported configuration entry "${key}" in ${file}`);
+    }
+  }
+
+  const targets = [];
+  let sets = [];
+
+  if (config.EnumerableSet) {
+    const TYPES = config.EnumerableSet.types
+      .map(entry => (typeof entry === 'string' ? { type: entry } : entry))
+      .map(({ type, name }) => EnumerableSetOpts.formatType(type, { name, underlying: underlying(type) }));
+
+    sets = TYPES.map(({ name }) => name);
+
+    targets.push(
+      target(root, 'EnumerableSet.sol', 'EnumerableSet.js', {
+        TYPES,
+        IMPORTS: imports(TYPES.map(({ type }) => type)),
+      }),
+    );
+  }
+
+  if (config.EnumerableMap) {
+    const TYPES = config.EnumerableMap.types
+      .map(entry => (Array.isArray(entry) ? { key: entry[0], value: entry[1] } : entry))
+      .map(({ key, value, name }) =>
+        EnumerableMapOpts.formatType(key, value, {
+          name,
+          keyUnderlying: underlying(key),
+          valueUnderlying: underlying(value),
+        }),
+      );
+
+    const requiredSets = ['Bytes32Set'].concat(
+      TYPES.filter(({ keyType, valueType }) => !isValueType(keyType) || !isValueType(valueType)).map(
+        ({ keySet }) => keySet,
+      ),
+    );
+    const available = list => requiredSets.every(set => list.includes(set));
+
+    if (!available(sets) && !available(EnumerableSetOpts.TYPES.map(({ name }) => name))) {
+      throw new Error(`EnumerableMap requires the following sets to be configured: ${requiredSets.join(', ')}`);
+    }
+
+    targets.push(
+      target(root, 'EnumerableMap.sol', 'EnumerableMap.js', {
+        TYPES,
+        IMPORTS: imports(TYPES.flatMap(({ keyType, valueType }) => [keyType, valueType])),
+        SET_PATH: available(sets) ? EnumerableMapOpts.SET_PATH : DEFAULT_SET_PATH,
+      }),
+    );
+  }
+
+  if (config.Packing) {
+    const tests = config.Packing.tests && path.resolve(path.dirname(file), config.Packing.tests);
+
+    for (const entry of config.Packing.layouts) {
+      const LAYOUT = typeof entry === 'string' ? require(path.resolve(path.dirname(file), entry)) : entry;
+      const output = path.join(root, `${LAYOUT.library}.sol`);
+
+      targets.push(target(root, `${LAYOUT.library}.sol`, 'Packing.js', { SIZES: PackingOpts.SIZES, LAYOUT }));
+
+      if (tests) {
+        const LIBRARY_PATH = path.relative(tests, output).replace(/^(?!\.)/, './');
+        targets.push(
+          target(tests, `${LAYOUT.library}.t.sol`, 'Packing.t.js', { SIZES: PackingOpts.SIZES, LAYOUT, LIBRARY_PATH }),
+        );
+      }
+    }
+  }
+
+  if (config.SlotDerivation) {
+    const tests = config.SlotDerivation.tests && path.resolve(path.dirname(file), config.SlotDerivation.tests);
+
+    for (const entry of config.SlotDerivation.structs) {
+      const STRUCT = typeof entry === 'string' ? require(path.resolve(path.dirname(file), entry)) : entry;
+      const output = path.join(root, `${STRUCT.library}.sol`);
+
+      targets.push(target(root, `${STRUCT.library}.sol`, 'SlotDerivation.js', { STRUCT }));
+
+      if (tests) {
+        const LIBRARY_PATH = path.relative(tests, output).replace(/^(?!\.)/, './');
+        targets.push(target(tests, `${STRUCT.library}.t.sol`, 'SlotDerivation.t.js', { STRUCT, LIBRARY_PATH }));
+      }
+    }
+  }
+
+  for (const library of ['StorageSlot', 'TransientSlot'].filter(library => config[library])) {
+    const tests = config[library].tests && path.resolve(path.dirname(file), config[library].tests);
+    const TYPES = config[library].types
+      .map(entry => (typeof entry === 'string' ? { type: entry } : entry))
+      .map(({ type, name }) => StorageSlotOpts.formatType(type, { name, underlying: underlying(type) }));
+    const IMPORTS = imports(TYPES.map(({ type }) => type));
+
+    targets.push(target(root, `${library}.sol`, `${library}.js`, { TYPES, IMPORTS }));
+
+    if (tests) {
+      // imports of the tests are relative to the tests directory
+      const relative = file => path.relative(tests, path.resolve(root, file)).replace(/^(?!\.)/, './');
+      targets.push(
+        target(tests, `${library}.t.sol`, `${library}.t.js`, {
+          TYPES,
+          IMPORTS: IMPORTS.map(({ name, path }) => ({ name, path: relative(path) })),
+          LIBRARY_PATH: relative(`${library}.sol`),
+        }),
+      );
+    }
+  }
+
+  return targets;
+}
+
+module.exports = {
+  loadConfig,
+};
@@ -13,4 +13,101 @@ function* indentEach(indent, lines) {
   }
 }
 
-module.exports = formatLines;
+// BUILDERS
+// Declarations formatted the way prettier-plugin-solidity prints them (see .prettierrc), so that the generated files
+// don't need to go through prettier. Declarations are built for a given indentation level (by default 1, for the
+// members of a library or a contract) and returned as strings, that can be passed to `formatLines` or used in a
+// template string.
+
+const PRINT_WIDTH = 120;
+const TAB = '    ';
+
+const fits = (line, indent) => TAB.length * indent + line.length <= PRINT_WIDTH;
+
+// A list of parameters, on a single line if it fits or with one parameter per line otherwise.
+const list = (open, items, close, indent) =>
+  items.length === 0 || fits(`${open}${items.join(', ')}${close}`, indent)
+    ? `${open}${items.join(', ')}${close}`
+    : [open, ...items.map((item, i) => TAB + item + (i < items.length - 1 ? ',' : '')), close].join('\n');
+
+// NatSpec block. `doc` is either a string (used as `@dev`) or an object with optional `notice`, `dev`, `params` (an
+// object mapping the name of each parameter to its description), `returns` (a description, or a list of descriptions)
+// and `custom` (an object mapping custom tags, e.g. `storage-location`, to their value) entries. Descriptions can span
+// multiple lines.
+function natspec(doc) {
+  if (!doc) return '';
+  const { notice, dev, params = {}, returns = [], custom = {} } = typeof doc === 'string' ? { dev: doc } : doc;
+  const tags = [].concat(
+    notice ? [['@notice', notice]] : [],
+    dev ? [['@dev', dev]] : [],
+    Object.entries(params).map(([name, description]) => [`@param ${name}`, description]),
+    [].concat(returns).map(description => ['@return', description]),
+    Object.entries(custom).map(([tag, value]) => [`@custom:${tag}`, value]),
+  );
+  return [
+    '/**',
+    ...tags.flatMap(([tag, text]) => `${tag} ${text}`.split('\n').map(line => (line === '' ? ' *' : ` * ${line}`))),
+    ' */',
+  ].join('\n');
+}
+
+// Function header, up to (and including) the opening brace of the body. `modifiers` is a list of keywords (visibility,
+// mutability, ...) and `returns` is the list of return parameters, if any.
+function signature({ name, params = [], modifiers = [], returns }, indent = 1) {
+  const suffix = [...modifiers, ...(returns ? [`returns (${returns.join(', ')})`] : [])].map(s => ` ${s}`).join('');
+
+  // on a single line if it fits
+  const line = `function ${name}(${params.join(', ')})${suffix} {`;
+  if (fits(line, indent)) return line;
+
+  // otherwise, with one parameter per line, and the modifiers after the closing parenthesis if they fit
+  const head = params.length ? list(`function ${name}(`, params, ')', Infinity) : `function ${name}()`;
+  if (params.length && fits(`)${suffix} {`, indent)) return `${head}${suffix} {`;
+
+  // otherwise, with one modifier per line (and the return parameters on a single line if they fit)
+  const tail = [...modifiers, ...(returns ? list('returns (', returns, ')', indent + 1).split('\n') : [])];
+  return [head, ...tail.map(line => TAB + line), '{'].join('\n');
+}
+
+// Function definition. `body` is a list of lines (or a string), indented once in the definition. Without a body, the
+// function is declared but not implemented.
+function fn({ doc, body, ...header }, indent = 1) {
+  const lines = [].concat(body ?? []).flatMap(line => line.split('\n'));
+  const declaration =
+    body === undefined
+      ? signature(header, indent).replace(/\s*\{$/, ';')
+      : lines.length === 0
+      ? `${signature(header, indent)}}`
+      : [signature(header, indent), ...lines.map(line => (line === '' ? '' : TAB + line)), '}'].join('\n');
+  return [natspec(doc), declaration].filter(Boolean).join('\n');
+}
+
+// Error and event declarations.
+const declaration =
+  keyword =>
+  ({ doc, name, params = [] }, indent = 1) =>
+    [natspec(doc), list(`${keyword} ${name}(`, params, ');', indent)].filter(Boolean).join('\n');
+
+// Library (or contract) definition. Members are separated by an empty line, and are expected to be built for the
+// default indentation level. `disable` lists the solhint rules disabled for the whole definition.
+function library({ doc, name, kind = 'library', disable = [], members = [] }) {
+  return formatLines(
+    ...[natspec(doc), disable.length ? `// solhint-disable ${disable.join(', ')}` : ''].filter(Boolean),
+    `${kind} ${name} {`,
+    members
+      .filter(Boolean)
+      .map(member => member.trimEnd())
+      .join('\n\n')
+      .split('\n'),
+    '}',
+  );
+}
+
+module.exports = Object.assign(formatLines, {
+  natspec,
+  signature,
+  fn,
+  error: declaration('error'),
+  event: declaration('event'),
+  library,
+});
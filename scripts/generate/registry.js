@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const match = require('micromatch');
+
+const TEMPLATES = path.join(__dirname, 'templates');
+
+// Each target is described by:
+// - `root`: the directory (relative to the repository root) the file is generated into
+// - `file`: the path of the generated file, relative to `root`
+// - `template`: the template module, relative to the templates directory
+// - `opts`: the options module passed to the template, relative to the templates directory, or the options object
+function target(root, file, template, opts) {
+  return { root, file, template, opts, output: path.join(root, file) };
+}
+
+// Targets of the repository. Each template module lists the files generated from it in a `targets` property, with
+// their `root`, `file` and `opts`. Options modules are skipped, and helpers (such as `conversion.js`) have no targets.
+const targets = fs
+  .readdirSync(TEMPLATES)
+  .filter(template => template.endsWith('.js') && !template.endsWith('.opts.js'))
+  .sort()
+  .flatMap(template =>
+    (require(path.join(TEMPLATES, template)).targets ?? []).map(({ root, file, opts }) =>
+      target(root, file, template, opts),
+    ),
+  );
+
+// Select targets whose output path matches (at least) one of the patterns. Patterns without a slash are matched
+// against the basename of the output path. No pattern selects all targets.
+function select(patterns = [], list = targets) {
+  return patterns.length ? list.filter(({ output }) => match.any(output, patterns, { basename: true })) : list;
+}
+
+module.exports = {
+  targets,
+  target,
+  select,
+};
@@ -1,9 +1,38 @@
 #!/usr/bin/env node
 
-// const cp = require('child_process');
+const cp = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const format = require('./format-lines');
+const registry = require('./registry');
+const { loadConfig } = require('./config');
+
+const { argv } = require('yargs')
+  .usage('$0 [--config <file>] [--only <glob>...] [--check] [--list]')
+  .options({
+    config: {
+      type: 'string',
+      description: 'Generate the targets described by a project configuration (JSON or JS) instead of the library',
+    },
+    only: {
+      type: 'array',
+      default: [],
+      description: 'Only process the targets whose output path matches one of these globs',
+    },
+    check: {
+      type: 'boolean',
+      default: false,
+      description: 'Do not write any file. Print a diff for each stale target and exit with a non-zero code',
+    },
+    list: {
+      type: 'boolean',
+      default: false,
+      description: 'List the targets (and their template and options module) without generating them',
+    },
+  });
+
+const ROOT = path.join(__dirname, '../..');
 
 function getVersion(path) {
   try {
@@ -13,46 +42,69 @@ function getVersion(path) {
   }
 }
 
-function generateFromTemplate(file, template, outputPrefix = '') {
-  const script = path.relative(path.join(__dirname, '../..'), __filename);
-  const input = path.join(path.dirname(script), template);
-  const output = path.join(outputPrefix, file);
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+function generateFromTemplate({ root, file, template, opts }) {
+  const input = path.relative(ROOT, path.join(__dirname, 'templates', template));
+  const output = path.resolve(ROOT, root, file);
   const version = getVersion(output);
   const content = format(
     '// SPDX-License-Identifier: MIT',
     ...(version ? [version + ` (${file})`] : []),
     `// This file was procedurally generated from ${input}.`,
     '',
-    require(template).trimEnd(),
+    require(`./templates/${template}`)(typeof opts === 'string' ? require(`./templates/${opts}`) : opts).trimEnd(),
   );
 
-  fs.writeFileSync(output, content);
-  // cp.execFileSync('prettier', ['--write', output]);
+  return { output, content };
+}
+
+function diff(output, content) {
+  const label = path.relative(ROOT, output);
+  const tmp = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'oz-generate-')), path.basename(output));
+  try {
+    fs.writeFileSync(tmp, content);
+    return cp.spawnSync('diff', ['-u', '--label', `a/${label}`, '--label', `b/${label}`, '--', output, tmp], {
+      encoding: 'utf8',
+    }).stdout;
+  } finally {
+    fs.rmSync(path.dirname(tmp), { recursive: true, force: true });
+  }
 }
 
-// Contracts
-for (const [file, template] of Object.entries({
-  'utils/cryptography/MerkleProof.sol': './templates/MerkleProof.js',
-  'utils/math/SafeCast.sol': './templates/SafeCast.js',
-  'utils/structs/Checkpoints.sol': './templates/Checkpoints.js',
-  'utils/structs/EnumerableSet.sol': './templates/EnumerableSet.js',
-  'utils/structs/EnumerableMap.sol': './templates/EnumerableMap.js',
-  'utils/SlotDerivation.sol': './templates/SlotDerivation.js',
-  'utils/StorageSlot.sol': './templates/StorageSlot.js',
-  'utils/TransientSlot.sol': './templates/TransientSlot.js',
-  'utils/Arrays.sol': './templates/Arrays.js',
-  'utils/Packing.sol': './templates/Packing.js',
-  'mocks/StorageSlotMock.sol': './templates/StorageSlotMock.js',
-  'mocks/TransientSlotMock.sol': './templates/TransientSlotMock.js',
-})) {
-  generateFromTemplate(file, template, './contracts/');
+const targets = registry.select(argv.only.map(String), argv.config ? loadConfig(argv.config) : registry.targets);
+
+if (targets.length === 0) {
+  console.error(`No target matches ${argv.only.join(', ')}`);
+  process.exit(1);
 }
 
-// Tests
-for (const [file, template] of Object.entries({
-  'utils/structs/Checkpoints.t.sol': './templates/Checkpoints.t.js',
-  'utils/Packing.t.sol': './templates/Packing.t.js',
-  'utils/SlotDerivation.t.sol': './templates/SlotDerivation.t.js',
-})) {
-  generateFromTemplate(file, template, './test/');
+for (const target of targets) {
+  if (argv.list) {
+    console.log(
+      `${target.output} (template: ${target.template}, options: ${
+        typeof target.opts === 'string' ? target.opts : argv.config
+      })`,
+    );
+    continue;
+  }
+
+  const { output, content } = generateFromTemplate(target);
+
+  if (argv.check) {
+    if (readFile(output) !== content) {
+      console.log(`${target.output} is out of date:`);
+      console.log(diff(output, content) || '(file is missing)');
+      process.exitCode = 1;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, content);
+  }
 }
@@ -1,6 +1,5 @@
 const format = require('../format-lines');
 const { capitalize } = require('../../helpers');
-const { TYPES } = require('./Arrays.opts');
 
 const header = `\
 pragma solidity ^0.8.20;
@@ -145,7 +144,7 @@ function _castToUint256Comp(
 }
 `;
 
-const search = `\
+const findUpperBound = `\
 /**
  * @dev Searches a sorted \`array\` and returns the first index that contains
  * a value greater or equal to \`element\`. If no such index exists (i.e. all
@@ -186,7 +185,9 @@ function findUpperBound(uint256[] storage array, uint256 element) internal view
         return low;
     }
 }
+`;
 
+const search = type => `\
 /**
  * @dev Searches an \`array\` sorted in ascending order and returns the first
  * index that contains a value greater or equal than \`element\`. If no such index
@@ -195,7 +196,7 @@ function findUpperBound(uint256[] storage array, uint256 element) internal view
  *
  * See C++'s https://en.cppreference.com/w/cpp/algorithm/lower_bound[lower_bound].
  */
-function lowerBound(uint256[] storage array, uint256 element) internal view returns (uint256) {
+function lowerBound(${type}[] storage array, ${type} element) internal view returns (uint256) {
     uint256 low = 0;
     uint256 high = array.length;
 
@@ -229,7 +230,7 @@ function lowerBound(uint256[] storage array, uint256 element) internal view retu
  *
  * See C++'s https://en.cppreference.com/w/cpp/algorithm/upper_bound[upper_bound].
  */
-function upperBound(uint256[] storage array, uint256 element) internal view returns (uint256) {
+function upperBound(${type}[] storage array, ${type} element) internal view returns (uint256) {
     uint256 low = 0;
     uint256 high = array.length;
 
@@ -258,7 +259,7 @@ function upperBound(uint256[] storage array, uint256 element) internal view retu
 /**
  * @dev Same as {lowerBound}, but with an array in memory.
  */
-function lowerBoundMemory(uint256[] memory array, uint256 element) internal pure returns (uint256) {
+function lowerBoundMemory(${type}[] memory array, ${type} element) internal pure returns (uint256) {
     uint256 low = 0;
     uint256 high = array.length;
 
@@ -287,7 +288,7 @@ function lowerBoundMemory(uint256[] memory array, uint256 element) internal pure
 /**
  * @dev Same as {upperBound}, but with an array in memory.
  */
-function upperBoundMemory(uint256[] memory array, uint256 element) internal pure returns (uint256) {
+function upperBoundMemory(${type}[] memory array, ${type} element) internal pure returns (uint256) {
     uint256 low = 0;
     uint256 high = array.length;
 
@@ -312,6 +313,219 @@ function upperBoundMemory(uint256[] memory array, uint256 element) internal pure
 
     return low;
 }
+
+/**
+ * @dev Same as {lowerBound}, but with an array in calldata.
+ */
+function lowerBoundCalldata(${type}[] calldata array, ${type} element) internal pure returns (uint256) {
+    uint256 low = 0;
+    uint256 high = array.length;
+
+    if (high == 0) {
+        return 0;
+    }
+
+    while (low < high) {
+        uint256 mid = Math.average(low, high);
+
+        // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+        // because Math.average rounds towards zero (it does integer division with truncation).
+        if (array[mid] < element) {
+            // this cannot overflow because mid < high
+            unchecked {
+                low = mid + 1;
+            }
+        } else {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * @dev Same as {upperBound}, but with an array in calldata.
+ */
+function upperBoundCalldata(${type}[] calldata array, ${type} element) internal pure returns (uint256) {
+    uint256 low = 0;
+    uint256 high = array.length;
+
+    if (high == 0) {
+        return 0;
+    }
+
+    while (low < high) {
+        uint256 mid = Math.average(low, high);
+
+        // Note that mid will always be strictly less than high (i.e. it will be a valid array index)
+        // because Math.average rounds towards zero (it does integer division with truncation).
+        if (array[mid] > element) {
+            high = mid;
+        } else {
+            // this cannot overflow because mid < high
+            unchecked {
+                low = mid + 1;
+            }
+        }
+    }
+
+    return low;
+}
+`;
+
+const binarySearch = type => `\
+/**
+ * @dev Searches an \`array\` sorted in ascending order for \`element\`. Returns whether the element was found,
+ * and the first index that contains a value greater or equal than \`element\` (see {lowerBound}), which is the
+ * position of the element if it was found. Time complexity O(log n).
+ */
+function binarySearch(${type}[] storage array, ${type} element) internal view returns (bool found, uint256 index) {
+    index = lowerBound(array, element);
+    found = index < array.length && unsafeAccess(array, index).value == element;
+}
+
+/**
+ * @dev Same as {binarySearch}, but with an array in memory.
+ */
+function binarySearchMemory(
+    ${type}[] memory array,
+    ${type} element
+) internal pure returns (bool found, uint256 index) {
+    index = lowerBoundMemory(array, element);
+    found = index < array.length && unsafeMemoryAccess(array, index) == element;
+}
+
+/**
+ * @dev Same as {binarySearch}, but with an array in calldata.
+ */
+function binarySearchCalldata(
+    ${type}[] calldata array,
+    ${type} element
+) internal pure returns (bool found, uint256 index) {
+    index = lowerBoundCalldata(array, element);
+    found = index < array.length && array[index] == element;
+}
+`;
+
+const unique = type => `\
+/**
+ * @dev Removes the duplicated values of a sorted array of ${type} (in memory), so that each value appears only once.
+ *
+ * This function works "in place": it moves the unique values to the start of the array and reduces its length. The
+ * object is returned for convenience, but that returned value can be discarded safely if the caller has a memory
+ * pointer to the array.
+ *
+ * NOTE: The \`array\` is expected to be sorted (see {sort}), so that duplicated values are consecutive. Values that
+ * are not consecutive are not deduplicated.
+ */
+function unique(${type}[] memory array) internal pure returns (${type}[] memory) {
+    uint256 length = array.length;
+    if (length == 0) {
+        return array;
+    }
+
+    uint256 count = 1;
+    for (uint256 i = 1; i < length; ++i) {
+        ${type} value = unsafeMemoryAccess(array, i);
+        if (value != unsafeMemoryAccess(array, count - 1)) {
+            array[count++] = value;
+        }
+    }
+
+    assembly ("memory-safe") {
+        mstore(array, count)
+    }
+    return array;
+}
+
+/**
+ * @dev Variant of {unique} that copies an array of ${type} in calldata to memory before removing the duplicated values.
+ */
+function uniqueCalldata(${type}[] calldata array) internal pure returns (${type}[] memory) {
+    return unique(array);
+}
+`;
+
+const reverse = type => `\
+/**
+ * @dev Reverse the order of the elements of an array of ${type} (in memory).
+ *
+ * This function works "in place", meaning that it overrides the input. The object is returned for convenience, but
+ * that returned value can be discarded safely if the caller has a memory pointer to the array.
+ */
+function reverse(${type}[] memory array) internal pure returns (${type}[] memory) {
+    uint256 length = array.length;
+    for (uint256 i = 0; i < length / 2; ++i) {
+        uint256 j = length - 1 - i;
+        (array[i], array[j]) = (array[j], array[i]);
+    }
+    return array;
+}
+
+/**
+ * @dev Variant of {reverse} that copies an array of ${type} in calldata to memory before reversing it.
+ */
+function reverseCalldata(${type}[] calldata array) internal pure returns (${type}[] memory) {
+    return reverse(array);
+}
+`;
+
+const slice = type => `\
+/**
+ * @dev Copies the content of \`array\`, from \`start\` (included) to the end of \`array\` into a new ${type} array in
+ * memory.
+ *
+ * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's \`Array.slice\`]
+ */
+function slice(${type}[] memory array, uint256 start) internal pure returns (${type}[] memory) {
+    return slice(array, start, array.length);
+}
+
+/**
+ * @dev Copies the content of \`array\`, from \`start\` (included) to \`end\` (excluded) into a new ${type} array in
+ * memory.
+ *
+ * NOTE: replicates the behavior of https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice[Javascript's \`Array.slice\`]
+ */
+function slice(${type}[] memory array, uint256 start, uint256 end) internal pure returns (${type}[] memory) {
+    // sanitize
+    uint256 length = array.length;
+    end = Math.min(end, length);
+    start = Math.min(start, end);
+
+    // allocate and copy
+    ${type}[] memory result = new ${type}[](end - start);
+    for (uint256 i = start; i < end; ++i) {
+        result[i - start] = unsafeMemoryAccess(array, i);
+    }
+
+    return result;
+}
+
+/**
+ * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of \`array\`: no
+ * copy is performed.
+ */
+function sliceCalldata(${type}[] calldata array, uint256 start) internal pure returns (${type}[] calldata) {
+    return sliceCalldata(array, start, array.length);
+}
+
+/**
+ * @dev Same as {slice}, but with an array in calldata. The returned array is a calldata slice of \`array\`: no
+ * copy is performed.
+ */
+function sliceCalldata(
+    ${type}[] calldata array,
+    uint256 start,
+    uint256 end
+) internal pure returns (${type}[] calldata) {
+    // sanitize
+    uint256 length = array.length;
+    end = Math.min(end, length);
+    start = Math.min(start, end);
+
+    return array[start:end];
+}
 `;
 
 const unsafeAccessStorage = type => `\
@@ -358,27 +572,36 @@ function unsafeSetLength(${type}[] storage array, uint256 len) internal {
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library Arrays {',
+module.exports = ({ TYPES }) =>
   format(
-    [].concat(
-      'using SlotDerivation for bytes32;',
-      'using StorageSlot for bytes32;',
-      '',
-      // sorting, comparator, helpers and internal
-      sort('uint256'),
-      TYPES.filter(type => type !== 'uint256').map(sort),
-      quickSort,
-      TYPES.filter(type => type !== 'uint256').map(castArray),
-      TYPES.filter(type => type !== 'uint256').map(castComparator),
-      // lookup
-      search,
-      // unsafe (direct) storage and memory access
-      TYPES.map(unsafeAccessStorage),
-      TYPES.map(unsafeAccessMemory),
-      TYPES.map(unsafeSetLength),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header.trimEnd(),
+    'library Arrays {',
+    format(
+      [].concat(
+        'using SlotDerivation for bytes32;',
+        'using StorageSlot for bytes32;',
+        '',
+        // sorting, comparator, helpers and internal
+        sort('uint256'),
+        TYPES.filter(type => type !== 'uint256').map(sort),
+        quickSort,
+        TYPES.filter(type => type !== 'uint256').map(castArray),
+        TYPES.filter(type => type !== 'uint256').map(castComparator),
+        // lookup
+        findUpperBound,
+        TYPES.map(search),
+        TYPES.map(binarySearch),
+        // manipulation
+        TYPES.map(unique),
+        TYPES.map(reverse),
+        TYPES.map(slice),
+        // unsafe (direct) storage and memory access
+        TYPES.map(unsafeAccessStorage),
+        TYPES.map(unsafeAccessMemory),
+        TYPES.map(unsafeSetLength),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'utils/Arrays.sol', opts: 'Arrays.opts.js' }];
@@ -0,0 +1,204 @@
+const format = require('../format-lines');
+const { capitalize } = require('../../helpers');
+
+// TEMPLATE
+const header = `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {SymTest} from "halmos-cheatcodes/SymTest.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {Arrays} from "@openzeppelin/contracts/utils/Arrays.sol";
+`;
+
+const sort = `\
+function testSort(uint256[] memory values) public pure {
+    Arrays.sort(values);
+    _assertSort(values);
+}
+
+function symbolicSort() public pure {
+    uint256[] memory values = new uint256[](3);
+    for (uint256 i = 0; i < 3; i++) {
+        values[i] = svm.createUint256("arrayElement");
+    }
+    Arrays.sort(values);
+    _assertSort(values);
+}
+`;
+
+const storage = type => `${type}[] private _${type}Array;`;
+
+const search = type => `\
+function testLowerBound${capitalize(type)}(${type}[] memory values, ${type} element) public {
+    Arrays.sort(values);
+    _${type}Array = values;
+
+    // reference: index of the first value that is greater or equal than element
+    uint256 expected = values.length;
+    for (uint256 i = values.length; i > 0; --i) {
+        if (values[i - 1] >= element) expected = i - 1;
+    }
+
+    assertEq(Arrays.lowerBound(_${type}Array, element), expected);
+    assertEq(Arrays.lowerBoundMemory(values, element), expected);
+    assertEq(this.lowerBoundCalldata(values, element), expected);
+}
+
+function testUpperBound${capitalize(type)}(${type}[] memory values, ${type} element) public {
+    Arrays.sort(values);
+    _${type}Array = values;
+
+    // reference: index of the first value that is strictly greater than element
+    uint256 expected = values.length;
+    for (uint256 i = values.length; i > 0; --i) {
+        if (values[i - 1] > element) expected = i - 1;
+    }
+
+    assertEq(Arrays.upperBound(_${type}Array, element), expected);
+    assertEq(Arrays.upperBoundMemory(values, element), expected);
+    assertEq(this.upperBoundCalldata(values, element), expected);
+}
+
+function testBinarySearch${capitalize(type)}(${type}[] memory values, ${type} element, bool pick) public {
+    Arrays.sort(values);
+    _${type}Array = values;
+
+    // search for an element of the array half of the time
+    if (pick && values.length > 0) element = values[uint256(keccak256(abi.encode(element))) % values.length];
+
+    // reference: index of the first occurrence of element, or the lower bound if element is not in the array
+    bool expectedFound = false;
+    uint256 expectedIndex = Arrays.lowerBoundMemory(values, element);
+    for (uint256 i = 0; i < values.length; ++i) {
+        if (values[i] == element) {
+            expectedFound = true;
+            expectedIndex = i;
+            break;
+        }
+    }
+
+    (bool found, uint256 index) = Arrays.binarySearch(_${type}Array, element);
+    assertEq(found, expectedFound);
+    assertEq(index, expectedIndex);
+
+    (found, index) = Arrays.binarySearchMemory(values, element);
+    assertEq(found, expectedFound);
+    assertEq(index, expectedIndex);
+
+    (found, index) = this.binarySearchCalldata(values, element);
+    assertEq(found, expectedFound);
+    assertEq(index, expectedIndex);
+}
+`;
+
+const manipulation = type => `\
+function testUnique${capitalize(type)}(${type}[] memory values) public view {
+    Arrays.sort(values);
+    ${type}[] memory result = this.uniqueCalldata(values);
+
+    // values are strictly increasing
+    for (uint256 i = 1; i < result.length; ++i) {
+        assertTrue(result[i - 1] < result[i]);
+    }
+    // all values of the input are kept
+    for (uint256 i = 0; i < values.length; ++i) {
+        (bool found, ) = Arrays.binarySearchMemory(result, values[i]);
+        assertTrue(found);
+    }
+    // the memory variant (that works in place) returns the same values
+    assertEq(Arrays.unique(values), result);
+}
+
+function testReverse${capitalize(type)}(${type}[] memory values) public view {
+    ${type}[] memory expected = new ${type}[](values.length);
+    for (uint256 i = 0; i < values.length; ++i) {
+        expected[i] = values[values.length - 1 - i];
+    }
+
+    assertEq(this.reverseCalldata(values), expected);
+    assertEq(Arrays.reverse(values), expected);
+}
+
+function testSlice${capitalize(type)}(${type}[] memory values, uint256 start, uint256 end) public view {
+    // reference: same sanitization as Javascript's Array.slice (for non-negative indices)
+    uint256 sanitizedEnd = Math.min(end, values.length);
+    uint256 sanitizedStart = Math.min(start, sanitizedEnd);
+    ${type}[] memory expected = new ${type}[](sanitizedEnd - sanitizedStart);
+    for (uint256 i = sanitizedStart; i < sanitizedEnd; ++i) {
+        expected[i - sanitizedStart] = values[i];
+    }
+
+    assertEq(Arrays.slice(values, start, end), expected);
+    assertEq(this.sliceCalldata(values, start, end), expected);
+    assertEq(Arrays.slice(values, start), Arrays.slice(values, start, values.length));
+    assertEq(this.sliceCalldata(values, start), Arrays.slice(values, start, values.length));
+}
+`;
+
+const wrappers = type => `\
+function lowerBoundCalldata(${type}[] calldata values, ${type} element) external pure returns (uint256) {
+    return Arrays.lowerBoundCalldata(values, element);
+}
+
+function upperBoundCalldata(${type}[] calldata values, ${type} element) external pure returns (uint256) {
+    return Arrays.upperBoundCalldata(values, element);
+}
+
+function binarySearchCalldata(${type}[] calldata values, ${type} element) external pure returns (bool, uint256) {
+    return Arrays.binarySearchCalldata(values, element);
+}
+
+function uniqueCalldata(${type}[] calldata values) external pure returns (${type}[] memory) {
+    return Arrays.uniqueCalldata(values);
+}
+
+function reverseCalldata(${type}[] calldata values) external pure returns (${type}[] memory) {
+    return Arrays.reverseCalldata(values);
+}
+
+function sliceCalldata(${type}[] calldata values, uint256 start) external pure returns (${type}[] memory) {
+    return Arrays.sliceCalldata(values, start);
+}
+
+function sliceCalldata(
+    ${type}[] calldata values,
+    uint256 start,
+    uint256 end
+) external pure returns (${type}[] memory) {
+    return Arrays.sliceCalldata(values, start, end);
+}
+`;
+
+const asserts = `\
+/// Asserts
+
+function _assertSort(uint256[] memory values) internal pure {
+    for (uint256 i = 1; i < values.length; ++i) {
+        assertLe(values[i - 1], values[i]);
+    }
+}
+`;
+
+// GENERATE
+module.exports = ({ TYPES }) =>
+  format(
+    header,
+    'contract ArraysTest is Test, SymTest {',
+    format(
+      [].concat(
+        TYPES.map(storage),
+        '',
+        sort,
+        TYPES.map(search),
+        TYPES.map(manipulation),
+        '// used to test calldata variants',
+        '',
+        TYPES.map(wrappers),
+        asserts,
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/Arrays.t.sol', opts: 'Arrays.opts.js' }];
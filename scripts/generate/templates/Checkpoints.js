@@ -1,5 +1,4 @@
 const format = require('../format-lines');
-const { OPTS } = require('./Checkpoints.opts');
 
 // TEMPLATE
 const header = `\
@@ -23,7 +22,29 @@ const errors = `\
 error CheckpointUnorderedInsertion();
 `;
 
-const template = opts => `\
+// Function declarations that are longer than the print width for some of the types
+const signaturesOf = opts => ({
+  push: format.signature({
+    name: 'push',
+    params: [`${opts.historyTypeName} storage self`, `${opts.keyTypeName} key`, `${opts.valueTypeName} value`],
+    modifiers: ['internal'],
+    returns: [`${opts.valueTypeName} oldValue`, `${opts.valueTypeName} newValue`],
+  }),
+  between: format.signature({
+    name: 'between',
+    params: [`${opts.historyTypeName} storage self`, `${opts.keyTypeName} fromKey`, `${opts.keyTypeName} toKey`],
+    modifiers: ['internal', 'view'],
+    returns: [`${opts.checkpointTypeName}[] memory result`],
+  }),
+  sumBetween: format.signature({
+    name: 'sumBetween',
+    params: [`${opts.historyTypeName} storage self`, `${opts.keyTypeName} fromKey`, `${opts.keyTypeName} toKey`],
+    modifiers: ['internal', 'view'],
+    returns: ['uint256 sum'],
+  }),
+});
+
+const template = (opts, signatures = signaturesOf(opts)) => `\
 struct ${opts.historyTypeName} {
     ${opts.checkpointTypeName}[] ${opts.checkpointFieldName};
 }
@@ -41,11 +62,7 @@ struct ${opts.checkpointTypeName} {
  * IMPORTANT: Never accept \`key\` as a user input, since an arbitrary \`type(${opts.keyTypeName}).max\` key set will disable the
  * library.
  */
-function push(
-    ${opts.historyTypeName} storage self,
-    ${opts.keyTypeName} key,
-    ${opts.valueTypeName} value
-) internal returns (${opts.valueTypeName} oldValue, ${opts.valueTypeName} newValue) {
+${signatures.push}
     return _insert(self.${opts.checkpointFieldName}, key, value);
 }
 
@@ -132,6 +149,63 @@ function at(${opts.historyTypeName} storage self, uint32 pos) internal view retu
     return self.${opts.checkpointFieldName}[pos];
 }
 
+/**
+ * @dev Returns the checkpoints with a key in the [\`fromKey\`, \`toKey\`] range (both inclusive), from the oldest to the
+ * most recent. The returned array is empty if \`fromKey\` is greater than \`toKey\`.
+ *
+ * WARNING: This function copies the selected checkpoints to memory, and its cost is linear in their number. It is
+ * designed to be used by view accessors that are queried without any gas fees.
+ */
+${signatures.between}
+    (uint256 start, uint256 end) = _range(self.${opts.checkpointFieldName}, fromKey, toKey);
+    result = new ${opts.checkpointTypeName}[](end - start);
+    for (uint256 i = start; i < end; ++i) {
+        result[i - start] = _unsafeAccess(self.${opts.checkpointFieldName}, i);
+    }
+}
+
+/**
+ * @dev Returns the sum of the values of the checkpoints with a key in the [\`fromKey\`, \`toKey\`] range (both
+ * inclusive), or zero if there is none.
+ *
+ * WARNING: The cost of this function is linear in the number of checkpoints in the range. It is designed to be used
+ * by view accessors that are queried without any gas fees.
+ */
+${signatures.sumBetween}
+    (uint256 start, uint256 end) = _range(self.${opts.checkpointFieldName}, fromKey, toKey);
+    for (uint256 i = start; i < end; ++i) {
+        sum += _unsafeAccess(self.${opts.checkpointFieldName}, i).${opts.valueFieldName};
+    }
+}
+
+/**
+ * @dev Removes the checkpoints that are not needed to look up keys greater or equal than \`beforeKey\`: all the
+ * checkpoints before the one that is current at \`beforeKey\`. Lookups of keys greater or equal than \`beforeKey\` are
+ * not affected, while lookups of smaller keys may return different values.
+ *
+ * Returns the number of checkpoints removed.
+ *
+ * NOTE: The remaining checkpoints are moved to the start of the array. The cost of this function is linear in the
+ * number of checkpoints.
+ */
+function prune(${opts.historyTypeName} storage self, ${opts.keyTypeName} beforeKey) internal returns (uint256 removed) {
+    ${opts.checkpointTypeName}[] storage ckpts = self.${opts.checkpointFieldName};
+    uint256 len = ckpts.length;
+    uint256 pos = _upperBinaryLookup(ckpts, beforeKey, 0, len);
+    if (pos < 2) return 0;
+
+    removed = pos - 1;
+    for (uint256 i = removed; i < len; ++i) {
+        ${opts.checkpointTypeName} storage ckpt = _unsafeAccess(ckpts, i);
+        ${opts.checkpointTypeName} storage dest = _unsafeAccess(ckpts, i - removed);
+        dest.${opts.keyFieldName} = ckpt.${opts.keyFieldName};
+        dest.${opts.valueFieldName} = ckpt.${opts.valueFieldName};
+    }
+    for (uint256 i = 0; i < removed; ++i) {
+        ckpts.pop();
+    }
+}
+
 /**
  * @dev Pushes a (\`key\`, \`value\`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
  * or by updating the last one.
@@ -214,6 +288,20 @@ function _lowerBinaryLookup(
     return high;
 }
 
+/**
+ * @dev Return the positions \`start\` and \`end\` such that the checkpoints with a key in the [\`fromKey\`, \`toKey\`] range
+ * are the ones in the [\`start\`, \`end\`) section of the array.
+ */
+function _range(
+    ${opts.checkpointTypeName}[] storage self,
+    ${opts.keyTypeName} fromKey,
+    ${opts.keyTypeName} toKey
+) private view returns (uint256 start, uint256 end) {
+    uint256 len = self.length;
+    start = _lowerBinaryLookup(self, fromKey, 0, len);
+    end = _upperBinaryLookup(self, toKey, start, len);
+}
+
 /**
  * @dev Access an element of the array without performing bounds check. The position is assumed to be within bounds.
  */
@@ -229,14 +317,17 @@ function _unsafeAccess(
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library Checkpoints {',
+module.exports = ({ OPTS }) =>
   format(
-    [].concat(
-      errors,
-      OPTS.map(opts => template(opts)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header.trimEnd(),
+    'library Checkpoints {',
+    format(
+      [].concat(
+        errors,
+        OPTS.map(opts => template(opts)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'utils/structs/Checkpoints.sol', opts: 'Checkpoints.opts.js' }];
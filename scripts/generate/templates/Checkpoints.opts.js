@@ -1,17 +1,28 @@
 // OPTIONS
-const VALUE_SIZES = [224, 208, 160];
+// Sizes (in bits) of the keys and values of each trace. A trace is named after the size of its values, and its
+// checkpoints are packed in a single slot.
+const SIZES = [
+  { keySize: 32, valueSize: 224 },
+  { keySize: 48, valueSize: 208 },
+  { keySize: 96, valueSize: 160 },
+  { keySize: 128, valueSize: 128 },
+  { keySize: 160, valueSize: 96 },
+];
 
-const defaultOpts = size => ({
-  historyTypeName: `Trace${size}`,
-  checkpointTypeName: `Checkpoint${size}`,
+const VALUE_SIZES = SIZES.map(({ valueSize }) => valueSize);
+
+const defaultOpts = ({ keySize, valueSize }) => ({
+  historyTypeName: `Trace${valueSize}`,
+  checkpointTypeName: `Checkpoint${valueSize}`,
   checkpointFieldName: '_checkpoints',
-  keyTypeName: `uint${256 - size}`,
+  keyTypeName: `uint${keySize}`,
   keyFieldName: '_key',
-  valueTypeName: `uint${size}`,
+  valueTypeName: `uint${valueSize}`,
   valueFieldName: '_value',
 });
 
 module.exports = {
+  SIZES,
   VALUE_SIZES,
-  OPTS: VALUE_SIZES.map(size => defaultOpts(size)),
+  OPTS: SIZES.map(sizes => defaultOpts(sizes)),
 };
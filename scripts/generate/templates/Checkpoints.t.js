@@ -1,6 +1,5 @@
 const format = require('../format-lines');
 const { capitalize } = require('../../helpers');
-const { OPTS } = require('./Checkpoints.opts.js');
 
 // TEMPLATE
 const header = `\
@@ -123,15 +122,89 @@ function testLookup(${opts.keyTypeName}[] memory keys, ${opts.valueTypeName}[] m
     assertEq(_ckpts.upperLookup(lookup), upper);
     assertEq(_ckpts.upperLookupRecent(lookup), upper);
 }
+
+function testBetween(${opts.keyTypeName}[] memory keys, ${opts.valueTypeName}[] memory values, ${
+  opts.keyTypeName
+} fromKey, ${opts.keyTypeName} toKey) public {
+    vm.assume(values.length > 0 && values.length <= keys.length);
+    _prepareKeys(keys, _KEY_MAX_GAP);
+
+    ${opts.keyTypeName} lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+    fromKey = _bound${capitalize(opts.keyTypeName)}(fromKey, 0, lastKey + _KEY_MAX_GAP);
+    toKey = _bound${capitalize(opts.keyTypeName)}(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+    for (uint256 i = 0; i < keys.length; ++i) {
+        _ckpts.push(keys[i], values[i % values.length]);
+    }
+
+    // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+    Checkpoints.${opts.checkpointTypeName}[] memory range = _ckpts.between(fromKey, toKey);
+    uint256 count = 0;
+    uint256 sum = 0;
+    for (uint256 i = 0; i < _ckpts.length(); ++i) {
+        Checkpoints.${opts.checkpointTypeName} memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+        if (fromKey <= ckpt.${opts.keyFieldName} && ckpt.${opts.keyFieldName} <= toKey) {
+            assertLt(count, range.length);
+            assertEq(range[count].${opts.keyFieldName}, ckpt.${opts.keyFieldName});
+            assertEq(range[count].${opts.valueFieldName}, ckpt.${opts.valueFieldName});
+            sum += ckpt.${opts.valueFieldName};
+            ++count;
+        }
+    }
+    assertEq(range.length, count);
+    assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+}
+
+function testPrune(${opts.keyTypeName}[] memory keys, ${opts.valueTypeName}[] memory values, ${
+  opts.keyTypeName
+} beforeKey, ${opts.keyTypeName} lookup) public {
+    vm.assume(values.length > 0 && values.length <= keys.length);
+    _prepareKeys(keys, _KEY_MAX_GAP);
+
+    ${opts.keyTypeName} lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+    beforeKey = _bound${capitalize(opts.keyTypeName)}(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+    lookup = _bound${capitalize(opts.keyTypeName)}(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+    for (uint256 i = 0; i < keys.length; ++i) {
+        _ckpts.push(keys[i], values[i % values.length]);
+    }
+
+    // state before pruning
+    uint256 length = _ckpts.length();
+    ${opts.valueTypeName} lower = _ckpts.lowerLookup(lookup);
+    ${opts.valueTypeName} upper = _ckpts.upperLookup(lookup);
+    (bool exist, ${opts.keyTypeName} key, ${opts.valueTypeName} value) = _ckpts.latestCheckpoint();
+
+    // prune
+    uint256 removed = _ckpts.prune(beforeKey);
+    assertEq(_ckpts.length(), length - removed);
+
+    // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+    if (_ckpts.length() > 1) {
+        assertGt(_ckpts.at(1).${opts.keyFieldName}, beforeKey);
+    }
+
+    // lookups of keys greater or equal than beforeKey are not affected
+    assertEq(_ckpts.lowerLookup(lookup), lower);
+    assertEq(_ckpts.upperLookup(lookup), upper);
+    assertEq(_ckpts.upperLookupRecent(lookup), upper);
+    _assertLatestCheckpoint(exist, key, value);
+
+    // pruning again is a no-op
+    assertEq(_ckpts.prune(beforeKey), 0);
+}
 `;
 
 // GENERATE
-module.exports = format(
-  header,
-  ...OPTS.flatMap(opts => [
-    `contract Checkpoints${opts.historyTypeName}Test is Test {`,
-    [template(opts).trimEnd()],
-    '}',
-    '',
-  ]),
-);
+module.exports = ({ OPTS }) =>
+  format(
+    header,
+    ...OPTS.flatMap(opts => [
+      `contract Checkpoints${opts.historyTypeName}Test is Test {`,
+      [template(opts).trimEnd()],
+      '}',
+      '',
+    ]),
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/structs/Checkpoints.t.sol', opts: 'Checkpoints.opts.js' }];
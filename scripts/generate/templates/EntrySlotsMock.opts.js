@@ -0,0 +1,20 @@
+// Example struct layout, used to test the libraries locating struct members in storage (see `layout.js`).
+module.exports = {
+  SLOT_DERIVATION_PATH: '../utils/SlotDerivation.sol',
+  LIBRARY_PATH: '@openzeppelin/contracts/mocks/EntrySlotsMock.sol',
+  STRUCT: {
+    library: 'EntrySlotsMock',
+    struct: 'Entry',
+    fields: [
+      { name: 'owner', type: 'address' },
+      { name: 'nonce', type: 'uint64' },
+      { name: 'active', type: 'bool' },
+      { name: 'balance', type: 'uint256' },
+      { name: 'name', type: 'string' },
+      { name: 'allowances', type: 'mapping(address => uint256)' },
+      { name: 'history', type: 'uint256[]' },
+      { name: 'tag', type: 'bytes4' },
+      { name: 'delta', type: 'int16' },
+    ],
+  },
+};
@@ -1,13 +1,11 @@
 const format = require('../format-lines');
-const { fromBytes32, toBytes32 } = require('./conversion');
-const { TYPES } = require('./EnumerableMap.opts');
+const { capitalize, unique } = require('../../helpers');
+const { isValueType, fromBytes32, toBytes32 } = require('./conversion');
 
-const header = `\
+const header = imports => `\
 pragma solidity ^0.8.20;
-
-import {EnumerableSet} from "./EnumerableSet.sol";
-
-/**
+${imports.map(({ name, path }) => `\nimport {${name}} from "${path}";`).join('')}
+${imports.length ? '\n' : ''}/**
  * @dev Library for managing an enumerable variant of Solidity's
  * https://solidity.readthedocs.io/en/latest/types.html#mapping-types[\`mapping\`]
  * type.
@@ -39,6 +37,17 @@ import {EnumerableSet} from "./EnumerableSet.sol";
  * - \`address -> address\` (\`AddressToAddressMap\`) since v5.1.0
  * - \`address -> bytes32\` (\`AddressToBytes32Map\`) since v5.1.0
  * - \`bytes32 -> address\` (\`Bytes32ToAddressMap\`) since v5.1.0
+ * - \`string -> uint256\` (\`StringToUintMap\`) since v5.2.0
+ * - \`string -> address\` (\`StringToAddressMap\`) since v5.2.0
+ * - \`string -> bytes32\` (\`StringToBytes32Map\`) since v5.2.0
+ * - \`string -> string\` (\`StringToStringMap\`) since v5.2.0
+ * - \`bytes -> uint256\` (\`BytesToUintMap\`) since v5.2.0
+ * - \`bytes -> address\` (\`BytesToAddressMap\`) since v5.2.0
+ * - \`bytes -> bytes32\` (\`BytesToBytes32Map\`) since v5.2.0
+ * - \`bytes -> bytes\` (\`BytesToBytesMap\`) since v5.2.0
+ * - \`uint256 -> string\` (\`UintToStringMap\`) since v5.2.0
+ * - \`address -> string\` (\`AddressToStringMap\`) since v5.2.0
+ * - \`bytes32 -> string\` (\`Bytes32ToStringMap\`) since v5.2.0
  *
  * [WARNING]
  * ====
@@ -161,7 +170,7 @@ function keys(Bytes32ToBytes32Map storage map) internal view returns (bytes32[]
 }
 `;
 
-const customMap = ({ name, keyType, valueType }) => `\
+const customMap = ({ name, keyType, valueType, keyUnderlying, valueUnderlying }) => `\
 // ${name}
 
 struct ${name} {
@@ -176,7 +185,11 @@ struct ${name} {
  * already present.
  */
 function set(${name} storage map, ${keyType} key, ${valueType} value) internal returns (bool) {
-    return set(map._inner, ${toBytes32(keyType, 'key')}, ${toBytes32(valueType, 'value')});
+    return set(map._inner, ${toBytes32(keyType, 'key', keyUnderlying)}, ${toBytes32(
+      valueType,
+      'value',
+      valueUnderlying,
+    )});
 }
 
 /**
@@ -185,14 +198,14 @@ function set(${name} storage map, ${keyType} key, ${valueType} value) internal r
  * Returns true if the key was removed from the map, that is if it was present.
  */
 function remove(${name} storage map, ${keyType} key) internal returns (bool) {
-    return remove(map._inner, ${toBytes32(keyType, 'key')});
+    return remove(map._inner, ${toBytes32(keyType, 'key', keyUnderlying)});
 }
 
 /**
  * @dev Returns true if the key is in the map. O(1).
  */
 function contains(${name} storage map, ${keyType} key) internal view returns (bool) {
-    return contains(map._inner, ${toBytes32(keyType, 'key')});
+    return contains(map._inner, ${toBytes32(keyType, 'key', keyUnderlying)});
 }
 
 /**
@@ -213,7 +226,7 @@ function length(${name} storage map) internal view returns (uint256) {
  */
 function at(${name} storage map, uint256 index) internal view returns (${keyType} key, ${valueType} value) {
     (bytes32 atKey, bytes32 val) = at(map._inner, index);
-    return (${fromBytes32(keyType, 'atKey')}, ${fromBytes32(valueType, 'val')});
+    return (${fromBytes32(keyType, 'atKey', keyUnderlying)}, ${fromBytes32(valueType, 'val', valueUnderlying)});
 }
 
 /**
@@ -221,8 +234,8 @@ function at(${name} storage map, uint256 index) internal view returns (${keyType
  * Does not revert if \`key\` is not in the map.
  */
 function tryGet(${name} storage map, ${keyType} key) internal view returns (bool exists, ${valueType} value) {
-    (bool success, bytes32 val) = tryGet(map._inner, ${toBytes32(keyType, 'key')});
-    return (success, ${fromBytes32(valueType, 'val')});
+    (bool success, bytes32 val) = tryGet(map._inner, ${toBytes32(keyType, 'key', keyUnderlying)});
+    return (success, ${fromBytes32(valueType, 'val', valueUnderlying)});
 }
 
 /**
@@ -233,7 +246,7 @@ function tryGet(${name} storage map, ${keyType} key) internal view returns (bool
  * - \`key\` must be in the map.
  */
 function get(${name} storage map, ${keyType} key) internal view returns (${valueType}) {
-    return ${fromBytes32(valueType, `get(map._inner, ${toBytes32(keyType, 'key')})`)};
+    return ${fromBytes32(valueType, `get(map._inner, ${toBytes32(keyType, 'key', keyUnderlying)})`, valueUnderlying)};
 }
 
 /**
@@ -256,17 +269,173 @@ function keys(${name} storage map) internal view returns (${keyType}[] memory) {
 }
 `;
 
+const dynamicKeyError = type => `\
+/**
+ * @dev Query for a nonexistent map key.
+ */
+error EnumerableMapNonexistent${capitalize(type)}Key(${type} key);
+`;
+
+const dynamicMap = ({ name, keyType, valueType, keyUnderlying, valueUnderlying, keySet }) => {
+  const key = isValueType(keyType) ? `${keyType} key` : `${keyType} memory key`;
+  const value = isValueType(valueType) ? `${valueType} value` : `${valueType} memory value`;
+  const atKey = isValueType(keyType) ? `${keyType} atKey` : `${keyType} memory atKey`;
+  const returnValue = isValueType(valueType) ? valueType : `${valueType} memory`;
+  const nonexistentKey = isValueType(keyType)
+    ? `EnumerableMapNonexistentKey(${toBytes32(keyType, 'key', keyUnderlying)})`
+    : `EnumerableMapNonexistent${capitalize(keyType)}Key(key)`;
+  // Function declarations that are longer than the print width for some of the types
+  const map = `${name} storage map`;
+  const signatures = {
+    set: format.signature({ name: 'set', params: [map, key, value], modifiers: ['internal'], returns: ['bool'] }),
+    remove: format.signature({ name: 'remove', params: [map, key], modifiers: ['internal'], returns: ['bool'] }),
+    contains: format.signature({
+      name: 'contains',
+      params: [map, key],
+      modifiers: ['internal', 'view'],
+      returns: ['bool'],
+    }),
+    at: format.signature({
+      name: 'at',
+      params: [map, 'uint256 index'],
+      modifiers: ['internal', 'view'],
+      returns: [key, value],
+    }),
+    tryGet: format.signature({
+      name: 'tryGet',
+      params: [map, key],
+      modifiers: ['internal', 'view'],
+      returns: ['bool exists', value],
+    }),
+    get: format.signature({ name: 'get', params: [map, key], modifiers: ['internal', 'view'], returns: [returnValue] }),
+  };
+
+  return `\
+// ${name}
+
+struct ${name} {
+    // Storage of keys
+    EnumerableSet.${keySet} _keys;
+    mapping(${keyType} key => ${valueType}) _values;
+}
+
+/**
+ * @dev Adds a key-value pair to a map, or updates the value for an existing
+ * key. O(1).
+ *
+ * Returns true if the key was added to the map, that is if it was not
+ * already present.
+ */
+${signatures.set}
+    map._values[key] = value;
+    return map._keys.add(key);
+}
+
+/**
+ * @dev Removes a key-value pair from a map. O(1).
+ *
+ * Returns true if the key was removed from the map, that is if it was present.
+ */
+${signatures.remove}
+    ${valueUnderlying ? `map._values[key] = ${valueType}.wrap(0);` : 'delete map._values[key];'}
+    return map._keys.remove(key);
+}
+
+/**
+ * @dev Returns true if the key is in the map. O(1).
+ */
+${signatures.contains}
+    return map._keys.contains(key);
+}
+
+/**
+ * @dev Returns the number of key-value pairs in the map. O(1).
+ */
+function length(${name} storage map) internal view returns (uint256) {
+    return map._keys.length();
+}
+
+/**
+ * @dev Returns the key-value pair stored at position \`index\` in the map. O(1).
+ *
+ * Note that there are no guarantees on the ordering of entries inside the
+ * array, and it may change when more entries are added or removed.
+ *
+ * Requirements:
+ *
+ * - \`index\` must be strictly less than {length}.
+ */
+${signatures.at}
+    ${atKey} = map._keys.at(index);
+    return (atKey, map._values[atKey]);
+}
+
+/**
+ * @dev Tries to returns the value associated with \`key\`. O(1).
+ * Does not revert if \`key\` is not in the map.
+ */
+${signatures.tryGet}
+    exists = contains(map, key);
+    if (exists) {
+        value = map._values[key];
+    }
+}
+
+/**
+ * @dev Returns the value associated with \`key\`. O(1).
+ *
+ * Requirements:
+ *
+ * - \`key\` must be in the map.
+ */
+${signatures.get}
+    if (!contains(map, key)) {
+        revert ${nonexistentKey};
+    }
+    return map._values[key];
+}
+
+/**
+ * @dev Return the an array containing all the keys
+ *
+ * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+ * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+ * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+ * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+ */
+function keys(${name} storage map) internal view returns (${keyType}[] memory) {
+    return map._keys.values();
+}
+`;
+};
+
+// Maps of value types are wrappers around Bytes32ToBytes32Map. Maps involving a dynamic type are implemented on their own.
+const valueTypes = types => types.filter(({ keyType, valueType }) => isValueType(keyType) && isValueType(valueType));
+const dynamicTypes = types =>
+  types.filter(({ keyType, valueType }) => !isValueType(keyType) || !isValueType(valueType));
+
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library EnumerableMap {',
+module.exports = ({ TYPES, IMPORTS, SET_PATH }) =>
   format(
-    [].concat(
-      'using EnumerableSet for EnumerableSet.Bytes32Set;',
-      '',
-      defaultMap,
-      TYPES.map(details => customMap(details)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header([{ name: 'EnumerableSet', path: SET_PATH }, ...IMPORTS]).trimEnd(),
+    'library EnumerableMap {',
+    format(
+      [].concat(
+        unique(['Bytes32Set', ...dynamicTypes(TYPES).map(({ keySet }) => keySet)]).map(
+          set => `using EnumerableSet for EnumerableSet.${set};`,
+        ),
+        '',
+        defaultMap,
+        valueTypes(TYPES).map(details => customMap(details)),
+        unique(dynamicTypes(TYPES).map(({ keyType }) => keyType))
+          .filter(type => !isValueType(type))
+          .map(type => dynamicKeyError(type)),
+        dynamicTypes(TYPES).map(details => dynamicMap(details)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [
+  { root: 'contracts', file: 'utils/structs/EnumerableMap.sol', opts: 'EnumerableMap.opts.js' },
+];
@@ -1,19 +1,39 @@
-const { capitalize } = require('../../helpers');
+const { capitalize, product } = require('../../helpers');
+const { formatType: formatSetType } = require('./EnumerableSet.opts');
 
 const mapType = str => (str == 'uint256' ? 'Uint' : capitalize(str));
 
-const formatType = (keyType, valueType) => ({
-  name: `${mapType(keyType)}To${mapType(valueType)}Map`,
+// `keyUnderlying` and `valueUnderlying` must be provided for user defined value types
+const formatType = (
   keyType,
   valueType,
+  { name = undefined, keyUnderlying = undefined, valueUnderlying = undefined } = {},
+) => ({
+  name: name ?? `${mapType(keyType)}To${mapType(valueType)}Map`,
+  keyType,
+  valueType,
+  keyUnderlying,
+  valueUnderlying,
+  // Set used to store the keys of maps that are not wrappers around Bytes32ToBytes32Map
+  keySet: formatSetType(keyType).name,
 });
 
 const TYPES = ['uint256', 'address', 'bytes32']
   .flatMap((key, _, array) => array.map(value => [key, value]))
   .slice(0, -1) // remove bytes32 → byte32 (last one) that is already defined
+  .concat(
+    product(['string', 'bytes'], ['uint256', 'address', 'bytes32']),
+    [
+      ['string', 'string'],
+      ['bytes', 'bytes'],
+    ],
+    product(['uint256', 'address', 'bytes32'], ['string']),
+  )
   .map(args => formatType(...args));
 
 module.exports = {
   TYPES,
+  IMPORTS: [],
+  SET_PATH: './EnumerableSet.sol',
   formatType,
 };
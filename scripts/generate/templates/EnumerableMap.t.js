@@ -0,0 +1,140 @@
+const format = require('../format-lines');
+const { fromUint256, isValueType } = require('./conversion');
+
+const location = type => (isValueType(type) ? type : `${type} memory`);
+
+// TEMPLATE
+const header = `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {EnumerableMap} from "@openzeppelin/contracts/utils/structs/EnumerableMap.sol";
+
+// Keys are drawn from a small pool so that the fuzzer frequently sets and removes the same keys.
+uint256 constant POOL_SIZE = 16;
+`;
+
+const handler = ({ name, keyType, valueType }) => `\
+contract EnumerableMap${name}Handler {
+    using EnumerableMap for EnumerableMap.${name};
+
+    EnumerableMap.${name} private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (${location(keyType)}) {
+        return ${fromUint256(keyType, 'seed')};
+    }
+
+    function valueOf(uint256 seed) public pure returns (${location(valueType)}) {
+        return ${fromUint256(valueType, 'seed')};
+    }
+
+    function contains(${location(keyType)} key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (${location(keyType)}, ${location(valueType)}) {
+        return _map.at(index);
+    }
+
+    function get(${location(keyType)} key) external view returns (${location(valueType)}) {
+        return _map.get(key);
+    }
+
+    function tryGet(${location(keyType)} key) external view returns (bool, ${location(valueType)}) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (${keyType}[] memory) {
+        return _map.keys();
+    }
+}
+`;
+
+const test = ({ name, keyType, valueType }) => `\
+contract EnumerableMap${name}Test is Test {
+    EnumerableMap${name}Handler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMap${name}Handler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            ${location(keyType)} key = _handler.keyOf(seed);
+            (bool exists, ${location(valueType)} value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        ${keyType}[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (${location(keyType)} key, ${location(valueType)} value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+`;
+
+// GENERATE
+module.exports = ({ TYPES, formatType }) =>
+  format(
+    header,
+    // Bytes32ToBytes32Map is not part of the generated types, but is tested alongside them.
+    ...[formatType('bytes32', 'bytes32'), ...TYPES].flatMap(details => [handler(details), test(details)]),
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/structs/EnumerableMap.t.sol', opts: 'EnumerableMap.opts.js' }];
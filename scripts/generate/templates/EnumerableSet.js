@@ -1,11 +1,10 @@
 const format = require('../format-lines');
-const { fromBytes32, toBytes32 } = require('./conversion');
-const { TYPES } = require('./EnumerableSet.opts');
+const { isValueType, fromBytes32, toBytes32 } = require('./conversion');
 
-const header = `\
+const header = imports => `\
 pragma solidity ^0.8.20;
-
-/**
+${imports.map(({ name, path }) => `\nimport {${name}} from "${path}";`).join('')}
+${imports.length ? '\n' : ''}/**
  * @dev Library for managing
  * https://en.wikipedia.org/wiki/Set_(abstract_data_type)[sets] of primitive
  * types.
@@ -27,7 +26,8 @@ pragma solidity ^0.8.20;
  * \`\`\`
  *
  * As of v3.3.0, sets of type \`bytes32\` (\`Bytes32Set\`), \`address\` (\`AddressSet\`)
- * and \`uint256\` (\`UintSet\`) are supported.
+ * and \`uint256\` (\`UintSet\`) are supported. As of v5.2.0, sets of type \`string\` (\`StringSet\`)
+ * and \`bytes\` (\`BytesSet\`) are supported.
  *
  * [WARNING]
  * ====
@@ -158,7 +158,7 @@ function _values(Set storage set) private view returns (bytes32[] memory) {
 }
 `;
 
-const customSet = ({ name, type }) => `\
+const customSet = ({ name, type, underlying }) => `\
 // ${name}
 
 struct ${name} {
@@ -172,7 +172,7 @@ struct ${name} {
  * already present.
  */
 function add(${name} storage set, ${type} value) internal returns (bool) {
-    return _add(set._inner, ${toBytes32(type, 'value')});
+    return _add(set._inner, ${toBytes32(type, 'value', underlying)});
 }
 
 /**
@@ -182,14 +182,14 @@ function add(${name} storage set, ${type} value) internal returns (bool) {
  * present.
  */
 function remove(${name} storage set, ${type} value) internal returns (bool) {
-    return _remove(set._inner, ${toBytes32(type, 'value')});
+    return _remove(set._inner, ${toBytes32(type, 'value', underlying)});
 }
 
 /**
  * @dev Returns true if the value is in the set. O(1).
  */
 function contains(${name} storage set, ${type} value) internal view returns (bool) {
-    return _contains(set._inner, ${toBytes32(type, 'value')});
+    return _contains(set._inner, ${toBytes32(type, 'value', underlying)});
 }
 
 /**
@@ -210,7 +210,7 @@ function length(${name} storage set) internal view returns (uint256) {
  * - \`index\` must be strictly less than {length}.
  */
 function at(${name} storage set, uint256 index) internal view returns (${type}) {
-    return ${fromBytes32(type, '_at(set._inner, index)')};
+    return ${fromBytes32(type, '_at(set._inner, index)', underlying)};
 }
 
 /**
@@ -233,15 +233,130 @@ function values(${name} storage set) internal view returns (${type}[] memory) {
 }
 `;
 
+const dynamicSet = ({ name, type }) => `\
+// ${name}
+
+struct ${name} {
+    // Storage of set values
+    ${type}[] _values;
+    // Position is the index of the value in the \`values\` array plus 1.
+    // Position 0 is used to mean a value is not in the set.
+    mapping(${type} value => uint256) _positions;
+}
+
+/**
+ * @dev Add a value to a set. O(1).
+ *
+ * Returns true if the value was added to the set, that is if it was not
+ * already present.
+ */
+function add(${name} storage set, ${type} memory value) internal returns (bool) {
+    if (!contains(set, value)) {
+        set._values.push(value);
+        // The value is stored at length-1, but we add 1 to all indexes
+        // and use 0 as a sentinel value
+        set._positions[value] = set._values.length;
+        return true;
+    } else {
+        return false;
+    }
+}
+
+/**
+ * @dev Removes a value from a set. O(1).
+ *
+ * Returns true if the value was removed from the set, that is if it was
+ * present.
+ */
+function remove(${name} storage set, ${type} memory value) internal returns (bool) {
+    // We cache the value's position to prevent multiple reads from the same storage slot
+    uint256 position = set._positions[value];
+
+    if (position != 0) {
+        // Equivalent to contains(set, value)
+        // To delete an element from the _values array in O(1), we swap the element to delete with the last one in
+        // the array, and then remove the last element (sometimes called as 'swap and pop').
+        // This modifies the order of the array, as noted in {at}.
+
+        uint256 valueIndex = position - 1;
+        uint256 lastIndex = set._values.length - 1;
+
+        if (valueIndex != lastIndex) {
+            ${type} memory lastValue = set._values[lastIndex];
+
+            // Move the lastValue to the index where the value to delete is
+            set._values[valueIndex] = lastValue;
+            // Update the tracked position of the lastValue (that was just moved)
+            set._positions[lastValue] = position;
+        }
+
+        // Delete the slot where the moved value was stored
+        set._values.pop();
+
+        // Delete the tracked position for the deleted slot
+        delete set._positions[value];
+
+        return true;
+    } else {
+        return false;
+    }
+}
+
+/**
+ * @dev Returns true if the value is in the set. O(1).
+ */
+function contains(${name} storage set, ${type} memory value) internal view returns (bool) {
+    return set._positions[value] != 0;
+}
+
+/**
+ * @dev Returns the number of values on the set. O(1).
+ */
+function length(${name} storage set) internal view returns (uint256) {
+    return set._values.length;
+}
+
+/**
+ * @dev Returns the value stored at position \`index\` in the set. O(1).
+ *
+ * Note that there are no guarantees on the ordering of values inside the
+ * array, and it may change when more values are added or removed.
+ *
+ * Requirements:
+ *
+ * - \`index\` must be strictly less than {length}.
+ */
+function at(${name} storage set, uint256 index) internal view returns (${type} memory) {
+    return set._values[index];
+}
+
+/**
+ * @dev Return the entire set in an array
+ *
+ * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+ * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+ * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+ * uncallable if the set grows to a point where copying to memory consumes too much gas to fit in a block.
+ */
+function values(${name} storage set) internal view returns (${type}[] memory) {
+    return set._values;
+}
+`;
+
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library EnumerableSet {',
+module.exports = ({ TYPES, IMPORTS }) =>
   format(
-    [].concat(
-      defaultSet,
-      TYPES.map(details => customSet(details)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header(IMPORTS).trimEnd(),
+    'library EnumerableSet {',
+    format(
+      [].concat(
+        defaultSet,
+        TYPES.map(details => (isValueType(details.type) ? customSet(details) : dynamicSet(details))),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [
+  { root: 'contracts', file: 'utils/structs/EnumerableSet.sol', opts: 'EnumerableSet.opts.js' },
+];
@@ -2,11 +2,13 @@ const { capitalize } = require('../../helpers');
 
 const mapType = str => (str == 'uint256' ? 'Uint' : capitalize(str));
 
-const formatType = type => ({
-  name: `${mapType(type)}Set`,
+// `underlying` must be provided for user defined value types
+const formatType = (type, { name = undefined, underlying = undefined } = {}) => ({
+  name: name ?? `${mapType(type)}Set`,
   type,
+  underlying,
 });
 
-const TYPES = ['bytes32', 'address', 'uint256'].map(formatType);
+const TYPES = ['bytes32', 'address', 'uint256', 'string', 'bytes'].map(type => formatType(type));
 
-module.exports = { TYPES, formatType };
+module.exports = { TYPES, IMPORTS: [], formatType };
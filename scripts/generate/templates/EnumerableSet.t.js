@@ -0,0 +1,111 @@
+const format = require('../format-lines');
+const { fromUint256, isValueType } = require('./conversion');
+
+const location = type => (isValueType(type) ? type : `${type} memory`);
+
+// TEMPLATE
+const header = `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+// Values are drawn from a small pool so that the fuzzer frequently adds and removes the same values.
+uint256 constant POOL_SIZE = 16;
+`;
+
+const handler = ({ name, type }) => `\
+contract EnumerableSet${name}Handler {
+    using EnumerableSet for EnumerableSet.${name};
+
+    EnumerableSet.${name} private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (${location(type)}) {
+        return ${fromUint256(type, 'seed')};
+    }
+
+    function contains(${location(type)} value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (${location(type)}) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (${type}[] memory) {
+        return _set.values();
+    }
+}
+`;
+
+const test = ({ name, type }) => `\
+contract EnumerableSet${name}Test is Test {
+    EnumerableSet${name}Handler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSet${name}Handler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        ${type}[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}
+`;
+
+// GENERATE
+module.exports = ({ TYPES }) => format(header, ...TYPES.flatMap(details => [handler(details), test(details)]));
+
+module.exports.targets = [{ root: 'test', file: 'utils/structs/EnumerableSet.t.sol', opts: 'EnumerableSet.opts.js' }];
@@ -1,5 +1,4 @@
 const format = require('../format-lines');
-const { OPTS } = require('./MerkleProof.opts');
 
 const DEFAULT_HASH = 'Hashes.commutativeKeccak256';
 
@@ -82,12 +81,17 @@ function processProof${suffix}(${(hash ? formatArgsMultiline : formatArgsSingleL
 }
 `;
 
-const templateMultiProof = ({ suffix, location, visibility, hash }) => `\
+const multiProofVersion = ({ location, leavesLocation, hash }) =>
+  `This version handles multiproofs in ${location}${
+    leavesLocation === 'calldata' ? ' (including the leaves)' : ''
+  } with ${hash ? 'a custom' : 'the default'} hashing function.`;
+
+const templateMultiProof = ({ suffix, location, leavesLocation, visibility, hash }) => `\
 /**
  * @dev Returns true if the \`leaves\` can be simultaneously proven to be a part of a Merkle tree defined by
  * \`root\`, according to \`proof\` and \`proofFlags\` as described in {processMultiProof}.
  *
- * This version handles multiproofs in ${location} with ${hash ? 'a custom' : 'the default'} hashing function.
+ * ${multiProofVersion({ location, leavesLocation, hash })}
  *
  * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
  *
@@ -98,7 +102,7 @@ function multiProofVerify${suffix}(${formatArgsMultiline(
   `bytes32[] ${location} proof`,
   `bool[] ${location} proofFlags`,
   'bytes32 root',
-  `bytes32[] memory leaves`,
+  `bytes32[] ${leavesLocation} leaves`,
   hash && `function(bytes32, bytes32) view returns (bytes32) ${hash}`,
 )}) internal ${visibility} returns (bool) {
     return processMultiProof${suffix}(proof, proofFlags, leaves${hash ? `, ${hash}` : ''}) == root;
@@ -110,7 +114,7 @@ function multiProofVerify${suffix}(${formatArgsMultiline(
  * leaf/inner node or a proof sibling node, depending on whether each \`proofFlags\` item is true or false
  * respectively.
  *
- * This version handles multiproofs in ${location} with ${hash ? 'a custom' : 'the default'} hashing function.
+ * ${multiProofVersion({ location, leavesLocation, hash })}
  *
  * CAUTION: Not all Merkle trees admit multiproofs. To use multiproofs, it is sufficient to ensure that: 1) the tree
  * is complete (but not necessarily perfect), 2) the leaves to be proven are in the opposite order they are in the
@@ -123,25 +127,41 @@ function multiProofVerify${suffix}(${formatArgsMultiline(
 function processMultiProof${suffix}(${formatArgsMultiline(
   `bytes32[] ${location} proof`,
   `bool[] ${location} proofFlags`,
-  `bytes32[] memory leaves`,
+  `bytes32[] ${leavesLocation} leaves`,
   hash && `function(bytes32, bytes32) view returns (bytes32) ${hash}`,
 )}) internal ${visibility} returns (bytes32 merkleRoot) {
+    (merkleRoot, ) = processMultiProofWithCount${suffix}(proof, proofFlags, leaves${hash ? `, ${hash}` : ''});
+}
+
+/**
+ * @dev Same as {processMultiProof${suffix}}, but also returns the number of \`leaves\` consumed while reconstructing
+ * the root. Every leaf is consumed when the multiproof is well formed.
+ *
+ * ${multiProofVersion({ location, leavesLocation, hash })}
+ *
+ * CAUTION: Not all Merkle trees admit multiproofs. See {processMultiProof} for details.
+ */
+function processMultiProofWithCount${suffix}(${formatArgsMultiline(
+  `bytes32[] ${location} proof`,
+  `bool[] ${location} proofFlags`,
+  `bytes32[] ${leavesLocation} leaves`,
+  hash && `function(bytes32, bytes32) view returns (bytes32) ${hash}`,
+)}) internal ${visibility} returns (bytes32 merkleRoot, uint256 leavesConsumed) {
     // This function rebuilds the root hash by traversing the tree up from the leaves. The root is rebuilt by
     // consuming and producing values on a queue. The queue starts with the \`leaves\` array, then goes onto the
     // \`hashes\` array. At the end of the process, the last hash in the \`hashes\` array should contain the root of
-    // the Merkle tree.
-    uint256 leavesLen = leaves.length;
-    uint256 proofFlagsLen = proofFlags.length;
+    // the Merkle tree. Lengths are not cached in local variables, to leave enough stack slots for the versions that
+    // read the leaves from calldata and use a custom hashing function.
 
     // Check proof validity.
-    if (leavesLen + proof.length != proofFlagsLen + 1) {
+    if (leaves.length + proof.length != proofFlags.length + 1) {
         revert MerkleProofInvalidMultiproof();
     }
 
     // The xxxPos values are "pointers" to the next value to consume in each array. All accesses are done using
     // \`xxx[xxxPos++]\`, which return the current value and increment the pointer, thus mimicking a queue's "pop".
-    bytes32[] memory hashes = new bytes32[](proofFlagsLen);
-    uint256 leafPos = 0;
+    // The pointer to the next leaf is \`leavesConsumed\`, which is returned along with the root.
+    bytes32[] memory hashes = new bytes32[](proofFlags.length);
     uint256 hashPos = 0;
     uint256 proofPos = 0;
     // At each step, we compute the next hash using two values:
@@ -149,39 +169,44 @@ function processMultiProof${suffix}(${formatArgsMultiline(
     //   get the next hash.
     // - depending on the flag, either another value from the "main queue" (merging branches) or an element from the
     //   \`proof\` array.
-    for (uint256 i = 0; i < proofFlagsLen; i++) {
-        bytes32 a = leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++];
+    for (uint256 i = 0; i < proofFlags.length; i++) {
+        bytes32 a = leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++];
         bytes32 b = proofFlags[i]
-            ? (leafPos < leavesLen ? leaves[leafPos++] : hashes[hashPos++])
+            ? (leavesConsumed < leaves.length ? leaves[leavesConsumed++] : hashes[hashPos++])
             : proof[proofPos++];
         hashes[i] = ${hash ?? DEFAULT_HASH}(a, b);
     }
 
-    if (proofFlagsLen > 0) {
+    if (proofFlags.length > 0) {
         if (proofPos != proof.length) {
             revert MerkleProofInvalidMultiproof();
         }
         unchecked {
-            return hashes[proofFlagsLen - 1];
+            return (hashes[proofFlags.length - 1], leavesConsumed);
         }
-    } else if (leavesLen > 0) {
-        return leaves[0];
+    } else if (leaves.length > 0) {
+        return (leaves[0], 1);
     } else {
-        return proof[0];
+        return (proof[0], 0);
     }
 }
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library MerkleProof {',
+module.exports = ({ OPTS, MULTIPROOF_OPTS }) =>
   format(
-    [].concat(
-      errors,
-      OPTS.flatMap(opts => templateProof(opts)),
-      OPTS.flatMap(opts => templateMultiProof(opts)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header.trimEnd(),
+    'library MerkleProof {',
+    format(
+      [].concat(
+        errors,
+        OPTS.flatMap(opts => templateProof(opts)),
+        MULTIPROOF_OPTS.flatMap(opts => templateMultiProof(opts)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [
+  { root: 'contracts', file: 'utils/cryptography/MerkleProof.sol', opts: 'MerkleProof.opts.js' },
+];
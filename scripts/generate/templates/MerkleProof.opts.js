@@ -1,11 +1,23 @@
 const { product } = require('../../helpers');
 
+const HASHES = [{ visibility: 'pure' }, { visibility: 'view', hash: 'hasher' }];
+
 const OPTS = product(
   [
     { suffix: '', location: 'memory' },
     { suffix: 'Calldata', location: 'calldata' },
   ],
-  [{ visibility: 'pure' }, { visibility: 'view', hash: 'hasher' }],
+  HASHES,
+).map(objs => Object.assign({}, ...objs));
+
+// Multiproofs can also be verified without copying the leaves from calldata to memory.
+const MULTIPROOF_OPTS = product(
+  [
+    { suffix: '', location: 'memory', leavesLocation: 'memory' },
+    { suffix: 'Calldata', location: 'calldata', leavesLocation: 'memory' },
+    { suffix: 'CalldataLeaves', location: 'calldata', leavesLocation: 'calldata' },
+  ],
+  HASHES,
 ).map(objs => Object.assign({}, ...objs));
 
-module.exports = { OPTS };
+module.exports = { OPTS, MULTIPROOF_OPTS };
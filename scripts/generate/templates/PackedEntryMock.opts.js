@@ -0,0 +1,19 @@
+const { SIZES } = require('./Packing.opts');
+
+// Example struct layout, used to test the libraries generated from a layout description (see `layout.js`).
+module.exports = {
+  SIZES,
+  PACKING_PATH: '../utils/Packing.sol',
+  LIBRARY_PATH: '@openzeppelin/contracts/mocks/PackedEntryMock.sol',
+  LAYOUT: {
+    library: 'PackedEntryMock',
+    struct: 'Entry',
+    fields: [
+      { name: 'account', type: 'address' },
+      { name: 'selector', type: 'bytes4' },
+      { name: 'delta', type: 'int16' },
+      { name: 'period', type: 'uint32' },
+      { name: 'enabled', type: 'bool' },
+    ],
+  },
+};
@@ -1,7 +1,7 @@
 const format = require('../format-lines');
 const sanitize = require('../helpers/sanitize');
-const { product } = require('../../helpers');
-const { SIZES } = require('./Packing.opts');
+const { capitalize, product } = require('../../helpers');
+const { fromBytes, toBytes, parseLayout } = require('./layout');
 
 // TEMPLATE
 const header = `\
@@ -39,6 +39,9 @@ pragma solidity ^0.8.20;
 `;
 
 const errors = `\
+/**
+ * @dev The \`offset\` of the extracted (or replaced) bytes is out of the bounds of the packed value.
+ */
 error OutOfRangeAccess();
 `;
 
@@ -73,20 +76,113 @@ function replace_${outer}_${inner}(bytes${outer} self, bytes${inner} value, uint
 }
 `;
 
-// GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library Packing {',
+// LAYOUT MODE
+const layoutHeader = packingPath => `\
+pragma solidity ^0.8.20;
+
+import {Packing} from "${packingPath}";
+`;
+
+const layoutDoc = ({ struct, fields, size }) =>
+  [
+    `Library packing and unpacking the \`${struct}\` struct into a bytes32, generated from a layout description.`,
+    '',
+    'Layout of the packed value, in bytes starting with the most significant ones:',
+    '',
+    ...fields.map(({ name, type, size, offset }) => `- \`${name}\` (\`${type}\`): offset ${offset}, size ${size}`),
+    ...(size < 32 ? ['', `The bytes starting at offset ${size} are unused, and cleared by {pack}.`] : []),
+  ].join('\n');
+
+const layoutStruct = ({ struct, fields }) => `\
+struct ${struct} {
+${fields.map(({ name, type }) => `    ${type} ${name};`).join('\n')}
+}
+`;
+
+const layoutPack = ({ struct, fields }) =>
+  format.fn({
+    doc: 'Pack the fields of `self` into a bytes32.',
+    name: 'pack',
+    params: [`${struct} memory self`],
+    modifiers: ['internal', 'pure'],
+    returns: ['bytes32 result'],
+    body: fields.map(({ name }) => `result = set${capitalize(name)}(result, self.${name});`),
+  });
+
+const layoutUnpack = ({ struct, fields }) =>
+  format.fn({
+    doc: 'Unpack the fields of a packed value.',
+    name: 'unpack',
+    params: ['bytes32 self'],
+    modifiers: ['internal', 'pure'],
+    returns: [`${struct} memory result`],
+    body: fields.map(({ name }) => `result.${name} = get${capitalize(name)}(self);`),
+  });
+
+const layoutGetter = ({ name, type, size, offset }) =>
+  format.fn({
+    doc: `Get the \`${name}\` field of a packed value.`,
+    name: `get${capitalize(name)}`,
+    params: ['bytes32 self'],
+    modifiers: ['internal', 'pure'],
+    returns: [type],
+    body: `return ${fromBytes(type, size, `self.extract_32_${size}(${offset})`)};`,
+  });
+
+const layoutSetter = ({ name, type, size, offset }) =>
+  format.fn({
+    doc: `Set the \`${name}\` field of a packed value.`,
+    name: `set${capitalize(name)}`,
+    params: ['bytes32 self', `${type} value`],
+    modifiers: ['internal', 'pure'],
+    returns: ['bytes32'],
+    body: `return self.replace_32_${size}(${toBytes(type, size, 'value')}, ${offset});`,
+  });
+
+const generateLayout = ({ SIZES, LAYOUT, PACKING_PATH = '@openzeppelin/contracts/utils/Packing.sol' }) => {
+  const layout = parseLayout(LAYOUT, SIZES);
+  return format(
+    layoutHeader(PACKING_PATH),
+    format
+      .library({
+        doc: layoutDoc(layout),
+        name: layout.library,
+        members: [
+          'using Packing for bytes32;',
+          layoutStruct(layout),
+          layoutPack(layout),
+          layoutUnpack(layout),
+          ...layout.fields.flatMap(field => [layoutGetter(field), layoutSetter(field)]),
+        ],
+      })
+      .trimEnd(),
+  );
+};
+
+const generatePacking = ({ SIZES }) =>
   format(
-    [].concat(
-      errors,
-      product(SIZES, SIZES)
-        .filter(([left, right]) => SIZES.includes(left + right))
-        .map(([left, right]) => pack(left, right)),
-      product(SIZES, SIZES)
-        .filter(([outer, inner]) => outer > inner)
-        .flatMap(([outer, inner]) => [extract(outer, inner), replace(outer, inner)]),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header.trimEnd(),
+    'library Packing {',
+    format(
+      [].concat(
+        errors,
+        product(SIZES, SIZES)
+          .filter(([left, right]) => SIZES.includes(left + right))
+          .map(([left, right]) => pack(left, right)),
+        product(SIZES, SIZES)
+          .filter(([outer, inner]) => outer > inner)
+          .flatMap(([outer, inner]) => [extract(outer, inner), replace(outer, inner)]),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+// GENERATE
+// When the options include a struct `LAYOUT` (see `layout.js`), a library packing that struct is generated instead of
+// the `Packing` library.
+module.exports = opts => (opts.LAYOUT ? generateLayout(opts) : generatePacking(opts));
+
+module.exports.targets = [
+  { root: 'contracts', file: 'utils/Packing.sol', opts: 'Packing.opts.js' },
+  { root: 'contracts', file: 'mocks/PackedEntryMock.sol', opts: 'PackedEntryMock.opts.js' },
+];
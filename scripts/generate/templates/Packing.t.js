@@ -1,6 +1,6 @@
 const format = require('../format-lines');
-const { product } = require('../../helpers');
-const { SIZES } = require('./Packing.opts');
+const { capitalize, product } = require('../../helpers');
+const { parseLayout } = require('./layout');
 
 // TEMPLATE
 const header = `\
@@ -8,6 +8,8 @@ pragma solidity ^0.8.20;
 
 import {Test} from "forge-std/Test.sol";
 import {Packing} from "@openzeppelin/contracts/utils/Packing.sol";
+
+// solhint-disable func-name-mixedcase
 `;
 
 const testPack = (left, right) => `\
@@ -26,23 +28,141 @@ function testReplace(bytes${outer} container, bytes${inner} newValue, uint8 offs
     assertEq(newValue, container.replace_${outer}_${inner}(newValue, offset).extract_${outer}_${inner}(offset));
     assertEq(container, container.replace_${outer}_${inner}(newValue, offset).replace_${outer}_${inner}(oldValue, offset));
 }
+
+function testReplaceIdempotent(bytes${outer} container, bytes${inner} newValue, uint8 offset) external pure {
+    offset = uint8(bound(offset, 0, ${outer - inner}));
+
+    bytes${outer} replaced = container.replace_${outer}_${inner}(newValue, offset);
+
+    assertEq(replaced, replaced.replace_${outer}_${inner}(newValue, offset));
+    assertEq(container, container.replace_${outer}_${inner}(container.extract_${outer}_${inner}(offset), offset));
+}
+
+function testReplaceNonOverlap(bytes${outer} container, bytes${inner} newValue, uint8 offset) external pure {
+    offset = uint8(bound(offset, 0, ${outer - inner}));
+
+    // bytes [offset, offset + ${inner}) are replaced, the others are preserved
+    bytes${outer} mask = bytes${outer}(bytes${inner}(type(uint${8 * inner}).max)) >> (8 * offset);
+
+    assertEq(container.replace_${outer}_${inner}(newValue, offset) & ~mask, container & ~mask);
+}
+
+function testExtract${inner}OutOfRange(bytes${outer} container, uint8 offset) external {
+    offset = uint8(bound(offset, ${outer - inner + 1}, type(uint8).max));
+
+    vm.expectRevert(Packing.OutOfRangeAccess.selector);
+    this.extract_${outer}_${inner}(container, offset);
+}
+
+function testReplaceOutOfRange(bytes${outer} container, bytes${inner} newValue, uint8 offset) external {
+    offset = uint8(bound(offset, ${outer - inner + 1}, type(uint8).max));
+
+    vm.expectRevert(Packing.OutOfRangeAccess.selector);
+    this.replace_${outer}_${inner}(container, newValue, offset);
+}
 `;
 
-// GENERATE
-module.exports = format(
-  header,
-  'contract PackingTest is Test {',
+const wrappers = (outer, inner) => `\
+function extract_${outer}_${inner}(bytes${outer} container, uint8 offset) external pure returns (bytes${inner}) {
+    return container.extract_${outer}_${inner}(offset);
+}
+
+${format.signature({
+  name: `replace_${outer}_${inner}`,
+  params: [`bytes${outer} container`, `bytes${inner} newValue`, 'uint8 offset'],
+  modifiers: ['external', 'pure'],
+  returns: [`bytes${outer}`],
+})}
+    return container.replace_${outer}_${inner}(newValue, offset);
+}
+`;
+
+// LAYOUT MODE
+const layoutHeader = ({ library }, libraryPath) => `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {${library}} from "${libraryPath}";
+`;
+
+// Mask of the bytes used by the layout. The others are cleared by `pack`, and preserved by the setters.
+const layoutMask = ({ size }) => `\
+bytes32 private constant _MASK = bytes32(type(uint256).max << ${8 * (32 - size)});
+`;
+
+const testPackUnpack = ({ library, struct, fields }) => `\
+function testPackUnpack(${library}.${struct} memory value) external pure {
+    ${library}.${struct} memory unpacked = ${library}.unpack(${library}.pack(value));
+${fields.map(({ name }) => `    assertEq(unpacked.${name}, value.${name});`).join('\n')}
+}
+`;
+
+const testUnpackPack = ({ library, size }) => `\
+function testUnpackPack(bytes32 packed) external pure {
+    assertEq(${library}.pack(${library}.unpack(packed)), ${size < 32 ? 'packed & _MASK' : 'packed'});
+}
+`;
+
+const testSetter = ({ size, fields }, { name, type }) => `\
+function testSet${capitalize(name)}(bytes32 packed, ${type} value) external pure {
+    bytes32 updated = packed.set${capitalize(name)}(value);
+    assertEq(updated.get${capitalize(name)}(), value);
+${fields
+  .filter(other => other.name !== name)
+  .map(({ name }) => `    assertEq(updated.get${capitalize(name)}(), packed.get${capitalize(name)}());`)
+  .join('\n')}${size < 32 ? '\n    assertEq(updated & ~_MASK, packed & ~_MASK);' : ''}
+}
+`;
+
+const generateLayout = ({ SIZES, LAYOUT, LIBRARY_PATH }) => {
+  const layout = parseLayout(LAYOUT, SIZES);
+  return format(
+    layoutHeader(layout, LIBRARY_PATH),
+    `contract ${layout.library}Test is Test {`,
+    format(
+      [].concat(
+        `using ${layout.library} for bytes32;`,
+        '',
+        layout.size < 32 ? layoutMask(layout) : [],
+        testPackUnpack(layout),
+        testUnpackPack(layout),
+        layout.fields.map(field => testSetter(layout, field)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+};
+
+const generatePacking = ({ SIZES }) =>
   format(
-    [].concat(
-      'using Packing for *;',
-      '',
-      product(SIZES, SIZES)
-        .filter(([left, right]) => SIZES.includes(left + right))
-        .map(([left, right]) => testPack(left, right)),
-      product(SIZES, SIZES)
-        .filter(([outer, inner]) => outer > inner)
-        .map(([outer, inner]) => testReplace(outer, inner)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header,
+    'contract PackingTest is Test {',
+    format(
+      [].concat(
+        'using Packing for *;',
+        '',
+        product(SIZES, SIZES)
+          .filter(([left, right]) => SIZES.includes(left + right))
+          .map(([left, right]) => testPack(left, right)),
+        product(SIZES, SIZES)
+          .filter(([outer, inner]) => outer > inner)
+          .map(([outer, inner]) => testReplace(outer, inner)),
+        '// used to test reverts',
+        '',
+        product(SIZES, SIZES)
+          .filter(([outer, inner]) => outer > inner)
+          .map(([outer, inner]) => wrappers(outer, inner)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+// GENERATE
+// When the options include a struct `LAYOUT` (see `layout.js`), a round-trip test of the library generated from that
+// layout (and imported from `LIBRARY_PATH`) is generated instead of the tests of the `Packing` library.
+module.exports = opts => (opts.LAYOUT ? generateLayout(opts) : generatePacking(opts));
+
+module.exports.targets = [
+  { root: 'test', file: 'utils/Packing.t.sol', opts: 'Packing.opts.js' },
+  { root: 'test', file: 'utils/PackedEntryMock.t.sol', opts: 'PackedEntryMock.opts.js' },
+];
@@ -1,7 +1,4 @@
 const format = require('../format-lines');
-const { range } = require('../../helpers');
-
-const LENGTHS = range(8, 256, 8).reverse(); // 248 → 8 (in steps of 8)
 
 const header = `\
 pragma solidity ^0.8.20;
@@ -17,6 +14,10 @@ pragma solidity ^0.8.20;
  *
  * Using this library instead of the unchecked operations eliminates an entire
  * class of bugs, so it's recommended to use it always.
+ *
+ * When an overflow is expected, the \`tryToUintXX\`/\`tryToIntXX\` variants return a
+ * success flag instead of reverting, and the \`saturatingToUintXX\`/\`saturatingToIntXX\`
+ * variants clamp the value to the range of the target type.
  */
 `;
 
@@ -114,6 +115,79 @@ function toUint${length}(int${length} value) internal pure returns (uint${length
 }
 `;
 
+const intToUint = length => `\
+/**
+ * @dev Converts a signed int256 into an unsigned uint${length}, reverting on
+ * overflow (when the input is negative or greater than largest uint${length}).
+ *
+ * Requirements:
+ *
+ * - input must be greater than or equal to 0.
+ * - input must fit into ${length} bits
+ */
+function intToUint${length}(int256 value) internal pure returns (uint${length}) {
+    return toUint${length}(toUint256(value));
+}
+`;
+
+const uintToInt = length => `\
+/**
+ * @dev Converts an unsigned uint256 into a signed int${length}, reverting on
+ * overflow (when the input is greater than largest int${length}).
+ *
+ * Requirements:
+ *
+ * - input must be less than or equal to maxInt${length}.
+ */
+function uintToInt${length}(uint256 value) internal pure returns (int${length}) {
+    return toInt${length}(toInt256(value));
+}
+`;
+
+const tryToUintDownCast = length => `\
+/**
+ * @dev Returns the downcasted uint${length} from uint256, with a success flag (no overflow).
+ */
+function tryToUint${length}(uint256 value) internal pure returns (bool success, uint${length} result) {
+    if (value > type(uint${length}).max) return (false, 0);
+    return (true, uint${length}(value));
+}
+`;
+
+const tryToIntDownCast = length => `\
+/**
+ * @dev Returns the downcasted int${length} from int256, with a success flag (no overflow).
+ */
+function tryToInt${length}(int256 value) internal pure returns (bool success, int${length} result) {
+    int${length} downcasted = int${length}(value);
+    if (downcasted != value) return (false, 0);
+    return (true, downcasted);
+}
+`;
+
+const saturatingToUintDownCast = length => `\
+/**
+ * @dev Returns the downcasted uint${length} from uint256, clamped to the largest uint${length}
+ * when the input doesn't fit into ${length} bits.
+ */
+function saturatingToUint${length}(uint256 value) internal pure returns (uint${length}) {
+    if (value > type(uint${length}).max) return type(uint${length}).max;
+    return uint${length}(value);
+}
+`;
+
+const saturatingToIntDownCast = length => `\
+/**
+ * @dev Returns the downcasted int${length} from int256, clamped to the smallest (or largest)
+ * int${length} when the input doesn't fit into ${length} bits.
+ */
+function saturatingToInt${length}(int256 value) internal pure returns (int${length}) {
+    if (value < type(int${length}).min) return type(int${length}).min;
+    if (value > type(int${length}).max) return type(int${length}).max;
+    return int${length}(value);
+}
+`;
+
 const boolToUint = `\
 /**
  * @dev Cast a boolean (false or true) to a uint256 (0 or 1) with no jump.
@@ -126,11 +200,27 @@ function toUint(bool b) internal pure returns (uint256 u) {
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library SafeCast {',
+module.exports = ({ LENGTHS }) =>
   format(
-    [].concat(errors, LENGTHS.map(toUintDownCast), toUint(256), LENGTHS.map(toIntDownCast), toInt(256), boolToUint),
-  ).trimEnd(),
-  '}',
-);
+    header.trimEnd(),
+    'library SafeCast {',
+    format(
+      [].concat(
+        errors,
+        LENGTHS.map(toUintDownCast),
+        toUint(256),
+        LENGTHS.map(toIntDownCast),
+        toInt(256),
+        LENGTHS.map(intToUint),
+        LENGTHS.map(uintToInt),
+        LENGTHS.map(tryToUintDownCast),
+        LENGTHS.map(tryToIntDownCast),
+        LENGTHS.map(saturatingToUintDownCast),
+        LENGTHS.map(saturatingToIntDownCast),
+        boolToUint,
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'utils/math/SafeCast.sol', opts: 'SafeCast.opts.js' }];
@@ -0,0 +1,5 @@
+const { range } = require('../../helpers');
+
+const LENGTHS = range(8, 256, 8).reverse(); // 248 → 8 (in steps of 8)
+
+module.exports = { LENGTHS };
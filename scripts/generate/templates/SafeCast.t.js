@@ -0,0 +1,111 @@
+const format = require('../format-lines');
+
+// TEMPLATE
+const header = `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {SignedMath} from "@openzeppelin/contracts/utils/math/SignedMath.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+`;
+
+const testUint = length => `\
+function testToUint${length}(uint256 value) public {
+    if (value < 2 ** ${length}) {
+        assertEq(SafeCast.toUint${length}(value), value);
+    } else {
+        vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, ${length}, value));
+        this.toUint${length}(value);
+    }
+}
+
+function testTryToUint${length}(uint256 value) public pure {
+    (bool success, uint${length} result) = SafeCast.tryToUint${length}(value);
+    assertEq(success, value < 2 ** ${length});
+    assertEq(result, success ? value : 0);
+}
+
+function testSaturatingToUint${length}(uint256 value) public pure {
+    assertEq(SafeCast.saturatingToUint${length}(value), Math.min(value, 2 ** ${length} - 1));
+}
+
+function testIntToUint${length}(int256 value) public {
+    if (value >= 0 && value < 2 ** ${length}) {
+        assertEq(SafeCast.intToUint${length}(value), uint256(value));
+    } else {
+        vm.expectRevert(
+            value < 0
+                ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, ${length}, uint256(value))
+        );
+        this.intToUint${length}(value);
+    }
+}
+`;
+
+const testInt = length => `\
+function testToInt${length}(int256 value) public {
+    if (value >= -(2 ** ${length - 1}) && value < 2 ** ${length - 1}) {
+        assertEq(SafeCast.toInt${length}(value), value);
+    } else {
+        vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, ${length}, value));
+        this.toInt${length}(value);
+    }
+}
+
+function testTryToInt${length}(int256 value) public pure {
+    (bool success, int${length} result) = SafeCast.tryToInt${length}(value);
+    assertEq(success, value >= -(2 ** ${length - 1}) && value < 2 ** ${length - 1});
+    assertEq(result, success ? value : int256(0));
+}
+
+function testSaturatingToInt${length}(int256 value) public pure {
+    int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** ${length - 1})), 2 ** ${length - 1} - 1);
+    assertEq(SafeCast.saturatingToInt${length}(value), expected);
+}
+
+function testUintToInt${length}(uint256 value) public {
+    if (value < 2 ** ${length - 1}) {
+        assertEq(SafeCast.uintToInt${length}(value), int256(value));
+    } else {
+        vm.expectRevert(
+            value > uint256(type(int256).max)
+                ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, ${length}, int256(value))
+        );
+        this.uintToInt${length}(value);
+    }
+}
+`;
+
+const wrappers = length => `\
+function toUint${length}(uint256 value) external pure returns (uint${length}) {
+    return SafeCast.toUint${length}(value);
+}
+
+function intToUint${length}(int256 value) external pure returns (uint${length}) {
+    return SafeCast.intToUint${length}(value);
+}
+
+function toInt${length}(int256 value) external pure returns (int${length}) {
+    return SafeCast.toInt${length}(value);
+}
+
+function uintToInt${length}(uint256 value) external pure returns (int${length}) {
+    return SafeCast.uintToInt${length}(value);
+}
+`;
+
+// GENERATE
+module.exports = ({ LENGTHS }) =>
+  format(
+    header,
+    'contract SafeCastTest is Test {',
+    format(
+      [].concat(LENGTHS.map(testUint), LENGTHS.map(testInt), '// used to test reverts', '', LENGTHS.map(wrappers)),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/math/SafeCast.t.sol', opts: 'SafeCast.opts.js' }];
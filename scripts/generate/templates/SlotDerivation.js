@@ -1,6 +1,7 @@
 const format = require('../format-lines');
 const sanitize = require('../helpers/sanitize');
-const { TYPES } = require('./Slot.opts');
+const { product } = require('../../helpers');
+const { parseStorageLayout, constantCase } = require('./layout');
 
 const header = `\
 pragma solidity ^0.8.20;
@@ -72,6 +73,19 @@ function deriveArray(bytes32 slot) internal pure returns (bytes32 result) {
         result := keccak256(0x00, 0x20)
     }
 }
+
+/**
+ * @dev Derive the location of the n-th element in an array whose elements use \`size\` slots each (such as an
+ * array of structs), from the slot where the length is stored.
+ *
+ * NOTE: Elements of 16 bytes or less are packed by the compiler, several in each slot. This function does not apply
+ * to arrays of such elements.
+ */
+function deriveArrayElement(bytes32 slot, uint256 pos, uint256 size) internal pure returns (bytes32 result) {
+    unchecked {
+        return offset(deriveArray(slot), pos * size);
+    }
+}
 `;
 
 const mapping = ({ type }) => `\
@@ -104,16 +118,111 @@ function deriveMapping(bytes32 slot, ${type} memory key) internal pure returns (
 }
 `;
 
-// GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library SlotDerivation {',
-  format(
-    [].concat(
-      namespace,
-      array,
-      TYPES.map(type => (type.isValueType ? mapping(type) : mapping2(type))),
+const nestedMapping = ([{ type: outer }, { type: inner }]) => `\
+/**
+ * @dev Derive the location of a nested mapping element from the keys, in the order they are used to access it.
+ */
+function deriveMapping(bytes32 slot, ${outer} key1, ${inner} key2) internal pure returns (bytes32 result) {
+    return deriveMapping(deriveMapping(slot, key1), key2);
+}
+`;
+
+// STRUCT MODE
+const structHeader = slotDerivationPath => `\
+pragma solidity ^0.8.20;
+
+import {SlotDerivation} from "${slotDerivationPath}";
+`;
+
+const structDoc = ({ struct, fields, slots }) =>
+  [
+    `Library locating the members of the \`${struct}\` struct in storage, generated from a layout description.`,
+    '',
+    `Layout of the struct (${slots} slots), relative to the slot where it starts:`,
+    '',
+    ...fields.map(({ name, type, isValueType, slot, offset }) =>
+      [`- \`${name}\` (\`${type}\`): slot ${slot}`, isValueType ? `, byte offset ${offset}` : ''].join(''),
+    ),
+    '',
+    'Byte offsets are counted from the least significant byte of the slot, as in the storage layout produced by the',
+    'compiler.',
+  ].join('\n');
+
+const structDefinition = ({ struct, fields }) => `\
+struct ${struct} {
+${fields.map(({ name, type }) => `    ${type} ${name};`).join('\n')}
+}
+`;
+
+const structSize = ({ struct, slots }) =>
+  [
+    format.natspec(
+      `Number of slots used by the \`${struct}\` struct. Can be used with {SlotDerivation-deriveArrayElement} to locate\n` +
+        'the elements of an array of structs.',
     ),
-  ).trimEnd(),
-  '}',
-);
+    `uint256 internal constant SIZE = ${slots};`,
+  ].join('\n');
+
+const memberOffset = ({ name, offset }) =>
+  [
+    format.natspec(`Byte offset of the \`${name}\` member in its slot.`),
+    `uint256 internal constant ${constantCase(name)}_OFFSET = ${offset};`,
+  ].join('\n');
+
+const memberSlot = ({ struct }, { name, slot }) =>
+  format.fn({
+    doc: `Derive the location of the \`${name}\` member of the \`${struct}\` struct that starts at \`slot\`.`,
+    name: `${name}Slot`,
+    params: ['bytes32 slot'],
+    modifiers: ['internal', 'pure'],
+    returns: ['bytes32'],
+    body: `return slot.offset(${slot});`,
+  });
+
+const generateStruct = ({ STRUCT, SLOT_DERIVATION_PATH = '@openzeppelin/contracts/utils/SlotDerivation.sol' }) => {
+  const layout = parseStorageLayout(STRUCT);
+  return format(
+    structHeader(SLOT_DERIVATION_PATH),
+    format
+      .library({
+        doc: structDoc(layout),
+        name: layout.library,
+        members: [
+          'using SlotDerivation for bytes32;',
+          structDefinition(layout),
+          structSize(layout),
+          ...layout.fields.filter(({ isValueType }) => isValueType).map(memberOffset),
+          ...layout.fields.map(field => memberSlot(layout, field)),
+        ],
+      })
+      .trimEnd(),
+  );
+};
+
+const generateSlotDerivation = ({ TYPES }) =>
+  format(
+    header.trimEnd(),
+    'library SlotDerivation {',
+    format(
+      [].concat(
+        namespace,
+        array,
+        TYPES.map(type => (type.isValueType ? mapping(type) : mapping2(type))),
+        product(
+          TYPES.filter(({ isValueType }) => isValueType),
+          TYPES.filter(({ isValueType }) => isValueType),
+        ).map(nestedMapping),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+// GENERATE
+// When the options include a struct layout description (see `layout.js`), a library locating the members of that
+// struct is generated instead of the `SlotDerivation` library.
+module.exports = opts => (opts.STRUCT ? generateStruct(opts) : generateSlotDerivation(opts));
+
+module.exports.targets = [
+  { root: 'contracts', file: 'utils/SlotDerivation.sol', opts: 'Slot.opts.js' },
+  { root: 'contracts', file: 'mocks/EntrySlotsMock.sol', opts: 'EntrySlotsMock.opts.js' },
+];
@@ -1,6 +1,6 @@
 const format = require('../format-lines');
-const { capitalize } = require('../../helpers');
-const { TYPES } = require('./Slot.opts');
+const { capitalize, product } = require('../../helpers');
+const { parseStorageLayout, constantCase } = require('./layout');
 
 const header = `\
 pragma solidity ^0.8.20;
@@ -40,6 +40,27 @@ function _assertDeriveArray(uint256 length, uint256 offset) public {
 
     assertEq(baseSlot.deriveArray().offset(offset), derivedSlot);
 }
+
+uint256[3][] private _arrayOfTriples;
+
+function testDeriveArrayElement(uint256 length, uint256 offset) public {
+    length = bound(length, 1, type(uint256).max);
+    offset = bound(offset, 0, length - 1);
+
+    bytes32 baseSlot;
+    assembly {
+        baseSlot := _arrayOfTriples.slot
+        sstore(baseSlot, length) // store length so solidity access does not revert
+    }
+
+    uint256[3] storage derived = _arrayOfTriples[offset];
+    bytes32 derivedSlot;
+    assembly {
+        derivedSlot := derived.slot
+    }
+
+    assertEq(baseSlot.deriveArrayElement(offset, 3), derivedSlot);
+}
 `;
 
 const mapping = ({ type, name }) => `\
@@ -100,28 +121,163 @@ function _assertDeriveMapping${name}(${type} memory key) internal view {
 }
 `;
 
-// GENERATE
-module.exports = format(
-  header,
-  'contract SlotDerivationTest is Test, SymTest {',
-  format(
-    [].concat(
-      'using SlotDerivation for bytes32;',
-      '',
-      array,
-      TYPES.flatMap(type =>
-        [].concat(
-          type,
-          (type.variants ?? []).map(variant => ({
-            type: variant,
-            name: capitalize(variant),
-            isValueType: type.isValueType,
-          })),
+const nestedMapping = ([outer, inner]) => `\
+mapping(${outer.type} => mapping(${inner.type} => bytes)) private _${outer.type}${capitalize(inner.type)}Mapping;
+
+function testSymbolicDeriveMapping${outer.name}${inner.name}(${outer.type} key1, ${inner.type} key2) public view {
+    bytes32 baseSlot;
+    assembly {
+        baseSlot := _${outer.type}${capitalize(inner.type)}Mapping.slot
+    }
+
+    bytes storage derived = _${outer.type}${capitalize(inner.type)}Mapping[key1][key2];
+    bytes32 derivedSlot;
+    assembly {
+        derivedSlot := derived.slot
+    }
+
+    assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+}
+`;
+
+// STRUCT MODE
+const structHeader = ({ library }, libraryPath) => `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {SlotDerivation} from "@openzeppelin/contracts/utils/SlotDerivation.sol";
+import {${library}} from "${libraryPath}";
+`;
+
+const structEntry = ({ library, struct }) => `\
+using SlotDerivation for bytes32;
+
+mapping(address => mapping(uint256 => ${library}.${struct}[])) private _entries;
+
+function testEntrySlot(address key1, uint256 key2, uint256 index) public {
+    (${library}.${struct} storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+    bytes32 entrySlot;
+    assembly {
+        entrySlot := entry.slot
+    }
+
+    assertEq(slot, entrySlot);
+}
+`;
+
+// Bits of a value as stored in its slot, without the surrounding bytes.
+const storedBits = (type, size, value) => {
+  if (type === 'address') return `uint160(${value})`;
+  if (type === 'bool') return `${value} ? uint256(1) : uint256(0)`;
+  if (type.startsWith('uint')) return value;
+  return `uint${size * 8}(${value})`;
+};
+
+const structValueMember = ({ library, struct }, { name, type, size }) => `\
+function test${capitalize(name)}Slot(address key1, uint256 key2, uint256 index, ${type} value) public {
+    (${library}.${struct} storage entry, bytes32 slot) = _locate(key1, key2, index);
+    entry.${name} = value;
+
+    uint256 stored = _load(${library}.${name}Slot(slot), ${library}.${constantCase(name)}_OFFSET, ${size});
+    assertEq(stored, ${storedBits(type, size, 'value')});
+}
+`;
+
+const structDynamicMember = ({ library, struct }, { name, type }) => `\
+function test${capitalize(name)}Slot(address key1, uint256 key2, uint256 index) public {
+    (${library}.${struct} storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+    ${type} storage member = entry.${name};
+    bytes32 memberSlot;
+    assembly {
+        memberSlot := member.slot
+    }
+
+    assertEq(${library}.${name}Slot(slot), memberSlot);
+}
+`;
+
+const structHelpers = ({ library, struct }) => `\
+function _locate(
+    address key1,
+    uint256 key2,
+    uint256 index
+) private returns (${library}.${struct} storage entry, bytes32 slot) {
+    index = bound(index, 0, type(uint256).max - 1);
+
+    ${library}.${struct}[] storage array = _entries[key1][key2];
+    bytes32 baseSlot;
+    assembly {
+        baseSlot := _entries.slot
+        sstore(array.slot, add(index, 1)) // store length so solidity access does not revert
+    }
+
+    entry = array[index];
+    slot = baseSlot.deriveMapping(key1, key2).deriveArrayElement(index, ${library}.SIZE);
+}
+
+function _load(bytes32 slot, uint256 offset, uint256 size) private view returns (uint256 result) {
+    assembly {
+        result := and(shr(mul(8, offset), sload(slot)), sub(shl(mul(8, size), 1), 1))
+    }
+}
+`;
+
+const generateStruct = ({ STRUCT, LIBRARY_PATH }) => {
+  const layout = parseStorageLayout(STRUCT);
+  return format(
+    structHeader(layout, LIBRARY_PATH),
+    `contract ${layout.library}Test is Test {`,
+    format(
+      [].concat(
+        structEntry(layout),
+        layout.fields.map(field =>
+          field.isValueType ? structValueMember(layout, field) : structDynamicMember(layout, field),
         ),
-      ).map(type => (type.isValueType ? mapping(type) : boundedMapping(type))),
-      mappingDirty(TYPES.bool),
-      mappingDirty(TYPES.address),
-    ),
-  ).trimEnd(),
-  '}',
-);
+        structHelpers(layout),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+};
+
+const generateSlotDerivation = ({ TYPES }) =>
+  format(
+    header,
+    'contract SlotDerivationTest is Test, SymTest {',
+    format(
+      [].concat(
+        'using SlotDerivation for bytes32;',
+        '',
+        array,
+        TYPES.flatMap(type =>
+          [].concat(
+            type,
+            (type.variants ?? []).map(variant => ({
+              type: variant,
+              name: capitalize(variant),
+              isValueType: type.isValueType,
+            })),
+          ),
+        ).map(type => (type.isValueType ? mapping(type) : boundedMapping(type))),
+        mappingDirty(TYPES.bool),
+        mappingDirty(TYPES.address),
+        product(
+          TYPES.filter(({ isValueType }) => isValueType),
+          TYPES.filter(({ isValueType }) => isValueType),
+        ).map(nestedMapping),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+// GENERATE
+// When the options include a struct layout description (see `layout.js`), a test of the library locating the members
+// of that struct is generated instead.
+module.exports = opts => (opts.STRUCT ? generateStruct(opts) : generateSlotDerivation(opts));
+
+module.exports.targets = [
+  { root: 'test', file: 'utils/EntrySlotsMock.t.sol', opts: 'EntrySlotsMock.opts.js' },
+  { root: 'test', file: 'utils/SlotDerivation.t.sol', opts: 'Slot.opts.js' },
+];
@@ -1,10 +1,9 @@
 const format = require('../format-lines');
-const { TYPES } = require('./Slot.opts');
 
-const header = `\
+const header = imports => `\
 pragma solidity ^0.8.20;
-
-/**
+${imports.map(({ name, path }) => `\nimport {${name}} from "${path}";`).join('')}
+${imports.length ? '\n' : ''}/**
  * @dev Library for reading and writing primitive types to specific storage slots.
  *
  * Storage slots are often used to avoid storage conflict when dealing with upgradeable contracts.
@@ -64,14 +63,17 @@ function get${name}Slot(${type} storage store) internal pure returns (${name}Slo
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library StorageSlot {',
+module.exports = ({ TYPES, IMPORTS = [] }) =>
   format(
-    [].concat(
-      TYPES.map(type => struct(type)),
-      TYPES.flatMap(type => [get(type), !type.isValueType && getStorage(type)].filter(Boolean)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header(IMPORTS).trimEnd(),
+    'library StorageSlot {',
+    format(
+      [].concat(
+        TYPES.map(type => struct(type)),
+        TYPES.flatMap(type => [get(type), !type.isValueType && getStorage(type)].filter(Boolean)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'utils/StorageSlot.sol', opts: 'StorageSlot.opts.js' }];
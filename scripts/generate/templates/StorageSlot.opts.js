@@ -0,0 +1,20 @@
+const { capitalize } = require('../../helpers');
+const { isValueType } = require('./conversion');
+const { TYPES: SLOT_TYPES } = require('./Slot.opts');
+
+// `underlying` must be provided for user defined value types
+const formatType = (type, { name = undefined, underlying = undefined } = {}) => ({
+  type,
+  name: name ?? capitalize(type),
+  isValueType: isValueType(underlying ?? type),
+  underlying,
+});
+
+// Types of the slots of the `StorageSlot` and `TransientSlot` libraries. On top of the types used by `SlotDerivation`,
+// slots are available for some narrower types, that would make the overloads of `deriveMapping` ambiguous.
+const TYPES = [
+  ...SLOT_TYPES.map(({ type, name }) => formatType(type, { name })),
+  ...['bytes4', 'uint128', 'int128'].map(type => formatType(type)),
+];
+
+module.exports = { TYPES, IMPORTS: [], formatType };
@@ -0,0 +1,50 @@
+const format = require('../format-lines');
+
+// Unwrap user defined value types so that values can be compared using forge-std assertions.
+const unwrap = ({ type, underlying }, value) => (underlying ? `${type}.unwrap(${value})` : value);
+
+// TEMPLATE
+const header = ({ LIBRARY_PATH = '@openzeppelin/contracts/utils/StorageSlot.sol', IMPORTS = [] }) => `\
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {StorageSlot} from "${LIBRARY_PATH}";
+${IMPORTS.map(({ name, path }) => `import {${name}} from "${path}";\n`).join('')}`;
+
+const valueType = details => `\
+function test${details.name}Slot(bytes32 slot, ${details.type} value) public {
+    slot.get${details.name}Slot().value = value;
+    assertEq(${unwrap(details, `slot.get${details.name}Slot().value`)}, ${unwrap(details, 'value')});
+}
+`;
+
+const nonValueType = ({ type, name }) => `\
+${type} private _${type}Storage;
+
+function test${name}Slot(bytes32 slot, ${type} calldata value) public {
+    slot.get${name}Slot().value = value;
+    assertEq(slot.get${name}Slot().value, value);
+}
+
+function test${name}Storage(${type} calldata value) public {
+    _${type}Storage.get${name}Slot().value = value;
+    assertEq(_${type}Storage, value);
+}
+`;
+
+// GENERATE
+module.exports = opts =>
+  format(
+    header(opts),
+    'contract StorageSlotTest is Test {',
+    format(
+      [].concat(
+        'using StorageSlot for *;',
+        '',
+        opts.TYPES.map(type => (type.isValueType ? valueType(type) : nonValueType(type))),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/StorageSlot.t.sol', opts: 'StorageSlot.opts.js' }];
@@ -1,5 +1,4 @@
 const format = require('../format-lines');
-const { TYPES } = require('./Slot.opts');
 
 const header = `\
 pragma solidity ^0.8.20;
@@ -41,17 +40,20 @@ function get${name}Storage(uint256 key) public view returns (${type} memory) {
 `;
 
 // GENERATE
-module.exports = format(
-  header,
-  'contract StorageSlotMock is Multicall {',
+module.exports = ({ TYPES }) =>
   format(
-    [].concat(
-      'using StorageSlot for *;',
-      '',
-      TYPES.filter(type => type.isValueType).map(type => storageSetValueType(type)),
-      TYPES.filter(type => type.isValueType).map(type => storageGetValueType(type)),
-      TYPES.filter(type => !type.isValueType).map(type => storageSetNonValueType(type)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header,
+    'contract StorageSlotMock is Multicall {',
+    format(
+      [].concat(
+        'using StorageSlot for *;',
+        '',
+        TYPES.filter(type => type.isValueType).map(type => storageSetValueType(type)),
+        TYPES.filter(type => type.isValueType).map(type => storageGetValueType(type)),
+        TYPES.filter(type => !type.isValueType).map(type => storageSetNonValueType(type)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'mocks/StorageSlotMock.sol', opts: 'StorageSlot.opts.js' }];
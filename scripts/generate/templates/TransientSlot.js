@@ -1,10 +1,9 @@
 const format = require('../format-lines');
-const { TYPES } = require('./Slot.opts');
 
-const header = `\
+const header = imports => `\
 pragma solidity ^0.8.24;
-
-/**
+${imports.map(({ name, path }) => `\nimport {${name}} from "${path}";`).join('')}
+${imports.length ? '\n' : ''}/**
  * @dev Library for reading and writing value-types to specific transient storage slots.
  *
  * Transient slots are often used to store temporary values that are removed after the current transaction.
@@ -67,14 +66,17 @@ function tstore(${name}Slot slot, ${type} value) internal {
 `;
 
 // GENERATE
-module.exports = format(
-  header.trimEnd(),
-  'library TransientSlot {',
+module.exports = ({ TYPES, IMPORTS = [] }) =>
   format(
-    [].concat(
-      TYPES.filter(type => type.isValueType).map(type => udvt(type)),
-      TYPES.filter(type => type.isValueType).map(type => transient(type)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header(IMPORTS).trimEnd(),
+    'library TransientSlot {',
+    format(
+      [].concat(
+        TYPES.filter(type => type.isValueType).map(type => udvt(type)),
+        TYPES.filter(type => type.isValueType).map(type => transient(type)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'utils/TransientSlot.sol', opts: 'StorageSlot.opts.js' }];
@@ -0,0 +1,33 @@
+const format = require('../format-lines');
+
+// Unwrap user defined value types so that values can be compared using forge-std assertions.
+const unwrap = ({ type, underlying }, value) => (underlying ? `${type}.unwrap(${value})` : value);
+
+// TEMPLATE
+const header = ({ LIBRARY_PATH = '@openzeppelin/contracts/utils/TransientSlot.sol', IMPORTS = [] }) => `\
+pragma solidity ^0.8.24;
+
+import {Test} from "forge-std/Test.sol";
+import {TransientSlot} from "${LIBRARY_PATH}";
+${IMPORTS.map(({ name, path }) => `import {${name}} from "${path}";\n`).join('')}`;
+
+const transient = details => `\
+function test${details.name}Slot(bytes32 slot, ${details.type} value) public {
+    TransientSlot.${details.name}Slot tslot = slot.as${details.name}();
+    tslot.tstore(value);
+    assertEq(${unwrap(details, 'tslot.tload()')}, ${unwrap(details, 'value')});
+}
+`;
+
+// GENERATE
+module.exports = opts =>
+  format(
+    header(opts),
+    'contract TransientSlotTest is Test {',
+    format(
+      [].concat('using TransientSlot for *;', '', opts.TYPES.filter(type => type.isValueType).map(transient)),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'test', file: 'utils/TransientSlot.t.sol', opts: 'StorageSlot.opts.js' }];
@@ -1,5 +1,4 @@
 const format = require('../format-lines');
-const { TYPES } = require('./Slot.opts');
 
 const header = `\
 pragma solidity ^0.8.24;
@@ -21,15 +20,18 @@ function tstore(bytes32 slot, ${type} value) public {
 `;
 
 // GENERATE
-module.exports = format(
-  header,
-  'contract TransientSlotMock is Multicall {',
+module.exports = ({ TYPES }) =>
   format(
-    [].concat(
-      'using TransientSlot for *;',
-      '',
-      TYPES.filter(type => type.isValueType).map(type => transient(type)),
-    ),
-  ).trimEnd(),
-  '}',
-);
+    header,
+    'contract TransientSlotMock is Multicall {',
+    format(
+      [].concat(
+        'using TransientSlot for *;',
+        '',
+        TYPES.filter(type => type.isValueType).map(type => transient(type)),
+      ),
+    ).trimEnd(),
+    '}',
+  );
+
+module.exports.targets = [{ root: 'contracts', file: 'mocks/TransientSlotMock.sol', opts: 'StorageSlot.opts.js' }];
@@ -1,30 +1,71 @@
-function toBytes32(type, value) {
+// Conversions between value types (that fit in a word) and bytes32. User defined value types are supported by passing
+// their underlying type: values are unwrapped (or wrapped) and then converted as the underlying type.
+
+// Dynamic types (`string` and `bytes`) do not fit in a word, and cannot be converted.
+function isValueType(type) {
+  return !['string', 'bytes'].includes(type);
+}
+
+function toBytes32(type, value, underlying = undefined) {
+  if (underlying) {
+    return toBytes32(underlying, `${type}.unwrap(${value})`);
+  }
+
   switch (type) {
     case 'bytes32':
       return value;
     case 'uint256':
       return `bytes32(${value})`;
+    case 'int256':
+      return `bytes32(uint256(${value}))`;
     case 'address':
       return `bytes32(uint256(uint160(${value})))`;
     default:
+      if (/^uint\d+$/.test(type)) return `bytes32(uint256(${value}))`;
+      if (/^int\d+$/.test(type)) return `bytes32(uint256(int256(${value})))`;
+      if (/^bytes\d+$/.test(type)) return `bytes32(${value})`;
       throw new Error(`Conversion from ${type} to bytes32 not supported`);
   }
 }
 
-function fromBytes32(type, value) {
+function fromBytes32(type, value, underlying = undefined) {
+  if (underlying) {
+    return `${type}.wrap(${fromBytes32(underlying, value)})`;
+  }
+
   switch (type) {
     case 'bytes32':
       return value;
     case 'uint256':
       return `uint256(${value})`;
+    case 'int256':
+      return `int256(uint256(${value}))`;
     case 'address':
       return `address(uint160(uint256(${value})))`;
     default:
+      if (/^uint\d+$/.test(type)) return `${type}(uint256(${value}))`;
+      if (/^int\d+$/.test(type)) return `${type}(int256(uint256(${value})))`;
+      if (/^bytes\d+$/.test(type)) return `${type}(${value})`;
       throw new Error(`Conversion from bytes32 to ${type} not supported`);
   }
 }
 
+// Build a value of any supported type (including \`string\` and \`bytes\`) from a uint256. Used by the tests to draw
+// values from a small pool. Building strings requires the \`Strings\` library.
+function fromUint256(type, value) {
+  switch (type) {
+    case 'string':
+      return `Strings.toString(${value})`;
+    case 'bytes':
+      return `abi.encode(${value})`;
+    default:
+      return fromBytes32(type, `bytes32(${value})`);
+  }
+}
+
 module.exports = {
+  isValueType,
   toBytes32,
   fromBytes32,
+  fromUint256,
 };
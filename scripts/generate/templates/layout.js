@@ -0,0 +1,135 @@
+// Struct layout descriptions, used to generate libraries that pack a struct into a bytes32. A description is a JSON
+// object (or a JS object) with the following shape:
+//
+// {
+//   // Name of the generated library.
+//   "library": "PackedEntry",
+//   // Name of the struct, declared in the library.
+//   "struct": "Entry",
+//   // Fields of the struct, packed in order starting with the most significant bytes.
+//   "fields": [{ "name": "account", "type": "address" }, { "name": "period", "type": "uint48" }]
+// }
+//
+// Fields are read and written using the `extract_32_X` and `replace_32_X` functions of the `Packing` library, so the
+// size of each field must be one of the `SIZES` supported by `Packing`.
+//
+// The same descriptions are used to generate libraries that locate the members of a struct in storage (see
+// `parseStorageLayout`). In that case, fields can also be dynamic (`string`, `bytes`, `T[]` and `mapping(K => V)`), and
+// they are laid out following the rules of the compiler.
+
+// Size (in bytes) of a value type, or undefined if the type is not supported.
+function sizeOf(type) {
+  if (type === 'address') return 20;
+  if (type === 'bool') return 1;
+  const match = type.match(/^(u?int|bytes)(\d+)$/);
+  if (!match) return undefined;
+  return match[1] === 'bytes' ? Number(match[2]) : Number(match[2]) / 8;
+}
+
+// Convert a field value from (`fromBytes`) and to (`toBytes`) the bytesXX returned by the `Packing` primitives.
+function fromBytes(type, size, value) {
+  if (type === 'address') return `address(${value})`;
+  if (type === 'bool') return `${value} != 0`;
+  if (type.startsWith('uint')) return `${type}(${value})`;
+  if (type.startsWith('int')) return `${type}(uint${size * 8}(${value}))`;
+  return value;
+}
+
+function toBytes(type, size, value) {
+  if (type === 'address') return `bytes20(${value})`;
+  if (type === 'bool') return `${value} ? bytes1(0x01) : bytes1(0)`;
+  if (type.startsWith('uint')) return `bytes${size}(${value})`;
+  if (type.startsWith('int')) return `bytes${size}(uint${size * 8}(${value}))`;
+  return value;
+}
+
+// Validate a layout description and compute the size and offset of each field.
+function parseLayout(description, SIZES) {
+  const { library, struct, fields } = description;
+  const name = library ?? '<unnamed>';
+
+  if (!library || !struct) {
+    throw new Error(`Layout ${name} must have a "library" and a "struct" name`);
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`Layout ${name} must have at least one field`);
+  }
+
+  const supported = SIZES.filter(size => size < 32);
+  let offset = 0;
+  const parsed = fields.map(({ name: field, type }) => {
+    const size = sizeOf(type);
+    if (size === undefined) {
+      throw new Error(`Unsupported type ${type} for field ${field} of layout ${name}`);
+    }
+    if (!supported.includes(size)) {
+      throw new Error(`Field ${field} of layout ${name} has size ${size}, supported sizes are ${supported.join(', ')}`);
+    }
+    const result = { name: field, type, size, offset };
+    offset += size;
+    return result;
+  });
+
+  if (offset > 32) {
+    throw new Error(`Layout ${name} does not fit in 32 bytes (${offset} bytes)`);
+  }
+  const duplicate = parsed.find(({ name: field }, i) => parsed.findIndex(other => other.name === field) !== i);
+  if (duplicate) {
+    throw new Error(`Duplicate field ${duplicate.name} in layout ${name}`);
+  }
+
+  return { library, struct, fields: parsed, size: offset };
+}
+
+// Name of the constant holding a value related to a field (e.g. \`delegateVotes\` -> \`DELEGATE_VOTES\`).
+function constantCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Validate a layout description and compute the storage location of each field, relative to the slot where the struct
+// starts. Value types are packed in order, starting with the least significant bytes of a slot, and move to the next
+// slot when they do not fit. Dynamic types always use a full slot.
+function parseStorageLayout(description) {
+  const { library, struct, fields } = description;
+  const name = library ?? '<unnamed>';
+
+  if (!library || !struct) {
+    throw new Error(`Layout ${name} must have a "library" and a "struct" name`);
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`Layout ${name} must have at least one field`);
+  }
+
+  let slot = 0;
+  let offset = 0;
+  const parsed = fields.map(({ name: field, type }) => {
+    const isDynamic = ['string', 'bytes'].includes(type) || type.endsWith('[]') || type.startsWith('mapping(');
+    const size = isDynamic ? 32 : sizeOf(type);
+    if (size === undefined) {
+      throw new Error(`Unsupported type ${type} for field ${field} of layout ${name}`);
+    }
+    if (offset + size > 32) {
+      slot += 1;
+      offset = 0;
+    }
+    const result = { name: field, type, size, isValueType: !isDynamic, slot, offset };
+    offset += size;
+    return result;
+  });
+
+  const duplicate = parsed.find(({ name: field }, i) => parsed.findIndex(other => other.name === field) !== i);
+  if (duplicate) {
+    throw new Error(`Duplicate field ${duplicate.name} in layout ${name}`);
+  }
+
+  return { library, struct, fields: parsed, slots: slot + 1 };
+}
+
+module.exports = {
+  sizeOf,
+  fromBytes,
+  toBytes,
+  parseLayout,
+  parseStorageLayout,
+  constantCase,
+};
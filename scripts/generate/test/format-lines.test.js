@@ -0,0 +1,115 @@
+const prettier = require('prettier');
+const { expect } = require('chai');
+
+const format = require('../format-lines');
+const { range } = require('../../helpers');
+
+// Parameter named so that it has the given length.
+const param = length => `uint256 ${'x'.repeat(length - 8)}`;
+
+// Lengths of the parameters around the print width, for declarations that have a single parameter and that are
+// indented once.
+const LENGTHS = range(70, 130);
+
+async function expectFormatted(members) {
+  const source = format('pragma solidity ^0.8.20;', '', format.library({ name: 'Mock', members }).trimEnd());
+  const options = await prettier.resolveConfig(__filename.replace(/\.js$/, '.sol'));
+  expect(source).to.equal(await prettier.format(source, { ...options, parser: 'solidity-parse' }));
+}
+
+describe('format-lines', function () {
+  it('indents nested lines', function () {
+    expect(format('a {', ['b {', ['c;', '', 'd;'], '}'], '}')).to.equal(
+      'a {\n    b {\n        c;\n\n        d;\n    }\n}\n',
+    );
+  });
+
+  describe('natspec', function () {
+    it('uses a string as @dev', function () {
+      expect(format.natspec('Some description.\n\nDetails.')).to.equal(
+        '/**\n * @dev Some description.\n *\n * Details.\n */',
+      );
+    });
+
+    it('orders tags', function () {
+      expect(
+        format.natspec({
+          custom: { 'storage-location': 'erc7201:example.main' },
+          returns: ['The first value.', 'The second value.'],
+          params: { a: 'The input.' },
+          dev: 'Details.',
+          notice: 'Summary.',
+        }),
+      ).to.equal(
+        [
+          '/**',
+          ' * @notice Summary.',
+          ' * @dev Details.',
+          ' * @param a The input.',
+          ' * @return The first value.',
+          ' * @return The second value.',
+          ' * @custom:storage-location erc7201:example.main',
+          ' */',
+        ].join('\n'),
+      );
+    });
+
+    it('is empty without documentation', function () {
+      expect(format.natspec(undefined)).to.equal('');
+    });
+  });
+
+  describe('declarations match prettier', function () {
+    it('functions without return parameters', async function () {
+      await expectFormatted(
+        LENGTHS.map(length =>
+          format.fn({ name: 'f', params: [param(length)], modifiers: ['internal', 'pure'], body: 'return;' }),
+        ),
+      );
+    });
+
+    it('functions with return parameters', async function () {
+      await expectFormatted(
+        LENGTHS.flatMap(length => [
+          format.fn({
+            name: 'f',
+            params: [param(length), 'uint256 b'],
+            modifiers: ['internal', 'pure'],
+            returns: ['uint256'],
+            body: 'return 0;',
+          }),
+          format.fn({
+            name: 'g',
+            params: ['uint256 a'],
+            modifiers: ['internal', 'pure'],
+            returns: [param(length), 'uint256 b'],
+            body: ['a;', '', 'b;'],
+          }),
+          format.fn({ name: 'h', modifiers: ['internal', 'pure'], returns: [param(length), param(length)], body: [] }),
+        ]),
+      );
+    });
+
+    it('documented functions', async function () {
+      await expectFormatted([
+        format.fn({
+          doc: { dev: 'Does nothing.', params: { a: 'Ignored.' }, returns: 'Zero.' },
+          name: 'f',
+          params: ['uint256 a'],
+          modifiers: ['internal', 'pure'],
+          returns: ['uint256'],
+          body: 'if (a == 0) {\n    return a;\n}\nreturn 0;',
+        }),
+      ]);
+    });
+
+    it('errors and events', async function () {
+      await expectFormatted(
+        LENGTHS.flatMap(length => [
+          format.error({ name: 'E', params: [param(length), 'address b'] }),
+          format.event({ name: 'V', params: [param(length), 'address indexed b'], doc: 'Emitted.' }),
+        ]).concat(format.error({ name: 'Empty' }), format.event({ name: 'Empty' })),
+      );
+    });
+  });
+});
@@ -0,0 +1,5 @@
+// A subset of the types. Other types must fit in a word (so that arrays are not packed in storage), and have a
+// matching slot in `StorageSlot`.
+const TYPES = ['bytes32', 'uint256'];
+
+module.exports = { TYPES };
@@ -0,0 +1,19 @@
+// Sizes that are not part of the library, including a trace whose key is wider than its value.
+const SIZES = [
+  { keySize: 64, valueSize: 192 },
+  { keySize: 208, valueSize: 48 },
+];
+
+module.exports = {
+  SIZES,
+  VALUE_SIZES: SIZES.map(({ valueSize }) => valueSize),
+  OPTS: SIZES.map(({ keySize, valueSize }) => ({
+    historyTypeName: `Trace${valueSize}`,
+    checkpointTypeName: `Checkpoint${valueSize}`,
+    checkpointFieldName: '_checkpoints',
+    keyTypeName: `uint${keySize}`,
+    keyFieldName: '_key',
+    valueTypeName: `uint${valueSize}`,
+    valueFieldName: '_value',
+  })),
+};
@@ -0,0 +1,16 @@
+// A struct that starts with dynamic members, followed by value types packed in a single slot.
+module.exports = {
+  LIBRARY_PATH: './DelegationSlots.sol',
+  STRUCT: {
+    library: 'DelegationSlots',
+    struct: 'Delegation',
+    fields: [
+      { name: 'delegates', type: 'address[]' },
+      { name: 'votes', type: 'mapping(address => uint256)' },
+      { name: 'delegatee', type: 'address' },
+      { name: 'since', type: 'uint48' },
+      { name: 'expiry', type: 'uint48' },
+      { name: 'weight', type: 'uint128' },
+    ],
+  },
+};
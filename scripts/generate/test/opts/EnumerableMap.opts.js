@@ -0,0 +1,15 @@
+const { formatType } = require('../../templates/EnumerableMap.opts');
+
+// Narrower value types (as key and as value), along with a dynamic type.
+const TYPES = [
+  formatType('bytes4', 'uint256'),
+  formatType('address', 'int64', { name: 'AddressToInt64Map' }),
+  formatType('bytes', 'uint64'),
+];
+
+module.exports = {
+  TYPES,
+  IMPORTS: [],
+  SET_PATH: '@openzeppelin/contracts/utils/structs/EnumerableSet.sol',
+  formatType,
+};
@@ -0,0 +1,6 @@
+const { formatType } = require('../../templates/EnumerableSet.opts');
+
+// Narrower value types, along with a dynamic type.
+const TYPES = [formatType('bytes4'), formatType('int64', { name: 'Int64Set' }), formatType('string')];
+
+module.exports = { TYPES, IMPORTS: [], formatType };
@@ -0,0 +1,5 @@
+// Memory proofs only, with the default hash function.
+module.exports = {
+  OPTS: [{ suffix: '', location: 'memory', visibility: 'pure' }],
+  MULTIPROOF_OPTS: [{ suffix: '', location: 'memory', leavesLocation: 'memory', visibility: 'pure' }],
+};
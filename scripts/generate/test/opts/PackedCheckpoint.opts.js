@@ -0,0 +1,15 @@
+const { SIZES } = require('../../templates/Packing.opts');
+
+// A layout that uses the full 32 bytes, with a signed field.
+module.exports = {
+  SIZES,
+  LIBRARY_PATH: './PackedCheckpoint.sol',
+  LAYOUT: {
+    library: 'PackedCheckpoint',
+    struct: 'Checkpoint',
+    fields: [
+      { name: 'key', type: 'uint32' },
+      { name: 'value', type: 'int224' },
+    ],
+  },
+};
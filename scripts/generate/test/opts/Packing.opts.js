@@ -0,0 +1,4 @@
+// A subset of the sizes, so that some pairs (e.g. 4 and 16) have no intermediate size.
+module.exports = {
+  SIZES: [1, 4, 16, 20, 32],
+};
@@ -0,0 +1,2 @@
+// A few lengths only, including the smallest one.
+module.exports = { LENGTHS: [160, 64, 8] };
@@ -0,0 +1,20 @@
+const { formatType } = require('../../templates/StorageSlot.opts');
+
+// Narrower value types and user defined value types, imported from a file of the project.
+const TYPES = [
+  formatType('address'),
+  formatType('bool', { name: 'Boolean' }),
+  formatType('bytes'),
+  formatType('uint64'),
+  formatType('Price', { underlying: 'uint128' }),
+  formatType('Tag', { underlying: 'bytes4' }),
+];
+
+module.exports = {
+  TYPES,
+  IMPORTS: [
+    { name: 'Price', path: './Price.sol' },
+    { name: 'Tag', path: './Tag.sol' },
+  ],
+  formatType,
+};
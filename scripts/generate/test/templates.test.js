@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const prettier = require('prettier');
+const { expect } = require('chai');
+const { findAll } = require('solidity-ast/utils');
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+} = require('hardhat/builtin-tasks/task-names');
+
+const registry = require('../registry');
+
+const TEMPLATES = path.join(__dirname, '../templates');
+const SNAPSHOTS = path.join(__dirname, 'snapshots');
+
+// Set `UPDATE_SNAPSHOTS` to (re)write the snapshots instead of comparing the outputs against them.
+const UPDATE_SNAPSHOTS = !!process.env.UPDATE_SNAPSHOTS;
+
+// Templates rendered with the alternative options modules of the `opts` directory (new types, new sizes, ...). Each
+// output is parsed, and compared against a snapshot named after the first argument.
+const snapshots = [];
+
+function snapshot(name, template, opts) {
+  snapshots.push({ name, template, opts: path.join(__dirname, 'opts', opts) });
+}
+
+snapshot('Arrays.sol', 'Arrays.js', 'Arrays.opts.js');
+snapshot('Arrays.t.sol', 'Arrays.t.js', 'Arrays.opts.js');
+snapshot('Checkpoints.sol', 'Checkpoints.js', 'Checkpoints.opts.js');
+snapshot('Checkpoints.t.sol', 'Checkpoints.t.js', 'Checkpoints.opts.js');
+snapshot('EnumerableSet.sol', 'EnumerableSet.js', 'EnumerableSet.opts.js');
+snapshot('EnumerableSet.t.sol', 'EnumerableSet.t.js', 'EnumerableSet.opts.js');
+snapshot('EnumerableMap.sol', 'EnumerableMap.js', 'EnumerableMap.opts.js');
+snapshot('EnumerableMap.t.sol', 'EnumerableMap.t.js', 'EnumerableMap.opts.js');
+snapshot('MerkleProof.sol', 'MerkleProof.js', 'MerkleProof.opts.js');
+snapshot('SafeCast.sol', 'SafeCast.js', 'SafeCast.opts.js');
+snapshot('SafeCast.t.sol', 'SafeCast.t.js', 'SafeCast.opts.js');
+snapshot('Packing.sol', 'Packing.js', 'Packing.opts.js');
+snapshot('Packing.t.sol', 'Packing.t.js', 'Packing.opts.js');
+snapshot('PackedCheckpoint.sol', 'Packing.js', 'PackedCheckpoint.opts.js');
+snapshot('PackedCheckpoint.t.sol', 'Packing.t.js', 'PackedCheckpoint.opts.js');
+snapshot('DelegationSlots.sol', 'SlotDerivation.js', 'DelegationSlots.opts.js');
+snapshot('DelegationSlots.t.sol', 'SlotDerivation.t.js', 'DelegationSlots.opts.js');
+snapshot('StorageSlot.sol', 'StorageSlot.js', 'StorageSlot.opts.js');
+snapshot('StorageSlot.t.sol', 'StorageSlot.t.js', 'StorageSlot.opts.js');
+snapshot('TransientSlot.sol', 'TransientSlot.js', 'StorageSlot.opts.js');
+snapshot('TransientSlot.t.sol', 'TransientSlot.t.js', 'StorageSlot.opts.js');
+
+function render({ template, opts }) {
+  return require(path.join(TEMPLATES, template))(
+    typeof opts === 'string' ? require(path.resolve(TEMPLATES, opts)) : opts,
+  );
+}
+
+// Parse sources with the compiler used by the project, without resolving their imports (that may not exist for the
+// alternative options). Returns the AST and the errors of each source.
+async function parse(sources) {
+  const { compilerPath, isSolcJs } = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, {
+    quiet: true,
+    solcVersion: hre.config.solidity.compilers[0].version,
+  });
+
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(Object.entries(sources).map(([name, content]) => [name, { content }])),
+    settings: { stopAfter: 'parsing', outputSelection: { '*': { '': ['ast'] } } },
+  };
+  const output = isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: compilerPath });
+
+  return Object.fromEntries(
+    Object.keys(sources).map(name => [
+      name,
+      {
+        ast: output.sources?.[name]?.ast,
+        errors: (output.errors ?? [])
+          .filter(({ severity, sourceLocation }) => severity === 'error' && sourceLocation?.file === name)
+          .map(({ formattedMessage }) => formattedMessage),
+      },
+    ]),
+  );
+}
+
+// Generated files are not formatted by prettier, so templates must produce formatted code (see the builders of
+// `format-lines.js`). Trailing empty lines are trimmed when writing the files.
+async function isFormatted(name, content) {
+  const options = await prettier.resolveConfig(path.resolve(__dirname, '../../..', name));
+  const source = content.trimEnd() + '\n';
+  return source === (await prettier.format(source, { ...options, parser: 'solidity-parse' }));
+}
+
+// Name of a type, as written in the source. Only used to compare the parameters of functions.
+function typeName(node) {
+  switch (node.nodeType) {
+    case 'ElementaryTypeName':
+      return node.name;
+    case 'UserDefinedTypeName':
+      return node.pathNode.name;
+    case 'ArrayTypeName':
+      return `${typeName(node.baseType)}[${node.length?.value ?? ''}]`;
+    case 'Mapping':
+      return `mapping(${typeName(node.keyType)} => ${typeName(node.valueType)})`;
+    case 'FunctionTypeName':
+      return `function(${node.parameterTypes.parameters.map(p => typeName(p.typeName))})`;
+    default:
+      return node.nodeType;
+  }
+}
+
+// Functions that have the same name and parameter types as another function of the same contract. Overloads can't
+// differ by the data location of their parameters only, so locations are ignored.
+function duplicateFunctions(ast) {
+  return Array.from(findAll('ContractDefinition', ast)).flatMap(contract => {
+    const signatures = Array.from(findAll('FunctionDefinition', contract))
+      .filter(({ kind }) => kind === 'function')
+      .map(
+        ({ name, parameters }) => `${contract.name}.${name}(${parameters.parameters.map(p => typeName(p.typeName))})`,
+      );
+    return signatures.filter((signature, i) => signatures.indexOf(signature) !== i);
+  });
+}
+
+describe('Templates', function () {
+  // The first run of the compiler may need to download it.
+  this.timeout(120_000);
+
+  describe('registered targets', function () {
+    before(async function () {
+      this.parsed = await parse(Object.fromEntries(registry.targets.map(target => [target.output, render(target)])));
+    });
+
+    for (const target of registry.targets) {
+      describe(target.output, function () {
+        it('parses', function () {
+          const { ast, errors } = this.parsed[target.output];
+          expect(errors).to.deep.equal([]);
+          expect(duplicateFunctions(ast)).to.deep.equal([]);
+        });
+
+        it('is formatted', async function () {
+          expect(await isFormatted(target.output, render(target))).to.be.true;
+        });
+      });
+    }
+  });
+
+  describe('alternative options', function () {
+    before(async function () {
+      this.outputs = Object.fromEntries(snapshots.map(entry => [entry.name, render(entry)]));
+      this.parsed = await parse(this.outputs);
+    });
+
+    for (const { name, template, opts } of snapshots) {
+      describe(`${name} (${template} with ${path.relative(__dirname, opts)})`, function () {
+        it('parses', function () {
+          const { ast, errors } = this.parsed[name];
+          expect(errors).to.deep.equal([]);
+          expect(duplicateFunctions(ast)).to.deep.equal([]);
+        });
+
+        it('is formatted', async function () {
+          expect(await isFormatted(name, this.outputs[name])).to.be.true;
+        });
+
+        it('matches snapshot', function () {
+          const file = path.join(SNAPSHOTS, `${name}.snap`);
+          if (UPDATE_SNAPSHOTS) {
+            fs.mkdirSync(SNAPSHOTS, { recursive: true });
+            fs.writeFileSync(file, this.outputs[name]);
+          } else {
+            expect(fs.existsSync(file), `missing snapshot ${path.relative(__dirname, file)}`).to.be.true;
+            expect(this.outputs[name]).to.equal(fs.readFileSync(file, 'utf8'));
+          }
+        });
+      });
+    }
+  });
+});
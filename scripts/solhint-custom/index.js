@@ -1,5 +1,6 @@
 const path = require('path');
 const minimatch = require('minimatch');
+const { keccak256, id, toBeHex, toBigInt } = require('ethers');
 
 // Files matching these patterns will be ignored unless a rule has `static global = true`
 const ignore = ['contracts/mocks/**/*', 'test/**/*'];
@@ -7,6 +8,8 @@ const ignore = ['contracts/mocks/**/*', 'test/**/*'];
 class Base {
   constructor(reporter, config, source, fileName) {
     this.reporter = reporter;
+    this.config = config;
+    this.source = source;
     this.ignored = this.constructor.global || ignore.some(p => minimatch(path.normalize(fileName), p));
     this.ruleId = this.constructor.ruleId;
     if (this.ruleId === undefined) {
@@ -14,13 +17,43 @@ class Base {
     }
   }
 
+  // Patterns of the exceptions to the rule, configured with `['error', { allow: [...] }]`
+  get allow() {
+    const setting = this.config.rules?.[`openzeppelin/${this.constructor.ruleId}`];
+    return (Array.isArray(setting) && setting[1]?.allow) || [];
+  }
+
   error(node, message) {
     if (!this.ignored) {
       this.reporter.error(node, this.ruleId, message);
     }
   }
+
+  // NatSpec comment (`/** ... */` or consecutive `///` lines) directly preceding a node, if any
+  natspec(node) {
+    const before = this.source.slice(0, node.range[0]).trimEnd();
+    if (before.endsWith('*/')) {
+      const start = before.lastIndexOf('/*');
+      return before.startsWith('/**', start) ? before.slice(start) : undefined;
+    }
+    const lines = before.split('\n').reverse();
+    const count = lines.findIndex(line => !/^\s*\/\/\/(?!\/)/.test(line));
+    return count !== 0
+      ? lines
+          .slice(0, count === -1 ? undefined : count)
+          .reverse()
+          .join('\n')
+      : undefined;
+  }
 }
 
+// Storage slot of an ERC-7201 namespace: keccak256(abi.encode(uint256(keccak256(id)) - 1)) & ~bytes32(uint256(0xff))
+const erc7201Slot = namespaceId => toBigInt(keccak256(toBeHex(toBigInt(id(namespaceId)) - 1n, 32))) & ~0xffn;
+
+// Comment documenting how a storage slot is computed, as written above the constants holding one
+const ERC7201_FORMULA =
+  /keccak256\(abi\.encode\(uint256\(keccak256\("([^"]*)"\)\) - 1\)\) & ~bytes32\(uint256\(0xff\)\)/;
+
 module.exports = [
   class extends Base {
     static ruleId = 'interface-names';
@@ -71,14 +104,116 @@ module.exports = [
     }
   },
 
-  // TODO: re-enable and fix
-  // class extends Base {
-  //   static ruleId = 'no-external-virtual';
-  //
-  //   FunctionDefinition(node) {
-  //     if (node.visibility == 'external' && node.isVirtual) {
-  //       this.error(node, 'Functions should not be external and virtual');
-  //     }
-  //   }
-  // },
+  class extends Base {
+    static ruleId = 'no-revert-strings';
+
+    FunctionCall(node) {
+      if (node.expression.type !== 'Identifier') return;
+      if (node.expression.name === 'revert' && node.arguments.length > 0) {
+        this.error(node, 'Use a custom error instead of a revert string');
+      }
+      // since 0.8.26, `require` also accepts a custom error as second argument
+      if (
+        node.expression.name === 'require' &&
+        node.arguments.length > 1 &&
+        node.arguments[1].type !== 'FunctionCall'
+      ) {
+        this.error(node, 'Use a custom error instead of a require string');
+      }
+    }
+  },
+
+  class extends Base {
+    static ruleId = 'documented-errors';
+
+    // Errors are declared in interfaces, or in the `Errors` library for the ones shared by the library. The contracts
+    // and libraries that declared their own errors before this rule are listed as `Contract` patterns, configured with
+    // `['error', { allow: [...] }]`: moving their errors would break the code that refers to them by name.
+    CustomErrorDefinition(node) {
+      const container = node.parent;
+      if (
+        container.type !== 'ContractDefinition' ||
+        !(
+          container.kind === 'interface' ||
+          (container.kind === 'library' && container.name === 'Errors') ||
+          this.allow.some(p => minimatch(container.name, p))
+        )
+      ) {
+        this.error(node, 'Custom errors must be declared in an interface or in the Errors library');
+      }
+      if (this.natspec(node) === undefined) {
+        this.error(node, 'Custom errors must be documented with NatSpec');
+      }
+    }
+  },
+
+  class extends Base {
+    static ruleId = 'erc7201-storage-location';
+
+    checked = new Set();
+
+    ContractDefinition(node) {
+      const constants = new Map(
+        node.subNodes
+          .filter(({ type, variables }) => type === 'StateVariableDeclaration' && variables[0].isDeclaredConst)
+          .map(declaration => [declaration.variables[0].name, declaration]),
+      );
+
+      // namespaced storage structs must be located by a constant named after them (e.g. `ERC20StorageLocation` or
+      // `ERC20_STORAGE` for the `ERC20Storage` struct), that holds the slot of their namespace
+      for (const struct of node.subNodes.filter(({ type }) => type === 'StructDefinition')) {
+        const [, formula, namespaceId] = this.natspec(struct)?.match(/@custom:storage-location\s+([\w-]+):(\S+)/) ?? [];
+        if (formula === undefined) continue;
+        if (formula !== 'erc7201') {
+          this.error(struct, `Storage location of ${struct.name} must use the erc7201 formula (found ${formula})`);
+          continue;
+        }
+
+        const names = [`${struct.name}Location`, struct.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()];
+        const constant = names.map(name => constants.get(name)).find(Boolean);
+        if (constant === undefined) {
+          this.error(struct, `Missing constant ${names.join(' or ')} for the storage location of ${struct.name}`);
+        } else {
+          this.checkSlot(constant, namespaceId);
+        }
+      }
+
+      // constants documented with the formula of their slot
+      for (const constant of constants.values()) {
+        const before = this.source.slice(0, constant.range[0]).trimEnd();
+        const [, namespaceId] = before.slice(before.lastIndexOf('\n') + 1).match(ERC7201_FORMULA) ?? [];
+        if (namespaceId !== undefined) {
+          this.checkSlot(constant, namespaceId);
+        }
+      }
+    }
+
+    checkSlot(constant, namespaceId) {
+      const { name, expression } = constant.variables[0];
+      // a constant can be both documented and used for a struct
+      if (this.checked.has(`${name}:${namespaceId}`)) return;
+      this.checked.add(`${name}:${namespaceId}`);
+
+      const expected = erc7201Slot(namespaceId);
+      if (expression?.type !== 'NumberLiteral' || toBigInt(expression.number) !== expected) {
+        this.error(constant, `${name} must be ${toBeHex(expected, 32)}, the ERC-7201 slot of ${namespaceId}`);
+      }
+    }
+  },
+
+  class extends Base {
+    static ruleId = 'no-external-virtual';
+
+    // Functions that are meant to stay external and virtual are allowed as `Contract.function` patterns. See
+    // `scripts/checks/external-virtual.js` to list and fix the other ones.
+    FunctionDefinition(node) {
+      // the language requires receive and fallback functions to be external
+      if (node.isReceiveEther || node.isFallback || node.parent.kind === 'interface') return;
+
+      const name = `${node.parent.name}.${node.name}`;
+      if (node.visibility == 'external' && node.isVirtual && !this.allow.some(p => minimatch(name, p))) {
+        this.error(node, `${name} should be public virtual, so that overrides can call super`);
+      }
+    }
+  },
 ];
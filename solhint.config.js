@@ -20,7 +20,63 @@ const rules = [
   ...customRules.map(r => `openzeppelin/${r.ruleId}`),
 ];
 
+// Functions that can't be public because some of their overrides are external (see `scripts/checks/external-virtual.js`)
+const externalVirtual = ['UUPSUpgradeable.proxiableUUID'];
+
+// Contracts and libraries that declare their own errors, instead of an interface or the `Errors` library
+const contractErrors = [
+  'Address',
+  'Checkpoints',
+  'CircularBuffer',
+  'Clones',
+  'Create2',
+  'ECDSA',
+  'ERC1363',
+  'ERC1363Utils',
+  'ERC1967Utils',
+  'ERC20Capped',
+  'ERC20FlashMint',
+  'ERC20Permit',
+  'ERC20Votes',
+  'ERC20Wrapper',
+  'ERC2771Forwarder',
+  'ERC2981',
+  'ERC4626',
+  'ERC721Consecutive',
+  'ERC721Enumerable',
+  'ERC721Wrapper',
+  'ERC7579Utils',
+  'EnumerableMap',
+  'GovernorCountingFractional',
+  'GovernorCountingOverridable',
+  'GovernorSequentialProposalId',
+  'GovernorTimelockAccess',
+  'GovernorVotesQuorumFraction',
+  'Initializable',
+  'MerkleProof',
+  'Nonces',
+  'Ownable',
+  'Packing',
+  'Pausable',
+  'ReentrancyGuard',
+  'ReentrancyGuardTransient',
+  'SafeCast',
+  'SafeERC20',
+  'ShortStrings',
+  'Strings',
+  'TimelockController',
+  'TransparentUpgradeableProxy',
+  'UUPSUpgradeable',
+  'UpgradeableBeacon',
+  'VestingWalletCliff',
+  'Votes',
+];
+
 module.exports = {
   plugins: ['openzeppelin'],
-  rules: Object.fromEntries(rules.map(r => [r, 'error'])),
+  rules: {
+    ...Object.fromEntries(rules.map(r => [r, 'error'])),
+    'openzeppelin/documented-errors': ['error', { allow: contractErrors }],
+    'openzeppelin/no-external-virtual': ['error', { allow: externalVirtual }],
+  },
 };
@@ -5,6 +5,8 @@ const generators = {
   bytes32: () => ethers.hexlify(ethers.randomBytes(32)),
   uint256: () => ethers.toBigInt(ethers.randomBytes(32)),
   int256: () => ethers.toBigInt(ethers.randomBytes(32)) + ethers.MinInt256,
+  string: () => ethers.uuidV4(ethers.randomBytes(32)),
+  bytes: () => ethers.hexlify(ethers.randomBytes(64)),
   hexBytes: length => ethers.hexlify(ethers.randomBytes(length)),
 };
 
@@ -12,6 +14,8 @@ generators.address.zero = ethers.ZeroAddress;
 generators.bytes32.zero = ethers.ZeroHash;
 generators.uint256.zero = 0n;
 generators.int256.zero = 0n;
+generators.string.zero = '';
+generators.bytes.zero = '0x';
 generators.hexBytes.zero = '0x';
 
 module.exports = {
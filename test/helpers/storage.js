@@ -31,6 +31,127 @@ const upgradeableSlot = (contractName, offset) => {
   }
 };
 
+// Storage layout of a contract, as produced by the compiler (requires the \`storageLayout\` output selection).
+const getStorageLayout = async name => {
+  const { sourceName, contractName } = await artifacts.readArtifact(name);
+  const { output } = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  return output.contracts[sourceName][contractName].storageLayout;
+};
+
+// Locate a (possibly nested) variable using a storage layout. The path starts with the label of a state variable,
+// followed by the keys (for mappings), indices (for arrays) and member names (for structs) used to access it.
+//
+// Example: `getStorageLocation(layout, ['_entries', owner, 3n, 'balance'])` locates `_entries[owner][3].balance`.
+const getStorageLocation = (layout, [label, ...path]) => {
+  const variable = layout.storage.find(item => item.label === label);
+  if (!variable) throw new Error(`Unknown storage variable ${label}`);
+
+  let slot = ethers.toBigInt(variable.slot);
+  let offset = variable.offset;
+  let type = layout.types[variable.type];
+
+  for (const step of path) {
+    if (type.encoding === 'mapping') {
+      const keyType = layout.types[type.key].label;
+      slot = ethers.toBigInt(
+        ['string', 'bytes'].includes(keyType)
+          ? ethers.solidityPackedKeccak256([keyType, 'uint256'], [step, slot])
+          : ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([abiType(keyType), 'uint256'], [step, slot])),
+      );
+      offset = 0;
+      type = layout.types[type.value];
+    } else if (type.base) {
+      // dynamic arrays store their elements starting at the hash of the slot, static arrays in place
+      const start =
+        type.encoding === 'dynamic_array' ? ethers.toBigInt(ethers.keccak256(ethers.toBeHex(slot, 32))) : slot;
+      const base = layout.types[type.base];
+      const size = Number(base.numberOfBytes);
+      const index = ethers.toBigInt(step);
+      if (size <= 16) {
+        // small elements are packed, several in each slot
+        const perSlot = BigInt(Math.floor(32 / size));
+        slot = (start + index / perSlot) & ethers.MaxUint256;
+        offset = Number(index % perSlot) * size;
+      } else {
+        slot = (start + index * BigInt(Math.ceil(size / 32))) & ethers.MaxUint256;
+        offset = 0;
+      }
+      type = base;
+    } else if (type.members) {
+      const member = type.members.find(item => item.label === step);
+      if (!member) throw new Error(`Unknown member ${step} of ${type.label}`);
+      slot = (slot + ethers.toBigInt(member.slot)) & ethers.MaxUint256;
+      offset = member.offset;
+      type = layout.types[member.type];
+    } else {
+      throw new Error(`Cannot access ${step} in a variable of type ${type.label}`);
+    }
+  }
+
+  return { slot: ethers.toBeHex(slot, 32), offset, type };
+};
+
+// Type used to ABI encode a value of a given storage type (contracts are encoded as addresses, enums as uint8).
+const abiType = label => {
+  if (label.startsWith('contract ')) return 'address';
+  if (label.startsWith('enum ')) return 'uint8';
+  return label;
+};
+
+// Read the value of a variable located using a storage layout. Value types are decoded, and strings or bytes are
+// read from their (short or long) encoding.
+const getStorageValue = async (address, layout, path) => {
+  address = ethers.isAddressable(address) ? await address.getAddress() : address;
+  const { slot, offset, type } = getStorageLocation(layout, path);
+  const word = ethers.toBigInt(await ethers.provider.getStorage(address, slot));
+
+  if (type.encoding === 'bytes') {
+    let data;
+    if (word & 1n) {
+      // long form: the slot stores `length * 2 + 1`, and the data starts at the hash of the slot
+      const length = Number((word - 1n) / 2n);
+      const start = ethers.toBigInt(ethers.keccak256(slot));
+      const words = await Promise.all(
+        Array.from({ length: Math.ceil(length / 32) }, (_, i) =>
+          ethers.provider.getStorage(address, (start + BigInt(i)) & ethers.MaxUint256),
+        ),
+      );
+      data = ethers.dataSlice(ethers.concat(['0x', ...words]), 0, length);
+    } else {
+      // short form: the data is stored in the higher-order bytes, and the lowest-order byte stores `length * 2`
+      data = ethers.dataSlice(ethers.toBeHex(word, 32), 0, Number(word & 0xffn) / 2);
+    }
+    return type.label === 'string' ? ethers.toUtf8String(data) : data;
+  } else if (type.encoding !== 'inplace' || type.members || type.base) {
+    throw new Error(`Cannot read a variable of type ${type.label}`);
+  }
+
+  const size = Number(type.numberOfBytes);
+  const raw = (word >> BigInt(8 * offset)) & ((1n << BigInt(8 * size)) - 1n);
+  const label = abiType(type.label);
+  if (label === 'bool') return raw !== 0n;
+  if (label === 'address') return ethers.getAddress(ethers.toBeHex(raw, 20));
+  if (label.startsWith('bytes')) return ethers.toBeHex(raw, size);
+  if (label.startsWith('int')) return ethers.fromTwos(raw, 8 * size);
+  return raw;
+};
+
+// Write the value of a variable located using a storage layout. Only value types are supported. The other bytes of
+// the slot, which may belong to other variables, are preserved.
+const setStorageValue = async (address, layout, path, value) => {
+  address = ethers.isAddressable(address) ? await address.getAddress() : address;
+  const { slot, offset, type } = getStorageLocation(layout, path);
+  if (type.encoding !== 'inplace' || type.members || type.base) {
+    throw new Error(`Cannot write a variable of type ${type.label}`);
+  }
+
+  const size = Number(type.numberOfBytes);
+  const raw = BigInt.asUintN(8 * size, typeof value === 'boolean' ? BigInt(value) : ethers.toBigInt(value));
+  const mask = ((1n << BigInt(8 * size)) - 1n) << BigInt(8 * offset);
+  const word = ethers.toBigInt(await ethers.provider.getStorage(address, slot));
+  await setStorageAt(address, slot, ethers.toBeHex((word & ~mask) | (raw << BigInt(8 * offset)), 32));
+};
+
 module.exports = {
   ImplementationLabel,
   AdminLabel,
@@ -45,4 +166,8 @@ module.exports = {
   getSlot,
   getAddressInSlot,
   upgradeableSlot,
+  getStorageLayout,
+  getStorageLocation,
+  getStorageValue,
+  setStorageValue,
 };
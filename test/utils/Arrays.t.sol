@@ -1,12 +1,18 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/Arrays.t.js.
 
 pragma solidity ^0.8.20;
 
 import {Test} from "forge-std/Test.sol";
 import {SymTest} from "halmos-cheatcodes/SymTest.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {Arrays} from "@openzeppelin/contracts/utils/Arrays.sol";
 
 contract ArraysTest is Test, SymTest {
+    address[] private _addressArray;
+    bytes32[] private _bytes32Array;
+    uint256[] private _uint256Array;
+
     function testSort(uint256[] memory values) public pure {
         Arrays.sort(values);
         _assertSort(values);
@@ -21,6 +27,413 @@ contract ArraysTest is Test, SymTest {
         _assertSort(values);
     }
 
+    function testLowerBoundAddress(address[] memory values, address element) public {
+        Arrays.sort(values);
+        _addressArray = values;
+
+        // reference: index of the first value that is greater or equal than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] >= element) expected = i - 1;
+        }
+
+        assertEq(Arrays.lowerBound(_addressArray, element), expected);
+        assertEq(Arrays.lowerBoundMemory(values, element), expected);
+        assertEq(this.lowerBoundCalldata(values, element), expected);
+    }
+
+    function testUpperBoundAddress(address[] memory values, address element) public {
+        Arrays.sort(values);
+        _addressArray = values;
+
+        // reference: index of the first value that is strictly greater than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] > element) expected = i - 1;
+        }
+
+        assertEq(Arrays.upperBound(_addressArray, element), expected);
+        assertEq(Arrays.upperBoundMemory(values, element), expected);
+        assertEq(this.upperBoundCalldata(values, element), expected);
+    }
+
+    function testBinarySearchAddress(address[] memory values, address element, bool pick) public {
+        Arrays.sort(values);
+        _addressArray = values;
+
+        // search for an element of the array half of the time
+        if (pick && values.length > 0) element = values[uint256(keccak256(abi.encode(element))) % values.length];
+
+        // reference: index of the first occurrence of element, or the lower bound if element is not in the array
+        bool expectedFound = false;
+        uint256 expectedIndex = Arrays.lowerBoundMemory(values, element);
+        for (uint256 i = 0; i < values.length; ++i) {
+            if (values[i] == element) {
+                expectedFound = true;
+                expectedIndex = i;
+                break;
+            }
+        }
+
+        (bool found, uint256 index) = Arrays.binarySearch(_addressArray, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = Arrays.binarySearchMemory(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = this.binarySearchCalldata(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+    }
+
+    function testLowerBoundBytes32(bytes32[] memory values, bytes32 element) public {
+        Arrays.sort(values);
+        _bytes32Array = values;
+
+        // reference: index of the first value that is greater or equal than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] >= element) expected = i - 1;
+        }
+
+        assertEq(Arrays.lowerBound(_bytes32Array, element), expected);
+        assertEq(Arrays.lowerBoundMemory(values, element), expected);
+        assertEq(this.lowerBoundCalldata(values, element), expected);
+    }
+
+    function testUpperBoundBytes32(bytes32[] memory values, bytes32 element) public {
+        Arrays.sort(values);
+        _bytes32Array = values;
+
+        // reference: index of the first value that is strictly greater than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] > element) expected = i - 1;
+        }
+
+        assertEq(Arrays.upperBound(_bytes32Array, element), expected);
+        assertEq(Arrays.upperBoundMemory(values, element), expected);
+        assertEq(this.upperBoundCalldata(values, element), expected);
+    }
+
+    function testBinarySearchBytes32(bytes32[] memory values, bytes32 element, bool pick) public {
+        Arrays.sort(values);
+        _bytes32Array = values;
+
+        // search for an element of the array half of the time
+        if (pick && values.length > 0) element = values[uint256(keccak256(abi.encode(element))) % values.length];
+
+        // reference: index of the first occurrence of element, or the lower bound if element is not in the array
+        bool expectedFound = false;
+        uint256 expectedIndex = Arrays.lowerBoundMemory(values, element);
+        for (uint256 i = 0; i < values.length; ++i) {
+            if (values[i] == element) {
+                expectedFound = true;
+                expectedIndex = i;
+                break;
+            }
+        }
+
+        (bool found, uint256 index) = Arrays.binarySearch(_bytes32Array, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = Arrays.binarySearchMemory(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = this.binarySearchCalldata(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+    }
+
+    function testLowerBoundUint256(uint256[] memory values, uint256 element) public {
+        Arrays.sort(values);
+        _uint256Array = values;
+
+        // reference: index of the first value that is greater or equal than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] >= element) expected = i - 1;
+        }
+
+        assertEq(Arrays.lowerBound(_uint256Array, element), expected);
+        assertEq(Arrays.lowerBoundMemory(values, element), expected);
+        assertEq(this.lowerBoundCalldata(values, element), expected);
+    }
+
+    function testUpperBoundUint256(uint256[] memory values, uint256 element) public {
+        Arrays.sort(values);
+        _uint256Array = values;
+
+        // reference: index of the first value that is strictly greater than element
+        uint256 expected = values.length;
+        for (uint256 i = values.length; i > 0; --i) {
+            if (values[i - 1] > element) expected = i - 1;
+        }
+
+        assertEq(Arrays.upperBound(_uint256Array, element), expected);
+        assertEq(Arrays.upperBoundMemory(values, element), expected);
+        assertEq(this.upperBoundCalldata(values, element), expected);
+    }
+
+    function testBinarySearchUint256(uint256[] memory values, uint256 element, bool pick) public {
+        Arrays.sort(values);
+        _uint256Array = values;
+
+        // search for an element of the array half of the time
+        if (pick && values.length > 0) element = values[uint256(keccak256(abi.encode(element))) % values.length];
+
+        // reference: index of the first occurrence of element, or the lower bound if element is not in the array
+        bool expectedFound = false;
+        uint256 expectedIndex = Arrays.lowerBoundMemory(values, element);
+        for (uint256 i = 0; i < values.length; ++i) {
+            if (values[i] == element) {
+                expectedFound = true;
+                expectedIndex = i;
+                break;
+            }
+        }
+
+        (bool found, uint256 index) = Arrays.binarySearch(_uint256Array, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = Arrays.binarySearchMemory(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+
+        (found, index) = this.binarySearchCalldata(values, element);
+        assertEq(found, expectedFound);
+        assertEq(index, expectedIndex);
+    }
+
+    function testUniqueAddress(address[] memory values) public view {
+        Arrays.sort(values);
+        address[] memory result = this.uniqueCalldata(values);
+
+        // values are strictly increasing
+        for (uint256 i = 1; i < result.length; ++i) {
+            assertTrue(result[i - 1] < result[i]);
+        }
+        // all values of the input are kept
+        for (uint256 i = 0; i < values.length; ++i) {
+            (bool found, ) = Arrays.binarySearchMemory(result, values[i]);
+            assertTrue(found);
+        }
+        // the memory variant (that works in place) returns the same values
+        assertEq(Arrays.unique(values), result);
+    }
+
+    function testReverseAddress(address[] memory values) public view {
+        address[] memory expected = new address[](values.length);
+        for (uint256 i = 0; i < values.length; ++i) {
+            expected[i] = values[values.length - 1 - i];
+        }
+
+        assertEq(this.reverseCalldata(values), expected);
+        assertEq(Arrays.reverse(values), expected);
+    }
+
+    function testSliceAddress(address[] memory values, uint256 start, uint256 end) public view {
+        // reference: same sanitization as Javascript's Array.slice (for non-negative indices)
+        uint256 sanitizedEnd = Math.min(end, values.length);
+        uint256 sanitizedStart = Math.min(start, sanitizedEnd);
+        address[] memory expected = new address[](sanitizedEnd - sanitizedStart);
+        for (uint256 i = sanitizedStart; i < sanitizedEnd; ++i) {
+            expected[i - sanitizedStart] = values[i];
+        }
+
+        assertEq(Arrays.slice(values, start, end), expected);
+        assertEq(this.sliceCalldata(values, start, end), expected);
+        assertEq(Arrays.slice(values, start), Arrays.slice(values, start, values.length));
+        assertEq(this.sliceCalldata(values, start), Arrays.slice(values, start, values.length));
+    }
+
+    function testUniqueBytes32(bytes32[] memory values) public view {
+        Arrays.sort(values);
+        bytes32[] memory result = this.uniqueCalldata(values);
+
+        // values are strictly increasing
+        for (uint256 i = 1; i < result.length; ++i) {
+            assertTrue(result[i - 1] < result[i]);
+        }
+        // all values of the input are kept
+        for (uint256 i = 0; i < values.length; ++i) {
+            (bool found, ) = Arrays.binarySearchMemory(result, values[i]);
+            assertTrue(found);
+        }
+        // the memory variant (that works in place) returns the same values
+        assertEq(Arrays.unique(values), result);
+    }
+
+    function testReverseBytes32(bytes32[] memory values) public view {
+        bytes32[] memory expected = new bytes32[](values.length);
+        for (uint256 i = 0; i < values.length; ++i) {
+            expected[i] = values[values.length - 1 - i];
+        }
+
+        assertEq(this.reverseCalldata(values), expected);
+        assertEq(Arrays.reverse(values), expected);
+    }
+
+    function testSliceBytes32(bytes32[] memory values, uint256 start, uint256 end) public view {
+        // reference: same sanitization as Javascript's Array.slice (for non-negative indices)
+        uint256 sanitizedEnd = Math.min(end, values.length);
+        uint256 sanitizedStart = Math.min(start, sanitizedEnd);
+        bytes32[] memory expected = new bytes32[](sanitizedEnd - sanitizedStart);
+        for (uint256 i = sanitizedStart; i < sanitizedEnd; ++i) {
+            expected[i - sanitizedStart] = values[i];
+        }
+
+        assertEq(Arrays.slice(values, start, end), expected);
+        assertEq(this.sliceCalldata(values, start, end), expected);
+        assertEq(Arrays.slice(values, start), Arrays.slice(values, start, values.length));
+        assertEq(this.sliceCalldata(values, start), Arrays.slice(values, start, values.length));
+    }
+
+    function testUniqueUint256(uint256[] memory values) public view {
+        Arrays.sort(values);
+        uint256[] memory result = this.uniqueCalldata(values);
+
+        // values are strictly increasing
+        for (uint256 i = 1; i < result.length; ++i) {
+            assertTrue(result[i - 1] < result[i]);
+        }
+        // all values of the input are kept
+        for (uint256 i = 0; i < values.length; ++i) {
+            (bool found, ) = Arrays.binarySearchMemory(result, values[i]);
+            assertTrue(found);
+        }
+        // the memory variant (that works in place) returns the same values
+        assertEq(Arrays.unique(values), result);
+    }
+
+    function testReverseUint256(uint256[] memory values) public view {
+        uint256[] memory expected = new uint256[](values.length);
+        for (uint256 i = 0; i < values.length; ++i) {
+            expected[i] = values[values.length - 1 - i];
+        }
+
+        assertEq(this.reverseCalldata(values), expected);
+        assertEq(Arrays.reverse(values), expected);
+    }
+
+    function testSliceUint256(uint256[] memory values, uint256 start, uint256 end) public view {
+        // reference: same sanitization as Javascript's Array.slice (for non-negative indices)
+        uint256 sanitizedEnd = Math.min(end, values.length);
+        uint256 sanitizedStart = Math.min(start, sanitizedEnd);
+        uint256[] memory expected = new uint256[](sanitizedEnd - sanitizedStart);
+        for (uint256 i = sanitizedStart; i < sanitizedEnd; ++i) {
+            expected[i - sanitizedStart] = values[i];
+        }
+
+        assertEq(Arrays.slice(values, start, end), expected);
+        assertEq(this.sliceCalldata(values, start, end), expected);
+        assertEq(Arrays.slice(values, start), Arrays.slice(values, start, values.length));
+        assertEq(this.sliceCalldata(values, start), Arrays.slice(values, start, values.length));
+    }
+
+    // used to test calldata variants
+
+    function lowerBoundCalldata(address[] calldata values, address element) external pure returns (uint256) {
+        return Arrays.lowerBoundCalldata(values, element);
+    }
+
+    function upperBoundCalldata(address[] calldata values, address element) external pure returns (uint256) {
+        return Arrays.upperBoundCalldata(values, element);
+    }
+
+    function binarySearchCalldata(address[] calldata values, address element) external pure returns (bool, uint256) {
+        return Arrays.binarySearchCalldata(values, element);
+    }
+
+    function uniqueCalldata(address[] calldata values) external pure returns (address[] memory) {
+        return Arrays.uniqueCalldata(values);
+    }
+
+    function reverseCalldata(address[] calldata values) external pure returns (address[] memory) {
+        return Arrays.reverseCalldata(values);
+    }
+
+    function sliceCalldata(address[] calldata values, uint256 start) external pure returns (address[] memory) {
+        return Arrays.sliceCalldata(values, start);
+    }
+
+    function sliceCalldata(
+        address[] calldata values,
+        uint256 start,
+        uint256 end
+    ) external pure returns (address[] memory) {
+        return Arrays.sliceCalldata(values, start, end);
+    }
+
+    function lowerBoundCalldata(bytes32[] calldata values, bytes32 element) external pure returns (uint256) {
+        return Arrays.lowerBoundCalldata(values, element);
+    }
+
+    function upperBoundCalldata(bytes32[] calldata values, bytes32 element) external pure returns (uint256) {
+        return Arrays.upperBoundCalldata(values, element);
+    }
+
+    function binarySearchCalldata(bytes32[] calldata values, bytes32 element) external pure returns (bool, uint256) {
+        return Arrays.binarySearchCalldata(values, element);
+    }
+
+    function uniqueCalldata(bytes32[] calldata values) external pure returns (bytes32[] memory) {
+        return Arrays.uniqueCalldata(values);
+    }
+
+    function reverseCalldata(bytes32[] calldata values) external pure returns (bytes32[] memory) {
+        return Arrays.reverseCalldata(values);
+    }
+
+    function sliceCalldata(bytes32[] calldata values, uint256 start) external pure returns (bytes32[] memory) {
+        return Arrays.sliceCalldata(values, start);
+    }
+
+    function sliceCalldata(
+        bytes32[] calldata values,
+        uint256 start,
+        uint256 end
+    ) external pure returns (bytes32[] memory) {
+        return Arrays.sliceCalldata(values, start, end);
+    }
+
+    function lowerBoundCalldata(uint256[] calldata values, uint256 element) external pure returns (uint256) {
+        return Arrays.lowerBoundCalldata(values, element);
+    }
+
+    function upperBoundCalldata(uint256[] calldata values, uint256 element) external pure returns (uint256) {
+        return Arrays.upperBoundCalldata(values, element);
+    }
+
+    function binarySearchCalldata(uint256[] calldata values, uint256 element) external pure returns (bool, uint256) {
+        return Arrays.binarySearchCalldata(values, element);
+    }
+
+    function uniqueCalldata(uint256[] calldata values) external pure returns (uint256[] memory) {
+        return Arrays.uniqueCalldata(values);
+    }
+
+    function reverseCalldata(uint256[] calldata values) external pure returns (uint256[] memory) {
+        return Arrays.reverseCalldata(values);
+    }
+
+    function sliceCalldata(uint256[] calldata values, uint256 start) external pure returns (uint256[] memory) {
+        return Arrays.sliceCalldata(values, start);
+    }
+
+    function sliceCalldata(
+        uint256[] calldata values,
+        uint256 start,
+        uint256 end
+    ) external pure returns (uint256[] memory) {
+        return Arrays.sliceCalldata(values, start, end);
+    }
+
     /// Asserts
 
     function _assertSort(uint256[] memory values) internal pure {
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/SlotDerivation.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {SlotDerivation} from "@openzeppelin/contracts/utils/SlotDerivation.sol";
+import {EntrySlotsMock} from "@openzeppelin/contracts/mocks/EntrySlotsMock.sol";
+
+contract EntrySlotsMockTest is Test {
+    using SlotDerivation for bytes32;
+
+    mapping(address => mapping(uint256 => EntrySlotsMock.Entry[])) private _entries;
+
+    function testEntrySlot(address key1, uint256 key2, uint256 index) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+        bytes32 entrySlot;
+        assembly {
+            entrySlot := entry.slot
+        }
+
+        assertEq(slot, entrySlot);
+    }
+
+    function testOwnerSlot(address key1, uint256 key2, uint256 index, address value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.owner = value;
+
+        uint256 stored = _load(EntrySlotsMock.ownerSlot(slot), EntrySlotsMock.OWNER_OFFSET, 20);
+        assertEq(stored, uint160(value));
+    }
+
+    function testNonceSlot(address key1, uint256 key2, uint256 index, uint64 value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.nonce = value;
+
+        uint256 stored = _load(EntrySlotsMock.nonceSlot(slot), EntrySlotsMock.NONCE_OFFSET, 8);
+        assertEq(stored, value);
+    }
+
+    function testActiveSlot(address key1, uint256 key2, uint256 index, bool value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.active = value;
+
+        uint256 stored = _load(EntrySlotsMock.activeSlot(slot), EntrySlotsMock.ACTIVE_OFFSET, 1);
+        assertEq(stored, value ? uint256(1) : uint256(0));
+    }
+
+    function testBalanceSlot(address key1, uint256 key2, uint256 index, uint256 value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.balance = value;
+
+        uint256 stored = _load(EntrySlotsMock.balanceSlot(slot), EntrySlotsMock.BALANCE_OFFSET, 32);
+        assertEq(stored, value);
+    }
+
+    function testNameSlot(address key1, uint256 key2, uint256 index) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+        string storage member = entry.name;
+        bytes32 memberSlot;
+        assembly {
+            memberSlot := member.slot
+        }
+
+        assertEq(EntrySlotsMock.nameSlot(slot), memberSlot);
+    }
+
+    function testAllowancesSlot(address key1, uint256 key2, uint256 index) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+        mapping(address => uint256) storage member = entry.allowances;
+        bytes32 memberSlot;
+        assembly {
+            memberSlot := member.slot
+        }
+
+        assertEq(EntrySlotsMock.allowancesSlot(slot), memberSlot);
+    }
+
+    function testHistorySlot(address key1, uint256 key2, uint256 index) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+
+        uint256[] storage member = entry.history;
+        bytes32 memberSlot;
+        assembly {
+            memberSlot := member.slot
+        }
+
+        assertEq(EntrySlotsMock.historySlot(slot), memberSlot);
+    }
+
+    function testTagSlot(address key1, uint256 key2, uint256 index, bytes4 value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.tag = value;
+
+        uint256 stored = _load(EntrySlotsMock.tagSlot(slot), EntrySlotsMock.TAG_OFFSET, 4);
+        assertEq(stored, uint32(value));
+    }
+
+    function testDeltaSlot(address key1, uint256 key2, uint256 index, int16 value) public {
+        (EntrySlotsMock.Entry storage entry, bytes32 slot) = _locate(key1, key2, index);
+        entry.delta = value;
+
+        uint256 stored = _load(EntrySlotsMock.deltaSlot(slot), EntrySlotsMock.DELTA_OFFSET, 2);
+        assertEq(stored, uint16(value));
+    }
+
+    function _locate(
+        address key1,
+        uint256 key2,
+        uint256 index
+    ) private returns (EntrySlotsMock.Entry storage entry, bytes32 slot) {
+        index = bound(index, 0, type(uint256).max - 1);
+
+        EntrySlotsMock.Entry[] storage array = _entries[key1][key2];
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _entries.slot
+            sstore(array.slot, add(index, 1)) // store length so solidity access does not revert
+        }
+
+        entry = array[index];
+        slot = baseSlot.deriveMapping(key1, key2).deriveArrayElement(index, EntrySlotsMock.SIZE);
+    }
+
+    function _load(bytes32 slot, uint256 offset, uint256 size) private view returns (uint256 result) {
+        assembly {
+            result := and(shr(mul(8, offset), sload(slot)), sub(shl(mul(8, size), 1), 1))
+        }
+    }
+}
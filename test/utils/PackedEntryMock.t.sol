@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/Packing.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {PackedEntryMock} from "@openzeppelin/contracts/mocks/PackedEntryMock.sol";
+
+contract PackedEntryMockTest is Test {
+    using PackedEntryMock for bytes32;
+
+    bytes32 private constant _MASK = bytes32(type(uint256).max << 8);
+
+    function testPackUnpack(PackedEntryMock.Entry memory value) external pure {
+        PackedEntryMock.Entry memory unpacked = PackedEntryMock.unpack(PackedEntryMock.pack(value));
+        assertEq(unpacked.account, value.account);
+        assertEq(unpacked.selector, value.selector);
+        assertEq(unpacked.delta, value.delta);
+        assertEq(unpacked.period, value.period);
+        assertEq(unpacked.enabled, value.enabled);
+    }
+
+    function testUnpackPack(bytes32 packed) external pure {
+        assertEq(PackedEntryMock.pack(PackedEntryMock.unpack(packed)), packed & _MASK);
+    }
+
+    function testSetAccount(bytes32 packed, address value) external pure {
+        bytes32 updated = packed.setAccount(value);
+        assertEq(updated.getAccount(), value);
+        assertEq(updated.getSelector(), packed.getSelector());
+        assertEq(updated.getDelta(), packed.getDelta());
+        assertEq(updated.getPeriod(), packed.getPeriod());
+        assertEq(updated.getEnabled(), packed.getEnabled());
+        assertEq(updated & ~_MASK, packed & ~_MASK);
+    }
+
+    function testSetSelector(bytes32 packed, bytes4 value) external pure {
+        bytes32 updated = packed.setSelector(value);
+        assertEq(updated.getSelector(), value);
+        assertEq(updated.getAccount(), packed.getAccount());
+        assertEq(updated.getDelta(), packed.getDelta());
+        assertEq(updated.getPeriod(), packed.getPeriod());
+        assertEq(updated.getEnabled(), packed.getEnabled());
+        assertEq(updated & ~_MASK, packed & ~_MASK);
+    }
+
+    function testSetDelta(bytes32 packed, int16 value) external pure {
+        bytes32 updated = packed.setDelta(value);
+        assertEq(updated.getDelta(), value);
+        assertEq(updated.getAccount(), packed.getAccount());
+        assertEq(updated.getSelector(), packed.getSelector());
+        assertEq(updated.getPeriod(), packed.getPeriod());
+        assertEq(updated.getEnabled(), packed.getEnabled());
+        assertEq(updated & ~_MASK, packed & ~_MASK);
+    }
+
+    function testSetPeriod(bytes32 packed, uint32 value) external pure {
+        bytes32 updated = packed.setPeriod(value);
+        assertEq(updated.getPeriod(), value);
+        assertEq(updated.getAccount(), packed.getAccount());
+        assertEq(updated.getSelector(), packed.getSelector());
+        assertEq(updated.getDelta(), packed.getDelta());
+        assertEq(updated.getEnabled(), packed.getEnabled());
+        assertEq(updated & ~_MASK, packed & ~_MASK);
+    }
+
+    function testSetEnabled(bytes32 packed, bool value) external pure {
+        bytes32 updated = packed.setEnabled(value);
+        assertEq(updated.getEnabled(), value);
+        assertEq(updated.getAccount(), packed.getAccount());
+        assertEq(updated.getSelector(), packed.getSelector());
+        assertEq(updated.getDelta(), packed.getDelta());
+        assertEq(updated.getPeriod(), packed.getPeriod());
+        assertEq(updated & ~_MASK, packed & ~_MASK);
+    }
+}
@@ -6,6 +6,8 @@ pragma solidity ^0.8.20;
 import {Test} from "forge-std/Test.sol";
 import {Packing} from "@openzeppelin/contracts/utils/Packing.sol";
 
+// solhint-disable func-name-mixedcase
+
 contract PackingTest is Test {
     using Packing for *;
 
@@ -298,6 +300,38 @@ contract PackingTest is Test {
         assertEq(container, container.replace_2_1(newValue, offset).replace_2_1(oldValue, offset));
     }
 
+    function testReplaceIdempotent(bytes2 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 1));
+
+        bytes2 replaced = container.replace_2_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_2_1(newValue, offset));
+        assertEq(container, container.replace_2_1(container.extract_2_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes2 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 1));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes2 mask = bytes2(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_2_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes2 container, uint8 offset) external {
+        offset = uint8(bound(offset, 2, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_2_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes2 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 2, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_2_1(container, newValue, offset);
+    }
+
     function testReplace(bytes4 container, bytes1 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 3));
 
@@ -307,687 +341,3777 @@ contract PackingTest is Test {
         assertEq(container, container.replace_4_1(newValue, offset).replace_4_1(oldValue, offset));
     }
 
-    function testReplace(bytes4 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 2));
+    function testReplaceIdempotent(bytes4 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 3));
 
-        bytes2 oldValue = container.extract_4_2(offset);
+        bytes4 replaced = container.replace_4_1(newValue, offset);
 
-        assertEq(newValue, container.replace_4_2(newValue, offset).extract_4_2(offset));
-        assertEq(container, container.replace_4_2(newValue, offset).replace_4_2(oldValue, offset));
+        assertEq(replaced, replaced.replace_4_1(newValue, offset));
+        assertEq(container, container.replace_4_1(container.extract_4_1(offset), offset));
     }
 
-    function testReplace(bytes6 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 5));
+    function testReplaceNonOverlap(bytes4 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 3));
 
-        bytes1 oldValue = container.extract_6_1(offset);
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes4 mask = bytes4(bytes1(type(uint8).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_6_1(newValue, offset).extract_6_1(offset));
-        assertEq(container, container.replace_6_1(newValue, offset).replace_6_1(oldValue, offset));
+        assertEq(container.replace_4_1(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes6 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function testExtract1OutOfRange(bytes4 container, uint8 offset) external {
+        offset = uint8(bound(offset, 4, type(uint8).max));
 
-        bytes2 oldValue = container.extract_6_2(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_4_1(container, offset);
+    }
 
-        assertEq(newValue, container.replace_6_2(newValue, offset).extract_6_2(offset));
-        assertEq(container, container.replace_6_2(newValue, offset).replace_6_2(oldValue, offset));
+    function testReplaceOutOfRange(bytes4 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 4, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_4_1(container, newValue, offset);
     }
 
-    function testReplace(bytes6 container, bytes4 newValue, uint8 offset) external pure {
+    function testReplace(bytes4 container, bytes2 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 2));
 
-        bytes4 oldValue = container.extract_6_4(offset);
+        bytes2 oldValue = container.extract_4_2(offset);
 
-        assertEq(newValue, container.replace_6_4(newValue, offset).extract_6_4(offset));
-        assertEq(container, container.replace_6_4(newValue, offset).replace_6_4(oldValue, offset));
+        assertEq(newValue, container.replace_4_2(newValue, offset).extract_4_2(offset));
+        assertEq(container, container.replace_4_2(newValue, offset).replace_4_2(oldValue, offset));
     }
 
-    function testReplace(bytes8 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 7));
+    function testReplaceIdempotent(bytes4 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes1 oldValue = container.extract_8_1(offset);
+        bytes4 replaced = container.replace_4_2(newValue, offset);
 
-        assertEq(newValue, container.replace_8_1(newValue, offset).extract_8_1(offset));
-        assertEq(container, container.replace_8_1(newValue, offset).replace_8_1(oldValue, offset));
+        assertEq(replaced, replaced.replace_4_2(newValue, offset));
+        assertEq(container, container.replace_4_2(container.extract_4_2(offset), offset));
     }
 
-    function testReplace(bytes8 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 6));
+    function testReplaceNonOverlap(bytes4 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes2 oldValue = container.extract_8_2(offset);
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes4 mask = bytes4(bytes2(type(uint16).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_8_2(newValue, offset).extract_8_2(offset));
-        assertEq(container, container.replace_8_2(newValue, offset).replace_8_2(oldValue, offset));
+        assertEq(container.replace_4_2(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes8 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function testExtract2OutOfRange(bytes4 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
 
-        bytes4 oldValue = container.extract_8_4(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_4_2(container, offset);
+    }
 
-        assertEq(newValue, container.replace_8_4(newValue, offset).extract_8_4(offset));
-        assertEq(container, container.replace_8_4(newValue, offset).replace_8_4(oldValue, offset));
+    function testReplaceOutOfRange(bytes4 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_4_2(container, newValue, offset);
     }
 
-    function testReplace(bytes8 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 2));
+    function testReplace(bytes6 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 5));
 
-        bytes6 oldValue = container.extract_8_6(offset);
+        bytes1 oldValue = container.extract_6_1(offset);
 
-        assertEq(newValue, container.replace_8_6(newValue, offset).extract_8_6(offset));
-        assertEq(container, container.replace_8_6(newValue, offset).replace_8_6(oldValue, offset));
+        assertEq(newValue, container.replace_6_1(newValue, offset).extract_6_1(offset));
+        assertEq(container, container.replace_6_1(newValue, offset).replace_6_1(oldValue, offset));
     }
 
-    function testReplace(bytes10 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 9));
+    function testReplaceIdempotent(bytes6 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 5));
 
-        bytes1 oldValue = container.extract_10_1(offset);
+        bytes6 replaced = container.replace_6_1(newValue, offset);
 
-        assertEq(newValue, container.replace_10_1(newValue, offset).extract_10_1(offset));
-        assertEq(container, container.replace_10_1(newValue, offset).replace_10_1(oldValue, offset));
+        assertEq(replaced, replaced.replace_6_1(newValue, offset));
+        assertEq(container, container.replace_6_1(container.extract_6_1(offset), offset));
     }
 
-    function testReplace(bytes10 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function testReplaceNonOverlap(bytes6 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 5));
 
-        bytes2 oldValue = container.extract_10_2(offset);
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes6 mask = bytes6(bytes1(type(uint8).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_10_2(newValue, offset).extract_10_2(offset));
-        assertEq(container, container.replace_10_2(newValue, offset).replace_10_2(oldValue, offset));
+        assertEq(container.replace_6_1(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes10 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 6));
+    function testExtract1OutOfRange(bytes6 container, uint8 offset) external {
+        offset = uint8(bound(offset, 6, type(uint8).max));
 
-        bytes4 oldValue = container.extract_10_4(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_6_1(container, offset);
+    }
 
-        assertEq(newValue, container.replace_10_4(newValue, offset).extract_10_4(offset));
-        assertEq(container, container.replace_10_4(newValue, offset).replace_10_4(oldValue, offset));
+    function testReplaceOutOfRange(bytes6 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 6, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_6_1(container, newValue, offset);
     }
 
-    function testReplace(bytes10 container, bytes6 newValue, uint8 offset) external pure {
+    function testReplace(bytes6 container, bytes2 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 4));
 
-        bytes6 oldValue = container.extract_10_6(offset);
+        bytes2 oldValue = container.extract_6_2(offset);
 
-        assertEq(newValue, container.replace_10_6(newValue, offset).extract_10_6(offset));
-        assertEq(container, container.replace_10_6(newValue, offset).replace_10_6(oldValue, offset));
+        assertEq(newValue, container.replace_6_2(newValue, offset).extract_6_2(offset));
+        assertEq(container, container.replace_6_2(newValue, offset).replace_6_2(oldValue, offset));
     }
 
-    function testReplace(bytes10 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 2));
+    function testReplaceIdempotent(bytes6 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
 
-        bytes8 oldValue = container.extract_10_8(offset);
+        bytes6 replaced = container.replace_6_2(newValue, offset);
 
-        assertEq(newValue, container.replace_10_8(newValue, offset).extract_10_8(offset));
-        assertEq(container, container.replace_10_8(newValue, offset).replace_10_8(oldValue, offset));
+        assertEq(replaced, replaced.replace_6_2(newValue, offset));
+        assertEq(container, container.replace_6_2(container.extract_6_2(offset), offset));
     }
 
-    function testReplace(bytes12 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 11));
+    function testReplaceNonOverlap(bytes6 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
 
-        bytes1 oldValue = container.extract_12_1(offset);
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes6 mask = bytes6(bytes2(type(uint16).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_12_1(newValue, offset).extract_12_1(offset));
-        assertEq(container, container.replace_12_1(newValue, offset).replace_12_1(oldValue, offset));
+        assertEq(container.replace_6_2(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes12 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 10));
-
-        bytes2 oldValue = container.extract_12_2(offset);
+    function testExtract2OutOfRange(bytes6 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
 
-        assertEq(newValue, container.replace_12_2(newValue, offset).extract_12_2(offset));
-        assertEq(container, container.replace_12_2(newValue, offset).replace_12_2(oldValue, offset));
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_6_2(container, offset);
     }
 
-    function testReplace(bytes12 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
-
-        bytes4 oldValue = container.extract_12_4(offset);
+    function testReplaceOutOfRange(bytes6 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
 
-        assertEq(newValue, container.replace_12_4(newValue, offset).extract_12_4(offset));
-        assertEq(container, container.replace_12_4(newValue, offset).replace_12_4(oldValue, offset));
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_6_2(container, newValue, offset);
     }
 
-    function testReplace(bytes12 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 6));
+    function testReplace(bytes6 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes6 oldValue = container.extract_12_6(offset);
+        bytes4 oldValue = container.extract_6_4(offset);
 
-        assertEq(newValue, container.replace_12_6(newValue, offset).extract_12_6(offset));
-        assertEq(container, container.replace_12_6(newValue, offset).replace_12_6(oldValue, offset));
+        assertEq(newValue, container.replace_6_4(newValue, offset).extract_6_4(offset));
+        assertEq(container, container.replace_6_4(newValue, offset).replace_6_4(oldValue, offset));
     }
 
-    function testReplace(bytes12 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function testReplaceIdempotent(bytes6 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes8 oldValue = container.extract_12_8(offset);
+        bytes6 replaced = container.replace_6_4(newValue, offset);
 
-        assertEq(newValue, container.replace_12_8(newValue, offset).extract_12_8(offset));
-        assertEq(container, container.replace_12_8(newValue, offset).replace_12_8(oldValue, offset));
+        assertEq(replaced, replaced.replace_6_4(newValue, offset));
+        assertEq(container, container.replace_6_4(container.extract_6_4(offset), offset));
     }
 
-    function testReplace(bytes12 container, bytes10 newValue, uint8 offset) external pure {
+    function testReplaceNonOverlap(bytes6 container, bytes4 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 2));
 
-        bytes10 oldValue = container.extract_12_10(offset);
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes6 mask = bytes6(bytes4(type(uint32).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_12_10(newValue, offset).extract_12_10(offset));
-        assertEq(container, container.replace_12_10(newValue, offset).replace_12_10(oldValue, offset));
+        assertEq(container.replace_6_4(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes16 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 15));
+    function testExtract4OutOfRange(bytes6 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
 
-        bytes1 oldValue = container.extract_16_1(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_6_4(container, offset);
+    }
 
-        assertEq(newValue, container.replace_16_1(newValue, offset).extract_16_1(offset));
-        assertEq(container, container.replace_16_1(newValue, offset).replace_16_1(oldValue, offset));
+    function testReplaceOutOfRange(bytes6 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_6_4(container, newValue, offset);
     }
 
-    function testReplace(bytes16 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 14));
+    function testReplace(bytes8 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 7));
 
-        bytes2 oldValue = container.extract_16_2(offset);
+        bytes1 oldValue = container.extract_8_1(offset);
 
-        assertEq(newValue, container.replace_16_2(newValue, offset).extract_16_2(offset));
-        assertEq(container, container.replace_16_2(newValue, offset).replace_16_2(oldValue, offset));
+        assertEq(newValue, container.replace_8_1(newValue, offset).extract_8_1(offset));
+        assertEq(container, container.replace_8_1(newValue, offset).replace_8_1(oldValue, offset));
     }
 
-    function testReplace(bytes16 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 12));
+    function testReplaceIdempotent(bytes8 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 7));
 
-        bytes4 oldValue = container.extract_16_4(offset);
+        bytes8 replaced = container.replace_8_1(newValue, offset);
 
-        assertEq(newValue, container.replace_16_4(newValue, offset).extract_16_4(offset));
-        assertEq(container, container.replace_16_4(newValue, offset).replace_16_4(oldValue, offset));
+        assertEq(replaced, replaced.replace_8_1(newValue, offset));
+        assertEq(container, container.replace_8_1(container.extract_8_1(offset), offset));
     }
 
-    function testReplace(bytes16 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 10));
+    function testReplaceNonOverlap(bytes8 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 7));
 
-        bytes6 oldValue = container.extract_16_6(offset);
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes8 mask = bytes8(bytes1(type(uint8).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_16_6(newValue, offset).extract_16_6(offset));
-        assertEq(container, container.replace_16_6(newValue, offset).replace_16_6(oldValue, offset));
+        assertEq(container.replace_8_1(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes16 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function testExtract1OutOfRange(bytes8 container, uint8 offset) external {
+        offset = uint8(bound(offset, 8, type(uint8).max));
 
-        bytes8 oldValue = container.extract_16_8(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_8_1(container, offset);
+    }
 
-        assertEq(newValue, container.replace_16_8(newValue, offset).extract_16_8(offset));
-        assertEq(container, container.replace_16_8(newValue, offset).replace_16_8(oldValue, offset));
+    function testReplaceOutOfRange(bytes8 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 8, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_8_1(container, newValue, offset);
     }
 
-    function testReplace(bytes16 container, bytes10 newValue, uint8 offset) external pure {
+    function testReplace(bytes8 container, bytes2 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 6));
 
-        bytes10 oldValue = container.extract_16_10(offset);
+        bytes2 oldValue = container.extract_8_2(offset);
 
-        assertEq(newValue, container.replace_16_10(newValue, offset).extract_16_10(offset));
-        assertEq(container, container.replace_16_10(newValue, offset).replace_16_10(oldValue, offset));
+        assertEq(newValue, container.replace_8_2(newValue, offset).extract_8_2(offset));
+        assertEq(container, container.replace_8_2(newValue, offset).replace_8_2(oldValue, offset));
     }
 
-    function testReplace(bytes16 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function testReplaceIdempotent(bytes8 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
 
-        bytes12 oldValue = container.extract_16_12(offset);
+        bytes8 replaced = container.replace_8_2(newValue, offset);
 
-        assertEq(newValue, container.replace_16_12(newValue, offset).extract_16_12(offset));
-        assertEq(container, container.replace_16_12(newValue, offset).replace_16_12(oldValue, offset));
+        assertEq(replaced, replaced.replace_8_2(newValue, offset));
+        assertEq(container, container.replace_8_2(container.extract_8_2(offset), offset));
     }
 
-    function testReplace(bytes20 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 19));
+    function testReplaceNonOverlap(bytes8 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
 
-        bytes1 oldValue = container.extract_20_1(offset);
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes8 mask = bytes8(bytes2(type(uint16).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_20_1(newValue, offset).extract_20_1(offset));
-        assertEq(container, container.replace_20_1(newValue, offset).replace_20_1(oldValue, offset));
+        assertEq(container.replace_8_2(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes20 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 18));
+    function testExtract2OutOfRange(bytes8 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
 
-        bytes2 oldValue = container.extract_20_2(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_8_2(container, offset);
+    }
 
-        assertEq(newValue, container.replace_20_2(newValue, offset).extract_20_2(offset));
-        assertEq(container, container.replace_20_2(newValue, offset).replace_20_2(oldValue, offset));
+    function testReplaceOutOfRange(bytes8 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_8_2(container, newValue, offset);
     }
 
-    function testReplace(bytes20 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 16));
+    function testReplace(bytes8 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
 
-        bytes4 oldValue = container.extract_20_4(offset);
+        bytes4 oldValue = container.extract_8_4(offset);
 
-        assertEq(newValue, container.replace_20_4(newValue, offset).extract_20_4(offset));
-        assertEq(container, container.replace_20_4(newValue, offset).replace_20_4(oldValue, offset));
+        assertEq(newValue, container.replace_8_4(newValue, offset).extract_8_4(offset));
+        assertEq(container, container.replace_8_4(newValue, offset).replace_8_4(oldValue, offset));
     }
 
-    function testReplace(bytes20 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 14));
+    function testReplaceIdempotent(bytes8 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
 
-        bytes6 oldValue = container.extract_20_6(offset);
+        bytes8 replaced = container.replace_8_4(newValue, offset);
 
-        assertEq(newValue, container.replace_20_6(newValue, offset).extract_20_6(offset));
-        assertEq(container, container.replace_20_6(newValue, offset).replace_20_6(oldValue, offset));
+        assertEq(replaced, replaced.replace_8_4(newValue, offset));
+        assertEq(container, container.replace_8_4(container.extract_8_4(offset), offset));
     }
 
-    function testReplace(bytes20 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 12));
+    function testReplaceNonOverlap(bytes8 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
 
-        bytes8 oldValue = container.extract_20_8(offset);
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes8 mask = bytes8(bytes4(type(uint32).max)) >> (8 * offset);
 
-        assertEq(newValue, container.replace_20_8(newValue, offset).extract_20_8(offset));
-        assertEq(container, container.replace_20_8(newValue, offset).replace_20_8(oldValue, offset));
+        assertEq(container.replace_8_4(newValue, offset) & ~mask, container & ~mask);
     }
 
-    function testReplace(bytes20 container, bytes10 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 10));
+    function testExtract4OutOfRange(bytes8 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
 
-        bytes10 oldValue = container.extract_20_10(offset);
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_8_4(container, offset);
+    }
 
-        assertEq(newValue, container.replace_20_10(newValue, offset).extract_20_10(offset));
-        assertEq(container, container.replace_20_10(newValue, offset).replace_20_10(oldValue, offset));
+    function testReplaceOutOfRange(bytes8 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_8_4(container, newValue, offset);
     }
 
-    function testReplace(bytes20 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function testReplace(bytes8 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes12 oldValue = container.extract_20_12(offset);
+        bytes6 oldValue = container.extract_8_6(offset);
 
-        assertEq(newValue, container.replace_20_12(newValue, offset).extract_20_12(offset));
-        assertEq(container, container.replace_20_12(newValue, offset).replace_20_12(oldValue, offset));
+        assertEq(newValue, container.replace_8_6(newValue, offset).extract_8_6(offset));
+        assertEq(container, container.replace_8_6(newValue, offset).replace_8_6(oldValue, offset));
     }
 
-    function testReplace(bytes20 container, bytes16 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function testReplaceIdempotent(bytes8 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes16 oldValue = container.extract_20_16(offset);
+        bytes8 replaced = container.replace_8_6(newValue, offset);
 
-        assertEq(newValue, container.replace_20_16(newValue, offset).extract_20_16(offset));
-        assertEq(container, container.replace_20_16(newValue, offset).replace_20_16(oldValue, offset));
+        assertEq(replaced, replaced.replace_8_6(newValue, offset));
+        assertEq(container, container.replace_8_6(container.extract_8_6(offset), offset));
     }
 
-    function testReplace(bytes22 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 21));
+    function testReplaceNonOverlap(bytes8 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
 
-        bytes1 oldValue = container.extract_22_1(offset);
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes8 mask = bytes8(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_8_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes8 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_8_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes8 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_8_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes10 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 9));
+
+        bytes1 oldValue = container.extract_10_1(offset);
+
+        assertEq(newValue, container.replace_10_1(newValue, offset).extract_10_1(offset));
+        assertEq(container, container.replace_10_1(newValue, offset).replace_10_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes10 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 9));
+
+        bytes10 replaced = container.replace_10_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_10_1(newValue, offset));
+        assertEq(container, container.replace_10_1(container.extract_10_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes10 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 9));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes10 mask = bytes10(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_10_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes10 container, uint8 offset) external {
+        offset = uint8(bound(offset, 10, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_10_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes10 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 10, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_10_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes10 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes2 oldValue = container.extract_10_2(offset);
+
+        assertEq(newValue, container.replace_10_2(newValue, offset).extract_10_2(offset));
+        assertEq(container, container.replace_10_2(newValue, offset).replace_10_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes10 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes10 replaced = container.replace_10_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_10_2(newValue, offset));
+        assertEq(container, container.replace_10_2(container.extract_10_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes10 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes10 mask = bytes10(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_10_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes10 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_10_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes10 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_10_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes10 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes4 oldValue = container.extract_10_4(offset);
+
+        assertEq(newValue, container.replace_10_4(newValue, offset).extract_10_4(offset));
+        assertEq(container, container.replace_10_4(newValue, offset).replace_10_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes10 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes10 replaced = container.replace_10_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_10_4(newValue, offset));
+        assertEq(container, container.replace_10_4(container.extract_10_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes10 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes10 mask = bytes10(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_10_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes10 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_10_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes10 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_10_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes10 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes6 oldValue = container.extract_10_6(offset);
+
+        assertEq(newValue, container.replace_10_6(newValue, offset).extract_10_6(offset));
+        assertEq(container, container.replace_10_6(newValue, offset).replace_10_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes10 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes10 replaced = container.replace_10_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_10_6(newValue, offset));
+        assertEq(container, container.replace_10_6(container.extract_10_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes10 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes10 mask = bytes10(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_10_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes10 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_10_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes10 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_10_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes10 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes8 oldValue = container.extract_10_8(offset);
+
+        assertEq(newValue, container.replace_10_8(newValue, offset).extract_10_8(offset));
+        assertEq(container, container.replace_10_8(newValue, offset).replace_10_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes10 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes10 replaced = container.replace_10_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_10_8(newValue, offset));
+        assertEq(container, container.replace_10_8(container.extract_10_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes10 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes10 mask = bytes10(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_10_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes10 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_10_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes10 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_10_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 11));
+
+        bytes1 oldValue = container.extract_12_1(offset);
+
+        assertEq(newValue, container.replace_12_1(newValue, offset).extract_12_1(offset));
+        assertEq(container, container.replace_12_1(newValue, offset).replace_12_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 11));
+
+        bytes12 replaced = container.replace_12_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_1(newValue, offset));
+        assertEq(container, container.replace_12_1(container.extract_12_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 11));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 12, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 12, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes2 oldValue = container.extract_12_2(offset);
+
+        assertEq(newValue, container.replace_12_2(newValue, offset).extract_12_2(offset));
+        assertEq(container, container.replace_12_2(newValue, offset).replace_12_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes12 replaced = container.replace_12_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_2(newValue, offset));
+        assertEq(container, container.replace_12_2(container.extract_12_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes4 oldValue = container.extract_12_4(offset);
+
+        assertEq(newValue, container.replace_12_4(newValue, offset).extract_12_4(offset));
+        assertEq(container, container.replace_12_4(newValue, offset).replace_12_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes12 replaced = container.replace_12_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_4(newValue, offset));
+        assertEq(container, container.replace_12_4(container.extract_12_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes6 oldValue = container.extract_12_6(offset);
+
+        assertEq(newValue, container.replace_12_6(newValue, offset).extract_12_6(offset));
+        assertEq(container, container.replace_12_6(newValue, offset).replace_12_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes12 replaced = container.replace_12_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_6(newValue, offset));
+        assertEq(container, container.replace_12_6(container.extract_12_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes8 oldValue = container.extract_12_8(offset);
+
+        assertEq(newValue, container.replace_12_8(newValue, offset).extract_12_8(offset));
+        assertEq(container, container.replace_12_8(newValue, offset).replace_12_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes12 replaced = container.replace_12_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_8(newValue, offset));
+        assertEq(container, container.replace_12_8(container.extract_12_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes12 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes10 oldValue = container.extract_12_10(offset);
+
+        assertEq(newValue, container.replace_12_10(newValue, offset).extract_12_10(offset));
+        assertEq(container, container.replace_12_10(newValue, offset).replace_12_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes12 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes12 replaced = container.replace_12_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_12_10(newValue, offset));
+        assertEq(container, container.replace_12_10(container.extract_12_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes12 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes12 mask = bytes12(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_12_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes12 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_12_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes12 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_12_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 15));
+
+        bytes1 oldValue = container.extract_16_1(offset);
+
+        assertEq(newValue, container.replace_16_1(newValue, offset).extract_16_1(offset));
+        assertEq(container, container.replace_16_1(newValue, offset).replace_16_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 15));
+
+        bytes16 replaced = container.replace_16_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_1(newValue, offset));
+        assertEq(container, container.replace_16_1(container.extract_16_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 15));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 16, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 16, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes2 oldValue = container.extract_16_2(offset);
+
+        assertEq(newValue, container.replace_16_2(newValue, offset).extract_16_2(offset));
+        assertEq(container, container.replace_16_2(newValue, offset).replace_16_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes16 replaced = container.replace_16_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_2(newValue, offset));
+        assertEq(container, container.replace_16_2(container.extract_16_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes4 oldValue = container.extract_16_4(offset);
+
+        assertEq(newValue, container.replace_16_4(newValue, offset).extract_16_4(offset));
+        assertEq(container, container.replace_16_4(newValue, offset).replace_16_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes16 replaced = container.replace_16_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_4(newValue, offset));
+        assertEq(container, container.replace_16_4(container.extract_16_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes6 oldValue = container.extract_16_6(offset);
+
+        assertEq(newValue, container.replace_16_6(newValue, offset).extract_16_6(offset));
+        assertEq(container, container.replace_16_6(newValue, offset).replace_16_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes16 replaced = container.replace_16_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_6(newValue, offset));
+        assertEq(container, container.replace_16_6(container.extract_16_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes8 oldValue = container.extract_16_8(offset);
+
+        assertEq(newValue, container.replace_16_8(newValue, offset).extract_16_8(offset));
+        assertEq(container, container.replace_16_8(newValue, offset).replace_16_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes16 replaced = container.replace_16_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_8(newValue, offset));
+        assertEq(container, container.replace_16_8(container.extract_16_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes10 oldValue = container.extract_16_10(offset);
+
+        assertEq(newValue, container.replace_16_10(newValue, offset).extract_16_10(offset));
+        assertEq(container, container.replace_16_10(newValue, offset).replace_16_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes16 replaced = container.replace_16_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_10(newValue, offset));
+        assertEq(container, container.replace_16_10(container.extract_16_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes16 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes12 oldValue = container.extract_16_12(offset);
+
+        assertEq(newValue, container.replace_16_12(newValue, offset).extract_16_12(offset));
+        assertEq(container, container.replace_16_12(newValue, offset).replace_16_12(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes16 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes16 replaced = container.replace_16_12(newValue, offset);
+
+        assertEq(replaced, replaced.replace_16_12(newValue, offset));
+        assertEq(container, container.replace_16_12(container.extract_16_12(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes16 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes16 mask = bytes16(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_16_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes16 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_16_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes16 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_16_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 19));
+
+        bytes1 oldValue = container.extract_20_1(offset);
+
+        assertEq(newValue, container.replace_20_1(newValue, offset).extract_20_1(offset));
+        assertEq(container, container.replace_20_1(newValue, offset).replace_20_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 19));
+
+        bytes20 replaced = container.replace_20_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_1(newValue, offset));
+        assertEq(container, container.replace_20_1(container.extract_20_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 19));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 20, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 20, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes2 oldValue = container.extract_20_2(offset);
+
+        assertEq(newValue, container.replace_20_2(newValue, offset).extract_20_2(offset));
+        assertEq(container, container.replace_20_2(newValue, offset).replace_20_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes20 replaced = container.replace_20_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_2(newValue, offset));
+        assertEq(container, container.replace_20_2(container.extract_20_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes4 oldValue = container.extract_20_4(offset);
+
+        assertEq(newValue, container.replace_20_4(newValue, offset).extract_20_4(offset));
+        assertEq(container, container.replace_20_4(newValue, offset).replace_20_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes20 replaced = container.replace_20_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_4(newValue, offset));
+        assertEq(container, container.replace_20_4(container.extract_20_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes6 oldValue = container.extract_20_6(offset);
+
+        assertEq(newValue, container.replace_20_6(newValue, offset).extract_20_6(offset));
+        assertEq(container, container.replace_20_6(newValue, offset).replace_20_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes20 replaced = container.replace_20_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_6(newValue, offset));
+        assertEq(container, container.replace_20_6(container.extract_20_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes8 oldValue = container.extract_20_8(offset);
+
+        assertEq(newValue, container.replace_20_8(newValue, offset).extract_20_8(offset));
+        assertEq(container, container.replace_20_8(newValue, offset).replace_20_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes20 replaced = container.replace_20_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_8(newValue, offset));
+        assertEq(container, container.replace_20_8(container.extract_20_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes10 oldValue = container.extract_20_10(offset);
+
+        assertEq(newValue, container.replace_20_10(newValue, offset).extract_20_10(offset));
+        assertEq(container, container.replace_20_10(newValue, offset).replace_20_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes20 replaced = container.replace_20_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_10(newValue, offset));
+        assertEq(container, container.replace_20_10(container.extract_20_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes12 oldValue = container.extract_20_12(offset);
+
+        assertEq(newValue, container.replace_20_12(newValue, offset).extract_20_12(offset));
+        assertEq(container, container.replace_20_12(newValue, offset).replace_20_12(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes20 replaced = container.replace_20_12(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_12(newValue, offset));
+        assertEq(container, container.replace_20_12(container.extract_20_12(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes20 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes16 oldValue = container.extract_20_16(offset);
+
+        assertEq(newValue, container.replace_20_16(newValue, offset).extract_20_16(offset));
+        assertEq(container, container.replace_20_16(newValue, offset).replace_20_16(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes20 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes20 replaced = container.replace_20_16(newValue, offset);
+
+        assertEq(replaced, replaced.replace_20_16(newValue, offset));
+        assertEq(container, container.replace_20_16(container.extract_20_16(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes20 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 16) are replaced, the others are preserved
+        bytes20 mask = bytes20(bytes16(type(uint128).max)) >> (8 * offset);
+
+        assertEq(container.replace_20_16(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract16OutOfRange(bytes20 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_20_16(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes20 container, bytes16 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_20_16(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 21));
+
+        bytes1 oldValue = container.extract_22_1(offset);
 
         assertEq(newValue, container.replace_22_1(newValue, offset).extract_22_1(offset));
         assertEq(container, container.replace_22_1(newValue, offset).replace_22_1(oldValue, offset));
     }
 
-    function testReplace(bytes22 container, bytes2 newValue, uint8 offset) external pure {
+    function testReplaceIdempotent(bytes22 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 21));
+
+        bytes22 replaced = container.replace_22_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_1(newValue, offset));
+        assertEq(container, container.replace_22_1(container.extract_22_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 21));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 22, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 22, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes2 oldValue = container.extract_22_2(offset);
+
+        assertEq(newValue, container.replace_22_2(newValue, offset).extract_22_2(offset));
+        assertEq(container, container.replace_22_2(newValue, offset).replace_22_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes22 replaced = container.replace_22_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_2(newValue, offset));
+        assertEq(container, container.replace_22_2(container.extract_22_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes4 oldValue = container.extract_22_4(offset);
+
+        assertEq(newValue, container.replace_22_4(newValue, offset).extract_22_4(offset));
+        assertEq(container, container.replace_22_4(newValue, offset).replace_22_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes22 replaced = container.replace_22_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_4(newValue, offset));
+        assertEq(container, container.replace_22_4(container.extract_22_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes6 oldValue = container.extract_22_6(offset);
+
+        assertEq(newValue, container.replace_22_6(newValue, offset).extract_22_6(offset));
+        assertEq(container, container.replace_22_6(newValue, offset).replace_22_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes22 replaced = container.replace_22_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_6(newValue, offset));
+        assertEq(container, container.replace_22_6(container.extract_22_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes8 oldValue = container.extract_22_8(offset);
+
+        assertEq(newValue, container.replace_22_8(newValue, offset).extract_22_8(offset));
+        assertEq(container, container.replace_22_8(newValue, offset).replace_22_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes22 replaced = container.replace_22_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_8(newValue, offset));
+        assertEq(container, container.replace_22_8(container.extract_22_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes10 oldValue = container.extract_22_10(offset);
+
+        assertEq(newValue, container.replace_22_10(newValue, offset).extract_22_10(offset));
+        assertEq(container, container.replace_22_10(newValue, offset).replace_22_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes22 replaced = container.replace_22_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_10(newValue, offset));
+        assertEq(container, container.replace_22_10(container.extract_22_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes12 oldValue = container.extract_22_12(offset);
+
+        assertEq(newValue, container.replace_22_12(newValue, offset).extract_22_12(offset));
+        assertEq(container, container.replace_22_12(newValue, offset).replace_22_12(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes22 replaced = container.replace_22_12(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_12(newValue, offset));
+        assertEq(container, container.replace_22_12(container.extract_22_12(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes16 oldValue = container.extract_22_16(offset);
+
+        assertEq(newValue, container.replace_22_16(newValue, offset).extract_22_16(offset));
+        assertEq(container, container.replace_22_16(newValue, offset).replace_22_16(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes22 replaced = container.replace_22_16(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_16(newValue, offset));
+        assertEq(container, container.replace_22_16(container.extract_22_16(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        // bytes [offset, offset + 16) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes16(type(uint128).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_16(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract16OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_16(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes16 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_16(container, newValue, offset);
+    }
+
+    function testReplace(bytes22 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes20 oldValue = container.extract_22_20(offset);
+
+        assertEq(newValue, container.replace_22_20(newValue, offset).extract_22_20(offset));
+        assertEq(container, container.replace_22_20(newValue, offset).replace_22_20(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes22 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes22 replaced = container.replace_22_20(newValue, offset);
+
+        assertEq(replaced, replaced.replace_22_20(newValue, offset));
+        assertEq(container, container.replace_22_20(container.extract_22_20(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes22 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        // bytes [offset, offset + 20) are replaced, the others are preserved
+        bytes22 mask = bytes22(bytes20(type(uint160).max)) >> (8 * offset);
+
+        assertEq(container.replace_22_20(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract20OutOfRange(bytes22 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_22_20(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes22 container, bytes20 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_22_20(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 23));
+
+        bytes1 oldValue = container.extract_24_1(offset);
+
+        assertEq(newValue, container.replace_24_1(newValue, offset).extract_24_1(offset));
+        assertEq(container, container.replace_24_1(newValue, offset).replace_24_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 23));
+
+        bytes24 replaced = container.replace_24_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_1(newValue, offset));
+        assertEq(container, container.replace_24_1(container.extract_24_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 23));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 24, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 24, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes2 oldValue = container.extract_24_2(offset);
+
+        assertEq(newValue, container.replace_24_2(newValue, offset).extract_24_2(offset));
+        assertEq(container, container.replace_24_2(newValue, offset).replace_24_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes24 replaced = container.replace_24_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_2(newValue, offset));
+        assertEq(container, container.replace_24_2(container.extract_24_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes4 oldValue = container.extract_24_4(offset);
+
+        assertEq(newValue, container.replace_24_4(newValue, offset).extract_24_4(offset));
+        assertEq(container, container.replace_24_4(newValue, offset).replace_24_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes24 replaced = container.replace_24_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_4(newValue, offset));
+        assertEq(container, container.replace_24_4(container.extract_24_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes6 oldValue = container.extract_24_6(offset);
+
+        assertEq(newValue, container.replace_24_6(newValue, offset).extract_24_6(offset));
+        assertEq(container, container.replace_24_6(newValue, offset).replace_24_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes24 replaced = container.replace_24_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_6(newValue, offset));
+        assertEq(container, container.replace_24_6(container.extract_24_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes8 oldValue = container.extract_24_8(offset);
+
+        assertEq(newValue, container.replace_24_8(newValue, offset).extract_24_8(offset));
+        assertEq(container, container.replace_24_8(newValue, offset).replace_24_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes24 replaced = container.replace_24_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_8(newValue, offset));
+        assertEq(container, container.replace_24_8(container.extract_24_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes10 oldValue = container.extract_24_10(offset);
+
+        assertEq(newValue, container.replace_24_10(newValue, offset).extract_24_10(offset));
+        assertEq(container, container.replace_24_10(newValue, offset).replace_24_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        bytes24 replaced = container.replace_24_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_10(newValue, offset));
+        assertEq(container, container.replace_24_10(container.extract_24_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 14));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 15, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes12 oldValue = container.extract_24_12(offset);
+
+        assertEq(newValue, container.replace_24_12(newValue, offset).extract_24_12(offset));
+        assertEq(container, container.replace_24_12(newValue, offset).replace_24_12(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes24 replaced = container.replace_24_12(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_12(newValue, offset));
+        assertEq(container, container.replace_24_12(container.extract_24_12(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes16 oldValue = container.extract_24_16(offset);
+
+        assertEq(newValue, container.replace_24_16(newValue, offset).extract_24_16(offset));
+        assertEq(container, container.replace_24_16(newValue, offset).replace_24_16(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes24 replaced = container.replace_24_16(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_16(newValue, offset));
+        assertEq(container, container.replace_24_16(container.extract_24_16(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 16) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes16(type(uint128).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_16(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract16OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_16(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes16 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_16(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes20 oldValue = container.extract_24_20(offset);
+
+        assertEq(newValue, container.replace_24_20(newValue, offset).extract_24_20(offset));
+        assertEq(container, container.replace_24_20(newValue, offset).replace_24_20(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes24 replaced = container.replace_24_20(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_20(newValue, offset));
+        assertEq(container, container.replace_24_20(container.extract_24_20(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 20) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes20(type(uint160).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_20(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract20OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_20(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes20 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_20(container, newValue, offset);
+    }
+
+    function testReplace(bytes24 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes22 oldValue = container.extract_24_22(offset);
+
+        assertEq(newValue, container.replace_24_22(newValue, offset).extract_24_22(offset));
+        assertEq(container, container.replace_24_22(newValue, offset).replace_24_22(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes24 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        bytes24 replaced = container.replace_24_22(newValue, offset);
+
+        assertEq(replaced, replaced.replace_24_22(newValue, offset));
+        assertEq(container, container.replace_24_22(container.extract_24_22(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes24 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 2));
+
+        // bytes [offset, offset + 22) are replaced, the others are preserved
+        bytes24 mask = bytes24(bytes22(type(uint176).max)) >> (8 * offset);
+
+        assertEq(container.replace_24_22(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract22OutOfRange(bytes24 container, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_24_22(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes24 container, bytes22 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 3, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_24_22(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 27));
+
+        bytes1 oldValue = container.extract_28_1(offset);
+
+        assertEq(newValue, container.replace_28_1(newValue, offset).extract_28_1(offset));
+        assertEq(container, container.replace_28_1(newValue, offset).replace_28_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 27));
+
+        bytes28 replaced = container.replace_28_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_1(newValue, offset));
+        assertEq(container, container.replace_28_1(container.extract_28_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 27));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 28, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 28, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        bytes2 oldValue = container.extract_28_2(offset);
+
+        assertEq(newValue, container.replace_28_2(newValue, offset).extract_28_2(offset));
+        assertEq(container, container.replace_28_2(newValue, offset).replace_28_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        bytes28 replaced = container.replace_28_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_2(newValue, offset));
+        assertEq(container, container.replace_28_2(container.extract_28_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 27, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 27, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        bytes4 oldValue = container.extract_28_4(offset);
+
+        assertEq(newValue, container.replace_28_4(newValue, offset).extract_28_4(offset));
+        assertEq(container, container.replace_28_4(newValue, offset).replace_28_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        bytes28 replaced = container.replace_28_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_4(newValue, offset));
+        assertEq(container, container.replace_28_4(container.extract_28_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 25, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 25, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes6 oldValue = container.extract_28_6(offset);
+
+        assertEq(newValue, container.replace_28_6(newValue, offset).extract_28_6(offset));
+        assertEq(container, container.replace_28_6(newValue, offset).replace_28_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes28 replaced = container.replace_28_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_6(newValue, offset));
+        assertEq(container, container.replace_28_6(container.extract_28_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes8 oldValue = container.extract_28_8(offset);
+
+        assertEq(newValue, container.replace_28_8(newValue, offset).extract_28_8(offset));
+        assertEq(container, container.replace_28_8(newValue, offset).replace_28_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        bytes28 replaced = container.replace_28_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_8(newValue, offset));
+        assertEq(container, container.replace_28_8(container.extract_28_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes10 oldValue = container.extract_28_10(offset);
+
+        assertEq(newValue, container.replace_28_10(newValue, offset).extract_28_10(offset));
+        assertEq(container, container.replace_28_10(newValue, offset).replace_28_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        bytes28 replaced = container.replace_28_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_10(newValue, offset));
+        assertEq(container, container.replace_28_10(container.extract_28_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 18));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 19, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes12 oldValue = container.extract_28_12(offset);
+
+        assertEq(newValue, container.replace_28_12(newValue, offset).extract_28_12(offset));
+        assertEq(container, container.replace_28_12(newValue, offset).replace_28_12(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        bytes28 replaced = container.replace_28_12(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_12(newValue, offset));
+        assertEq(container, container.replace_28_12(container.extract_28_12(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes16 oldValue = container.extract_28_16(offset);
+
+        assertEq(newValue, container.replace_28_16(newValue, offset).extract_28_16(offset));
+        assertEq(container, container.replace_28_16(newValue, offset).replace_28_16(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes28 replaced = container.replace_28_16(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_16(newValue, offset));
+        assertEq(container, container.replace_28_16(container.extract_28_16(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        // bytes [offset, offset + 16) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes16(type(uint128).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_16(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract16OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_16(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes16 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_16(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes20 oldValue = container.extract_28_20(offset);
+
+        assertEq(newValue, container.replace_28_20(newValue, offset).extract_28_20(offset));
+        assertEq(container, container.replace_28_20(newValue, offset).replace_28_20(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes28 replaced = container.replace_28_20(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_20(newValue, offset));
+        assertEq(container, container.replace_28_20(container.extract_28_20(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 20) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes20(type(uint160).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_20(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract20OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_20(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes20 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_20(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes22 oldValue = container.extract_28_22(offset);
+
+        assertEq(newValue, container.replace_28_22(newValue, offset).extract_28_22(offset));
+        assertEq(container, container.replace_28_22(newValue, offset).replace_28_22(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        bytes28 replaced = container.replace_28_22(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_22(newValue, offset));
+        assertEq(container, container.replace_28_22(container.extract_28_22(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 6));
+
+        // bytes [offset, offset + 22) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes22(type(uint176).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_22(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract22OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_22(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes22 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 7, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_22(container, newValue, offset);
+    }
+
+    function testReplace(bytes28 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes24 oldValue = container.extract_28_24(offset);
+
+        assertEq(newValue, container.replace_28_24(newValue, offset).extract_28_24(offset));
+        assertEq(container, container.replace_28_24(newValue, offset).replace_28_24(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes28 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes28 replaced = container.replace_28_24(newValue, offset);
+
+        assertEq(replaced, replaced.replace_28_24(newValue, offset));
+        assertEq(container, container.replace_28_24(container.extract_28_24(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes28 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 24) are replaced, the others are preserved
+        bytes28 mask = bytes28(bytes24(type(uint192).max)) >> (8 * offset);
+
+        assertEq(container.replace_28_24(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract24OutOfRange(bytes28 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_28_24(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes28 container, bytes24 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_28_24(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 31));
+
+        bytes1 oldValue = container.extract_32_1(offset);
+
+        assertEq(newValue, container.replace_32_1(newValue, offset).extract_32_1(offset));
+        assertEq(container, container.replace_32_1(newValue, offset).replace_32_1(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 31));
+
+        bytes32 replaced = container.replace_32_1(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_1(newValue, offset));
+        assertEq(container, container.replace_32_1(container.extract_32_1(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes1 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 31));
+
+        // bytes [offset, offset + 1) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes1(type(uint8).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_1(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract1OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 32, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_1(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes1 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 32, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_1(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 30));
+
+        bytes2 oldValue = container.extract_32_2(offset);
+
+        assertEq(newValue, container.replace_32_2(newValue, offset).extract_32_2(offset));
+        assertEq(container, container.replace_32_2(newValue, offset).replace_32_2(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 30));
+
+        bytes32 replaced = container.replace_32_2(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_2(newValue, offset));
+        assertEq(container, container.replace_32_2(container.extract_32_2(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes2 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 30));
+
+        // bytes [offset, offset + 2) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes2(type(uint16).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_2(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract2OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 31, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_2(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes2 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 31, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_2(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 28));
+
+        bytes4 oldValue = container.extract_32_4(offset);
+
+        assertEq(newValue, container.replace_32_4(newValue, offset).extract_32_4(offset));
+        assertEq(container, container.replace_32_4(newValue, offset).replace_32_4(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 28));
+
+        bytes32 replaced = container.replace_32_4(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_4(newValue, offset));
+        assertEq(container, container.replace_32_4(container.extract_32_4(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes4 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 28));
+
+        // bytes [offset, offset + 4) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes4(type(uint32).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_4(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract4OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 29, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_4(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes4 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 29, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_4(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        bytes6 oldValue = container.extract_32_6(offset);
+
+        assertEq(newValue, container.replace_32_6(newValue, offset).extract_32_6(offset));
+        assertEq(container, container.replace_32_6(newValue, offset).replace_32_6(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        bytes32 replaced = container.replace_32_6(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_6(newValue, offset));
+        assertEq(container, container.replace_32_6(container.extract_32_6(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes6 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 26));
+
+        // bytes [offset, offset + 6) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes6(type(uint48).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_6(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract6OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 27, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_6(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes6 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 27, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_6(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        bytes8 oldValue = container.extract_32_8(offset);
+
+        assertEq(newValue, container.replace_32_8(newValue, offset).extract_32_8(offset));
+        assertEq(container, container.replace_32_8(newValue, offset).replace_32_8(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        bytes32 replaced = container.replace_32_8(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_8(newValue, offset));
+        assertEq(container, container.replace_32_8(container.extract_32_8(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes8 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 24));
+
+        // bytes [offset, offset + 8) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes8(type(uint64).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_8(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract8OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 25, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_8(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes8 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 25, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_8(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes10 oldValue = container.extract_32_10(offset);
+
+        assertEq(newValue, container.replace_32_10(newValue, offset).extract_32_10(offset));
+        assertEq(container, container.replace_32_10(newValue, offset).replace_32_10(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        bytes32 replaced = container.replace_32_10(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_10(newValue, offset));
+        assertEq(container, container.replace_32_10(container.extract_32_10(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes10 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 22));
+
+        // bytes [offset, offset + 10) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes10(type(uint80).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_10(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract10OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_10(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes10 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 23, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_10(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes12 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 20));
 
-        bytes2 oldValue = container.extract_22_2(offset);
+        bytes12 oldValue = container.extract_32_12(offset);
 
-        assertEq(newValue, container.replace_22_2(newValue, offset).extract_22_2(offset));
-        assertEq(container, container.replace_22_2(newValue, offset).replace_22_2(oldValue, offset));
+        assertEq(newValue, container.replace_32_12(newValue, offset).extract_32_12(offset));
+        assertEq(container, container.replace_32_12(newValue, offset).replace_32_12(oldValue, offset));
     }
 
-    function testReplace(bytes22 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 18));
+    function testReplaceIdempotent(bytes32 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
 
-        bytes4 oldValue = container.extract_22_4(offset);
+        bytes32 replaced = container.replace_32_12(newValue, offset);
 
-        assertEq(newValue, container.replace_22_4(newValue, offset).extract_22_4(offset));
-        assertEq(container, container.replace_22_4(newValue, offset).replace_22_4(oldValue, offset));
+        assertEq(replaced, replaced.replace_32_12(newValue, offset));
+        assertEq(container, container.replace_32_12(container.extract_32_12(offset), offset));
     }
 
-    function testReplace(bytes22 container, bytes6 newValue, uint8 offset) external pure {
+    function testReplaceNonOverlap(bytes32 container, bytes12 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 20));
+
+        // bytes [offset, offset + 12) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes12(type(uint96).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_12(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract12OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_12(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes12 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 21, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_12(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes16 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 16));
 
-        bytes6 oldValue = container.extract_22_6(offset);
+        bytes16 oldValue = container.extract_32_16(offset);
 
-        assertEq(newValue, container.replace_22_6(newValue, offset).extract_22_6(offset));
-        assertEq(container, container.replace_22_6(newValue, offset).replace_22_6(oldValue, offset));
+        assertEq(newValue, container.replace_32_16(newValue, offset).extract_32_16(offset));
+        assertEq(container, container.replace_32_16(newValue, offset).replace_32_16(oldValue, offset));
     }
 
-    function testReplace(bytes22 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 14));
+    function testReplaceIdempotent(bytes32 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
 
-        bytes8 oldValue = container.extract_22_8(offset);
+        bytes32 replaced = container.replace_32_16(newValue, offset);
 
-        assertEq(newValue, container.replace_22_8(newValue, offset).extract_22_8(offset));
-        assertEq(container, container.replace_22_8(newValue, offset).replace_22_8(oldValue, offset));
+        assertEq(replaced, replaced.replace_32_16(newValue, offset));
+        assertEq(container, container.replace_32_16(container.extract_32_16(offset), offset));
     }
 
-    function testReplace(bytes22 container, bytes10 newValue, uint8 offset) external pure {
+    function testReplaceNonOverlap(bytes32 container, bytes16 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 16));
+
+        // bytes [offset, offset + 16) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes16(type(uint128).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_16(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract16OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_16(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes16 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 17, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_16(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes20 oldValue = container.extract_32_20(offset);
+
+        assertEq(newValue, container.replace_32_20(newValue, offset).extract_32_20(offset));
+        assertEq(container, container.replace_32_20(newValue, offset).replace_32_20(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes20 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 12));
+
+        bytes32 replaced = container.replace_32_20(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_20(newValue, offset));
+        assertEq(container, container.replace_32_20(container.extract_32_20(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes20 newValue, uint8 offset) external pure {
         offset = uint8(bound(offset, 0, 12));
 
-        bytes10 oldValue = container.extract_22_10(offset);
+        // bytes [offset, offset + 20) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes20(type(uint160).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_20(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract20OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_20(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes20 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 13, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_20(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes22 oldValue = container.extract_32_22(offset);
+
+        assertEq(newValue, container.replace_32_22(newValue, offset).extract_32_22(offset));
+        assertEq(container, container.replace_32_22(newValue, offset).replace_32_22(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        bytes32 replaced = container.replace_32_22(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_22(newValue, offset));
+        assertEq(container, container.replace_32_22(container.extract_32_22(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes22 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 10));
+
+        // bytes [offset, offset + 22) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes22(type(uint176).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_22(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract22OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_22(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes22 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 11, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_22(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes24 oldValue = container.extract_32_24(offset);
+
+        assertEq(newValue, container.replace_32_24(newValue, offset).extract_32_24(offset));
+        assertEq(container, container.replace_32_24(newValue, offset).replace_32_24(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        bytes32 replaced = container.replace_32_24(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_24(newValue, offset));
+        assertEq(container, container.replace_32_24(container.extract_32_24(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes24 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 8));
+
+        // bytes [offset, offset + 24) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes24(type(uint192).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_24(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract24OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_24(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes24 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 9, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_24(container, newValue, offset);
+    }
+
+    function testReplace(bytes32 container, bytes28 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes28 oldValue = container.extract_32_28(offset);
+
+        assertEq(newValue, container.replace_32_28(newValue, offset).extract_32_28(offset));
+        assertEq(container, container.replace_32_28(newValue, offset).replace_32_28(oldValue, offset));
+    }
+
+    function testReplaceIdempotent(bytes32 container, bytes28 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        bytes32 replaced = container.replace_32_28(newValue, offset);
+
+        assertEq(replaced, replaced.replace_32_28(newValue, offset));
+        assertEq(container, container.replace_32_28(container.extract_32_28(offset), offset));
+    }
+
+    function testReplaceNonOverlap(bytes32 container, bytes28 newValue, uint8 offset) external pure {
+        offset = uint8(bound(offset, 0, 4));
+
+        // bytes [offset, offset + 28) are replaced, the others are preserved
+        bytes32 mask = bytes32(bytes28(type(uint224).max)) >> (8 * offset);
+
+        assertEq(container.replace_32_28(newValue, offset) & ~mask, container & ~mask);
+    }
+
+    function testExtract28OutOfRange(bytes32 container, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.extract_32_28(container, offset);
+    }
+
+    function testReplaceOutOfRange(bytes32 container, bytes28 newValue, uint8 offset) external {
+        offset = uint8(bound(offset, 5, type(uint8).max));
+
+        vm.expectRevert(Packing.OutOfRangeAccess.selector);
+        this.replace_32_28(container, newValue, offset);
+    }
+
+    // used to test reverts
+
+    function extract_2_1(bytes2 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_2_1(offset);
+    }
+
+    function replace_2_1(bytes2 container, bytes1 newValue, uint8 offset) external pure returns (bytes2) {
+        return container.replace_2_1(newValue, offset);
+    }
+
+    function extract_4_1(bytes4 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_4_1(offset);
+    }
+
+    function replace_4_1(bytes4 container, bytes1 newValue, uint8 offset) external pure returns (bytes4) {
+        return container.replace_4_1(newValue, offset);
+    }
+
+    function extract_4_2(bytes4 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_4_2(offset);
+    }
+
+    function replace_4_2(bytes4 container, bytes2 newValue, uint8 offset) external pure returns (bytes4) {
+        return container.replace_4_2(newValue, offset);
+    }
+
+    function extract_6_1(bytes6 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_6_1(offset);
+    }
+
+    function replace_6_1(bytes6 container, bytes1 newValue, uint8 offset) external pure returns (bytes6) {
+        return container.replace_6_1(newValue, offset);
+    }
+
+    function extract_6_2(bytes6 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_6_2(offset);
+    }
+
+    function replace_6_2(bytes6 container, bytes2 newValue, uint8 offset) external pure returns (bytes6) {
+        return container.replace_6_2(newValue, offset);
+    }
+
+    function extract_6_4(bytes6 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_6_4(offset);
+    }
+
+    function replace_6_4(bytes6 container, bytes4 newValue, uint8 offset) external pure returns (bytes6) {
+        return container.replace_6_4(newValue, offset);
+    }
+
+    function extract_8_1(bytes8 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_8_1(offset);
+    }
+
+    function replace_8_1(bytes8 container, bytes1 newValue, uint8 offset) external pure returns (bytes8) {
+        return container.replace_8_1(newValue, offset);
+    }
+
+    function extract_8_2(bytes8 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_8_2(offset);
+    }
+
+    function replace_8_2(bytes8 container, bytes2 newValue, uint8 offset) external pure returns (bytes8) {
+        return container.replace_8_2(newValue, offset);
+    }
+
+    function extract_8_4(bytes8 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_8_4(offset);
+    }
+
+    function replace_8_4(bytes8 container, bytes4 newValue, uint8 offset) external pure returns (bytes8) {
+        return container.replace_8_4(newValue, offset);
+    }
+
+    function extract_8_6(bytes8 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_8_6(offset);
+    }
+
+    function replace_8_6(bytes8 container, bytes6 newValue, uint8 offset) external pure returns (bytes8) {
+        return container.replace_8_6(newValue, offset);
+    }
+
+    function extract_10_1(bytes10 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_10_1(offset);
+    }
+
+    function replace_10_1(bytes10 container, bytes1 newValue, uint8 offset) external pure returns (bytes10) {
+        return container.replace_10_1(newValue, offset);
+    }
+
+    function extract_10_2(bytes10 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_10_2(offset);
+    }
+
+    function replace_10_2(bytes10 container, bytes2 newValue, uint8 offset) external pure returns (bytes10) {
+        return container.replace_10_2(newValue, offset);
+    }
+
+    function extract_10_4(bytes10 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_10_4(offset);
+    }
+
+    function replace_10_4(bytes10 container, bytes4 newValue, uint8 offset) external pure returns (bytes10) {
+        return container.replace_10_4(newValue, offset);
+    }
+
+    function extract_10_6(bytes10 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_10_6(offset);
+    }
+
+    function replace_10_6(bytes10 container, bytes6 newValue, uint8 offset) external pure returns (bytes10) {
+        return container.replace_10_6(newValue, offset);
+    }
+
+    function extract_10_8(bytes10 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_10_8(offset);
+    }
+
+    function replace_10_8(bytes10 container, bytes8 newValue, uint8 offset) external pure returns (bytes10) {
+        return container.replace_10_8(newValue, offset);
+    }
+
+    function extract_12_1(bytes12 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_12_1(offset);
+    }
+
+    function replace_12_1(bytes12 container, bytes1 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_1(newValue, offset);
+    }
+
+    function extract_12_2(bytes12 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_12_2(offset);
+    }
+
+    function replace_12_2(bytes12 container, bytes2 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_2(newValue, offset);
+    }
+
+    function extract_12_4(bytes12 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_12_4(offset);
+    }
+
+    function replace_12_4(bytes12 container, bytes4 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_4(newValue, offset);
+    }
+
+    function extract_12_6(bytes12 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_12_6(offset);
+    }
+
+    function replace_12_6(bytes12 container, bytes6 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_6(newValue, offset);
+    }
+
+    function extract_12_8(bytes12 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_12_8(offset);
+    }
+
+    function replace_12_8(bytes12 container, bytes8 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_8(newValue, offset);
+    }
+
+    function extract_12_10(bytes12 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_12_10(offset);
+    }
+
+    function replace_12_10(bytes12 container, bytes10 newValue, uint8 offset) external pure returns (bytes12) {
+        return container.replace_12_10(newValue, offset);
+    }
+
+    function extract_16_1(bytes16 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_16_1(offset);
+    }
+
+    function replace_16_1(bytes16 container, bytes1 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_1(newValue, offset);
+    }
+
+    function extract_16_2(bytes16 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_16_2(offset);
+    }
+
+    function replace_16_2(bytes16 container, bytes2 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_2(newValue, offset);
+    }
+
+    function extract_16_4(bytes16 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_16_4(offset);
+    }
 
-        assertEq(newValue, container.replace_22_10(newValue, offset).extract_22_10(offset));
-        assertEq(container, container.replace_22_10(newValue, offset).replace_22_10(oldValue, offset));
+    function replace_16_4(bytes16 container, bytes4 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_4(newValue, offset);
     }
 
-    function testReplace(bytes22 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 10));
+    function extract_16_6(bytes16 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_16_6(offset);
+    }
 
-        bytes12 oldValue = container.extract_22_12(offset);
+    function replace_16_6(bytes16 container, bytes6 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_6(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_22_12(newValue, offset).extract_22_12(offset));
-        assertEq(container, container.replace_22_12(newValue, offset).replace_22_12(oldValue, offset));
+    function extract_16_8(bytes16 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_16_8(offset);
     }
 
-    function testReplace(bytes22 container, bytes16 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 6));
+    function replace_16_8(bytes16 container, bytes8 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_8(newValue, offset);
+    }
 
-        bytes16 oldValue = container.extract_22_16(offset);
+    function extract_16_10(bytes16 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_16_10(offset);
+    }
 
-        assertEq(newValue, container.replace_22_16(newValue, offset).extract_22_16(offset));
-        assertEq(container, container.replace_22_16(newValue, offset).replace_22_16(oldValue, offset));
+    function replace_16_10(bytes16 container, bytes10 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_10(newValue, offset);
     }
 
-    function testReplace(bytes22 container, bytes20 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 2));
+    function extract_16_12(bytes16 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_16_12(offset);
+    }
 
-        bytes20 oldValue = container.extract_22_20(offset);
+    function replace_16_12(bytes16 container, bytes12 newValue, uint8 offset) external pure returns (bytes16) {
+        return container.replace_16_12(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_22_20(newValue, offset).extract_22_20(offset));
-        assertEq(container, container.replace_22_20(newValue, offset).replace_22_20(oldValue, offset));
+    function extract_20_1(bytes20 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_20_1(offset);
     }
 
-    function testReplace(bytes24 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 23));
+    function replace_20_1(bytes20 container, bytes1 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_1(newValue, offset);
+    }
 
-        bytes1 oldValue = container.extract_24_1(offset);
+    function extract_20_2(bytes20 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_20_2(offset);
+    }
 
-        assertEq(newValue, container.replace_24_1(newValue, offset).extract_24_1(offset));
-        assertEq(container, container.replace_24_1(newValue, offset).replace_24_1(oldValue, offset));
+    function replace_20_2(bytes20 container, bytes2 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_2(newValue, offset);
     }
 
-    function testReplace(bytes24 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 22));
+    function extract_20_4(bytes20 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_20_4(offset);
+    }
 
-        bytes2 oldValue = container.extract_24_2(offset);
+    function replace_20_4(bytes20 container, bytes4 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_4(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_24_2(newValue, offset).extract_24_2(offset));
-        assertEq(container, container.replace_24_2(newValue, offset).replace_24_2(oldValue, offset));
+    function extract_20_6(bytes20 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_20_6(offset);
     }
 
-    function testReplace(bytes24 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 20));
+    function replace_20_6(bytes20 container, bytes6 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_6(newValue, offset);
+    }
 
-        bytes4 oldValue = container.extract_24_4(offset);
+    function extract_20_8(bytes20 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_20_8(offset);
+    }
 
-        assertEq(newValue, container.replace_24_4(newValue, offset).extract_24_4(offset));
-        assertEq(container, container.replace_24_4(newValue, offset).replace_24_4(oldValue, offset));
+    function replace_20_8(bytes20 container, bytes8 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_8(newValue, offset);
     }
 
-    function testReplace(bytes24 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 18));
+    function extract_20_10(bytes20 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_20_10(offset);
+    }
 
-        bytes6 oldValue = container.extract_24_6(offset);
+    function replace_20_10(bytes20 container, bytes10 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_10(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_24_6(newValue, offset).extract_24_6(offset));
-        assertEq(container, container.replace_24_6(newValue, offset).replace_24_6(oldValue, offset));
+    function extract_20_12(bytes20 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_20_12(offset);
     }
 
-    function testReplace(bytes24 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 16));
+    function replace_20_12(bytes20 container, bytes12 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_12(newValue, offset);
+    }
 
-        bytes8 oldValue = container.extract_24_8(offset);
+    function extract_20_16(bytes20 container, uint8 offset) external pure returns (bytes16) {
+        return container.extract_20_16(offset);
+    }
 
-        assertEq(newValue, container.replace_24_8(newValue, offset).extract_24_8(offset));
-        assertEq(container, container.replace_24_8(newValue, offset).replace_24_8(oldValue, offset));
+    function replace_20_16(bytes20 container, bytes16 newValue, uint8 offset) external pure returns (bytes20) {
+        return container.replace_20_16(newValue, offset);
     }
 
-    function testReplace(bytes24 container, bytes10 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 14));
+    function extract_22_1(bytes22 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_22_1(offset);
+    }
 
-        bytes10 oldValue = container.extract_24_10(offset);
+    function replace_22_1(bytes22 container, bytes1 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_1(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_24_10(newValue, offset).extract_24_10(offset));
-        assertEq(container, container.replace_24_10(newValue, offset).replace_24_10(oldValue, offset));
+    function extract_22_2(bytes22 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_22_2(offset);
     }
 
-    function testReplace(bytes24 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 12));
+    function replace_22_2(bytes22 container, bytes2 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_2(newValue, offset);
+    }
 
-        bytes12 oldValue = container.extract_24_12(offset);
+    function extract_22_4(bytes22 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_22_4(offset);
+    }
 
-        assertEq(newValue, container.replace_24_12(newValue, offset).extract_24_12(offset));
-        assertEq(container, container.replace_24_12(newValue, offset).replace_24_12(oldValue, offset));
+    function replace_22_4(bytes22 container, bytes4 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_4(newValue, offset);
     }
 
-    function testReplace(bytes24 container, bytes16 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function extract_22_6(bytes22 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_22_6(offset);
+    }
 
-        bytes16 oldValue = container.extract_24_16(offset);
+    function replace_22_6(bytes22 container, bytes6 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_6(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_24_16(newValue, offset).extract_24_16(offset));
-        assertEq(container, container.replace_24_16(newValue, offset).replace_24_16(oldValue, offset));
+    function extract_22_8(bytes22 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_22_8(offset);
     }
 
-    function testReplace(bytes24 container, bytes20 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function replace_22_8(bytes22 container, bytes8 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_8(newValue, offset);
+    }
 
-        bytes20 oldValue = container.extract_24_20(offset);
+    function extract_22_10(bytes22 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_22_10(offset);
+    }
 
-        assertEq(newValue, container.replace_24_20(newValue, offset).extract_24_20(offset));
-        assertEq(container, container.replace_24_20(newValue, offset).replace_24_20(oldValue, offset));
+    function replace_22_10(bytes22 container, bytes10 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_10(newValue, offset);
     }
 
-    function testReplace(bytes24 container, bytes22 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 2));
+    function extract_22_12(bytes22 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_22_12(offset);
+    }
 
-        bytes22 oldValue = container.extract_24_22(offset);
+    function replace_22_12(bytes22 container, bytes12 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_12(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_24_22(newValue, offset).extract_24_22(offset));
-        assertEq(container, container.replace_24_22(newValue, offset).replace_24_22(oldValue, offset));
+    function extract_22_16(bytes22 container, uint8 offset) external pure returns (bytes16) {
+        return container.extract_22_16(offset);
     }
 
-    function testReplace(bytes28 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 27));
+    function replace_22_16(bytes22 container, bytes16 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_16(newValue, offset);
+    }
 
-        bytes1 oldValue = container.extract_28_1(offset);
+    function extract_22_20(bytes22 container, uint8 offset) external pure returns (bytes20) {
+        return container.extract_22_20(offset);
+    }
 
-        assertEq(newValue, container.replace_28_1(newValue, offset).extract_28_1(offset));
-        assertEq(container, container.replace_28_1(newValue, offset).replace_28_1(oldValue, offset));
+    function replace_22_20(bytes22 container, bytes20 newValue, uint8 offset) external pure returns (bytes22) {
+        return container.replace_22_20(newValue, offset);
     }
 
-    function testReplace(bytes28 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 26));
+    function extract_24_1(bytes24 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_24_1(offset);
+    }
 
-        bytes2 oldValue = container.extract_28_2(offset);
+    function replace_24_1(bytes24 container, bytes1 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_1(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_28_2(newValue, offset).extract_28_2(offset));
-        assertEq(container, container.replace_28_2(newValue, offset).replace_28_2(oldValue, offset));
+    function extract_24_2(bytes24 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_24_2(offset);
     }
 
-    function testReplace(bytes28 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 24));
+    function replace_24_2(bytes24 container, bytes2 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_2(newValue, offset);
+    }
 
-        bytes4 oldValue = container.extract_28_4(offset);
+    function extract_24_4(bytes24 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_24_4(offset);
+    }
 
-        assertEq(newValue, container.replace_28_4(newValue, offset).extract_28_4(offset));
-        assertEq(container, container.replace_28_4(newValue, offset).replace_28_4(oldValue, offset));
+    function replace_24_4(bytes24 container, bytes4 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_4(newValue, offset);
     }
 
-    function testReplace(bytes28 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 22));
+    function extract_24_6(bytes24 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_24_6(offset);
+    }
 
-        bytes6 oldValue = container.extract_28_6(offset);
+    function replace_24_6(bytes24 container, bytes6 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_6(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_28_6(newValue, offset).extract_28_6(offset));
-        assertEq(container, container.replace_28_6(newValue, offset).replace_28_6(oldValue, offset));
+    function extract_24_8(bytes24 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_24_8(offset);
     }
 
-    function testReplace(bytes28 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 20));
+    function replace_24_8(bytes24 container, bytes8 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_8(newValue, offset);
+    }
 
-        bytes8 oldValue = container.extract_28_8(offset);
+    function extract_24_10(bytes24 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_24_10(offset);
+    }
 
-        assertEq(newValue, container.replace_28_8(newValue, offset).extract_28_8(offset));
-        assertEq(container, container.replace_28_8(newValue, offset).replace_28_8(oldValue, offset));
+    function replace_24_10(bytes24 container, bytes10 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_10(newValue, offset);
     }
 
-    function testReplace(bytes28 container, bytes10 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 18));
+    function extract_24_12(bytes24 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_24_12(offset);
+    }
 
-        bytes10 oldValue = container.extract_28_10(offset);
+    function replace_24_12(bytes24 container, bytes12 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_12(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_28_10(newValue, offset).extract_28_10(offset));
-        assertEq(container, container.replace_28_10(newValue, offset).replace_28_10(oldValue, offset));
+    function extract_24_16(bytes24 container, uint8 offset) external pure returns (bytes16) {
+        return container.extract_24_16(offset);
     }
 
-    function testReplace(bytes28 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 16));
+    function replace_24_16(bytes24 container, bytes16 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_16(newValue, offset);
+    }
 
-        bytes12 oldValue = container.extract_28_12(offset);
+    function extract_24_20(bytes24 container, uint8 offset) external pure returns (bytes20) {
+        return container.extract_24_20(offset);
+    }
 
-        assertEq(newValue, container.replace_28_12(newValue, offset).extract_28_12(offset));
-        assertEq(container, container.replace_28_12(newValue, offset).replace_28_12(oldValue, offset));
+    function replace_24_20(bytes24 container, bytes20 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_20(newValue, offset);
     }
 
-    function testReplace(bytes28 container, bytes16 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 12));
+    function extract_24_22(bytes24 container, uint8 offset) external pure returns (bytes22) {
+        return container.extract_24_22(offset);
+    }
 
-        bytes16 oldValue = container.extract_28_16(offset);
+    function replace_24_22(bytes24 container, bytes22 newValue, uint8 offset) external pure returns (bytes24) {
+        return container.replace_24_22(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_28_16(newValue, offset).extract_28_16(offset));
-        assertEq(container, container.replace_28_16(newValue, offset).replace_28_16(oldValue, offset));
+    function extract_28_1(bytes28 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_28_1(offset);
     }
 
-    function testReplace(bytes28 container, bytes20 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function replace_28_1(bytes28 container, bytes1 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_1(newValue, offset);
+    }
 
-        bytes20 oldValue = container.extract_28_20(offset);
+    function extract_28_2(bytes28 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_28_2(offset);
+    }
 
-        assertEq(newValue, container.replace_28_20(newValue, offset).extract_28_20(offset));
-        assertEq(container, container.replace_28_20(newValue, offset).replace_28_20(oldValue, offset));
+    function replace_28_2(bytes28 container, bytes2 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_2(newValue, offset);
     }
 
-    function testReplace(bytes28 container, bytes22 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 6));
+    function extract_28_4(bytes28 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_28_4(offset);
+    }
 
-        bytes22 oldValue = container.extract_28_22(offset);
+    function replace_28_4(bytes28 container, bytes4 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_4(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_28_22(newValue, offset).extract_28_22(offset));
-        assertEq(container, container.replace_28_22(newValue, offset).replace_28_22(oldValue, offset));
+    function extract_28_6(bytes28 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_28_6(offset);
     }
 
-    function testReplace(bytes28 container, bytes24 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function replace_28_6(bytes28 container, bytes6 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_6(newValue, offset);
+    }
 
-        bytes24 oldValue = container.extract_28_24(offset);
+    function extract_28_8(bytes28 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_28_8(offset);
+    }
 
-        assertEq(newValue, container.replace_28_24(newValue, offset).extract_28_24(offset));
-        assertEq(container, container.replace_28_24(newValue, offset).replace_28_24(oldValue, offset));
+    function replace_28_8(bytes28 container, bytes8 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_8(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes1 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 31));
+    function extract_28_10(bytes28 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_28_10(offset);
+    }
 
-        bytes1 oldValue = container.extract_32_1(offset);
+    function replace_28_10(bytes28 container, bytes10 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_10(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_1(newValue, offset).extract_32_1(offset));
-        assertEq(container, container.replace_32_1(newValue, offset).replace_32_1(oldValue, offset));
+    function extract_28_12(bytes28 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_28_12(offset);
     }
 
-    function testReplace(bytes32 container, bytes2 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 30));
+    function replace_28_12(bytes28 container, bytes12 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_12(newValue, offset);
+    }
 
-        bytes2 oldValue = container.extract_32_2(offset);
+    function extract_28_16(bytes28 container, uint8 offset) external pure returns (bytes16) {
+        return container.extract_28_16(offset);
+    }
 
-        assertEq(newValue, container.replace_32_2(newValue, offset).extract_32_2(offset));
-        assertEq(container, container.replace_32_2(newValue, offset).replace_32_2(oldValue, offset));
+    function replace_28_16(bytes28 container, bytes16 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_16(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes4 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 28));
+    function extract_28_20(bytes28 container, uint8 offset) external pure returns (bytes20) {
+        return container.extract_28_20(offset);
+    }
 
-        bytes4 oldValue = container.extract_32_4(offset);
+    function replace_28_20(bytes28 container, bytes20 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_20(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_4(newValue, offset).extract_32_4(offset));
-        assertEq(container, container.replace_32_4(newValue, offset).replace_32_4(oldValue, offset));
+    function extract_28_22(bytes28 container, uint8 offset) external pure returns (bytes22) {
+        return container.extract_28_22(offset);
     }
 
-    function testReplace(bytes32 container, bytes6 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 26));
+    function replace_28_22(bytes28 container, bytes22 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_22(newValue, offset);
+    }
 
-        bytes6 oldValue = container.extract_32_6(offset);
+    function extract_28_24(bytes28 container, uint8 offset) external pure returns (bytes24) {
+        return container.extract_28_24(offset);
+    }
 
-        assertEq(newValue, container.replace_32_6(newValue, offset).extract_32_6(offset));
-        assertEq(container, container.replace_32_6(newValue, offset).replace_32_6(oldValue, offset));
+    function replace_28_24(bytes28 container, bytes24 newValue, uint8 offset) external pure returns (bytes28) {
+        return container.replace_28_24(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes8 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 24));
+    function extract_32_1(bytes32 container, uint8 offset) external pure returns (bytes1) {
+        return container.extract_32_1(offset);
+    }
 
-        bytes8 oldValue = container.extract_32_8(offset);
+    function replace_32_1(bytes32 container, bytes1 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_1(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_8(newValue, offset).extract_32_8(offset));
-        assertEq(container, container.replace_32_8(newValue, offset).replace_32_8(oldValue, offset));
+    function extract_32_2(bytes32 container, uint8 offset) external pure returns (bytes2) {
+        return container.extract_32_2(offset);
     }
 
-    function testReplace(bytes32 container, bytes10 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 22));
+    function replace_32_2(bytes32 container, bytes2 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_2(newValue, offset);
+    }
 
-        bytes10 oldValue = container.extract_32_10(offset);
+    function extract_32_4(bytes32 container, uint8 offset) external pure returns (bytes4) {
+        return container.extract_32_4(offset);
+    }
 
-        assertEq(newValue, container.replace_32_10(newValue, offset).extract_32_10(offset));
-        assertEq(container, container.replace_32_10(newValue, offset).replace_32_10(oldValue, offset));
+    function replace_32_4(bytes32 container, bytes4 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_4(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes12 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 20));
+    function extract_32_6(bytes32 container, uint8 offset) external pure returns (bytes6) {
+        return container.extract_32_6(offset);
+    }
 
-        bytes12 oldValue = container.extract_32_12(offset);
+    function replace_32_6(bytes32 container, bytes6 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_6(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_12(newValue, offset).extract_32_12(offset));
-        assertEq(container, container.replace_32_12(newValue, offset).replace_32_12(oldValue, offset));
+    function extract_32_8(bytes32 container, uint8 offset) external pure returns (bytes8) {
+        return container.extract_32_8(offset);
     }
 
-    function testReplace(bytes32 container, bytes16 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 16));
+    function replace_32_8(bytes32 container, bytes8 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_8(newValue, offset);
+    }
 
-        bytes16 oldValue = container.extract_32_16(offset);
+    function extract_32_10(bytes32 container, uint8 offset) external pure returns (bytes10) {
+        return container.extract_32_10(offset);
+    }
 
-        assertEq(newValue, container.replace_32_16(newValue, offset).extract_32_16(offset));
-        assertEq(container, container.replace_32_16(newValue, offset).replace_32_16(oldValue, offset));
+    function replace_32_10(bytes32 container, bytes10 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_10(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes20 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 12));
+    function extract_32_12(bytes32 container, uint8 offset) external pure returns (bytes12) {
+        return container.extract_32_12(offset);
+    }
 
-        bytes20 oldValue = container.extract_32_20(offset);
+    function replace_32_12(bytes32 container, bytes12 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_12(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_20(newValue, offset).extract_32_20(offset));
-        assertEq(container, container.replace_32_20(newValue, offset).replace_32_20(oldValue, offset));
+    function extract_32_16(bytes32 container, uint8 offset) external pure returns (bytes16) {
+        return container.extract_32_16(offset);
     }
 
-    function testReplace(bytes32 container, bytes22 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 10));
+    function replace_32_16(bytes32 container, bytes16 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_16(newValue, offset);
+    }
 
-        bytes22 oldValue = container.extract_32_22(offset);
+    function extract_32_20(bytes32 container, uint8 offset) external pure returns (bytes20) {
+        return container.extract_32_20(offset);
+    }
 
-        assertEq(newValue, container.replace_32_22(newValue, offset).extract_32_22(offset));
-        assertEq(container, container.replace_32_22(newValue, offset).replace_32_22(oldValue, offset));
+    function replace_32_20(bytes32 container, bytes20 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_20(newValue, offset);
     }
 
-    function testReplace(bytes32 container, bytes24 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 8));
+    function extract_32_22(bytes32 container, uint8 offset) external pure returns (bytes22) {
+        return container.extract_32_22(offset);
+    }
 
-        bytes24 oldValue = container.extract_32_24(offset);
+    function replace_32_22(bytes32 container, bytes22 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_22(newValue, offset);
+    }
 
-        assertEq(newValue, container.replace_32_24(newValue, offset).extract_32_24(offset));
-        assertEq(container, container.replace_32_24(newValue, offset).replace_32_24(oldValue, offset));
+    function extract_32_24(bytes32 container, uint8 offset) external pure returns (bytes24) {
+        return container.extract_32_24(offset);
     }
 
-    function testReplace(bytes32 container, bytes28 newValue, uint8 offset) external pure {
-        offset = uint8(bound(offset, 0, 4));
+    function replace_32_24(bytes32 container, bytes24 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_24(newValue, offset);
+    }
 
-        bytes28 oldValue = container.extract_32_28(offset);
+    function extract_32_28(bytes32 container, uint8 offset) external pure returns (bytes28) {
+        return container.extract_32_28(offset);
+    }
 
-        assertEq(newValue, container.replace_32_28(newValue, offset).extract_32_28(offset));
-        assertEq(container, container.replace_32_28(newValue, offset).replace_32_28(oldValue, offset));
+    function replace_32_28(bytes32 container, bytes28 newValue, uint8 offset) external pure returns (bytes32) {
+        return container.replace_32_28(newValue, offset);
     }
 }
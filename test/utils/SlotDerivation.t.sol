@@ -40,6 +40,27 @@ contract SlotDerivationTest is Test, SymTest {
         assertEq(baseSlot.deriveArray().offset(offset), derivedSlot);
     }
 
+    uint256[3][] private _arrayOfTriples;
+
+    function testDeriveArrayElement(uint256 length, uint256 offset) public {
+        length = bound(length, 1, type(uint256).max);
+        offset = bound(offset, 0, length - 1);
+
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _arrayOfTriples.slot
+            sstore(baseSlot, length) // store length so solidity access does not revert
+        }
+
+        uint256[3] storage derived = _arrayOfTriples[offset];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveArrayElement(offset, 3), derivedSlot);
+    }
+
     mapping(address => bytes) private _addressMapping;
 
     function testSymbolicDeriveMappingAddress(address key) public view {
@@ -245,4 +266,429 @@ contract SlotDerivationTest is Test, SymTest {
         // run the "normal" test using a potentially dirty value
         testSymbolicDeriveMappingAddress(key);
     }
+
+    mapping(address => mapping(address => bytes)) private _addressAddressMapping;
+
+    function testSymbolicDeriveMappingAddressAddress(address key1, address key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _addressAddressMapping.slot
+        }
+
+        bytes storage derived = _addressAddressMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(address => mapping(bool => bytes)) private _addressBoolMapping;
+
+    function testSymbolicDeriveMappingAddressBoolean(address key1, bool key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _addressBoolMapping.slot
+        }
+
+        bytes storage derived = _addressBoolMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(address => mapping(bytes32 => bytes)) private _addressBytes32Mapping;
+
+    function testSymbolicDeriveMappingAddressBytes32(address key1, bytes32 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _addressBytes32Mapping.slot
+        }
+
+        bytes storage derived = _addressBytes32Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(address => mapping(uint256 => bytes)) private _addressUint256Mapping;
+
+    function testSymbolicDeriveMappingAddressUint256(address key1, uint256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _addressUint256Mapping.slot
+        }
+
+        bytes storage derived = _addressUint256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(address => mapping(int256 => bytes)) private _addressInt256Mapping;
+
+    function testSymbolicDeriveMappingAddressInt256(address key1, int256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _addressInt256Mapping.slot
+        }
+
+        bytes storage derived = _addressInt256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bool => mapping(address => bytes)) private _boolAddressMapping;
+
+    function testSymbolicDeriveMappingBooleanAddress(bool key1, address key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _boolAddressMapping.slot
+        }
+
+        bytes storage derived = _boolAddressMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bool => mapping(bool => bytes)) private _boolBoolMapping;
+
+    function testSymbolicDeriveMappingBooleanBoolean(bool key1, bool key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _boolBoolMapping.slot
+        }
+
+        bytes storage derived = _boolBoolMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bool => mapping(bytes32 => bytes)) private _boolBytes32Mapping;
+
+    function testSymbolicDeriveMappingBooleanBytes32(bool key1, bytes32 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _boolBytes32Mapping.slot
+        }
+
+        bytes storage derived = _boolBytes32Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bool => mapping(uint256 => bytes)) private _boolUint256Mapping;
+
+    function testSymbolicDeriveMappingBooleanUint256(bool key1, uint256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _boolUint256Mapping.slot
+        }
+
+        bytes storage derived = _boolUint256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bool => mapping(int256 => bytes)) private _boolInt256Mapping;
+
+    function testSymbolicDeriveMappingBooleanInt256(bool key1, int256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _boolInt256Mapping.slot
+        }
+
+        bytes storage derived = _boolInt256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bytes32 => mapping(address => bytes)) private _bytes32AddressMapping;
+
+    function testSymbolicDeriveMappingBytes32Address(bytes32 key1, address key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _bytes32AddressMapping.slot
+        }
+
+        bytes storage derived = _bytes32AddressMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bytes32 => mapping(bool => bytes)) private _bytes32BoolMapping;
+
+    function testSymbolicDeriveMappingBytes32Boolean(bytes32 key1, bool key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _bytes32BoolMapping.slot
+        }
+
+        bytes storage derived = _bytes32BoolMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bytes32 => mapping(bytes32 => bytes)) private _bytes32Bytes32Mapping;
+
+    function testSymbolicDeriveMappingBytes32Bytes32(bytes32 key1, bytes32 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _bytes32Bytes32Mapping.slot
+        }
+
+        bytes storage derived = _bytes32Bytes32Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bytes32 => mapping(uint256 => bytes)) private _bytes32Uint256Mapping;
+
+    function testSymbolicDeriveMappingBytes32Uint256(bytes32 key1, uint256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _bytes32Uint256Mapping.slot
+        }
+
+        bytes storage derived = _bytes32Uint256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(bytes32 => mapping(int256 => bytes)) private _bytes32Int256Mapping;
+
+    function testSymbolicDeriveMappingBytes32Int256(bytes32 key1, int256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _bytes32Int256Mapping.slot
+        }
+
+        bytes storage derived = _bytes32Int256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(uint256 => mapping(address => bytes)) private _uint256AddressMapping;
+
+    function testSymbolicDeriveMappingUint256Address(uint256 key1, address key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _uint256AddressMapping.slot
+        }
+
+        bytes storage derived = _uint256AddressMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(uint256 => mapping(bool => bytes)) private _uint256BoolMapping;
+
+    function testSymbolicDeriveMappingUint256Boolean(uint256 key1, bool key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _uint256BoolMapping.slot
+        }
+
+        bytes storage derived = _uint256BoolMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(uint256 => mapping(bytes32 => bytes)) private _uint256Bytes32Mapping;
+
+    function testSymbolicDeriveMappingUint256Bytes32(uint256 key1, bytes32 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _uint256Bytes32Mapping.slot
+        }
+
+        bytes storage derived = _uint256Bytes32Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(uint256 => mapping(uint256 => bytes)) private _uint256Uint256Mapping;
+
+    function testSymbolicDeriveMappingUint256Uint256(uint256 key1, uint256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _uint256Uint256Mapping.slot
+        }
+
+        bytes storage derived = _uint256Uint256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(uint256 => mapping(int256 => bytes)) private _uint256Int256Mapping;
+
+    function testSymbolicDeriveMappingUint256Int256(uint256 key1, int256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _uint256Int256Mapping.slot
+        }
+
+        bytes storage derived = _uint256Int256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(int256 => mapping(address => bytes)) private _int256AddressMapping;
+
+    function testSymbolicDeriveMappingInt256Address(int256 key1, address key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _int256AddressMapping.slot
+        }
+
+        bytes storage derived = _int256AddressMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(int256 => mapping(bool => bytes)) private _int256BoolMapping;
+
+    function testSymbolicDeriveMappingInt256Boolean(int256 key1, bool key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _int256BoolMapping.slot
+        }
+
+        bytes storage derived = _int256BoolMapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(int256 => mapping(bytes32 => bytes)) private _int256Bytes32Mapping;
+
+    function testSymbolicDeriveMappingInt256Bytes32(int256 key1, bytes32 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _int256Bytes32Mapping.slot
+        }
+
+        bytes storage derived = _int256Bytes32Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(int256 => mapping(uint256 => bytes)) private _int256Uint256Mapping;
+
+    function testSymbolicDeriveMappingInt256Uint256(int256 key1, uint256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _int256Uint256Mapping.slot
+        }
+
+        bytes storage derived = _int256Uint256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
+
+    mapping(int256 => mapping(int256 => bytes)) private _int256Int256Mapping;
+
+    function testSymbolicDeriveMappingInt256Int256(int256 key1, int256 key2) public view {
+        bytes32 baseSlot;
+        assembly {
+            baseSlot := _int256Int256Mapping.slot
+        }
+
+        bytes storage derived = _int256Int256Mapping[key1][key2];
+        bytes32 derivedSlot;
+        assembly {
+            derivedSlot := derived.slot
+        }
+
+        assertEq(baseSlot.deriveMapping(key1, key2), derivedSlot);
+    }
 }
@@ -1,13 +1,21 @@
 const { ethers } = require('hardhat');
 const { expect } = require('chai');
 const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
-const { erc7201Slot } = require('../helpers/storage');
+const {
+  erc7201Slot,
+  getStorageLayout,
+  getStorageLocation,
+  getStorageValue,
+  setStorageValue,
+} = require('../helpers/storage');
 const { generators } = require('../helpers/random');
 
 async function fixture() {
-  const [account] = await ethers.getSigners();
+  const [account, other] = await ethers.getSigners();
   const mock = await ethers.deployContract('$SlotDerivation');
-  return { mock, account };
+  const storage = await ethers.deployContract('StorageLayoutMock');
+  const layout = await getStorageLayout('StorageLayoutMock');
+  return { mock, storage, layout, account, other };
 }
 
 describe('SlotDerivation', function () {
@@ -35,6 +43,14 @@ describe('SlotDerivation', function () {
       expect(await this.mock.$deriveArray(base)).to.equal(ethers.keccak256(base));
     });
 
+    it('array element', async function () {
+      const base = generators.bytes32();
+      const index = 17n;
+      expect(await this.mock.$deriveArrayElement(base, index, 3n)).to.equal(
+        ethers.toBeHex((ethers.toBigInt(ethers.keccak256(base)) + index * 3n) & ethers.MaxUint256, 32),
+      );
+    });
+
     describe('mapping', function () {
       for (const { type, key, isValueType } of [
         { type: 'bool', key: true, isValueType: true },
@@ -53,6 +69,88 @@ describe('SlotDerivation', function () {
           expect(await this.mock[`$deriveMapping(bytes32,${type})`](base, key)).to.equal(expected);
         });
       }
+
+      it('nested', async function () {
+        const base = generators.bytes32();
+        const key1 = generators.address();
+        const key2 = generators.uint256();
+        const expected = await this.mock['$deriveMapping(bytes32,uint256)'](
+          await this.mock['$deriveMapping(bytes32,address)'](base, key1),
+          key2,
+        );
+        expect(await this.mock['$deriveMapping(bytes32,address,uint256)'](base, key1, key2)).to.equal(expected);
+      });
+    });
+  });
+
+  describe('storage layout', function () {
+    const id = 42n;
+    const index = 1n;
+
+    beforeEach(async function () {
+      await this.storage.pushEntry(this.account, id);
+      await this.storage.pushEntry(this.account, id);
+      this.path = ['_entries', this.account.address, id, index];
+    });
+
+    it('locates nested variables as the library does', async function () {
+      const { slot: base } = getStorageLocation(this.layout, ['_entries']);
+      const entry = await this.mock.$deriveArrayElement(
+        await this.mock['$deriveMapping(bytes32,address,uint256)'](base, this.account, id),
+        index,
+        6n,
+      );
+
+      expect(getStorageLocation(this.layout, [...this.path, 'balance'])).to.include({
+        slot: await this.mock.$offset(entry, 1n),
+        offset: 0,
+      });
+      expect(getStorageLocation(this.layout, [...this.path, 'active'])).to.include({ slot: entry, offset: 28 });
+    });
+
+    it('reads variables', async function () {
+      await this.storage.setFlag(true);
+      await this.storage.pushDelta(-1n);
+      await this.storage.pushDelta(-300n);
+      await this.storage.setEntry(this.account, id, index, this.other, 17n, true, 'lorem ipsum'.repeat(5));
+      await this.storage.setAllowance(this.account, id, index, this.other, 100n);
+
+      expect(await getStorageValue(this.storage, this.layout, ['flag'])).to.be.true;
+      expect(await getStorageValue(this.storage, this.layout, ['deltas', 1n])).to.equal(-300n);
+      expect(await getStorageValue(this.storage, this.layout, [...this.path, 'owner'])).to.equal(this.other.address);
+      expect(await getStorageValue(this.storage, this.layout, [...this.path, 'nonce'])).to.equal(17n);
+      expect(await getStorageValue(this.storage, this.layout, [...this.path, 'active'])).to.be.true;
+      expect(await getStorageValue(this.storage, this.layout, [...this.path, 'name'])).to.equal(
+        'lorem ipsum'.repeat(5),
+      );
+      expect(
+        await getStorageValue(this.storage, this.layout, [...this.path, 'allowances', this.other.address]),
+      ).to.equal(100n);
+    });
+
+    it('writes variables', async function () {
+      await this.storage.setFlag(true);
+      await this.storage.pushDelta(-1n);
+      await this.storage.pushDelta(-300n);
+      await this.storage.setEntry(this.account, id, index, this.other, 17n, true, 'short');
+
+      await setStorageValue(this.storage, this.layout, ['deltas', 0n], 1234n);
+      await setStorageValue(this.storage, this.layout, [...this.path, 'nonce'], 2n ** 64n - 1n);
+      await setStorageValue(this.storage, this.layout, [...this.path, 'balance'], ethers.MaxUint256);
+      await setStorageValue(this.storage, this.layout, [...this.path, 'allowances', this.other.address], 7n);
+
+      // packed neighbours are preserved
+      expect(await this.storage.flag()).to.be.true;
+      expect(await this.storage.deltas(0n)).to.equal(1234n);
+      expect(await this.storage.deltas(1n)).to.equal(-300n);
+      expect(await this.storage.getEntry(this.account, id, index)).to.deep.equal([
+        this.other.address,
+        2n ** 64n - 1n,
+        true,
+        ethers.MaxUint256,
+        'short',
+      ]);
+      expect(await this.storage.getAllowance(this.account, id, index, this.other)).to.equal(7n);
     });
   });
 });
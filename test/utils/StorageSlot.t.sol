@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/StorageSlot.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {StorageSlot} from "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+contract StorageSlotTest is Test {
+    using StorageSlot for *;
+
+    function testAddressSlot(bytes32 slot, address value) public {
+        slot.getAddressSlot().value = value;
+        assertEq(slot.getAddressSlot().value, value);
+    }
+
+    function testBooleanSlot(bytes32 slot, bool value) public {
+        slot.getBooleanSlot().value = value;
+        assertEq(slot.getBooleanSlot().value, value);
+    }
+
+    function testBytes32Slot(bytes32 slot, bytes32 value) public {
+        slot.getBytes32Slot().value = value;
+        assertEq(slot.getBytes32Slot().value, value);
+    }
+
+    function testUint256Slot(bytes32 slot, uint256 value) public {
+        slot.getUint256Slot().value = value;
+        assertEq(slot.getUint256Slot().value, value);
+    }
+
+    function testInt256Slot(bytes32 slot, int256 value) public {
+        slot.getInt256Slot().value = value;
+        assertEq(slot.getInt256Slot().value, value);
+    }
+
+    string private _stringStorage;
+
+    function testStringSlot(bytes32 slot, string calldata value) public {
+        slot.getStringSlot().value = value;
+        assertEq(slot.getStringSlot().value, value);
+    }
+
+    function testStringStorage(string calldata value) public {
+        _stringStorage.getStringSlot().value = value;
+        assertEq(_stringStorage, value);
+    }
+
+    bytes private _bytesStorage;
+
+    function testBytesSlot(bytes32 slot, bytes calldata value) public {
+        slot.getBytesSlot().value = value;
+        assertEq(slot.getBytesSlot().value, value);
+    }
+
+    function testBytesStorage(bytes calldata value) public {
+        _bytesStorage.getBytesSlot().value = value;
+        assertEq(_bytesStorage, value);
+    }
+
+    function testBytes4Slot(bytes32 slot, bytes4 value) public {
+        slot.getBytes4Slot().value = value;
+        assertEq(slot.getBytes4Slot().value, value);
+    }
+
+    function testUint128Slot(bytes32 slot, uint128 value) public {
+        slot.getUint128Slot().value = value;
+        assertEq(slot.getUint128Slot().value, value);
+    }
+
+    function testInt128Slot(bytes32 slot, int128 value) public {
+        slot.getInt128Slot().value = value;
+        assertEq(slot.getInt128Slot().value, value);
+    }
+}
@@ -14,6 +14,9 @@ const TYPES = [
   { name: 'Int256', type: 'int256', value: generators.int256(), isValueType: true, zero: generators.int256.zero },
   { name: 'Bytes', type: 'bytes', value: generators.hexBytes(128), isValueType: false, zero: generators.hexBytes.zero },
   { name: 'String', type: 'string', value: 'lorem ipsum', isValueType: false, zero: '' },
+  { name: 'Bytes4', type: 'bytes4', value: generators.hexBytes(4), isValueType: true, zero: '0x00000000' },
+  { name: 'Uint128', type: 'uint128', value: generators.uint256() >> 128n, isValueType: true, zero: 0n },
+  { name: 'Int128', type: 'int128', value: generators.int256() >> 128n, isValueType: true, zero: 0n },
 ];
 
 async function fixture() {
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/TransientSlot.t.js.
+
+pragma solidity ^0.8.24;
+
+import {Test} from "forge-std/Test.sol";
+import {TransientSlot} from "@openzeppelin/contracts/utils/TransientSlot.sol";
+
+contract TransientSlotTest is Test {
+    using TransientSlot for *;
+
+    function testAddressSlot(bytes32 slot, address value) public {
+        TransientSlot.AddressSlot tslot = slot.asAddress();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testBooleanSlot(bytes32 slot, bool value) public {
+        TransientSlot.BooleanSlot tslot = slot.asBoolean();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testBytes32Slot(bytes32 slot, bytes32 value) public {
+        TransientSlot.Bytes32Slot tslot = slot.asBytes32();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testUint256Slot(bytes32 slot, uint256 value) public {
+        TransientSlot.Uint256Slot tslot = slot.asUint256();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testInt256Slot(bytes32 slot, int256 value) public {
+        TransientSlot.Int256Slot tslot = slot.asInt256();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testBytes4Slot(bytes32 slot, bytes4 value) public {
+        TransientSlot.Bytes4Slot tslot = slot.asBytes4();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testUint128Slot(bytes32 slot, uint128 value) public {
+        TransientSlot.Uint128Slot tslot = slot.asUint128();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+
+    function testInt128Slot(bytes32 slot, int128 value) public {
+        TransientSlot.Int128Slot tslot = slot.asInt128();
+        tslot.tstore(value);
+        assertEq(tslot.tload(), value);
+    }
+}
@@ -13,6 +13,9 @@ const TYPES = [
   { name: 'Bytes32', type: 'bytes32', value: generators.bytes32(), zero: generators.bytes32.zero },
   { name: 'Uint256', type: 'uint256', value: generators.uint256(), zero: generators.uint256.zero },
   { name: 'Int256', type: 'int256', value: generators.int256(), zero: generators.int256.zero },
+  { name: 'Bytes4', type: 'bytes4', value: generators.hexBytes(4), zero: '0x00000000' },
+  { name: 'Uint128', type: 'uint128', value: generators.uint256() >> 128n, zero: 0n },
+  { name: 'Int128', type: 'int128', value: generators.int256() >> 128n, zero: 0n },
 ];
 
 async function fixture() {
@@ -3,6 +3,8 @@ const { expect } = require('chai');
 const { PANIC_CODES } = require('@nomicfoundation/hardhat-chai-matchers/panic');
 const { SimpleMerkleTree } = require('@openzeppelin/merkle-tree');
 
+const { generators } = require('../../helpers/random');
+
 // generate bytes32 leaves from a string
 const toLeaves = (str, separator = '') => str.split(separator).map(e => ethers.keccak256(ethers.toUtf8Bytes(e)));
 // internal node hashes
@@ -85,6 +87,8 @@ describe('MerkleProof', function () {
           expect(await this.mock.$processMultiProofCalldata(proof, proofFlags, hashes)).to.equal(root);
           expect(await this.mock.$multiProofVerify(proof, proofFlags, root, hashes)).to.be.true;
           expect(await this.mock.$multiProofVerifyCalldata(proof, proofFlags, root, hashes)).to.be.true;
+          expect(await this.mock.$processMultiProofCalldataLeaves(proof, proofFlags, hashes)).to.equal(root);
+          expect(await this.mock.$multiProofVerifyCalldataLeaves(proof, proofFlags, root, hashes)).to.be.true;
         });
 
         it('returns false for an invalid Merkle multi proof', async function () {
@@ -99,6 +103,8 @@ describe('MerkleProof', function () {
           expect(await this.mock.$processMultiProofCalldata(proof, proofFlags, hashes)).to.not.equal(root);
           expect(await this.mock.$multiProofVerify(proof, proofFlags, root, hashes)).to.be.false;
           expect(await this.mock.$multiProofVerifyCalldata(proof, proofFlags, root, hashes)).to.be.false;
+          expect(await this.mock.$processMultiProofCalldataLeaves(proof, proofFlags, hashes)).to.not.equal(root);
+          expect(await this.mock.$multiProofVerifyCalldataLeaves(proof, proofFlags, root, hashes)).to.be.false;
         });
 
         it('revert with invalid multi proof #1', async function () {
@@ -126,6 +132,14 @@ describe('MerkleProof', function () {
           await expect(
             this.mock.$multiProofVerifyCalldata([hashB, fill, hashCD], [false, false, false], root, [hashA, hashE]),
           ).to.be.revertedWithCustomError(this.mock, 'MerkleProofInvalidMultiproof');
+
+          await expect(
+            this.mock.$processMultiProofCalldataLeaves([hashB, fill, hashCD], [false, false, false], [hashA, hashE]),
+          ).to.be.revertedWithCustomError(this.mock, 'MerkleProofInvalidMultiproof');
+
+          await expect(
+            this.mock.$processMultiProofWithCount([hashB, fill, hashCD], [false, false, false], [hashA, hashE]),
+          ).to.be.revertedWithCustomError(this.mock, 'MerkleProofInvalidMultiproof');
         });
 
         it('revert with invalid multi proof #2', async function () {
@@ -169,6 +183,8 @@ describe('MerkleProof', function () {
           expect(await this.mock.$processMultiProofCalldata(proof, proofFlags, hashes)).to.equal(root);
           expect(await this.mock.$multiProofVerify(proof, proofFlags, root, hashes)).to.be.true;
           expect(await this.mock.$multiProofVerifyCalldata(proof, proofFlags, root, hashes)).to.be.true;
+          expect(await this.mock.$multiProofVerifyCalldataLeaves(proof, proofFlags, root, hashes)).to.be.true;
+          expect(await this.mock.$processMultiProofWithCount(proof, proofFlags, hashes)).to.deep.equal([root, 1n]);
         });
 
         it('limit case: can prove empty leaves', async function () {
@@ -179,6 +195,8 @@ describe('MerkleProof', function () {
           expect(await this.mock.$processMultiProofCalldata([root], [], [])).to.equal(root);
           expect(await this.mock.$multiProofVerify([root], [], root, [])).to.be.true;
           expect(await this.mock.$multiProofVerifyCalldata([root], [], root, [])).to.be.true;
+          expect(await this.mock.$multiProofVerifyCalldataLeaves([root], [], root, [])).to.be.true;
+          expect(await this.mock.$processMultiProofWithCount([root], [], [])).to.deep.equal([root, 0n]);
         });
 
         it('reverts processing manipulated proofs with a zero-value node at depth 1', async function () {
@@ -206,6 +224,69 @@ describe('MerkleProof', function () {
           await expect(
             this.mock.$multiProofVerifyCalldata(maliciousProof, maliciousProofFlags, root, maliciousLeaves),
           ).to.be.revertedWithCustomError(this.mock, 'MerkleProofInvalidMultiproof');
+
+          await expect(
+            this.mock.$multiProofVerifyCalldataLeaves(maliciousProof, maliciousProofFlags, root, maliciousLeaves),
+          ).to.be.revertedWithCustomError(this.mock, 'MerkleProofInvalidMultiproof');
+        });
+
+        // Checks every variant of the multiproof functions against a multiproof of `indices` built by
+        // @openzeppelin/merkle-tree.
+        const expectMultiProof = async (mock, merkleTree, indices) => {
+          const root = merkleTree.root;
+          const { proof, proofFlags, leaves } = merkleTree.getMultiProof(indices);
+          const hashes = leaves.map(e => merkleTree.leafHash(e));
+
+          for (const suffix of ['', 'Calldata', 'CalldataLeaves']) {
+            expect(await mock[`$processMultiProof${suffix}`](proof, proofFlags, hashes)).to.equal(root);
+            expect(await mock[`$processMultiProofWithCount${suffix}`](proof, proofFlags, hashes)).to.deep.equal([
+              root,
+              BigInt(hashes.length),
+            ]);
+            expect(await mock[`$multiProofVerify${suffix}`](proof, proofFlags, root, hashes)).to.be.true;
+          }
+        };
+
+        // Deterministic subsets of the leaves, so that failures can be reproduced. The number of leaves consumed, as
+        // returned by the `processMultiProofWithCount` functions, must be the number of leaves of the multiproof.
+        describe('matches @openzeppelin/merkle-tree multiproofs, including the number of leaves consumed', function () {
+          const range = size => Array.from({ length: size }, (_, i) => i);
+          const subsets = {
+            first: () => [0],
+            last: size => [size - 1],
+            all: range,
+            even: size => range(size).filter(i => i % 2 === 0),
+            // fixed pseudo-random pattern, taken from the hashes of the indices
+            scattered: size => range(size).filter(i => i === 0 || BigInt(ethers.id(`${size}:${i}`)) % 2n === 0n),
+          };
+
+          for (const size of [1, 2, 3, 7, 16, 33]) {
+            for (const [name, subset] of Object.entries(subsets)) {
+              it(`tree with ${size} leaves, ${name} leaves proven`, async function () {
+                const merkleTree = SimpleMerkleTree.of(
+                  Array.from({ length: size }, (_, i) => ethers.id(`leaf ${i}`)),
+                  { nodeHash },
+                );
+
+                await expectMultiProof(this.mock, merkleTree, subset(size));
+              });
+            }
+          }
+        });
+
+        describe('matches @openzeppelin/merkle-tree multiproofs of random subsets of random trees', function () {
+          for (let run = 0; run < 8; ++run) {
+            it(`random tree #${run}`, async function () {
+              const size = Number(generators.uint256() % 64n) + 1;
+              const merkleTree = SimpleMerkleTree.of(Array.from({ length: size }, generators.bytes32), { nodeHash });
+
+              // keep each leaf with probability 1/2, and at least one of them
+              const indices = Array.from({ length: size }, (_, i) => i).filter(() => generators.uint256() % 2n === 0n);
+              if (indices.length === 0) indices.push(Number(generators.uint256() % BigInt(size)));
+
+              await expectMultiProof(this.mock, merkleTree, indices);
+            });
+          }
         });
       });
     });
@@ -0,0 +1,2524 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/SafeCast.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {SignedMath} from "@openzeppelin/contracts/utils/math/SignedMath.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+contract SafeCastTest is Test {
+    function testToUint248(uint256 value) public {
+        if (value < 2 ** 248) {
+            assertEq(SafeCast.toUint248(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 248, value));
+            this.toUint248(value);
+        }
+    }
+
+    function testTryToUint248(uint256 value) public pure {
+        (bool success, uint248 result) = SafeCast.tryToUint248(value);
+        assertEq(success, value < 2 ** 248);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint248(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint248(value), Math.min(value, 2 ** 248 - 1));
+    }
+
+    function testIntToUint248(int256 value) public {
+        if (value >= 0 && value < 2 ** 248) {
+            assertEq(SafeCast.intToUint248(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 248, uint256(value))
+            );
+            this.intToUint248(value);
+        }
+    }
+
+    function testToUint240(uint256 value) public {
+        if (value < 2 ** 240) {
+            assertEq(SafeCast.toUint240(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 240, value));
+            this.toUint240(value);
+        }
+    }
+
+    function testTryToUint240(uint256 value) public pure {
+        (bool success, uint240 result) = SafeCast.tryToUint240(value);
+        assertEq(success, value < 2 ** 240);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint240(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint240(value), Math.min(value, 2 ** 240 - 1));
+    }
+
+    function testIntToUint240(int256 value) public {
+        if (value >= 0 && value < 2 ** 240) {
+            assertEq(SafeCast.intToUint240(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 240, uint256(value))
+            );
+            this.intToUint240(value);
+        }
+    }
+
+    function testToUint232(uint256 value) public {
+        if (value < 2 ** 232) {
+            assertEq(SafeCast.toUint232(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 232, value));
+            this.toUint232(value);
+        }
+    }
+
+    function testTryToUint232(uint256 value) public pure {
+        (bool success, uint232 result) = SafeCast.tryToUint232(value);
+        assertEq(success, value < 2 ** 232);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint232(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint232(value), Math.min(value, 2 ** 232 - 1));
+    }
+
+    function testIntToUint232(int256 value) public {
+        if (value >= 0 && value < 2 ** 232) {
+            assertEq(SafeCast.intToUint232(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 232, uint256(value))
+            );
+            this.intToUint232(value);
+        }
+    }
+
+    function testToUint224(uint256 value) public {
+        if (value < 2 ** 224) {
+            assertEq(SafeCast.toUint224(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 224, value));
+            this.toUint224(value);
+        }
+    }
+
+    function testTryToUint224(uint256 value) public pure {
+        (bool success, uint224 result) = SafeCast.tryToUint224(value);
+        assertEq(success, value < 2 ** 224);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint224(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint224(value), Math.min(value, 2 ** 224 - 1));
+    }
+
+    function testIntToUint224(int256 value) public {
+        if (value >= 0 && value < 2 ** 224) {
+            assertEq(SafeCast.intToUint224(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 224, uint256(value))
+            );
+            this.intToUint224(value);
+        }
+    }
+
+    function testToUint216(uint256 value) public {
+        if (value < 2 ** 216) {
+            assertEq(SafeCast.toUint216(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 216, value));
+            this.toUint216(value);
+        }
+    }
+
+    function testTryToUint216(uint256 value) public pure {
+        (bool success, uint216 result) = SafeCast.tryToUint216(value);
+        assertEq(success, value < 2 ** 216);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint216(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint216(value), Math.min(value, 2 ** 216 - 1));
+    }
+
+    function testIntToUint216(int256 value) public {
+        if (value >= 0 && value < 2 ** 216) {
+            assertEq(SafeCast.intToUint216(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 216, uint256(value))
+            );
+            this.intToUint216(value);
+        }
+    }
+
+    function testToUint208(uint256 value) public {
+        if (value < 2 ** 208) {
+            assertEq(SafeCast.toUint208(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 208, value));
+            this.toUint208(value);
+        }
+    }
+
+    function testTryToUint208(uint256 value) public pure {
+        (bool success, uint208 result) = SafeCast.tryToUint208(value);
+        assertEq(success, value < 2 ** 208);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint208(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint208(value), Math.min(value, 2 ** 208 - 1));
+    }
+
+    function testIntToUint208(int256 value) public {
+        if (value >= 0 && value < 2 ** 208) {
+            assertEq(SafeCast.intToUint208(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 208, uint256(value))
+            );
+            this.intToUint208(value);
+        }
+    }
+
+    function testToUint200(uint256 value) public {
+        if (value < 2 ** 200) {
+            assertEq(SafeCast.toUint200(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 200, value));
+            this.toUint200(value);
+        }
+    }
+
+    function testTryToUint200(uint256 value) public pure {
+        (bool success, uint200 result) = SafeCast.tryToUint200(value);
+        assertEq(success, value < 2 ** 200);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint200(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint200(value), Math.min(value, 2 ** 200 - 1));
+    }
+
+    function testIntToUint200(int256 value) public {
+        if (value >= 0 && value < 2 ** 200) {
+            assertEq(SafeCast.intToUint200(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 200, uint256(value))
+            );
+            this.intToUint200(value);
+        }
+    }
+
+    function testToUint192(uint256 value) public {
+        if (value < 2 ** 192) {
+            assertEq(SafeCast.toUint192(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 192, value));
+            this.toUint192(value);
+        }
+    }
+
+    function testTryToUint192(uint256 value) public pure {
+        (bool success, uint192 result) = SafeCast.tryToUint192(value);
+        assertEq(success, value < 2 ** 192);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint192(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint192(value), Math.min(value, 2 ** 192 - 1));
+    }
+
+    function testIntToUint192(int256 value) public {
+        if (value >= 0 && value < 2 ** 192) {
+            assertEq(SafeCast.intToUint192(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 192, uint256(value))
+            );
+            this.intToUint192(value);
+        }
+    }
+
+    function testToUint184(uint256 value) public {
+        if (value < 2 ** 184) {
+            assertEq(SafeCast.toUint184(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 184, value));
+            this.toUint184(value);
+        }
+    }
+
+    function testTryToUint184(uint256 value) public pure {
+        (bool success, uint184 result) = SafeCast.tryToUint184(value);
+        assertEq(success, value < 2 ** 184);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint184(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint184(value), Math.min(value, 2 ** 184 - 1));
+    }
+
+    function testIntToUint184(int256 value) public {
+        if (value >= 0 && value < 2 ** 184) {
+            assertEq(SafeCast.intToUint184(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 184, uint256(value))
+            );
+            this.intToUint184(value);
+        }
+    }
+
+    function testToUint176(uint256 value) public {
+        if (value < 2 ** 176) {
+            assertEq(SafeCast.toUint176(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 176, value));
+            this.toUint176(value);
+        }
+    }
+
+    function testTryToUint176(uint256 value) public pure {
+        (bool success, uint176 result) = SafeCast.tryToUint176(value);
+        assertEq(success, value < 2 ** 176);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint176(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint176(value), Math.min(value, 2 ** 176 - 1));
+    }
+
+    function testIntToUint176(int256 value) public {
+        if (value >= 0 && value < 2 ** 176) {
+            assertEq(SafeCast.intToUint176(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 176, uint256(value))
+            );
+            this.intToUint176(value);
+        }
+    }
+
+    function testToUint168(uint256 value) public {
+        if (value < 2 ** 168) {
+            assertEq(SafeCast.toUint168(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 168, value));
+            this.toUint168(value);
+        }
+    }
+
+    function testTryToUint168(uint256 value) public pure {
+        (bool success, uint168 result) = SafeCast.tryToUint168(value);
+        assertEq(success, value < 2 ** 168);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint168(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint168(value), Math.min(value, 2 ** 168 - 1));
+    }
+
+    function testIntToUint168(int256 value) public {
+        if (value >= 0 && value < 2 ** 168) {
+            assertEq(SafeCast.intToUint168(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 168, uint256(value))
+            );
+            this.intToUint168(value);
+        }
+    }
+
+    function testToUint160(uint256 value) public {
+        if (value < 2 ** 160) {
+            assertEq(SafeCast.toUint160(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 160, value));
+            this.toUint160(value);
+        }
+    }
+
+    function testTryToUint160(uint256 value) public pure {
+        (bool success, uint160 result) = SafeCast.tryToUint160(value);
+        assertEq(success, value < 2 ** 160);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint160(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint160(value), Math.min(value, 2 ** 160 - 1));
+    }
+
+    function testIntToUint160(int256 value) public {
+        if (value >= 0 && value < 2 ** 160) {
+            assertEq(SafeCast.intToUint160(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 160, uint256(value))
+            );
+            this.intToUint160(value);
+        }
+    }
+
+    function testToUint152(uint256 value) public {
+        if (value < 2 ** 152) {
+            assertEq(SafeCast.toUint152(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 152, value));
+            this.toUint152(value);
+        }
+    }
+
+    function testTryToUint152(uint256 value) public pure {
+        (bool success, uint152 result) = SafeCast.tryToUint152(value);
+        assertEq(success, value < 2 ** 152);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint152(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint152(value), Math.min(value, 2 ** 152 - 1));
+    }
+
+    function testIntToUint152(int256 value) public {
+        if (value >= 0 && value < 2 ** 152) {
+            assertEq(SafeCast.intToUint152(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 152, uint256(value))
+            );
+            this.intToUint152(value);
+        }
+    }
+
+    function testToUint144(uint256 value) public {
+        if (value < 2 ** 144) {
+            assertEq(SafeCast.toUint144(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 144, value));
+            this.toUint144(value);
+        }
+    }
+
+    function testTryToUint144(uint256 value) public pure {
+        (bool success, uint144 result) = SafeCast.tryToUint144(value);
+        assertEq(success, value < 2 ** 144);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint144(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint144(value), Math.min(value, 2 ** 144 - 1));
+    }
+
+    function testIntToUint144(int256 value) public {
+        if (value >= 0 && value < 2 ** 144) {
+            assertEq(SafeCast.intToUint144(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 144, uint256(value))
+            );
+            this.intToUint144(value);
+        }
+    }
+
+    function testToUint136(uint256 value) public {
+        if (value < 2 ** 136) {
+            assertEq(SafeCast.toUint136(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 136, value));
+            this.toUint136(value);
+        }
+    }
+
+    function testTryToUint136(uint256 value) public pure {
+        (bool success, uint136 result) = SafeCast.tryToUint136(value);
+        assertEq(success, value < 2 ** 136);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint136(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint136(value), Math.min(value, 2 ** 136 - 1));
+    }
+
+    function testIntToUint136(int256 value) public {
+        if (value >= 0 && value < 2 ** 136) {
+            assertEq(SafeCast.intToUint136(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 136, uint256(value))
+            );
+            this.intToUint136(value);
+        }
+    }
+
+    function testToUint128(uint256 value) public {
+        if (value < 2 ** 128) {
+            assertEq(SafeCast.toUint128(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 128, value));
+            this.toUint128(value);
+        }
+    }
+
+    function testTryToUint128(uint256 value) public pure {
+        (bool success, uint128 result) = SafeCast.tryToUint128(value);
+        assertEq(success, value < 2 ** 128);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint128(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint128(value), Math.min(value, 2 ** 128 - 1));
+    }
+
+    function testIntToUint128(int256 value) public {
+        if (value >= 0 && value < 2 ** 128) {
+            assertEq(SafeCast.intToUint128(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 128, uint256(value))
+            );
+            this.intToUint128(value);
+        }
+    }
+
+    function testToUint120(uint256 value) public {
+        if (value < 2 ** 120) {
+            assertEq(SafeCast.toUint120(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 120, value));
+            this.toUint120(value);
+        }
+    }
+
+    function testTryToUint120(uint256 value) public pure {
+        (bool success, uint120 result) = SafeCast.tryToUint120(value);
+        assertEq(success, value < 2 ** 120);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint120(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint120(value), Math.min(value, 2 ** 120 - 1));
+    }
+
+    function testIntToUint120(int256 value) public {
+        if (value >= 0 && value < 2 ** 120) {
+            assertEq(SafeCast.intToUint120(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 120, uint256(value))
+            );
+            this.intToUint120(value);
+        }
+    }
+
+    function testToUint112(uint256 value) public {
+        if (value < 2 ** 112) {
+            assertEq(SafeCast.toUint112(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 112, value));
+            this.toUint112(value);
+        }
+    }
+
+    function testTryToUint112(uint256 value) public pure {
+        (bool success, uint112 result) = SafeCast.tryToUint112(value);
+        assertEq(success, value < 2 ** 112);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint112(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint112(value), Math.min(value, 2 ** 112 - 1));
+    }
+
+    function testIntToUint112(int256 value) public {
+        if (value >= 0 && value < 2 ** 112) {
+            assertEq(SafeCast.intToUint112(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 112, uint256(value))
+            );
+            this.intToUint112(value);
+        }
+    }
+
+    function testToUint104(uint256 value) public {
+        if (value < 2 ** 104) {
+            assertEq(SafeCast.toUint104(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 104, value));
+            this.toUint104(value);
+        }
+    }
+
+    function testTryToUint104(uint256 value) public pure {
+        (bool success, uint104 result) = SafeCast.tryToUint104(value);
+        assertEq(success, value < 2 ** 104);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint104(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint104(value), Math.min(value, 2 ** 104 - 1));
+    }
+
+    function testIntToUint104(int256 value) public {
+        if (value >= 0 && value < 2 ** 104) {
+            assertEq(SafeCast.intToUint104(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 104, uint256(value))
+            );
+            this.intToUint104(value);
+        }
+    }
+
+    function testToUint96(uint256 value) public {
+        if (value < 2 ** 96) {
+            assertEq(SafeCast.toUint96(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 96, value));
+            this.toUint96(value);
+        }
+    }
+
+    function testTryToUint96(uint256 value) public pure {
+        (bool success, uint96 result) = SafeCast.tryToUint96(value);
+        assertEq(success, value < 2 ** 96);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint96(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint96(value), Math.min(value, 2 ** 96 - 1));
+    }
+
+    function testIntToUint96(int256 value) public {
+        if (value >= 0 && value < 2 ** 96) {
+            assertEq(SafeCast.intToUint96(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 96, uint256(value))
+            );
+            this.intToUint96(value);
+        }
+    }
+
+    function testToUint88(uint256 value) public {
+        if (value < 2 ** 88) {
+            assertEq(SafeCast.toUint88(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 88, value));
+            this.toUint88(value);
+        }
+    }
+
+    function testTryToUint88(uint256 value) public pure {
+        (bool success, uint88 result) = SafeCast.tryToUint88(value);
+        assertEq(success, value < 2 ** 88);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint88(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint88(value), Math.min(value, 2 ** 88 - 1));
+    }
+
+    function testIntToUint88(int256 value) public {
+        if (value >= 0 && value < 2 ** 88) {
+            assertEq(SafeCast.intToUint88(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 88, uint256(value))
+            );
+            this.intToUint88(value);
+        }
+    }
+
+    function testToUint80(uint256 value) public {
+        if (value < 2 ** 80) {
+            assertEq(SafeCast.toUint80(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 80, value));
+            this.toUint80(value);
+        }
+    }
+
+    function testTryToUint80(uint256 value) public pure {
+        (bool success, uint80 result) = SafeCast.tryToUint80(value);
+        assertEq(success, value < 2 ** 80);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint80(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint80(value), Math.min(value, 2 ** 80 - 1));
+    }
+
+    function testIntToUint80(int256 value) public {
+        if (value >= 0 && value < 2 ** 80) {
+            assertEq(SafeCast.intToUint80(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 80, uint256(value))
+            );
+            this.intToUint80(value);
+        }
+    }
+
+    function testToUint72(uint256 value) public {
+        if (value < 2 ** 72) {
+            assertEq(SafeCast.toUint72(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 72, value));
+            this.toUint72(value);
+        }
+    }
+
+    function testTryToUint72(uint256 value) public pure {
+        (bool success, uint72 result) = SafeCast.tryToUint72(value);
+        assertEq(success, value < 2 ** 72);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint72(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint72(value), Math.min(value, 2 ** 72 - 1));
+    }
+
+    function testIntToUint72(int256 value) public {
+        if (value >= 0 && value < 2 ** 72) {
+            assertEq(SafeCast.intToUint72(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 72, uint256(value))
+            );
+            this.intToUint72(value);
+        }
+    }
+
+    function testToUint64(uint256 value) public {
+        if (value < 2 ** 64) {
+            assertEq(SafeCast.toUint64(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 64, value));
+            this.toUint64(value);
+        }
+    }
+
+    function testTryToUint64(uint256 value) public pure {
+        (bool success, uint64 result) = SafeCast.tryToUint64(value);
+        assertEq(success, value < 2 ** 64);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint64(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint64(value), Math.min(value, 2 ** 64 - 1));
+    }
+
+    function testIntToUint64(int256 value) public {
+        if (value >= 0 && value < 2 ** 64) {
+            assertEq(SafeCast.intToUint64(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 64, uint256(value))
+            );
+            this.intToUint64(value);
+        }
+    }
+
+    function testToUint56(uint256 value) public {
+        if (value < 2 ** 56) {
+            assertEq(SafeCast.toUint56(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 56, value));
+            this.toUint56(value);
+        }
+    }
+
+    function testTryToUint56(uint256 value) public pure {
+        (bool success, uint56 result) = SafeCast.tryToUint56(value);
+        assertEq(success, value < 2 ** 56);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint56(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint56(value), Math.min(value, 2 ** 56 - 1));
+    }
+
+    function testIntToUint56(int256 value) public {
+        if (value >= 0 && value < 2 ** 56) {
+            assertEq(SafeCast.intToUint56(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 56, uint256(value))
+            );
+            this.intToUint56(value);
+        }
+    }
+
+    function testToUint48(uint256 value) public {
+        if (value < 2 ** 48) {
+            assertEq(SafeCast.toUint48(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 48, value));
+            this.toUint48(value);
+        }
+    }
+
+    function testTryToUint48(uint256 value) public pure {
+        (bool success, uint48 result) = SafeCast.tryToUint48(value);
+        assertEq(success, value < 2 ** 48);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint48(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint48(value), Math.min(value, 2 ** 48 - 1));
+    }
+
+    function testIntToUint48(int256 value) public {
+        if (value >= 0 && value < 2 ** 48) {
+            assertEq(SafeCast.intToUint48(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 48, uint256(value))
+            );
+            this.intToUint48(value);
+        }
+    }
+
+    function testToUint40(uint256 value) public {
+        if (value < 2 ** 40) {
+            assertEq(SafeCast.toUint40(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 40, value));
+            this.toUint40(value);
+        }
+    }
+
+    function testTryToUint40(uint256 value) public pure {
+        (bool success, uint40 result) = SafeCast.tryToUint40(value);
+        assertEq(success, value < 2 ** 40);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint40(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint40(value), Math.min(value, 2 ** 40 - 1));
+    }
+
+    function testIntToUint40(int256 value) public {
+        if (value >= 0 && value < 2 ** 40) {
+            assertEq(SafeCast.intToUint40(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 40, uint256(value))
+            );
+            this.intToUint40(value);
+        }
+    }
+
+    function testToUint32(uint256 value) public {
+        if (value < 2 ** 32) {
+            assertEq(SafeCast.toUint32(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 32, value));
+            this.toUint32(value);
+        }
+    }
+
+    function testTryToUint32(uint256 value) public pure {
+        (bool success, uint32 result) = SafeCast.tryToUint32(value);
+        assertEq(success, value < 2 ** 32);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint32(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint32(value), Math.min(value, 2 ** 32 - 1));
+    }
+
+    function testIntToUint32(int256 value) public {
+        if (value >= 0 && value < 2 ** 32) {
+            assertEq(SafeCast.intToUint32(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 32, uint256(value))
+            );
+            this.intToUint32(value);
+        }
+    }
+
+    function testToUint24(uint256 value) public {
+        if (value < 2 ** 24) {
+            assertEq(SafeCast.toUint24(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 24, value));
+            this.toUint24(value);
+        }
+    }
+
+    function testTryToUint24(uint256 value) public pure {
+        (bool success, uint24 result) = SafeCast.tryToUint24(value);
+        assertEq(success, value < 2 ** 24);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint24(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint24(value), Math.min(value, 2 ** 24 - 1));
+    }
+
+    function testIntToUint24(int256 value) public {
+        if (value >= 0 && value < 2 ** 24) {
+            assertEq(SafeCast.intToUint24(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 24, uint256(value))
+            );
+            this.intToUint24(value);
+        }
+    }
+
+    function testToUint16(uint256 value) public {
+        if (value < 2 ** 16) {
+            assertEq(SafeCast.toUint16(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 16, value));
+            this.toUint16(value);
+        }
+    }
+
+    function testTryToUint16(uint256 value) public pure {
+        (bool success, uint16 result) = SafeCast.tryToUint16(value);
+        assertEq(success, value < 2 ** 16);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint16(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint16(value), Math.min(value, 2 ** 16 - 1));
+    }
+
+    function testIntToUint16(int256 value) public {
+        if (value >= 0 && value < 2 ** 16) {
+            assertEq(SafeCast.intToUint16(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 16, uint256(value))
+            );
+            this.intToUint16(value);
+        }
+    }
+
+    function testToUint8(uint256 value) public {
+        if (value < 2 ** 8) {
+            assertEq(SafeCast.toUint8(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 8, value));
+            this.toUint8(value);
+        }
+    }
+
+    function testTryToUint8(uint256 value) public pure {
+        (bool success, uint8 result) = SafeCast.tryToUint8(value);
+        assertEq(success, value < 2 ** 8);
+        assertEq(result, success ? value : 0);
+    }
+
+    function testSaturatingToUint8(uint256 value) public pure {
+        assertEq(SafeCast.saturatingToUint8(value), Math.min(value, 2 ** 8 - 1));
+    }
+
+    function testIntToUint8(int256 value) public {
+        if (value >= 0 && value < 2 ** 8) {
+            assertEq(SafeCast.intToUint8(value), uint256(value));
+        } else {
+            vm.expectRevert(
+                value < 0
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntToUint.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintDowncast.selector, 8, uint256(value))
+            );
+            this.intToUint8(value);
+        }
+    }
+
+    function testToInt248(int256 value) public {
+        if (value >= -(2 ** 247) && value < 2 ** 247) {
+            assertEq(SafeCast.toInt248(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 248, value));
+            this.toInt248(value);
+        }
+    }
+
+    function testTryToInt248(int256 value) public pure {
+        (bool success, int248 result) = SafeCast.tryToInt248(value);
+        assertEq(success, value >= -(2 ** 247) && value < 2 ** 247);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt248(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 247)), 2 ** 247 - 1);
+        assertEq(SafeCast.saturatingToInt248(value), expected);
+    }
+
+    function testUintToInt248(uint256 value) public {
+        if (value < 2 ** 247) {
+            assertEq(SafeCast.uintToInt248(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 248, int256(value))
+            );
+            this.uintToInt248(value);
+        }
+    }
+
+    function testToInt240(int256 value) public {
+        if (value >= -(2 ** 239) && value < 2 ** 239) {
+            assertEq(SafeCast.toInt240(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 240, value));
+            this.toInt240(value);
+        }
+    }
+
+    function testTryToInt240(int256 value) public pure {
+        (bool success, int240 result) = SafeCast.tryToInt240(value);
+        assertEq(success, value >= -(2 ** 239) && value < 2 ** 239);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt240(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 239)), 2 ** 239 - 1);
+        assertEq(SafeCast.saturatingToInt240(value), expected);
+    }
+
+    function testUintToInt240(uint256 value) public {
+        if (value < 2 ** 239) {
+            assertEq(SafeCast.uintToInt240(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 240, int256(value))
+            );
+            this.uintToInt240(value);
+        }
+    }
+
+    function testToInt232(int256 value) public {
+        if (value >= -(2 ** 231) && value < 2 ** 231) {
+            assertEq(SafeCast.toInt232(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 232, value));
+            this.toInt232(value);
+        }
+    }
+
+    function testTryToInt232(int256 value) public pure {
+        (bool success, int232 result) = SafeCast.tryToInt232(value);
+        assertEq(success, value >= -(2 ** 231) && value < 2 ** 231);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt232(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 231)), 2 ** 231 - 1);
+        assertEq(SafeCast.saturatingToInt232(value), expected);
+    }
+
+    function testUintToInt232(uint256 value) public {
+        if (value < 2 ** 231) {
+            assertEq(SafeCast.uintToInt232(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 232, int256(value))
+            );
+            this.uintToInt232(value);
+        }
+    }
+
+    function testToInt224(int256 value) public {
+        if (value >= -(2 ** 223) && value < 2 ** 223) {
+            assertEq(SafeCast.toInt224(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 224, value));
+            this.toInt224(value);
+        }
+    }
+
+    function testTryToInt224(int256 value) public pure {
+        (bool success, int224 result) = SafeCast.tryToInt224(value);
+        assertEq(success, value >= -(2 ** 223) && value < 2 ** 223);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt224(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 223)), 2 ** 223 - 1);
+        assertEq(SafeCast.saturatingToInt224(value), expected);
+    }
+
+    function testUintToInt224(uint256 value) public {
+        if (value < 2 ** 223) {
+            assertEq(SafeCast.uintToInt224(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 224, int256(value))
+            );
+            this.uintToInt224(value);
+        }
+    }
+
+    function testToInt216(int256 value) public {
+        if (value >= -(2 ** 215) && value < 2 ** 215) {
+            assertEq(SafeCast.toInt216(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 216, value));
+            this.toInt216(value);
+        }
+    }
+
+    function testTryToInt216(int256 value) public pure {
+        (bool success, int216 result) = SafeCast.tryToInt216(value);
+        assertEq(success, value >= -(2 ** 215) && value < 2 ** 215);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt216(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 215)), 2 ** 215 - 1);
+        assertEq(SafeCast.saturatingToInt216(value), expected);
+    }
+
+    function testUintToInt216(uint256 value) public {
+        if (value < 2 ** 215) {
+            assertEq(SafeCast.uintToInt216(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 216, int256(value))
+            );
+            this.uintToInt216(value);
+        }
+    }
+
+    function testToInt208(int256 value) public {
+        if (value >= -(2 ** 207) && value < 2 ** 207) {
+            assertEq(SafeCast.toInt208(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 208, value));
+            this.toInt208(value);
+        }
+    }
+
+    function testTryToInt208(int256 value) public pure {
+        (bool success, int208 result) = SafeCast.tryToInt208(value);
+        assertEq(success, value >= -(2 ** 207) && value < 2 ** 207);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt208(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 207)), 2 ** 207 - 1);
+        assertEq(SafeCast.saturatingToInt208(value), expected);
+    }
+
+    function testUintToInt208(uint256 value) public {
+        if (value < 2 ** 207) {
+            assertEq(SafeCast.uintToInt208(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 208, int256(value))
+            );
+            this.uintToInt208(value);
+        }
+    }
+
+    function testToInt200(int256 value) public {
+        if (value >= -(2 ** 199) && value < 2 ** 199) {
+            assertEq(SafeCast.toInt200(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 200, value));
+            this.toInt200(value);
+        }
+    }
+
+    function testTryToInt200(int256 value) public pure {
+        (bool success, int200 result) = SafeCast.tryToInt200(value);
+        assertEq(success, value >= -(2 ** 199) && value < 2 ** 199);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt200(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 199)), 2 ** 199 - 1);
+        assertEq(SafeCast.saturatingToInt200(value), expected);
+    }
+
+    function testUintToInt200(uint256 value) public {
+        if (value < 2 ** 199) {
+            assertEq(SafeCast.uintToInt200(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 200, int256(value))
+            );
+            this.uintToInt200(value);
+        }
+    }
+
+    function testToInt192(int256 value) public {
+        if (value >= -(2 ** 191) && value < 2 ** 191) {
+            assertEq(SafeCast.toInt192(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 192, value));
+            this.toInt192(value);
+        }
+    }
+
+    function testTryToInt192(int256 value) public pure {
+        (bool success, int192 result) = SafeCast.tryToInt192(value);
+        assertEq(success, value >= -(2 ** 191) && value < 2 ** 191);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt192(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 191)), 2 ** 191 - 1);
+        assertEq(SafeCast.saturatingToInt192(value), expected);
+    }
+
+    function testUintToInt192(uint256 value) public {
+        if (value < 2 ** 191) {
+            assertEq(SafeCast.uintToInt192(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 192, int256(value))
+            );
+            this.uintToInt192(value);
+        }
+    }
+
+    function testToInt184(int256 value) public {
+        if (value >= -(2 ** 183) && value < 2 ** 183) {
+            assertEq(SafeCast.toInt184(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 184, value));
+            this.toInt184(value);
+        }
+    }
+
+    function testTryToInt184(int256 value) public pure {
+        (bool success, int184 result) = SafeCast.tryToInt184(value);
+        assertEq(success, value >= -(2 ** 183) && value < 2 ** 183);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt184(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 183)), 2 ** 183 - 1);
+        assertEq(SafeCast.saturatingToInt184(value), expected);
+    }
+
+    function testUintToInt184(uint256 value) public {
+        if (value < 2 ** 183) {
+            assertEq(SafeCast.uintToInt184(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 184, int256(value))
+            );
+            this.uintToInt184(value);
+        }
+    }
+
+    function testToInt176(int256 value) public {
+        if (value >= -(2 ** 175) && value < 2 ** 175) {
+            assertEq(SafeCast.toInt176(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 176, value));
+            this.toInt176(value);
+        }
+    }
+
+    function testTryToInt176(int256 value) public pure {
+        (bool success, int176 result) = SafeCast.tryToInt176(value);
+        assertEq(success, value >= -(2 ** 175) && value < 2 ** 175);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt176(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 175)), 2 ** 175 - 1);
+        assertEq(SafeCast.saturatingToInt176(value), expected);
+    }
+
+    function testUintToInt176(uint256 value) public {
+        if (value < 2 ** 175) {
+            assertEq(SafeCast.uintToInt176(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 176, int256(value))
+            );
+            this.uintToInt176(value);
+        }
+    }
+
+    function testToInt168(int256 value) public {
+        if (value >= -(2 ** 167) && value < 2 ** 167) {
+            assertEq(SafeCast.toInt168(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 168, value));
+            this.toInt168(value);
+        }
+    }
+
+    function testTryToInt168(int256 value) public pure {
+        (bool success, int168 result) = SafeCast.tryToInt168(value);
+        assertEq(success, value >= -(2 ** 167) && value < 2 ** 167);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt168(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 167)), 2 ** 167 - 1);
+        assertEq(SafeCast.saturatingToInt168(value), expected);
+    }
+
+    function testUintToInt168(uint256 value) public {
+        if (value < 2 ** 167) {
+            assertEq(SafeCast.uintToInt168(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 168, int256(value))
+            );
+            this.uintToInt168(value);
+        }
+    }
+
+    function testToInt160(int256 value) public {
+        if (value >= -(2 ** 159) && value < 2 ** 159) {
+            assertEq(SafeCast.toInt160(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 160, value));
+            this.toInt160(value);
+        }
+    }
+
+    function testTryToInt160(int256 value) public pure {
+        (bool success, int160 result) = SafeCast.tryToInt160(value);
+        assertEq(success, value >= -(2 ** 159) && value < 2 ** 159);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt160(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 159)), 2 ** 159 - 1);
+        assertEq(SafeCast.saturatingToInt160(value), expected);
+    }
+
+    function testUintToInt160(uint256 value) public {
+        if (value < 2 ** 159) {
+            assertEq(SafeCast.uintToInt160(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 160, int256(value))
+            );
+            this.uintToInt160(value);
+        }
+    }
+
+    function testToInt152(int256 value) public {
+        if (value >= -(2 ** 151) && value < 2 ** 151) {
+            assertEq(SafeCast.toInt152(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 152, value));
+            this.toInt152(value);
+        }
+    }
+
+    function testTryToInt152(int256 value) public pure {
+        (bool success, int152 result) = SafeCast.tryToInt152(value);
+        assertEq(success, value >= -(2 ** 151) && value < 2 ** 151);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt152(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 151)), 2 ** 151 - 1);
+        assertEq(SafeCast.saturatingToInt152(value), expected);
+    }
+
+    function testUintToInt152(uint256 value) public {
+        if (value < 2 ** 151) {
+            assertEq(SafeCast.uintToInt152(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 152, int256(value))
+            );
+            this.uintToInt152(value);
+        }
+    }
+
+    function testToInt144(int256 value) public {
+        if (value >= -(2 ** 143) && value < 2 ** 143) {
+            assertEq(SafeCast.toInt144(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 144, value));
+            this.toInt144(value);
+        }
+    }
+
+    function testTryToInt144(int256 value) public pure {
+        (bool success, int144 result) = SafeCast.tryToInt144(value);
+        assertEq(success, value >= -(2 ** 143) && value < 2 ** 143);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt144(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 143)), 2 ** 143 - 1);
+        assertEq(SafeCast.saturatingToInt144(value), expected);
+    }
+
+    function testUintToInt144(uint256 value) public {
+        if (value < 2 ** 143) {
+            assertEq(SafeCast.uintToInt144(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 144, int256(value))
+            );
+            this.uintToInt144(value);
+        }
+    }
+
+    function testToInt136(int256 value) public {
+        if (value >= -(2 ** 135) && value < 2 ** 135) {
+            assertEq(SafeCast.toInt136(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 136, value));
+            this.toInt136(value);
+        }
+    }
+
+    function testTryToInt136(int256 value) public pure {
+        (bool success, int136 result) = SafeCast.tryToInt136(value);
+        assertEq(success, value >= -(2 ** 135) && value < 2 ** 135);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt136(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 135)), 2 ** 135 - 1);
+        assertEq(SafeCast.saturatingToInt136(value), expected);
+    }
+
+    function testUintToInt136(uint256 value) public {
+        if (value < 2 ** 135) {
+            assertEq(SafeCast.uintToInt136(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 136, int256(value))
+            );
+            this.uintToInt136(value);
+        }
+    }
+
+    function testToInt128(int256 value) public {
+        if (value >= -(2 ** 127) && value < 2 ** 127) {
+            assertEq(SafeCast.toInt128(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 128, value));
+            this.toInt128(value);
+        }
+    }
+
+    function testTryToInt128(int256 value) public pure {
+        (bool success, int128 result) = SafeCast.tryToInt128(value);
+        assertEq(success, value >= -(2 ** 127) && value < 2 ** 127);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt128(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 127)), 2 ** 127 - 1);
+        assertEq(SafeCast.saturatingToInt128(value), expected);
+    }
+
+    function testUintToInt128(uint256 value) public {
+        if (value < 2 ** 127) {
+            assertEq(SafeCast.uintToInt128(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 128, int256(value))
+            );
+            this.uintToInt128(value);
+        }
+    }
+
+    function testToInt120(int256 value) public {
+        if (value >= -(2 ** 119) && value < 2 ** 119) {
+            assertEq(SafeCast.toInt120(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 120, value));
+            this.toInt120(value);
+        }
+    }
+
+    function testTryToInt120(int256 value) public pure {
+        (bool success, int120 result) = SafeCast.tryToInt120(value);
+        assertEq(success, value >= -(2 ** 119) && value < 2 ** 119);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt120(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 119)), 2 ** 119 - 1);
+        assertEq(SafeCast.saturatingToInt120(value), expected);
+    }
+
+    function testUintToInt120(uint256 value) public {
+        if (value < 2 ** 119) {
+            assertEq(SafeCast.uintToInt120(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 120, int256(value))
+            );
+            this.uintToInt120(value);
+        }
+    }
+
+    function testToInt112(int256 value) public {
+        if (value >= -(2 ** 111) && value < 2 ** 111) {
+            assertEq(SafeCast.toInt112(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 112, value));
+            this.toInt112(value);
+        }
+    }
+
+    function testTryToInt112(int256 value) public pure {
+        (bool success, int112 result) = SafeCast.tryToInt112(value);
+        assertEq(success, value >= -(2 ** 111) && value < 2 ** 111);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt112(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 111)), 2 ** 111 - 1);
+        assertEq(SafeCast.saturatingToInt112(value), expected);
+    }
+
+    function testUintToInt112(uint256 value) public {
+        if (value < 2 ** 111) {
+            assertEq(SafeCast.uintToInt112(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 112, int256(value))
+            );
+            this.uintToInt112(value);
+        }
+    }
+
+    function testToInt104(int256 value) public {
+        if (value >= -(2 ** 103) && value < 2 ** 103) {
+            assertEq(SafeCast.toInt104(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 104, value));
+            this.toInt104(value);
+        }
+    }
+
+    function testTryToInt104(int256 value) public pure {
+        (bool success, int104 result) = SafeCast.tryToInt104(value);
+        assertEq(success, value >= -(2 ** 103) && value < 2 ** 103);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt104(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 103)), 2 ** 103 - 1);
+        assertEq(SafeCast.saturatingToInt104(value), expected);
+    }
+
+    function testUintToInt104(uint256 value) public {
+        if (value < 2 ** 103) {
+            assertEq(SafeCast.uintToInt104(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 104, int256(value))
+            );
+            this.uintToInt104(value);
+        }
+    }
+
+    function testToInt96(int256 value) public {
+        if (value >= -(2 ** 95) && value < 2 ** 95) {
+            assertEq(SafeCast.toInt96(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 96, value));
+            this.toInt96(value);
+        }
+    }
+
+    function testTryToInt96(int256 value) public pure {
+        (bool success, int96 result) = SafeCast.tryToInt96(value);
+        assertEq(success, value >= -(2 ** 95) && value < 2 ** 95);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt96(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 95)), 2 ** 95 - 1);
+        assertEq(SafeCast.saturatingToInt96(value), expected);
+    }
+
+    function testUintToInt96(uint256 value) public {
+        if (value < 2 ** 95) {
+            assertEq(SafeCast.uintToInt96(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 96, int256(value))
+            );
+            this.uintToInt96(value);
+        }
+    }
+
+    function testToInt88(int256 value) public {
+        if (value >= -(2 ** 87) && value < 2 ** 87) {
+            assertEq(SafeCast.toInt88(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 88, value));
+            this.toInt88(value);
+        }
+    }
+
+    function testTryToInt88(int256 value) public pure {
+        (bool success, int88 result) = SafeCast.tryToInt88(value);
+        assertEq(success, value >= -(2 ** 87) && value < 2 ** 87);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt88(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 87)), 2 ** 87 - 1);
+        assertEq(SafeCast.saturatingToInt88(value), expected);
+    }
+
+    function testUintToInt88(uint256 value) public {
+        if (value < 2 ** 87) {
+            assertEq(SafeCast.uintToInt88(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 88, int256(value))
+            );
+            this.uintToInt88(value);
+        }
+    }
+
+    function testToInt80(int256 value) public {
+        if (value >= -(2 ** 79) && value < 2 ** 79) {
+            assertEq(SafeCast.toInt80(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 80, value));
+            this.toInt80(value);
+        }
+    }
+
+    function testTryToInt80(int256 value) public pure {
+        (bool success, int80 result) = SafeCast.tryToInt80(value);
+        assertEq(success, value >= -(2 ** 79) && value < 2 ** 79);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt80(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 79)), 2 ** 79 - 1);
+        assertEq(SafeCast.saturatingToInt80(value), expected);
+    }
+
+    function testUintToInt80(uint256 value) public {
+        if (value < 2 ** 79) {
+            assertEq(SafeCast.uintToInt80(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 80, int256(value))
+            );
+            this.uintToInt80(value);
+        }
+    }
+
+    function testToInt72(int256 value) public {
+        if (value >= -(2 ** 71) && value < 2 ** 71) {
+            assertEq(SafeCast.toInt72(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 72, value));
+            this.toInt72(value);
+        }
+    }
+
+    function testTryToInt72(int256 value) public pure {
+        (bool success, int72 result) = SafeCast.tryToInt72(value);
+        assertEq(success, value >= -(2 ** 71) && value < 2 ** 71);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt72(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 71)), 2 ** 71 - 1);
+        assertEq(SafeCast.saturatingToInt72(value), expected);
+    }
+
+    function testUintToInt72(uint256 value) public {
+        if (value < 2 ** 71) {
+            assertEq(SafeCast.uintToInt72(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 72, int256(value))
+            );
+            this.uintToInt72(value);
+        }
+    }
+
+    function testToInt64(int256 value) public {
+        if (value >= -(2 ** 63) && value < 2 ** 63) {
+            assertEq(SafeCast.toInt64(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 64, value));
+            this.toInt64(value);
+        }
+    }
+
+    function testTryToInt64(int256 value) public pure {
+        (bool success, int64 result) = SafeCast.tryToInt64(value);
+        assertEq(success, value >= -(2 ** 63) && value < 2 ** 63);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt64(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 63)), 2 ** 63 - 1);
+        assertEq(SafeCast.saturatingToInt64(value), expected);
+    }
+
+    function testUintToInt64(uint256 value) public {
+        if (value < 2 ** 63) {
+            assertEq(SafeCast.uintToInt64(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 64, int256(value))
+            );
+            this.uintToInt64(value);
+        }
+    }
+
+    function testToInt56(int256 value) public {
+        if (value >= -(2 ** 55) && value < 2 ** 55) {
+            assertEq(SafeCast.toInt56(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 56, value));
+            this.toInt56(value);
+        }
+    }
+
+    function testTryToInt56(int256 value) public pure {
+        (bool success, int56 result) = SafeCast.tryToInt56(value);
+        assertEq(success, value >= -(2 ** 55) && value < 2 ** 55);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt56(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 55)), 2 ** 55 - 1);
+        assertEq(SafeCast.saturatingToInt56(value), expected);
+    }
+
+    function testUintToInt56(uint256 value) public {
+        if (value < 2 ** 55) {
+            assertEq(SafeCast.uintToInt56(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 56, int256(value))
+            );
+            this.uintToInt56(value);
+        }
+    }
+
+    function testToInt48(int256 value) public {
+        if (value >= -(2 ** 47) && value < 2 ** 47) {
+            assertEq(SafeCast.toInt48(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 48, value));
+            this.toInt48(value);
+        }
+    }
+
+    function testTryToInt48(int256 value) public pure {
+        (bool success, int48 result) = SafeCast.tryToInt48(value);
+        assertEq(success, value >= -(2 ** 47) && value < 2 ** 47);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt48(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 47)), 2 ** 47 - 1);
+        assertEq(SafeCast.saturatingToInt48(value), expected);
+    }
+
+    function testUintToInt48(uint256 value) public {
+        if (value < 2 ** 47) {
+            assertEq(SafeCast.uintToInt48(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 48, int256(value))
+            );
+            this.uintToInt48(value);
+        }
+    }
+
+    function testToInt40(int256 value) public {
+        if (value >= -(2 ** 39) && value < 2 ** 39) {
+            assertEq(SafeCast.toInt40(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 40, value));
+            this.toInt40(value);
+        }
+    }
+
+    function testTryToInt40(int256 value) public pure {
+        (bool success, int40 result) = SafeCast.tryToInt40(value);
+        assertEq(success, value >= -(2 ** 39) && value < 2 ** 39);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt40(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 39)), 2 ** 39 - 1);
+        assertEq(SafeCast.saturatingToInt40(value), expected);
+    }
+
+    function testUintToInt40(uint256 value) public {
+        if (value < 2 ** 39) {
+            assertEq(SafeCast.uintToInt40(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 40, int256(value))
+            );
+            this.uintToInt40(value);
+        }
+    }
+
+    function testToInt32(int256 value) public {
+        if (value >= -(2 ** 31) && value < 2 ** 31) {
+            assertEq(SafeCast.toInt32(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 32, value));
+            this.toInt32(value);
+        }
+    }
+
+    function testTryToInt32(int256 value) public pure {
+        (bool success, int32 result) = SafeCast.tryToInt32(value);
+        assertEq(success, value >= -(2 ** 31) && value < 2 ** 31);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt32(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 31)), 2 ** 31 - 1);
+        assertEq(SafeCast.saturatingToInt32(value), expected);
+    }
+
+    function testUintToInt32(uint256 value) public {
+        if (value < 2 ** 31) {
+            assertEq(SafeCast.uintToInt32(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 32, int256(value))
+            );
+            this.uintToInt32(value);
+        }
+    }
+
+    function testToInt24(int256 value) public {
+        if (value >= -(2 ** 23) && value < 2 ** 23) {
+            assertEq(SafeCast.toInt24(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 24, value));
+            this.toInt24(value);
+        }
+    }
+
+    function testTryToInt24(int256 value) public pure {
+        (bool success, int24 result) = SafeCast.tryToInt24(value);
+        assertEq(success, value >= -(2 ** 23) && value < 2 ** 23);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt24(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 23)), 2 ** 23 - 1);
+        assertEq(SafeCast.saturatingToInt24(value), expected);
+    }
+
+    function testUintToInt24(uint256 value) public {
+        if (value < 2 ** 23) {
+            assertEq(SafeCast.uintToInt24(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 24, int256(value))
+            );
+            this.uintToInt24(value);
+        }
+    }
+
+    function testToInt16(int256 value) public {
+        if (value >= -(2 ** 15) && value < 2 ** 15) {
+            assertEq(SafeCast.toInt16(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 16, value));
+            this.toInt16(value);
+        }
+    }
+
+    function testTryToInt16(int256 value) public pure {
+        (bool success, int16 result) = SafeCast.tryToInt16(value);
+        assertEq(success, value >= -(2 ** 15) && value < 2 ** 15);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt16(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 15)), 2 ** 15 - 1);
+        assertEq(SafeCast.saturatingToInt16(value), expected);
+    }
+
+    function testUintToInt16(uint256 value) public {
+        if (value < 2 ** 15) {
+            assertEq(SafeCast.uintToInt16(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 16, int256(value))
+            );
+            this.uintToInt16(value);
+        }
+    }
+
+    function testToInt8(int256 value) public {
+        if (value >= -(2 ** 7) && value < 2 ** 7) {
+            assertEq(SafeCast.toInt8(value), value);
+        } else {
+            vm.expectRevert(abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 8, value));
+            this.toInt8(value);
+        }
+    }
+
+    function testTryToInt8(int256 value) public pure {
+        (bool success, int8 result) = SafeCast.tryToInt8(value);
+        assertEq(success, value >= -(2 ** 7) && value < 2 ** 7);
+        assertEq(result, success ? value : int256(0));
+    }
+
+    function testSaturatingToInt8(int256 value) public pure {
+        int256 expected = SignedMath.min(SignedMath.max(value, -(2 ** 7)), 2 ** 7 - 1);
+        assertEq(SafeCast.saturatingToInt8(value), expected);
+    }
+
+    function testUintToInt8(uint256 value) public {
+        if (value < 2 ** 7) {
+            assertEq(SafeCast.uintToInt8(value), int256(value));
+        } else {
+            vm.expectRevert(
+                value > uint256(type(int256).max)
+                    ? abi.encodeWithSelector(SafeCast.SafeCastOverflowedUintToInt.selector, value)
+                    : abi.encodeWithSelector(SafeCast.SafeCastOverflowedIntDowncast.selector, 8, int256(value))
+            );
+            this.uintToInt8(value);
+        }
+    }
+
+    // used to test reverts
+
+    function toUint248(uint256 value) external pure returns (uint248) {
+        return SafeCast.toUint248(value);
+    }
+
+    function intToUint248(int256 value) external pure returns (uint248) {
+        return SafeCast.intToUint248(value);
+    }
+
+    function toInt248(int256 value) external pure returns (int248) {
+        return SafeCast.toInt248(value);
+    }
+
+    function uintToInt248(uint256 value) external pure returns (int248) {
+        return SafeCast.uintToInt248(value);
+    }
+
+    function toUint240(uint256 value) external pure returns (uint240) {
+        return SafeCast.toUint240(value);
+    }
+
+    function intToUint240(int256 value) external pure returns (uint240) {
+        return SafeCast.intToUint240(value);
+    }
+
+    function toInt240(int256 value) external pure returns (int240) {
+        return SafeCast.toInt240(value);
+    }
+
+    function uintToInt240(uint256 value) external pure returns (int240) {
+        return SafeCast.uintToInt240(value);
+    }
+
+    function toUint232(uint256 value) external pure returns (uint232) {
+        return SafeCast.toUint232(value);
+    }
+
+    function intToUint232(int256 value) external pure returns (uint232) {
+        return SafeCast.intToUint232(value);
+    }
+
+    function toInt232(int256 value) external pure returns (int232) {
+        return SafeCast.toInt232(value);
+    }
+
+    function uintToInt232(uint256 value) external pure returns (int232) {
+        return SafeCast.uintToInt232(value);
+    }
+
+    function toUint224(uint256 value) external pure returns (uint224) {
+        return SafeCast.toUint224(value);
+    }
+
+    function intToUint224(int256 value) external pure returns (uint224) {
+        return SafeCast.intToUint224(value);
+    }
+
+    function toInt224(int256 value) external pure returns (int224) {
+        return SafeCast.toInt224(value);
+    }
+
+    function uintToInt224(uint256 value) external pure returns (int224) {
+        return SafeCast.uintToInt224(value);
+    }
+
+    function toUint216(uint256 value) external pure returns (uint216) {
+        return SafeCast.toUint216(value);
+    }
+
+    function intToUint216(int256 value) external pure returns (uint216) {
+        return SafeCast.intToUint216(value);
+    }
+
+    function toInt216(int256 value) external pure returns (int216) {
+        return SafeCast.toInt216(value);
+    }
+
+    function uintToInt216(uint256 value) external pure returns (int216) {
+        return SafeCast.uintToInt216(value);
+    }
+
+    function toUint208(uint256 value) external pure returns (uint208) {
+        return SafeCast.toUint208(value);
+    }
+
+    function intToUint208(int256 value) external pure returns (uint208) {
+        return SafeCast.intToUint208(value);
+    }
+
+    function toInt208(int256 value) external pure returns (int208) {
+        return SafeCast.toInt208(value);
+    }
+
+    function uintToInt208(uint256 value) external pure returns (int208) {
+        return SafeCast.uintToInt208(value);
+    }
+
+    function toUint200(uint256 value) external pure returns (uint200) {
+        return SafeCast.toUint200(value);
+    }
+
+    function intToUint200(int256 value) external pure returns (uint200) {
+        return SafeCast.intToUint200(value);
+    }
+
+    function toInt200(int256 value) external pure returns (int200) {
+        return SafeCast.toInt200(value);
+    }
+
+    function uintToInt200(uint256 value) external pure returns (int200) {
+        return SafeCast.uintToInt200(value);
+    }
+
+    function toUint192(uint256 value) external pure returns (uint192) {
+        return SafeCast.toUint192(value);
+    }
+
+    function intToUint192(int256 value) external pure returns (uint192) {
+        return SafeCast.intToUint192(value);
+    }
+
+    function toInt192(int256 value) external pure returns (int192) {
+        return SafeCast.toInt192(value);
+    }
+
+    function uintToInt192(uint256 value) external pure returns (int192) {
+        return SafeCast.uintToInt192(value);
+    }
+
+    function toUint184(uint256 value) external pure returns (uint184) {
+        return SafeCast.toUint184(value);
+    }
+
+    function intToUint184(int256 value) external pure returns (uint184) {
+        return SafeCast.intToUint184(value);
+    }
+
+    function toInt184(int256 value) external pure returns (int184) {
+        return SafeCast.toInt184(value);
+    }
+
+    function uintToInt184(uint256 value) external pure returns (int184) {
+        return SafeCast.uintToInt184(value);
+    }
+
+    function toUint176(uint256 value) external pure returns (uint176) {
+        return SafeCast.toUint176(value);
+    }
+
+    function intToUint176(int256 value) external pure returns (uint176) {
+        return SafeCast.intToUint176(value);
+    }
+
+    function toInt176(int256 value) external pure returns (int176) {
+        return SafeCast.toInt176(value);
+    }
+
+    function uintToInt176(uint256 value) external pure returns (int176) {
+        return SafeCast.uintToInt176(value);
+    }
+
+    function toUint168(uint256 value) external pure returns (uint168) {
+        return SafeCast.toUint168(value);
+    }
+
+    function intToUint168(int256 value) external pure returns (uint168) {
+        return SafeCast.intToUint168(value);
+    }
+
+    function toInt168(int256 value) external pure returns (int168) {
+        return SafeCast.toInt168(value);
+    }
+
+    function uintToInt168(uint256 value) external pure returns (int168) {
+        return SafeCast.uintToInt168(value);
+    }
+
+    function toUint160(uint256 value) external pure returns (uint160) {
+        return SafeCast.toUint160(value);
+    }
+
+    function intToUint160(int256 value) external pure returns (uint160) {
+        return SafeCast.intToUint160(value);
+    }
+
+    function toInt160(int256 value) external pure returns (int160) {
+        return SafeCast.toInt160(value);
+    }
+
+    function uintToInt160(uint256 value) external pure returns (int160) {
+        return SafeCast.uintToInt160(value);
+    }
+
+    function toUint152(uint256 value) external pure returns (uint152) {
+        return SafeCast.toUint152(value);
+    }
+
+    function intToUint152(int256 value) external pure returns (uint152) {
+        return SafeCast.intToUint152(value);
+    }
+
+    function toInt152(int256 value) external pure returns (int152) {
+        return SafeCast.toInt152(value);
+    }
+
+    function uintToInt152(uint256 value) external pure returns (int152) {
+        return SafeCast.uintToInt152(value);
+    }
+
+    function toUint144(uint256 value) external pure returns (uint144) {
+        return SafeCast.toUint144(value);
+    }
+
+    function intToUint144(int256 value) external pure returns (uint144) {
+        return SafeCast.intToUint144(value);
+    }
+
+    function toInt144(int256 value) external pure returns (int144) {
+        return SafeCast.toInt144(value);
+    }
+
+    function uintToInt144(uint256 value) external pure returns (int144) {
+        return SafeCast.uintToInt144(value);
+    }
+
+    function toUint136(uint256 value) external pure returns (uint136) {
+        return SafeCast.toUint136(value);
+    }
+
+    function intToUint136(int256 value) external pure returns (uint136) {
+        return SafeCast.intToUint136(value);
+    }
+
+    function toInt136(int256 value) external pure returns (int136) {
+        return SafeCast.toInt136(value);
+    }
+
+    function uintToInt136(uint256 value) external pure returns (int136) {
+        return SafeCast.uintToInt136(value);
+    }
+
+    function toUint128(uint256 value) external pure returns (uint128) {
+        return SafeCast.toUint128(value);
+    }
+
+    function intToUint128(int256 value) external pure returns (uint128) {
+        return SafeCast.intToUint128(value);
+    }
+
+    function toInt128(int256 value) external pure returns (int128) {
+        return SafeCast.toInt128(value);
+    }
+
+    function uintToInt128(uint256 value) external pure returns (int128) {
+        return SafeCast.uintToInt128(value);
+    }
+
+    function toUint120(uint256 value) external pure returns (uint120) {
+        return SafeCast.toUint120(value);
+    }
+
+    function intToUint120(int256 value) external pure returns (uint120) {
+        return SafeCast.intToUint120(value);
+    }
+
+    function toInt120(int256 value) external pure returns (int120) {
+        return SafeCast.toInt120(value);
+    }
+
+    function uintToInt120(uint256 value) external pure returns (int120) {
+        return SafeCast.uintToInt120(value);
+    }
+
+    function toUint112(uint256 value) external pure returns (uint112) {
+        return SafeCast.toUint112(value);
+    }
+
+    function intToUint112(int256 value) external pure returns (uint112) {
+        return SafeCast.intToUint112(value);
+    }
+
+    function toInt112(int256 value) external pure returns (int112) {
+        return SafeCast.toInt112(value);
+    }
+
+    function uintToInt112(uint256 value) external pure returns (int112) {
+        return SafeCast.uintToInt112(value);
+    }
+
+    function toUint104(uint256 value) external pure returns (uint104) {
+        return SafeCast.toUint104(value);
+    }
+
+    function intToUint104(int256 value) external pure returns (uint104) {
+        return SafeCast.intToUint104(value);
+    }
+
+    function toInt104(int256 value) external pure returns (int104) {
+        return SafeCast.toInt104(value);
+    }
+
+    function uintToInt104(uint256 value) external pure returns (int104) {
+        return SafeCast.uintToInt104(value);
+    }
+
+    function toUint96(uint256 value) external pure returns (uint96) {
+        return SafeCast.toUint96(value);
+    }
+
+    function intToUint96(int256 value) external pure returns (uint96) {
+        return SafeCast.intToUint96(value);
+    }
+
+    function toInt96(int256 value) external pure returns (int96) {
+        return SafeCast.toInt96(value);
+    }
+
+    function uintToInt96(uint256 value) external pure returns (int96) {
+        return SafeCast.uintToInt96(value);
+    }
+
+    function toUint88(uint256 value) external pure returns (uint88) {
+        return SafeCast.toUint88(value);
+    }
+
+    function intToUint88(int256 value) external pure returns (uint88) {
+        return SafeCast.intToUint88(value);
+    }
+
+    function toInt88(int256 value) external pure returns (int88) {
+        return SafeCast.toInt88(value);
+    }
+
+    function uintToInt88(uint256 value) external pure returns (int88) {
+        return SafeCast.uintToInt88(value);
+    }
+
+    function toUint80(uint256 value) external pure returns (uint80) {
+        return SafeCast.toUint80(value);
+    }
+
+    function intToUint80(int256 value) external pure returns (uint80) {
+        return SafeCast.intToUint80(value);
+    }
+
+    function toInt80(int256 value) external pure returns (int80) {
+        return SafeCast.toInt80(value);
+    }
+
+    function uintToInt80(uint256 value) external pure returns (int80) {
+        return SafeCast.uintToInt80(value);
+    }
+
+    function toUint72(uint256 value) external pure returns (uint72) {
+        return SafeCast.toUint72(value);
+    }
+
+    function intToUint72(int256 value) external pure returns (uint72) {
+        return SafeCast.intToUint72(value);
+    }
+
+    function toInt72(int256 value) external pure returns (int72) {
+        return SafeCast.toInt72(value);
+    }
+
+    function uintToInt72(uint256 value) external pure returns (int72) {
+        return SafeCast.uintToInt72(value);
+    }
+
+    function toUint64(uint256 value) external pure returns (uint64) {
+        return SafeCast.toUint64(value);
+    }
+
+    function intToUint64(int256 value) external pure returns (uint64) {
+        return SafeCast.intToUint64(value);
+    }
+
+    function toInt64(int256 value) external pure returns (int64) {
+        return SafeCast.toInt64(value);
+    }
+
+    function uintToInt64(uint256 value) external pure returns (int64) {
+        return SafeCast.uintToInt64(value);
+    }
+
+    function toUint56(uint256 value) external pure returns (uint56) {
+        return SafeCast.toUint56(value);
+    }
+
+    function intToUint56(int256 value) external pure returns (uint56) {
+        return SafeCast.intToUint56(value);
+    }
+
+    function toInt56(int256 value) external pure returns (int56) {
+        return SafeCast.toInt56(value);
+    }
+
+    function uintToInt56(uint256 value) external pure returns (int56) {
+        return SafeCast.uintToInt56(value);
+    }
+
+    function toUint48(uint256 value) external pure returns (uint48) {
+        return SafeCast.toUint48(value);
+    }
+
+    function intToUint48(int256 value) external pure returns (uint48) {
+        return SafeCast.intToUint48(value);
+    }
+
+    function toInt48(int256 value) external pure returns (int48) {
+        return SafeCast.toInt48(value);
+    }
+
+    function uintToInt48(uint256 value) external pure returns (int48) {
+        return SafeCast.uintToInt48(value);
+    }
+
+    function toUint40(uint256 value) external pure returns (uint40) {
+        return SafeCast.toUint40(value);
+    }
+
+    function intToUint40(int256 value) external pure returns (uint40) {
+        return SafeCast.intToUint40(value);
+    }
+
+    function toInt40(int256 value) external pure returns (int40) {
+        return SafeCast.toInt40(value);
+    }
+
+    function uintToInt40(uint256 value) external pure returns (int40) {
+        return SafeCast.uintToInt40(value);
+    }
+
+    function toUint32(uint256 value) external pure returns (uint32) {
+        return SafeCast.toUint32(value);
+    }
+
+    function intToUint32(int256 value) external pure returns (uint32) {
+        return SafeCast.intToUint32(value);
+    }
+
+    function toInt32(int256 value) external pure returns (int32) {
+        return SafeCast.toInt32(value);
+    }
+
+    function uintToInt32(uint256 value) external pure returns (int32) {
+        return SafeCast.uintToInt32(value);
+    }
+
+    function toUint24(uint256 value) external pure returns (uint24) {
+        return SafeCast.toUint24(value);
+    }
+
+    function intToUint24(int256 value) external pure returns (uint24) {
+        return SafeCast.intToUint24(value);
+    }
+
+    function toInt24(int256 value) external pure returns (int24) {
+        return SafeCast.toInt24(value);
+    }
+
+    function uintToInt24(uint256 value) external pure returns (int24) {
+        return SafeCast.uintToInt24(value);
+    }
+
+    function toUint16(uint256 value) external pure returns (uint16) {
+        return SafeCast.toUint16(value);
+    }
+
+    function intToUint16(int256 value) external pure returns (uint16) {
+        return SafeCast.intToUint16(value);
+    }
+
+    function toInt16(int256 value) external pure returns (int16) {
+        return SafeCast.toInt16(value);
+    }
+
+    function uintToInt16(uint256 value) external pure returns (int16) {
+        return SafeCast.uintToInt16(value);
+    }
+
+    function toUint8(uint256 value) external pure returns (uint8) {
+        return SafeCast.toUint8(value);
+    }
+
+    function intToUint8(int256 value) external pure returns (uint8) {
+        return SafeCast.intToUint8(value);
+    }
+
+    function toInt8(int256 value) external pure returns (int8) {
+        return SafeCast.toInt8(value);
+    }
+
+    function uintToInt8(uint256 value) external pure returns (int8) {
+        return SafeCast.uintToInt8(value);
+    }
+}
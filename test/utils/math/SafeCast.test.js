@@ -42,6 +42,44 @@ describe('SafeCast', function () {
           .withArgs(bits, maxValue + 2n);
       });
     });
+
+    describe(`intToUint${bits}`, () => {
+      it(`casts 2^${bits} - 1 (${maxValue})`, async function () {
+        expect(await this.mock[`$intToUint${bits}`](maxValue)).is.equal(maxValue);
+      });
+
+      it('reverts when casting -1', async function () {
+        await expect(this.mock[`$intToUint${bits}`](-1n))
+          .to.be.revertedWithCustomError(this.mock, 'SafeCastOverflowedIntToUint')
+          .withArgs(-1n);
+      });
+
+      it(`reverts when casting 2^${bits} (${maxValue + 1n})`, async function () {
+        await expect(this.mock[`$intToUint${bits}`](maxValue + 1n))
+          .to.be.revertedWithCustomError(this.mock, 'SafeCastOverflowedUintDowncast')
+          .withArgs(bits, maxValue + 1n);
+      });
+    });
+
+    describe(`tryToUint${bits}`, () => {
+      it(`downcasts 2^${bits} - 1 (${maxValue})`, async function () {
+        expect(await this.mock[`$tryToUint${bits}`](maxValue)).to.deep.equal([true, maxValue]);
+      });
+
+      it(`fails when downcasting 2^${bits} (${maxValue + 1n})`, async function () {
+        expect(await this.mock[`$tryToUint${bits}`](maxValue + 1n)).to.deep.equal([false, 0n]);
+      });
+    });
+
+    describe(`saturatingToUint${bits}`, () => {
+      it(`downcasts 2^${bits} - 1 (${maxValue})`, async function () {
+        expect(await this.mock[`$saturatingToUint${bits}`](maxValue)).is.equal(maxValue);
+      });
+
+      it(`clamps UINT256_MAX (${ethers.MaxUint256})`, async function () {
+        expect(await this.mock[`$saturatingToUint${bits}`](ethers.MaxUint256)).is.equal(maxValue);
+      });
+    });
   }
 
   describe('toUint256', () => {
@@ -119,6 +157,48 @@ describe('SafeCast', function () {
           .withArgs(bits, maxValue + 2n);
       });
     });
+
+    describe(`uintToInt${bits}`, () => {
+      it(`casts 2^${bits - 1n} - 1 (${maxValue})`, async function () {
+        expect(await this.mock[`$uintToInt${bits}`](maxValue)).is.equal(maxValue);
+      });
+
+      it(`reverts when casting 2^${bits - 1n} (${maxValue + 1n})`, async function () {
+        await expect(this.mock[`$uintToInt${bits}`](maxValue + 1n))
+          .to.be.revertedWithCustomError(this.mock, 'SafeCastOverflowedIntDowncast')
+          .withArgs(bits, maxValue + 1n);
+      });
+
+      it(`reverts when casting UINT256_MAX (${ethers.MaxUint256})`, async function () {
+        await expect(this.mock[`$uintToInt${bits}`](ethers.MaxUint256))
+          .to.be.revertedWithCustomError(this.mock, 'SafeCastOverflowedUintToInt')
+          .withArgs(ethers.MaxUint256);
+      });
+    });
+
+    describe(`tryToInt${bits}`, () => {
+      it(`downcasts -2^${bits - 1n} (${minValue})`, async function () {
+        expect(await this.mock[`$tryToInt${bits}`](minValue)).to.deep.equal([true, minValue]);
+      });
+
+      it(`fails when downcasting -2^${bits - 1n} - 1 (${minValue - 1n})`, async function () {
+        expect(await this.mock[`$tryToInt${bits}`](minValue - 1n)).to.deep.equal([false, 0n]);
+      });
+
+      it(`fails when downcasting 2^${bits - 1n} (${maxValue + 1n})`, async function () {
+        expect(await this.mock[`$tryToInt${bits}`](maxValue + 1n)).to.deep.equal([false, 0n]);
+      });
+    });
+
+    describe(`saturatingToInt${bits}`, () => {
+      it(`clamps INT256_MIN (${ethers.MinInt256})`, async function () {
+        expect(await this.mock[`$saturatingToInt${bits}`](ethers.MinInt256)).is.equal(minValue);
+      });
+
+      it(`clamps INT256_MAX (${ethers.MaxInt256})`, async function () {
+        expect(await this.mock[`$saturatingToInt${bits}`](ethers.MaxInt256)).is.equal(maxValue);
+      });
+    });
   }
 
   describe('toInt256', () => {
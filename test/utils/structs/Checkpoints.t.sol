@@ -113,6 +113,73 @@ contract CheckpointsTrace224Test is Test {
         assertEq(_ckpts.upperLookup(lookup), upper);
         assertEq(_ckpts.upperLookupRecent(lookup), upper);
     }
+
+    function testBetween(uint32[] memory keys, uint224[] memory values, uint32 fromKey, uint32 toKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint32 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        fromKey = _boundUint32(fromKey, 0, lastKey + _KEY_MAX_GAP);
+        toKey = _boundUint32(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+        Checkpoints.Checkpoint224[] memory range = _ckpts.between(fromKey, toKey);
+        uint256 count = 0;
+        uint256 sum = 0;
+        for (uint256 i = 0; i < _ckpts.length(); ++i) {
+            Checkpoints.Checkpoint224 memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+            if (fromKey <= ckpt._key && ckpt._key <= toKey) {
+                assertLt(count, range.length);
+                assertEq(range[count]._key, ckpt._key);
+                assertEq(range[count]._value, ckpt._value);
+                sum += ckpt._value;
+                ++count;
+            }
+        }
+        assertEq(range.length, count);
+        assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+    }
+
+    function testPrune(uint32[] memory keys, uint224[] memory values, uint32 beforeKey, uint32 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint32 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        beforeKey = _boundUint32(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+        lookup = _boundUint32(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // state before pruning
+        uint256 length = _ckpts.length();
+        uint224 lower = _ckpts.lowerLookup(lookup);
+        uint224 upper = _ckpts.upperLookup(lookup);
+        (bool exist, uint32 key, uint224 value) = _ckpts.latestCheckpoint();
+
+        // prune
+        uint256 removed = _ckpts.prune(beforeKey);
+        assertEq(_ckpts.length(), length - removed);
+
+        // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+        if (_ckpts.length() > 1) {
+            assertGt(_ckpts.at(1)._key, beforeKey);
+        }
+
+        // lookups of keys greater or equal than beforeKey are not affected
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+        _assertLatestCheckpoint(exist, key, value);
+
+        // pruning again is a no-op
+        assertEq(_ckpts.prune(beforeKey), 0);
+    }
 }
 
 contract CheckpointsTrace208Test is Test {
@@ -221,6 +288,73 @@ contract CheckpointsTrace208Test is Test {
         assertEq(_ckpts.upperLookup(lookup), upper);
         assertEq(_ckpts.upperLookupRecent(lookup), upper);
     }
+
+    function testBetween(uint48[] memory keys, uint208[] memory values, uint48 fromKey, uint48 toKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint48 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        fromKey = _boundUint48(fromKey, 0, lastKey + _KEY_MAX_GAP);
+        toKey = _boundUint48(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+        Checkpoints.Checkpoint208[] memory range = _ckpts.between(fromKey, toKey);
+        uint256 count = 0;
+        uint256 sum = 0;
+        for (uint256 i = 0; i < _ckpts.length(); ++i) {
+            Checkpoints.Checkpoint208 memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+            if (fromKey <= ckpt._key && ckpt._key <= toKey) {
+                assertLt(count, range.length);
+                assertEq(range[count]._key, ckpt._key);
+                assertEq(range[count]._value, ckpt._value);
+                sum += ckpt._value;
+                ++count;
+            }
+        }
+        assertEq(range.length, count);
+        assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+    }
+
+    function testPrune(uint48[] memory keys, uint208[] memory values, uint48 beforeKey, uint48 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint48 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        beforeKey = _boundUint48(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+        lookup = _boundUint48(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // state before pruning
+        uint256 length = _ckpts.length();
+        uint208 lower = _ckpts.lowerLookup(lookup);
+        uint208 upper = _ckpts.upperLookup(lookup);
+        (bool exist, uint48 key, uint208 value) = _ckpts.latestCheckpoint();
+
+        // prune
+        uint256 removed = _ckpts.prune(beforeKey);
+        assertEq(_ckpts.length(), length - removed);
+
+        // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+        if (_ckpts.length() > 1) {
+            assertGt(_ckpts.at(1)._key, beforeKey);
+        }
+
+        // lookups of keys greater or equal than beforeKey are not affected
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+        _assertLatestCheckpoint(exist, key, value);
+
+        // pruning again is a no-op
+        assertEq(_ckpts.prune(beforeKey), 0);
+    }
 }
 
 contract CheckpointsTrace160Test is Test {
@@ -329,4 +463,421 @@ contract CheckpointsTrace160Test is Test {
         assertEq(_ckpts.upperLookup(lookup), upper);
         assertEq(_ckpts.upperLookupRecent(lookup), upper);
     }
+
+    function testBetween(uint96[] memory keys, uint160[] memory values, uint96 fromKey, uint96 toKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint96 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        fromKey = _boundUint96(fromKey, 0, lastKey + _KEY_MAX_GAP);
+        toKey = _boundUint96(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+        Checkpoints.Checkpoint160[] memory range = _ckpts.between(fromKey, toKey);
+        uint256 count = 0;
+        uint256 sum = 0;
+        for (uint256 i = 0; i < _ckpts.length(); ++i) {
+            Checkpoints.Checkpoint160 memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+            if (fromKey <= ckpt._key && ckpt._key <= toKey) {
+                assertLt(count, range.length);
+                assertEq(range[count]._key, ckpt._key);
+                assertEq(range[count]._value, ckpt._value);
+                sum += ckpt._value;
+                ++count;
+            }
+        }
+        assertEq(range.length, count);
+        assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+    }
+
+    function testPrune(uint96[] memory keys, uint160[] memory values, uint96 beforeKey, uint96 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint96 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        beforeKey = _boundUint96(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+        lookup = _boundUint96(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // state before pruning
+        uint256 length = _ckpts.length();
+        uint160 lower = _ckpts.lowerLookup(lookup);
+        uint160 upper = _ckpts.upperLookup(lookup);
+        (bool exist, uint96 key, uint160 value) = _ckpts.latestCheckpoint();
+
+        // prune
+        uint256 removed = _ckpts.prune(beforeKey);
+        assertEq(_ckpts.length(), length - removed);
+
+        // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+        if (_ckpts.length() > 1) {
+            assertGt(_ckpts.at(1)._key, beforeKey);
+        }
+
+        // lookups of keys greater or equal than beforeKey are not affected
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+        _assertLatestCheckpoint(exist, key, value);
+
+        // pruning again is a no-op
+        assertEq(_ckpts.prune(beforeKey), 0);
+    }
+}
+
+contract CheckpointsTrace128Test is Test {
+    using Checkpoints for Checkpoints.Trace128;
+
+    // Maximum gap between keys used during the fuzzing tests: the `_prepareKeys` function with make sure that
+    // key#n+1 is in the [key#n, key#n + _KEY_MAX_GAP] range.
+    uint8 internal constant _KEY_MAX_GAP = 64;
+
+    Checkpoints.Trace128 internal _ckpts;
+
+    // helpers
+    function _boundUint128(uint128 x, uint128 min, uint128 max) internal pure returns (uint128) {
+        return SafeCast.toUint128(bound(uint256(x), uint256(min), uint256(max)));
+    }
+
+    function _prepareKeys(uint128[] memory keys, uint128 maxSpread) internal pure {
+        uint128 lastKey = 0;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint128 key = _boundUint128(keys[i], lastKey, lastKey + maxSpread);
+            keys[i] = key;
+            lastKey = key;
+        }
+    }
+
+    function _assertLatestCheckpoint(bool exist, uint128 key, uint128 value) internal view {
+        (bool _exist, uint128 _key, uint128 _value) = _ckpts.latestCheckpoint();
+        assertEq(_exist, exist);
+        assertEq(_key, key);
+        assertEq(_value, value);
+    }
+
+    // tests
+    function testPush(uint128[] memory keys, uint128[] memory values, uint128 pastKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        // initial state
+        assertEq(_ckpts.length(), 0);
+        assertEq(_ckpts.latest(), 0);
+        _assertLatestCheckpoint(false, 0, 0);
+
+        uint256 duplicates = 0;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint128 key = keys[i];
+            uint128 value = values[i % values.length];
+            if (i > 0 && key == keys[i - 1]) ++duplicates;
+
+            // push
+            _ckpts.push(key, value);
+
+            // check length & latest
+            assertEq(_ckpts.length(), i + 1 - duplicates);
+            assertEq(_ckpts.latest(), value);
+            _assertLatestCheckpoint(true, key, value);
+        }
+
+        if (keys.length > 0) {
+            uint128 lastKey = keys[keys.length - 1];
+            if (lastKey > 0) {
+                pastKey = _boundUint128(pastKey, 0, lastKey - 1);
+
+                vm.expectRevert();
+                this.push(pastKey, values[keys.length % values.length]);
+            }
+        }
+    }
+
+    // used to test reverts
+    function push(uint128 key, uint128 value) external {
+        _ckpts.push(key, value);
+    }
+
+    function testLookup(uint128[] memory keys, uint128[] memory values, uint128 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint128 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        lookup = _boundUint128(lookup, 0, lastKey + _KEY_MAX_GAP);
+
+        uint128 upper = 0;
+        uint128 lower = 0;
+        uint128 lowerKey = type(uint128).max;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint128 key = keys[i];
+            uint128 value = values[i % values.length];
+
+            // push
+            _ckpts.push(key, value);
+
+            // track expected result of lookups
+            if (key <= lookup) {
+                upper = value;
+            }
+            // find the first key that is not smaller than the lookup key
+            if (key >= lookup && (i == 0 || keys[i - 1] < lookup)) {
+                lowerKey = key;
+            }
+            if (key == lowerKey) {
+                lower = value;
+            }
+        }
+
+        // check lookup
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+    }
+
+    function testBetween(uint128[] memory keys, uint128[] memory values, uint128 fromKey, uint128 toKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint128 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        fromKey = _boundUint128(fromKey, 0, lastKey + _KEY_MAX_GAP);
+        toKey = _boundUint128(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+        Checkpoints.Checkpoint128[] memory range = _ckpts.between(fromKey, toKey);
+        uint256 count = 0;
+        uint256 sum = 0;
+        for (uint256 i = 0; i < _ckpts.length(); ++i) {
+            Checkpoints.Checkpoint128 memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+            if (fromKey <= ckpt._key && ckpt._key <= toKey) {
+                assertLt(count, range.length);
+                assertEq(range[count]._key, ckpt._key);
+                assertEq(range[count]._value, ckpt._value);
+                sum += ckpt._value;
+                ++count;
+            }
+        }
+        assertEq(range.length, count);
+        assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+    }
+
+    function testPrune(uint128[] memory keys, uint128[] memory values, uint128 beforeKey, uint128 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint128 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        beforeKey = _boundUint128(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+        lookup = _boundUint128(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // state before pruning
+        uint256 length = _ckpts.length();
+        uint128 lower = _ckpts.lowerLookup(lookup);
+        uint128 upper = _ckpts.upperLookup(lookup);
+        (bool exist, uint128 key, uint128 value) = _ckpts.latestCheckpoint();
+
+        // prune
+        uint256 removed = _ckpts.prune(beforeKey);
+        assertEq(_ckpts.length(), length - removed);
+
+        // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+        if (_ckpts.length() > 1) {
+            assertGt(_ckpts.at(1)._key, beforeKey);
+        }
+
+        // lookups of keys greater or equal than beforeKey are not affected
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+        _assertLatestCheckpoint(exist, key, value);
+
+        // pruning again is a no-op
+        assertEq(_ckpts.prune(beforeKey), 0);
+    }
+}
+
+contract CheckpointsTrace96Test is Test {
+    using Checkpoints for Checkpoints.Trace96;
+
+    // Maximum gap between keys used during the fuzzing tests: the `_prepareKeys` function with make sure that
+    // key#n+1 is in the [key#n, key#n + _KEY_MAX_GAP] range.
+    uint8 internal constant _KEY_MAX_GAP = 64;
+
+    Checkpoints.Trace96 internal _ckpts;
+
+    // helpers
+    function _boundUint160(uint160 x, uint160 min, uint160 max) internal pure returns (uint160) {
+        return SafeCast.toUint160(bound(uint256(x), uint256(min), uint256(max)));
+    }
+
+    function _prepareKeys(uint160[] memory keys, uint160 maxSpread) internal pure {
+        uint160 lastKey = 0;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint160 key = _boundUint160(keys[i], lastKey, lastKey + maxSpread);
+            keys[i] = key;
+            lastKey = key;
+        }
+    }
+
+    function _assertLatestCheckpoint(bool exist, uint160 key, uint96 value) internal view {
+        (bool _exist, uint160 _key, uint96 _value) = _ckpts.latestCheckpoint();
+        assertEq(_exist, exist);
+        assertEq(_key, key);
+        assertEq(_value, value);
+    }
+
+    // tests
+    function testPush(uint160[] memory keys, uint96[] memory values, uint160 pastKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        // initial state
+        assertEq(_ckpts.length(), 0);
+        assertEq(_ckpts.latest(), 0);
+        _assertLatestCheckpoint(false, 0, 0);
+
+        uint256 duplicates = 0;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint160 key = keys[i];
+            uint96 value = values[i % values.length];
+            if (i > 0 && key == keys[i - 1]) ++duplicates;
+
+            // push
+            _ckpts.push(key, value);
+
+            // check length & latest
+            assertEq(_ckpts.length(), i + 1 - duplicates);
+            assertEq(_ckpts.latest(), value);
+            _assertLatestCheckpoint(true, key, value);
+        }
+
+        if (keys.length > 0) {
+            uint160 lastKey = keys[keys.length - 1];
+            if (lastKey > 0) {
+                pastKey = _boundUint160(pastKey, 0, lastKey - 1);
+
+                vm.expectRevert();
+                this.push(pastKey, values[keys.length % values.length]);
+            }
+        }
+    }
+
+    // used to test reverts
+    function push(uint160 key, uint96 value) external {
+        _ckpts.push(key, value);
+    }
+
+    function testLookup(uint160[] memory keys, uint96[] memory values, uint160 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint160 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        lookup = _boundUint160(lookup, 0, lastKey + _KEY_MAX_GAP);
+
+        uint96 upper = 0;
+        uint96 lower = 0;
+        uint160 lowerKey = type(uint160).max;
+        for (uint256 i = 0; i < keys.length; ++i) {
+            uint160 key = keys[i];
+            uint96 value = values[i % values.length];
+
+            // push
+            _ckpts.push(key, value);
+
+            // track expected result of lookups
+            if (key <= lookup) {
+                upper = value;
+            }
+            // find the first key that is not smaller than the lookup key
+            if (key >= lookup && (i == 0 || keys[i - 1] < lookup)) {
+                lowerKey = key;
+            }
+            if (key == lowerKey) {
+                lower = value;
+            }
+        }
+
+        // check lookup
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+    }
+
+    function testBetween(uint160[] memory keys, uint96[] memory values, uint160 fromKey, uint160 toKey) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint160 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        fromKey = _boundUint160(fromKey, 0, lastKey + _KEY_MAX_GAP);
+        toKey = _boundUint160(toKey, 0, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // check that the range contains exactly the checkpoints with a key in [fromKey, toKey], in order
+        Checkpoints.Checkpoint96[] memory range = _ckpts.between(fromKey, toKey);
+        uint256 count = 0;
+        uint256 sum = 0;
+        for (uint256 i = 0; i < _ckpts.length(); ++i) {
+            Checkpoints.Checkpoint96 memory ckpt = _ckpts.at(SafeCast.toUint32(i));
+            if (fromKey <= ckpt._key && ckpt._key <= toKey) {
+                assertLt(count, range.length);
+                assertEq(range[count]._key, ckpt._key);
+                assertEq(range[count]._value, ckpt._value);
+                sum += ckpt._value;
+                ++count;
+            }
+        }
+        assertEq(range.length, count);
+        assertEq(_ckpts.sumBetween(fromKey, toKey), sum);
+    }
+
+    function testPrune(uint160[] memory keys, uint96[] memory values, uint160 beforeKey, uint160 lookup) public {
+        vm.assume(values.length > 0 && values.length <= keys.length);
+        _prepareKeys(keys, _KEY_MAX_GAP);
+
+        uint160 lastKey = keys.length == 0 ? 0 : keys[keys.length - 1];
+        beforeKey = _boundUint160(beforeKey, 0, lastKey + _KEY_MAX_GAP);
+        lookup = _boundUint160(lookup, beforeKey, lastKey + _KEY_MAX_GAP);
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            _ckpts.push(keys[i], values[i % values.length]);
+        }
+
+        // state before pruning
+        uint256 length = _ckpts.length();
+        uint96 lower = _ckpts.lowerLookup(lookup);
+        uint96 upper = _ckpts.upperLookup(lookup);
+        (bool exist, uint160 key, uint96 value) = _ckpts.latestCheckpoint();
+
+        // prune
+        uint256 removed = _ckpts.prune(beforeKey);
+        assertEq(_ckpts.length(), length - removed);
+
+        // at most one checkpoint (the one that is current at beforeKey) remains before beforeKey
+        if (_ckpts.length() > 1) {
+            assertGt(_ckpts.at(1)._key, beforeKey);
+        }
+
+        // lookups of keys greater or equal than beforeKey are not affected
+        assertEq(_ckpts.lowerLookup(lookup), lower);
+        assertEq(_ckpts.upperLookup(lookup), upper);
+        assertEq(_ckpts.upperLookupRecent(lookup), upper);
+        _assertLatestCheckpoint(exist, key, value);
+
+        // pruning again is a no-op
+        assertEq(_ckpts.prune(beforeKey), 0);
+    }
 }
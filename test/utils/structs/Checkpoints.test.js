@@ -2,23 +2,26 @@ const { ethers } = require('hardhat');
 const { expect } = require('chai');
 const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
 
-const { VALUE_SIZES } = require('../../../scripts/generate/templates/Checkpoints.opts');
+const { OPTS } = require('../../../scripts/generate/templates/Checkpoints.opts');
 
 describe('Checkpoints', function () {
-  for (const length of VALUE_SIZES) {
-    describe(`Trace${length}`, function () {
+  for (const { historyTypeName, keyTypeName, valueTypeName } of OPTS) {
+    describe(historyTypeName, function () {
       const fixture = async () => {
         const mock = await ethers.deployContract('$Checkpoints');
         const methods = {
-          at: (...args) => mock.getFunction(`$at_Checkpoints_Trace${length}`)(0, ...args),
-          latest: (...args) => mock.getFunction(`$latest_Checkpoints_Trace${length}`)(0, ...args),
-          latestCheckpoint: (...args) => mock.getFunction(`$latestCheckpoint_Checkpoints_Trace${length}`)(0, ...args),
-          length: (...args) => mock.getFunction(`$length_Checkpoints_Trace${length}`)(0, ...args),
-          push: (...args) => mock.getFunction(`$push(uint256,uint${256 - length},uint${length})`)(0, ...args),
-          lowerLookup: (...args) => mock.getFunction(`$lowerLookup(uint256,uint${256 - length})`)(0, ...args),
-          upperLookup: (...args) => mock.getFunction(`$upperLookup(uint256,uint${256 - length})`)(0, ...args),
-          upperLookupRecent: (...args) =>
-            mock.getFunction(`$upperLookupRecent(uint256,uint${256 - length})`)(0, ...args),
+          at: (...args) => mock.getFunction(`$at_Checkpoints_${historyTypeName}`)(0, ...args),
+          latest: (...args) => mock.getFunction(`$latest_Checkpoints_${historyTypeName}`)(0, ...args),
+          latestCheckpoint: (...args) =>
+            mock.getFunction(`$latestCheckpoint_Checkpoints_${historyTypeName}`)(0, ...args),
+          length: (...args) => mock.getFunction(`$length_Checkpoints_${historyTypeName}`)(0, ...args),
+          push: (...args) => mock.getFunction(`$push(uint256,${keyTypeName},${valueTypeName})`)(0, ...args),
+          lowerLookup: (...args) => mock.getFunction(`$lowerLookup(uint256,${keyTypeName})`)(0, ...args),
+          upperLookup: (...args) => mock.getFunction(`$upperLookup(uint256,${keyTypeName})`)(0, ...args),
+          upperLookupRecent: (...args) => mock.getFunction(`$upperLookupRecent(uint256,${keyTypeName})`)(0, ...args),
+          between: (...args) => mock.getFunction(`$between(uint256,${keyTypeName},${keyTypeName})`)(0, ...args),
+          sumBetween: (...args) => mock.getFunction(`$sumBetween(uint256,${keyTypeName},${keyTypeName})`)(0, ...args),
+          prune: (...args) => mock.getFunction(`$prune(uint256,${keyTypeName})`)(0, ...args),
         };
 
         return { mock, methods };
@@ -120,6 +123,47 @@ describe('Checkpoints', function () {
           }
         });
 
+        it('between & sumBetween', async function () {
+          for (let from = 0; from < 14; ++from) {
+            for (let to = 0; to < 14; ++to) {
+              const expected = this.checkpoints.filter(x => from <= x.key && x.key <= to);
+
+              expect(await this.methods.between(from, to)).to.deep.equal(
+                expected.map(({ key, value }) => [key, value]),
+              );
+              expect(await this.methods.sumBetween(from, to)).to.equal(expected.reduce((sum, x) => sum + x.value, 0n));
+            }
+          }
+        });
+
+        it('prune', async function () {
+          // key 6 falls between the checkpoints at keys 5 and 7: the checkpoints at keys 2 and 3 are not needed anymore
+          await expect(this.methods.prune(6))
+            .to.emit(this.mock, `return$prune_Checkpoints_${historyTypeName}_${keyTypeName}`)
+            .withArgs(2n);
+
+          const remaining = this.checkpoints.slice(2);
+          expect(await this.methods.length()).to.equal(remaining.length);
+          for (const [index, { key, value }] of remaining.entries()) {
+            const at = await this.methods.at(index);
+            expect(at._value).to.equal(value);
+            expect(at._key).to.equal(key);
+          }
+
+          for (let i = 6; i < 14; ++i) {
+            const value = this.checkpoints.findLast(x => i >= x.key)?.value || 0n;
+            expect(await this.methods.upperLookup(i)).to.equal(value);
+            expect(await this.methods.lowerLookup(i)).to.equal(this.checkpoints.find(x => i <= x.key)?.value || 0n);
+          }
+        });
+
+        it('prune before the first checkpoint', async function () {
+          await expect(this.methods.prune(2))
+            .to.emit(this.mock, `return$prune_Checkpoints_${historyTypeName}_${keyTypeName}`)
+            .withArgs(0n);
+          expect(await this.methods.length()).to.equal(this.checkpoints.length);
+        });
+
         it('upperLookupRecent with more than 5 checkpoints', async function () {
           const moreCheckpoints = [
             { key: 12n, value: 22n },
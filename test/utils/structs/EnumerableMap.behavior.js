@@ -1,6 +1,8 @@
 const { ethers } = require('hardhat');
 const { expect } = require('chai');
 
+const { capitalize } = require('../../helpers/strings');
+
 const zip = (array1, array2) => array1.map((item, index) => [item, array2[index]]);
 
 function shouldBehaveLikeMap() {
@@ -128,9 +130,18 @@ function shouldBehaveLikeMap() {
       });
 
       it('missing value', async function () {
-        await expect(this.methods.get(this.keyB))
-          .to.be.revertedWithCustomError(this.mock, 'EnumerableMapNonexistentKey')
-          .withArgs(ethers.AbiCoder.defaultAbiCoder().encode([this.keyType], [this.keyB]));
+        switch (this.keyType) {
+          case 'string':
+          case 'bytes':
+            await expect(this.methods.get(this.keyB))
+              .to.be.revertedWithCustomError(this.mock, `EnumerableMapNonexistent${capitalize(this.keyType)}Key`)
+              .withArgs(this.keyB);
+            break;
+          default:
+            await expect(this.methods.get(this.keyB))
+              .to.be.revertedWithCustomError(this.mock, 'EnumerableMapNonexistentKey')
+              .withArgs(ethers.AbiCoder.defaultAbiCoder().encode([this.keyType], [this.keyB]));
+        }
       });
     });
 
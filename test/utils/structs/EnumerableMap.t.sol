@@ -0,0 +1,2211 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/EnumerableMap.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {EnumerableMap} from "@openzeppelin/contracts/utils/structs/EnumerableMap.sol";
+
+// Keys are drawn from a small pool so that the fuzzer frequently sets and removes the same keys.
+uint256 constant POOL_SIZE = 16;
+
+contract EnumerableMapBytes32ToBytes32MapHandler {
+    using EnumerableMap for EnumerableMap.Bytes32ToBytes32Map;
+
+    EnumerableMap.Bytes32ToBytes32Map private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(bytes32 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes32, bytes32) {
+        return _map.at(index);
+    }
+
+    function get(bytes32 key) external view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes32 key) external view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytes32ToBytes32MapTest is Test {
+    EnumerableMapBytes32ToBytes32MapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytes32ToBytes32MapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes32 key = _handler.keyOf(seed);
+            (bool exists, bytes32 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes32[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes32 key, bytes32 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapUintToUintMapHandler {
+    using EnumerableMap for EnumerableMap.UintToUintMap;
+
+    EnumerableMap.UintToUintMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(uint256 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (uint256, uint256) {
+        return _map.at(index);
+    }
+
+    function get(uint256 key) external view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function tryGet(uint256 key) external view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (uint256[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapUintToUintMapTest is Test {
+    EnumerableMapUintToUintMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapUintToUintMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            uint256 key = _handler.keyOf(seed);
+            (bool exists, uint256 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        uint256[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (uint256 key, uint256 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapUintToAddressMapHandler {
+    using EnumerableMap for EnumerableMap.UintToAddressMap;
+
+    EnumerableMap.UintToAddressMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(uint256 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (uint256, address) {
+        return _map.at(index);
+    }
+
+    function get(uint256 key) external view returns (address) {
+        return _map.get(key);
+    }
+
+    function tryGet(uint256 key) external view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (uint256[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapUintToAddressMapTest is Test {
+    EnumerableMapUintToAddressMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapUintToAddressMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            uint256 key = _handler.keyOf(seed);
+            (bool exists, address value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        uint256[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (uint256 key, address value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapUintToBytes32MapHandler {
+    using EnumerableMap for EnumerableMap.UintToBytes32Map;
+
+    EnumerableMap.UintToBytes32Map private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(uint256 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (uint256, bytes32) {
+        return _map.at(index);
+    }
+
+    function get(uint256 key) external view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function tryGet(uint256 key) external view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (uint256[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapUintToBytes32MapTest is Test {
+    EnumerableMapUintToBytes32MapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapUintToBytes32MapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            uint256 key = _handler.keyOf(seed);
+            (bool exists, bytes32 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        uint256[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (uint256 key, bytes32 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapAddressToUintMapHandler {
+    using EnumerableMap for EnumerableMap.AddressToUintMap;
+
+    EnumerableMap.AddressToUintMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(address key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (address, uint256) {
+        return _map.at(index);
+    }
+
+    function get(address key) external view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function tryGet(address key) external view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (address[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapAddressToUintMapTest is Test {
+    EnumerableMapAddressToUintMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapAddressToUintMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            address key = _handler.keyOf(seed);
+            (bool exists, uint256 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        address[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (address key, uint256 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapAddressToAddressMapHandler {
+    using EnumerableMap for EnumerableMap.AddressToAddressMap;
+
+    EnumerableMap.AddressToAddressMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(address key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (address, address) {
+        return _map.at(index);
+    }
+
+    function get(address key) external view returns (address) {
+        return _map.get(key);
+    }
+
+    function tryGet(address key) external view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (address[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapAddressToAddressMapTest is Test {
+    EnumerableMapAddressToAddressMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapAddressToAddressMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            address key = _handler.keyOf(seed);
+            (bool exists, address value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        address[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (address key, address value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapAddressToBytes32MapHandler {
+    using EnumerableMap for EnumerableMap.AddressToBytes32Map;
+
+    EnumerableMap.AddressToBytes32Map private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(address key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (address, bytes32) {
+        return _map.at(index);
+    }
+
+    function get(address key) external view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function tryGet(address key) external view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (address[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapAddressToBytes32MapTest is Test {
+    EnumerableMapAddressToBytes32MapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapAddressToBytes32MapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            address key = _handler.keyOf(seed);
+            (bool exists, bytes32 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        address[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (address key, bytes32 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytes32ToUintMapHandler {
+    using EnumerableMap for EnumerableMap.Bytes32ToUintMap;
+
+    EnumerableMap.Bytes32ToUintMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(bytes32 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes32, uint256) {
+        return _map.at(index);
+    }
+
+    function get(bytes32 key) external view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes32 key) external view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytes32ToUintMapTest is Test {
+    EnumerableMapBytes32ToUintMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytes32ToUintMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes32 key = _handler.keyOf(seed);
+            (bool exists, uint256 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes32[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes32 key, uint256 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytes32ToAddressMapHandler {
+    using EnumerableMap for EnumerableMap.Bytes32ToAddressMap;
+
+    EnumerableMap.Bytes32ToAddressMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(bytes32 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes32, address) {
+        return _map.at(index);
+    }
+
+    function get(bytes32 key) external view returns (address) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes32 key) external view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytes32ToAddressMapTest is Test {
+    EnumerableMapBytes32ToAddressMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytes32ToAddressMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes32 key = _handler.keyOf(seed);
+            (bool exists, address value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes32[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes32 key, address value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapStringToUintMapHandler {
+    using EnumerableMap for EnumerableMap.StringToUintMap;
+
+    EnumerableMap.StringToUintMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(string memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (string memory, uint256) {
+        return _map.at(index);
+    }
+
+    function get(string memory key) external view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function tryGet(string memory key) external view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (string[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapStringToUintMapTest is Test {
+    EnumerableMapStringToUintMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapStringToUintMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            string memory key = _handler.keyOf(seed);
+            (bool exists, uint256 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        string[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (string memory key, uint256 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapStringToAddressMapHandler {
+    using EnumerableMap for EnumerableMap.StringToAddressMap;
+
+    EnumerableMap.StringToAddressMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(string memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (string memory, address) {
+        return _map.at(index);
+    }
+
+    function get(string memory key) external view returns (address) {
+        return _map.get(key);
+    }
+
+    function tryGet(string memory key) external view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (string[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapStringToAddressMapTest is Test {
+    EnumerableMapStringToAddressMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapStringToAddressMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            string memory key = _handler.keyOf(seed);
+            (bool exists, address value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        string[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (string memory key, address value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapStringToBytes32MapHandler {
+    using EnumerableMap for EnumerableMap.StringToBytes32Map;
+
+    EnumerableMap.StringToBytes32Map private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(string memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (string memory, bytes32) {
+        return _map.at(index);
+    }
+
+    function get(string memory key) external view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function tryGet(string memory key) external view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (string[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapStringToBytes32MapTest is Test {
+    EnumerableMapStringToBytes32MapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapStringToBytes32MapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            string memory key = _handler.keyOf(seed);
+            (bool exists, bytes32 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        string[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (string memory key, bytes32 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytesToUintMapHandler {
+    using EnumerableMap for EnumerableMap.BytesToUintMap;
+
+    EnumerableMap.BytesToUintMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(bytes memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes memory, uint256) {
+        return _map.at(index);
+    }
+
+    function get(bytes memory key) external view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes memory key) external view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytesToUintMapTest is Test {
+    EnumerableMapBytesToUintMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytesToUintMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes memory key = _handler.keyOf(seed);
+            (bool exists, uint256 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes memory key, uint256 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytesToAddressMapHandler {
+    using EnumerableMap for EnumerableMap.BytesToAddressMap;
+
+    EnumerableMap.BytesToAddressMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(bytes memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes memory, address) {
+        return _map.at(index);
+    }
+
+    function get(bytes memory key) external view returns (address) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes memory key) external view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytesToAddressMapTest is Test {
+    EnumerableMapBytesToAddressMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytesToAddressMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes memory key = _handler.keyOf(seed);
+            (bool exists, address value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes memory key, address value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytesToBytes32MapHandler {
+    using EnumerableMap for EnumerableMap.BytesToBytes32Map;
+
+    EnumerableMap.BytesToBytes32Map private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(bytes memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes memory, bytes32) {
+        return _map.at(index);
+    }
+
+    function get(bytes memory key) external view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes memory key) external view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytesToBytes32MapTest is Test {
+    EnumerableMapBytesToBytes32MapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytesToBytes32MapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes memory key = _handler.keyOf(seed);
+            (bool exists, bytes32 value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes memory key, bytes32 value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapStringToStringMapHandler {
+    using EnumerableMap for EnumerableMap.StringToStringMap;
+
+    EnumerableMap.StringToStringMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function contains(string memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (string memory, string memory) {
+        return _map.at(index);
+    }
+
+    function get(string memory key) external view returns (string memory) {
+        return _map.get(key);
+    }
+
+    function tryGet(string memory key) external view returns (bool, string memory) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (string[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapStringToStringMapTest is Test {
+    EnumerableMapStringToStringMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapStringToStringMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            string memory key = _handler.keyOf(seed);
+            (bool exists, string memory value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        string[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (string memory key, string memory value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytesToBytesMapHandler {
+    using EnumerableMap for EnumerableMap.BytesToBytesMap;
+
+    EnumerableMap.BytesToBytesMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function contains(bytes memory key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes memory, bytes memory) {
+        return _map.at(index);
+    }
+
+    function get(bytes memory key) external view returns (bytes memory) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes memory key) external view returns (bool, bytes memory) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytesToBytesMapTest is Test {
+    EnumerableMapBytesToBytesMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytesToBytesMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes memory key = _handler.keyOf(seed);
+            (bool exists, bytes memory value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes memory key, bytes memory value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapUintToStringMapHandler {
+    using EnumerableMap for EnumerableMap.UintToStringMap;
+
+    EnumerableMap.UintToStringMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function valueOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function contains(uint256 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (uint256, string memory) {
+        return _map.at(index);
+    }
+
+    function get(uint256 key) external view returns (string memory) {
+        return _map.get(key);
+    }
+
+    function tryGet(uint256 key) external view returns (bool, string memory) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (uint256[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapUintToStringMapTest is Test {
+    EnumerableMapUintToStringMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapUintToStringMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            uint256 key = _handler.keyOf(seed);
+            (bool exists, string memory value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        uint256[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (uint256 key, string memory value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapAddressToStringMapHandler {
+    using EnumerableMap for EnumerableMap.AddressToStringMap;
+
+    EnumerableMap.AddressToStringMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function valueOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function contains(address key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (address, string memory) {
+        return _map.at(index);
+    }
+
+    function get(address key) external view returns (string memory) {
+        return _map.get(key);
+    }
+
+    function tryGet(address key) external view returns (bool, string memory) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (address[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapAddressToStringMapTest is Test {
+    EnumerableMapAddressToStringMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapAddressToStringMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            address key = _handler.keyOf(seed);
+            (bool exists, string memory value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        address[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (address key, string memory value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableMapBytes32ToStringMapHandler {
+    using EnumerableMap for EnumerableMap.Bytes32ToStringMap;
+
+    EnumerableMap.Bytes32ToStringMap private _map;
+
+    // ghost variables, indexed by position of the key in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256[POOL_SIZE] public ghostValues;
+    uint256 public ghostLength;
+
+    function set(uint256 keySeed, uint256 valueSeed) external {
+        keySeed %= POOL_SIZE;
+        _map.set(keyOf(keySeed), valueOf(valueSeed));
+        if (!ghostContains[keySeed]) {
+            ghostContains[keySeed] = true;
+            ++ghostLength;
+        }
+        ghostValues[keySeed] = valueSeed;
+    }
+
+    function remove(uint256 keySeed) external {
+        keySeed %= POOL_SIZE;
+        _map.remove(keyOf(keySeed));
+        if (ghostContains[keySeed]) {
+            ghostContains[keySeed] = false;
+            --ghostLength;
+        }
+    }
+
+    function keyOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function valueOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function contains(bytes32 key) external view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function length() external view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) external view returns (bytes32, string memory) {
+        return _map.at(index);
+    }
+
+    function get(bytes32 key) external view returns (string memory) {
+        return _map.get(key);
+    }
+
+    function tryGet(bytes32 key) external view returns (bool, string memory) {
+        return _map.tryGet(key);
+    }
+
+    function keys() external view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+}
+
+contract EnumerableMapBytes32ToStringMapTest is Test {
+    EnumerableMapBytes32ToStringMapHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableMapBytes32ToStringMapHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.set.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            bytes32 key = _handler.keyOf(seed);
+            (bool exists, string memory value) = _handler.tryGet(key);
+
+            assertEq(_handler.contains(key), _handler.ghostContains(seed));
+            assertEq(exists, _handler.ghostContains(seed));
+            if (exists) {
+                assertEq(value, _handler.valueOf(_handler.ghostValues(seed)));
+                assertEq(_handler.get(key), value);
+            }
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes32[] memory keys = _handler.keys();
+        assertEq(keys.length, _handler.length());
+
+        for (uint256 i = 0; i < keys.length; ++i) {
+            (bytes32 key, string memory value) = _handler.at(i);
+            assertEq(key, keys[i]);
+            assertTrue(_handler.contains(key));
+            assertEq(_handler.get(key), value);
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(keys[i], keys[j]);
+            }
+        }
+    }
+}
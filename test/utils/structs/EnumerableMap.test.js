@@ -13,34 +13,38 @@ TYPES.unshift(formatType('bytes32', 'bytes32'));
 async function fixture() {
   const mock = await ethers.deployContract('$EnumerableMap');
   const env = Object.fromEntries(
-    TYPES.map(({ name, keyType, valueType }) => [
-      name,
-      {
-        keyType,
-        keys: Array.from({ length: 3 }, generators[keyType]),
-        values: Array.from({ length: 3 }, generators[valueType]),
-        zeroValue: generators[valueType].zero,
-        methods: mapValues(
-          {
-            set: `$set(uint256,${keyType},${valueType})`,
-            get: `$get_EnumerableMap_${name}(uint256,${keyType})`,
-            tryGet: `$tryGet_EnumerableMap_${name}(uint256,${keyType})`,
-            remove: `$remove_EnumerableMap_${name}(uint256,${keyType})`,
-            length: `$length_EnumerableMap_${name}(uint256)`,
-            at: `$at_EnumerableMap_${name}(uint256,uint256)`,
-            contains: `$contains_EnumerableMap_${name}(uint256,${keyType})`,
-            keys: `$keys_EnumerableMap_${name}(uint256)`,
+    TYPES.map(({ name, keyType, valueType }) => {
+      // hardhat-exposed adds the key type to the name of the functions that take a dynamic key
+      const keySuffix = ['string', 'bytes'].includes(keyType) ? `_${keyType}` : '';
+      return [
+        name,
+        {
+          keyType,
+          keys: Array.from({ length: 3 }, generators[keyType]),
+          values: Array.from({ length: 3 }, generators[valueType]),
+          zeroValue: generators[valueType].zero,
+          methods: mapValues(
+            {
+              set: `$set(uint256,${keyType},${valueType})`,
+              get: `$get_EnumerableMap_${name}${keySuffix}(uint256,${keyType})`,
+              tryGet: `$tryGet_EnumerableMap_${name}${keySuffix}(uint256,${keyType})`,
+              remove: `$remove_EnumerableMap_${name}${keySuffix}(uint256,${keyType})`,
+              length: `$length_EnumerableMap_${name}(uint256)`,
+              at: `$at_EnumerableMap_${name}(uint256,uint256)`,
+              contains: `$contains_EnumerableMap_${name}${keySuffix}(uint256,${keyType})`,
+              keys: `$keys_EnumerableMap_${name}(uint256)`,
+            },
+            fnSig =>
+              (...args) =>
+                mock.getFunction(fnSig)(0, ...args),
+          ),
+          events: {
+            setReturn: `return$set_EnumerableMap_${name}_${keyType}_${valueType}`,
+            removeReturn: `return$remove_EnumerableMap_${name}_${keyType}`,
           },
-          fnSig =>
-            (...args) =>
-              mock.getFunction(fnSig)(0, ...args),
-        ),
-        events: {
-          setReturn: `return$set_EnumerableMap_${name}_${keyType}_${valueType}`,
-          removeReturn: `return$remove_EnumerableMap_${name}_${keyType}`,
         },
-      },
-    ]),
+      ];
+    }),
   );
 
   return { mock, env };
@@ -0,0 +1,441 @@
+// SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/EnumerableSet.t.js.
+
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+// Values are drawn from a small pool so that the fuzzer frequently adds and removes the same values.
+uint256 constant POOL_SIZE = 16;
+
+contract EnumerableSetBytes32SetHandler {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    EnumerableSet.Bytes32Set private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes32) {
+        return bytes32(seed);
+    }
+
+    function contains(bytes32 value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (bytes32) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (bytes32[] memory) {
+        return _set.values();
+    }
+}
+
+contract EnumerableSetBytes32SetTest is Test {
+    EnumerableSetBytes32SetHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSetBytes32SetHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes32[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableSetAddressSetHandler {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    EnumerableSet.AddressSet private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (address) {
+        return address(uint160(uint256(bytes32(seed))));
+    }
+
+    function contains(address value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (address) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (address[] memory) {
+        return _set.values();
+    }
+}
+
+contract EnumerableSetAddressSetTest is Test {
+    EnumerableSetAddressSetHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSetAddressSetHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        address[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableSetUintSetHandler {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    EnumerableSet.UintSet private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (uint256) {
+        return uint256(bytes32(seed));
+    }
+
+    function contains(uint256 value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (uint256) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (uint256[] memory) {
+        return _set.values();
+    }
+}
+
+contract EnumerableSetUintSetTest is Test {
+    EnumerableSetUintSetHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSetUintSetHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        uint256[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableSetStringSetHandler {
+    using EnumerableSet for EnumerableSet.StringSet;
+
+    EnumerableSet.StringSet private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (string memory) {
+        return Strings.toString(seed);
+    }
+
+    function contains(string memory value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (string memory) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (string[] memory) {
+        return _set.values();
+    }
+}
+
+contract EnumerableSetStringSetTest is Test {
+    EnumerableSetStringSetHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSetStringSetHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        string[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}
+
+contract EnumerableSetBytesSetHandler {
+    using EnumerableSet for EnumerableSet.BytesSet;
+
+    EnumerableSet.BytesSet private _set;
+
+    // ghost variables, indexed by position in the pool
+    bool[POOL_SIZE] public ghostContains;
+    uint256 public ghostLength;
+
+    function add(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.add(valueOf(seed));
+        if (!ghostContains[seed]) {
+            ghostContains[seed] = true;
+            ++ghostLength;
+        }
+    }
+
+    function remove(uint256 seed) external {
+        seed %= POOL_SIZE;
+        _set.remove(valueOf(seed));
+        if (ghostContains[seed]) {
+            ghostContains[seed] = false;
+            --ghostLength;
+        }
+    }
+
+    function valueOf(uint256 seed) public pure returns (bytes memory) {
+        return abi.encode(seed);
+    }
+
+    function contains(bytes memory value) external view returns (bool) {
+        return _set.contains(value);
+    }
+
+    function length() external view returns (uint256) {
+        return _set.length();
+    }
+
+    function at(uint256 index) external view returns (bytes memory) {
+        return _set.at(index);
+    }
+
+    function values() external view returns (bytes[] memory) {
+        return _set.values();
+    }
+}
+
+contract EnumerableSetBytesSetTest is Test {
+    EnumerableSetBytesSetHandler private _handler;
+
+    function setUp() public {
+        _handler = new EnumerableSetBytesSetHandler();
+
+        bytes4[] memory selectors = new bytes4[](2);
+        selectors[0] = _handler.add.selector;
+        selectors[1] = _handler.remove.selector;
+
+        targetContract(address(_handler));
+        targetSelector(FuzzSelector({addr: address(_handler), selectors: selectors}));
+    }
+
+    function invariantLength() public view {
+        assertEq(_handler.length(), _handler.ghostLength());
+    }
+
+    function invariantMembership() public view {
+        for (uint256 seed = 0; seed < POOL_SIZE; ++seed) {
+            assertEq(_handler.contains(_handler.valueOf(seed)), _handler.ghostContains(seed));
+        }
+    }
+
+    function invariantEnumeration() public view {
+        bytes[] memory values = _handler.values();
+        assertEq(values.length, _handler.length());
+
+        for (uint256 i = 0; i < values.length; ++i) {
+            assertEq(_handler.at(i), values[i]);
+            assertTrue(_handler.contains(values[i]));
+            for (uint256 j = 0; j < i; ++j) {
+                assertNotEq(values[i], values[j]);
+            }
+        }
+    }
+}